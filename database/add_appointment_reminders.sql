@@ -0,0 +1,20 @@
+-- Migration: Appointment reminders
+-- Reminders are sent before each booked appointment (APPOINTMENT_REMINDER_HOURS) and
+-- customers reply to confirm, reschedule or cancel. A step is recorded before it is
+-- sent so restarts never send it twice; moving an appointment clears its reminders.
+
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS reschedule_count INTEGER DEFAULT 0;
+-- When the current time was chosen (booking or last move) - reminders due before it are skipped
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS scheduled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS appointment_reminders (
+    id SERIAL PRIMARY KEY,
+    appointment_id INTEGER REFERENCES appointments(id) ON DELETE CASCADE,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    step INTEGER NOT NULL,
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (appointment_id, step)
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_reminders_tenant_sent ON appointment_reminders(tenant_id, sent_at);
@@ -0,0 +1,45 @@
+-- Migration: Appointment staff
+-- Staff members with their own services and working hours. Customers book a
+-- chosen person or the first available one; each appointment is tied to a staff
+-- member, who can get its WhatsApp alerts, a calendar feed and imported busy times.
+
+-- Staff members of appointment mode (practitioners, chairs, rooms...)
+CREATE TABLE IF NOT EXISTS staff_members (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    whatsapp_number VARCHAR(50), -- Gets the WhatsApp alerts of their appointments
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_members_tenant ON staff_members(tenant_id);
+
+-- Services a staff member does (none = every service)
+CREATE TABLE IF NOT EXISTS staff_services (
+    staff_id INTEGER REFERENCES staff_members(id) ON DELETE CASCADE,
+    service_id INTEGER REFERENCES appointment_services(id) ON DELETE CASCADE,
+    PRIMARY KEY (staff_id, service_id)
+);
+
+-- Working hours of a staff member (none = the business hours)
+CREATE TABLE IF NOT EXISTS staff_hours (
+    id SERIAL PRIMARY KEY,
+    staff_id INTEGER REFERENCES staff_members(id) ON DELETE CASCADE,
+    day_of_week INTEGER NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+    open_time TIME NOT NULL,
+    close_time TIME NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_hours_staff ON staff_hours(staff_id);
+
+-- Appointments are with one staff member (NULL = no staff, blocks everyone)
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS staff_id INTEGER REFERENCES staff_members(id) ON DELETE SET NULL;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS staff_name VARCHAR(255);
+CREATE INDEX IF NOT EXISTS idx_appointments_staff_starts ON appointments(staff_id, starts_at);
+
+-- Feeds and imported calendars of one staff member (NULL = whole business)
+ALTER TABLE calendar_feeds ADD COLUMN IF NOT EXISTS staff_id INTEGER REFERENCES staff_members(id) ON DELETE CASCADE;
+ALTER TABLE external_calendars ADD COLUMN IF NOT EXISTS staff_id INTEGER REFERENCES staff_members(id) ON DELETE CASCADE;
@@ -0,0 +1,80 @@
+-- Migration: Appointment booking engine
+-- Appointment mode books real slots: services (duration, price), weekly opening
+-- hours, breaks and holidays decide the free slots (in the tenant's timezone), and
+-- appointments that overlap are refused. The AI only offers slots the engine returns.
+
+ALTER TABLE tenants ADD COLUMN IF NOT EXISTS timezone VARCHAR(50) DEFAULT 'Africa/Casablanca';
+
+CREATE TABLE IF NOT EXISTS appointment_services (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    duration_minutes INTEGER NOT NULL,
+    price NUMERIC(12, 2),
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_services_tenant_id ON appointment_services(tenant_id);
+
+-- Opening hours per weekday (0 = Sunday ... 6 = Saturday), several rows for split days
+CREATE TABLE IF NOT EXISTS business_hours (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    day_of_week SMALLINT NOT NULL,
+    open_time TIME NOT NULL,
+    close_time TIME NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_business_hours_tenant_id ON business_hours(tenant_id);
+
+-- Recurring breaks (day_of_week NULL = every day)
+CREATE TABLE IF NOT EXISTS schedule_breaks (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    day_of_week SMALLINT,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    label VARCHAR(100)
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_breaks_tenant_id ON schedule_breaks(tenant_id);
+
+-- Closed days (inclusive range)
+CREATE TABLE IF NOT EXISTS holidays (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    label VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_holidays_tenant_dates ON holidays(tenant_id, start_date, end_date);
+
+CREATE TABLE IF NOT EXISTS appointments (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    service_id INTEGER REFERENCES appointment_services(id) ON DELETE SET NULL,
+    service_name VARCHAR(255) NOT NULL,
+    customer_phone VARCHAR(50) NOT NULL,
+    customer_name VARCHAR(255),
+    customer_language VARCHAR(5),
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    price NUMERIC(12, 2),
+    currency VARCHAR(10),
+    status VARCHAR(20) DEFAULT 'booked', -- booked, completed, cancelled, no_show
+    notes TEXT,
+    cancel_reason TEXT,
+    created_by VARCHAR(100),
+    cancelled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointments_tenant_starts ON appointments(tenant_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_appointments_customer ON appointments(tenant_id, customer_phone);
@@ -0,0 +1,41 @@
+-- Migration: Calendar sync
+-- Appointments are published as secret .ics feeds for phone calendars, and busy
+-- times imported from .ics files or calendar URLs block slots of the appointment engine.
+
+-- Secret iCalendar feeds of the appointments (URL = the token, revoked by deleting the row)
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    token VARCHAR(64) UNIQUE NOT NULL,
+    last_accessed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_feeds_tenant ON calendar_feeds(tenant_id);
+
+-- Imported calendars (uploaded .ics file, or a URL re-read periodically) whose events block slots
+CREATE TABLE IF NOT EXISTS external_calendars (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    url TEXT, -- NULL for uploaded files
+    event_count INTEGER DEFAULT 0,
+    last_synced_at TIMESTAMP,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS calendar_busy_times (
+    id SERIAL PRIMARY KEY,
+    calendar_id INTEGER REFERENCES external_calendars(id) ON DELETE CASCADE,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    uid VARCHAR(255),
+    summary VARCHAR(255),
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_busy_times_tenant_starts ON calendar_busy_times(tenant_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_calendar_busy_times_calendar ON calendar_busy_times(calendar_id);
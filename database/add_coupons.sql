@@ -0,0 +1,40 @@
+-- Migration: Coupon and discount codes
+-- Codes are stored uppercase and matched case-insensitively in customer messages.
+-- Redemptions of cancelled orders do not count towards max_uses / max_uses_per_customer.
+
+CREATE TABLE IF NOT EXISTS coupons (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    code VARCHAR(50) NOT NULL,
+    discount_type VARCHAR(20) NOT NULL, -- percentage, fixed, free_shipping
+    discount_value NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    min_order_amount NUMERIC(12, 2),
+    max_uses INTEGER,
+    max_uses_per_customer INTEGER,
+    starts_at TIMESTAMP,
+    expires_at TIMESTAMP,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (tenant_id, code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_coupons_tenant_id ON coupons(tenant_id);
+
+-- One redemption per order; cancelled orders give their use back
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+    id SERIAL PRIMARY KEY,
+    coupon_id INTEGER REFERENCES coupons(id) ON DELETE CASCADE,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    order_id INTEGER UNIQUE REFERENCES customer_orders(id) ON DELETE CASCADE,
+    customer_phone VARCHAR(50) NOT NULL,
+    discount_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon ON coupon_redemptions(coupon_id, customer_phone);
+
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS coupon_id INTEGER REFERENCES coupons(id) ON DELETE SET NULL;
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(50);
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(12, 2);
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS free_shipping BOOLEAN DEFAULT false;
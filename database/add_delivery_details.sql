@@ -0,0 +1,6 @@
+-- Migration: Step-by-step collection of delivery details
+-- Name, phone, city and street address are stored separately;
+-- customer_address keeps the combined address for display.
+
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS contact_phone VARCHAR(50);
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS street_address TEXT;
@@ -0,0 +1,26 @@
+-- Migration: Delivery fee rules per city and zone
+-- A zone lists its cities (JSON array of names/spellings). The default zone
+-- (is_default = true) applies to cities not listed in any zone.
+
+CREATE TABLE IF NOT EXISTS delivery_zones (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    cities JSONB DEFAULT '[]'::jsonb,
+    fee NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    eta_min_days INTEGER,
+    eta_max_days INTEGER,
+    cod_available BOOLEAN DEFAULT true,
+    is_default BOOLEAN DEFAULT false,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_delivery_zones_tenant_id ON delivery_zones(tenant_id);
+
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS delivery_city VARCHAR(100);
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS delivery_zone_id INTEGER REFERENCES delivery_zones(id) ON DELETE SET NULL;
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS delivery_fee NUMERIC(12, 2);
+-- Prepaid orders: the fee is paid to the courier and is not part of total_amount
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS delivery_fee_on_delivery BOOLEAN DEFAULT false;
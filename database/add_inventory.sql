@@ -0,0 +1,20 @@
+-- Migration: Inventory tracking
+-- One row per product (variant_name = '') or per variant. Products without a
+-- row are not tracked. Stock is reserved when an order starts, decremented
+-- when it completes and released on cancel or expiry.
+
+CREATE TABLE IF NOT EXISTS product_inventory (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+    variant_name VARCHAR(255) NOT NULL DEFAULT '',
+    stock_quantity INTEGER NOT NULL DEFAULT 0,
+    reserved_quantity INTEGER NOT NULL DEFAULT 0,
+    low_stock_threshold INTEGER NOT NULL DEFAULT 5,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (product_id, variant_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_inventory_product_id ON product_inventory(product_id);
+
+-- Reservation lifecycle of an order's stock: reserved -> committed | released
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS inventory_status VARCHAR(20);
@@ -0,0 +1,6 @@
+-- Migration: PDF invoices for completed orders
+-- The PDF is stored on Cloudinary; the orders API can always regenerate it from the order.
+
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS invoice_number VARCHAR(50);
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS invoice_url TEXT;
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS invoice_cloudinary_id VARCHAR(255);
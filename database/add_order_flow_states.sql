@@ -0,0 +1,17 @@
+-- Migration: Persist in-flight order conversations to PostgreSQL
+-- Replaces the in-memory orderStates Map so customers halfway through an
+-- order (confirmation, payment, delivery info) survive restarts.
+
+CREATE TABLE IF NOT EXISTS order_flow_states (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    customer_phone VARCHAR(50) NOT NULL,
+    order_id INTEGER REFERENCES customer_orders(id) ON DELETE CASCADE,
+    state VARCHAR(50) NOT NULL,
+    data JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (tenant_id, customer_phone)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_flow_states_order_id ON order_flow_states(order_id);
@@ -0,0 +1,22 @@
+-- Migration: Multi-item carts
+-- Each order gets line items (product, variant, quantity, price) and a
+-- computed total used for confirmation, owner forward and payment checks.
+
+CREATE TABLE IF NOT EXISTS order_items (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER REFERENCES customer_orders(id) ON DELETE CASCADE,
+    product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+    product_name VARCHAR(255) NOT NULL,
+    variant_name VARCHAR(255),
+    sku VARCHAR(100),
+    unit_price NUMERIC(12, 2) NOT NULL,
+    quantity INTEGER NOT NULL DEFAULT 1,
+    line_total NUMERIC(12, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id);
+
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS subtotal NUMERIC(12, 2);
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS total_amount NUMERIC(12, 2);
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS currency VARCHAR(10) DEFAULT 'MAD';
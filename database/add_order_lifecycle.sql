@@ -0,0 +1,24 @@
+-- Migration: Full order lifecycle
+-- completed -> confirmed -> shipped -> delivered, plus cancelled and refunded.
+-- Every state change is recorded in order_status_history.
+
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP;
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS shipped_at TIMESTAMP;
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP;
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP;
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS tracking_number VARCHAR(100);
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS cancel_reason TEXT;
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS customer_language VARCHAR(5);
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER REFERENCES customer_orders(id) ON DELETE CASCADE,
+    from_state VARCHAR(50),
+    to_state VARCHAR(50) NOT NULL,
+    note TEXT,
+    changed_by VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history(order_id);
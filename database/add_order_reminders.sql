@@ -0,0 +1,14 @@
+-- Migration: Abandoned order recovery
+-- Orders idle in awaiting_payment get reminders (ABANDONED_REMINDER_HOURS) and expire
+-- after ABANDONED_EXPIRY_HOURS. Reminders are recorded here so restarts never resend them.
+
+CREATE TABLE IF NOT EXISTS order_reminders (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER REFERENCES customer_orders(id) ON DELETE CASCADE,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    step INTEGER NOT NULL,
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (order_id, step)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_reminders_tenant_sent ON order_reminders(tenant_id, sent_at);
@@ -0,0 +1,4 @@
+-- Migration: Owner command channel over WhatsApp
+-- While bot_paused is true the bot stops answering customers (owner commands still work).
+
+ALTER TABLE tenants ADD COLUMN IF NOT EXISTS bot_paused BOOLEAN DEFAULT false;
@@ -0,0 +1,24 @@
+-- Migration: Online payment links
+-- A PAYMENT_LINK payment method creates a checkout with the configured payment
+-- provider (PAYMENT_PROVIDER); the provider's signed webhook settles the link and
+-- moves the order from awaiting_payment to awaiting_info automatically.
+
+CREATE TABLE IF NOT EXISTS payment_links (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER REFERENCES customer_orders(id) ON DELETE CASCADE,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    provider VARCHAR(30) NOT NULL,
+    checkout_id VARCHAR(255) NOT NULL,
+    url TEXT NOT NULL,
+    amount NUMERIC(12, 2) NOT NULL,
+    currency VARCHAR(10) NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending', -- pending, paid, mismatch, replaced (new amount after a discount code)
+    transaction_id VARCHAR(255),
+    failure_reason TEXT,
+    paid_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (provider, checkout_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_links_order_id ON payment_links(order_id);
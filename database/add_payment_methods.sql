@@ -0,0 +1,25 @@
+-- Migration: Multiple payment methods per tenant
+-- Each method has display text, instructions, an optional QR code / image from the file library
+-- and availability rules (order amount range; cities for cash on delivery).
+-- Tenants without any method keep using bank_rib / accept_cod.
+
+CREATE TABLE IF NOT EXISTS payment_methods (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    method_type VARCHAR(20) NOT NULL DEFAULT 'BANK_TRANSFER',
+    name VARCHAR(255) NOT NULL,
+    instructions TEXT,
+    file_id INTEGER REFERENCES tenant_files(id) ON DELETE SET NULL,
+    cities JSONB DEFAULT '[]'::jsonb,
+    min_order_amount NUMERIC(12, 2),
+    max_order_amount NUMERIC(12, 2),
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_methods_tenant_id ON payment_methods(tenant_id);
+
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS payment_method_id INTEGER REFERENCES payment_methods(id) ON DELETE SET NULL;
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS payment_method_name VARCHAR(255);
@@ -0,0 +1,12 @@
+-- Migration: Duplicate and reused payment proof detection
+-- content_hash: SHA-256 of the image bytes; perceptual_hash: 64-bit pHash (hex)
+-- that survives re-compression and resizing. duplicate_of_id points to the
+-- earlier proof (another order of the same tenant) this one matches.
+
+ALTER TABLE payment_verifications ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64);
+ALTER TABLE payment_verifications ADD COLUMN IF NOT EXISTS perceptual_hash VARCHAR(16);
+ALTER TABLE payment_verifications ADD COLUMN IF NOT EXISTS duplicate_of_id INTEGER REFERENCES payment_verifications(id) ON DELETE SET NULL;
+ALTER TABLE payment_verifications ADD COLUMN IF NOT EXISTS duplicate_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_payment_verifications_content_hash ON payment_verifications(tenant_id, content_hash);
+CREATE INDEX IF NOT EXISTS idx_payment_verifications_reference ON payment_verifications(tenant_id, transaction_reference);
@@ -0,0 +1,27 @@
+-- Migration: Payment verification records with owner approve/reject
+-- status: pending (order in payment_pending_review), approved, rejected.
+-- Proofs that match the expected amount are approved automatically (reviewed_by = 'auto').
+
+CREATE TABLE IF NOT EXISTS payment_verifications (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER REFERENCES customer_orders(id) ON DELETE CASCADE,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    proof_url TEXT,
+    proof_cloudinary_id VARCHAR(255),
+    expected_amount NUMERIC(12, 2),
+    extracted_amount NUMERIC(12, 2),
+    extracted_currency VARCHAR(10),
+    extracted_date VARCHAR(100),
+    transaction_reference VARCHAR(255),
+    confidence NUMERIC(3, 2),
+    mismatch_reason TEXT,
+    raw_analysis TEXT,
+    status VARCHAR(20) DEFAULT 'pending',
+    reviewed_by VARCHAR(100),
+    review_note TEXT,
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_verifications_order_id ON payment_verifications(order_id);
+CREATE INDEX IF NOT EXISTS idx_payment_verifications_tenant_status ON payment_verifications(tenant_id, status);
@@ -0,0 +1,22 @@
+-- Migration: Structured product catalog
+-- Products replace the free-text business data as the source of truth for
+-- names and prices in the e-commerce system prompt.
+-- variants: JSON array of { "name": "256GB", "sku": "IP15-256", "price": 13500 }
+--           (price optional - falls back to the product price)
+
+CREATE TABLE IF NOT EXISTS products (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    sku VARCHAR(100),
+    price NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    currency VARCHAR(10) DEFAULT 'MAD',
+    description TEXT,
+    variants JSONB DEFAULT '[]'::jsonb,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_products_tenant_id ON products(tenant_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_products_tenant_sku ON products(tenant_id, sku) WHERE sku IS NOT NULL;
@@ -0,0 +1,27 @@
+-- Migration: Customer return / refund requests
+-- Customers ask for a return on WhatsApp ("je veux retourner ma commande"): the
+-- bot asks for the order number, the reason and an optional photo, then the
+-- owner moves the request requested -> approved -> received -> refunded (or rejected).
+
+CREATE TABLE IF NOT EXISTS return_requests (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER REFERENCES customer_orders(id) ON DELETE CASCADE,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    customer_phone VARCHAR(50) NOT NULL,
+    reason TEXT NOT NULL,
+    photo_url TEXT,
+    photo_cloudinary_id VARCHAR(255),
+    status VARCHAR(20) DEFAULT 'requested', -- requested, approved, received, refunded, rejected
+    refund_amount NUMERIC(12, 2),
+    currency VARCHAR(10),
+    owner_note TEXT,
+    updated_by VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_return_requests_tenant_status ON return_requests(tenant_id, status);
+-- One open request per order
+CREATE UNIQUE INDEX IF NOT EXISTS idx_return_requests_open_order ON return_requests(order_id)
+    WHERE status IN ('requested', 'approved', 'received');
@@ -0,0 +1,38 @@
+-- Migration: Shipment tracking
+-- Delivery mode answers tracking numbers and "où est mon colis?" from these tables
+-- instead of letting the AI guess. A shipment can be linked to an order (created
+-- when the order is shipped with a tracking number) and keeps its status history.
+
+CREATE TABLE IF NOT EXISTS shipments (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    order_id INTEGER REFERENCES customer_orders(id) ON DELETE SET NULL,
+    tracking_number VARCHAR(100) NOT NULL, -- Uppercase, no spaces
+    carrier VARCHAR(100),
+    customer_phone VARCHAR(50),
+    customer_name VARCHAR(255),
+    customer_language VARCHAR(5) DEFAULT 'fr',
+    status VARCHAR(30) DEFAULT 'pending', -- pending, picked_up, in_transit, out_for_delivery, delivered, failed_attempt, returned, cancelled
+    current_location VARCHAR(255),
+    estimated_delivery DATE,
+    delivered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shipments_tenant_tracking ON shipments(tenant_id, tracking_number);
+CREATE INDEX IF NOT EXISTS idx_shipments_tenant_phone ON shipments(tenant_id, customer_phone);
+CREATE INDEX IF NOT EXISTS idx_shipments_order ON shipments(order_id);
+
+-- Status history (first row = shipment created)
+CREATE TABLE IF NOT EXISTS shipment_events (
+    id SERIAL PRIMARY KEY,
+    shipment_id INTEGER REFERENCES shipments(id) ON DELETE CASCADE,
+    status VARCHAR(30) NOT NULL,
+    location VARCHAR(255),
+    note TEXT,
+    changed_by VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipment_events_shipment ON shipment_events(shipment_id, created_at);
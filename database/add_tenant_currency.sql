@@ -0,0 +1,7 @@
+-- Migration: Currency and number format per tenant
+-- currency is the ISO code used for prices, order totals and payment checks;
+-- locale (e.g. fr-FR, en-US, ar-MA) sets the thousands / decimal separators.
+-- NULL locale keeps the plain "1234.50 DH" format.
+
+ALTER TABLE tenants ADD COLUMN IF NOT EXISTS currency VARCHAR(3) DEFAULT 'MAD';
+ALTER TABLE tenants ADD COLUMN IF NOT EXISTS locale VARCHAR(20);
@@ -2,6 +2,15 @@ const { Pool } = require('pg');
 const fs = require('fs').promises;
 const path = require('path');
 
+// Shipment columns with the ETA as "YYYY-MM-DD" (table alias s)
+const SHIPMENT_COLUMNS = `
+    s.id, s.tenant_id, s.order_id, s.tracking_number, s.carrier, s.customer_phone, s.customer_name,
+    s.customer_language, s.status, s.current_location, to_char(s.estimated_delivery, 'YYYY-MM-DD') AS estimated_delivery,
+    s.delivered_at, s.created_at, s.updated_at`;
+
+// Orders whose coupon use is given back (called off or never paid)
+const COUPON_RELEASED_STATES = ['cancelled', 'expired'];
+
 class Database {
     constructor() {
         if (!process.env.DATABASE_URL) {
@@ -311,8 +320,8 @@ class Database {
     // Customer order operations
     async createOrder(tenantId, customerPhone, orderDetails = null) {
         const query = `
-            INSERT INTO customer_orders (tenant_id, customer_phone, order_details, order_state)
-            VALUES ($1, $2, $3, 'initiated')
+            INSERT INTO customer_orders (tenant_id, customer_phone, order_details, order_state, currency)
+            VALUES ($1, $2, $3, 'initiated', COALESCE((SELECT currency FROM tenants WHERE id = $1), 'MAD'))
             RETURNING *
         `;
         const result = await this.query(query, [tenantId, customerPhone, orderDetails]);
@@ -323,7 +332,7 @@ class Database {
         const query = `
             SELECT * FROM customer_orders 
             WHERE tenant_id = $1 AND customer_phone = $2 
-            AND order_state IN ('initiated', 'awaiting_payment', 'awaiting_info')
+            AND order_state IN ('initiated', 'awaiting_payment', 'awaiting_info', 'awaiting_delivery_info', 'payment_pending_review')
             ORDER BY created_at DESC
             LIMIT 1
         `;
@@ -331,7 +340,26 @@ class Database {
         return result.rows[0];
     }
 
+    async getActiveOrders() {
+        const query = `
+            SELECT * FROM customer_orders 
+            WHERE order_state IN ('initiated', 'awaiting_payment', 'awaiting_info', 'awaiting_delivery_info', 'payment_pending_review')
+            ORDER BY created_at ASC
+        `;
+        const result = await this.query(query);
+        return result.rows;
+    }
+
     async updateOrder(orderId, updates) {
+        // Keep the status history in sync with flow-driven state changes
+        if (updates.order_state !== undefined) {
+            await this.query(`
+                INSERT INTO order_status_history (order_id, from_state, to_state, changed_by)
+                SELECT id, order_state, $2::varchar, 'bot' FROM customer_orders 
+                WHERE id = $1 AND order_state IS DISTINCT FROM $2::varchar
+            `, [orderId, updates.order_state]);
+        }
+
         const fields = [];
         const values = [];
         let paramCount = 1;
@@ -354,16 +382,2211 @@ class Database {
         return result.rows[0];
     }
 
-    async completeOrder(orderId) {
+    /**
+     * Build the WHERE clause for tenant order queries
+     * @param {number} tenantId - Tenant ID
+     * @param {Object} filters - { states: [], from, to, phone }
+     * @returns {Object} { where, values }
+     */
+    buildOrderFilters(tenantId, filters = {}) {
+        const conditions = ['tenant_id = $1'];
+        const values = [tenantId];
+
+        if (filters.states && filters.states.length > 0) {
+            values.push(filters.states);
+            conditions.push(`order_state = ANY($${values.length})`);
+        }
+
+        if (filters.from) {
+            values.push(filters.from);
+            conditions.push(`created_at >= $${values.length}::timestamp`);
+        }
+
+        if (filters.to) {
+            values.push(filters.to);
+            // Date-only upper bound includes the whole day
+            conditions.push(/^\d{4}-\d{2}-\d{2}$/.test(filters.to)
+                ? `created_at < ($${values.length}::date + INTERVAL '1 day')`
+                : `created_at <= $${values.length}::timestamp`);
+        }
+
+        if (filters.phone) {
+            values.push(`%${filters.phone}%`);
+            conditions.push(`customer_phone LIKE $${values.length}`);
+        }
+
+        return { where: conditions.join(' AND '), values };
+    }
+
+    async getOrders(tenantId, filters = {}, limit = 50, offset = 0) {
+        const { where, values } = this.buildOrderFilters(tenantId, filters);
+
+        const countResult = await this.query(`SELECT COUNT(*) AS total FROM customer_orders WHERE ${where}`, values);
+
+        const query = `
+            SELECT * FROM customer_orders 
+            WHERE ${where}
+            ORDER BY created_at DESC, id DESC
+            LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+        `;
+        const result = await this.query(query, [...values, limit, offset]);
+        return { orders: result.rows, total: parseInt(countResult.rows[0].total) };
+    }
+
+    /**
+     * One batch of orders for the export (keyset pagination on id, so memory stays flat)
+     * Line items and state history are aggregated into one text column each.
+     * @param {number} afterId - Last order ID of the previous batch (0 for the first)
+     */
+    async getOrderExportBatch(tenantId, filters = {}, afterId = 0, limit = 500) {
+        const { where, values } = this.buildOrderFilters(tenantId, filters);
+
+        const query = `
+            SELECT customer_orders.*,
+                (SELECT string_agg(i.quantity || ' x ' || i.product_name || COALESCE(' (' || i.variant_name || ')', ''), '; ' ORDER BY i.id)
+                 FROM order_items i WHERE i.order_id = customer_orders.id) AS items_summary,
+                (SELECT string_agg(h.to_state || ' (' || to_char(h.created_at, 'YYYY-MM-DD HH24:MI') || COALESCE(', ' || h.changed_by, '') || ')', ' > ' ORDER BY h.created_at, h.id)
+                 FROM order_status_history h WHERE h.order_id = customer_orders.id) AS state_history
+            FROM customer_orders 
+            WHERE ${where} AND id > $${values.length + 1}
+            ORDER BY id ASC
+            LIMIT $${values.length + 2}
+        `;
+        const result = await this.query(query, [...values, afterId, limit]);
+        return result.rows;
+    }
+
+    async getOrderById(orderId, tenantId) {
+        const query = 'SELECT * FROM customer_orders WHERE id = $1 AND tenant_id = $2';
+        const result = await this.query(query, [orderId, tenantId]);
+        return result.rows[0];
+    }
+
+    async updateTenantOrder(orderId, tenantId, updates) {
+        const fields = [];
+        const values = [];
+        let paramCount = 1;
+
+        Object.keys(updates).forEach(key => {
+            fields.push(`${key} = $${paramCount}`);
+            values.push(updates[key]);
+            paramCount++;
+        });
+
+        values.push(orderId, tenantId);
         const query = `
             UPDATE customer_orders 
-            SET order_state = 'completed', completed_at = CURRENT_TIMESTAMP
-            WHERE id = $1
+            SET ${fields.join(', ')}
+            WHERE id = $${paramCount} AND tenant_id = $${paramCount + 1}
+            RETURNING *
+        `;
+        
+        const result = await this.query(query, values);
+        return result.rows[0];
+    }
+
+    async completeOrder(orderId) {
+        const client = await this.getClient();
+        try {
+            await client.query('BEGIN');
+            
+            await client.query(`
+                INSERT INTO order_status_history (order_id, from_state, to_state, changed_by)
+                SELECT id, order_state, 'completed', 'bot' FROM customer_orders 
+                WHERE id = $1 AND order_state <> 'completed'
+            `, [orderId]);
+            
+            const result = await client.query(`
+                UPDATE customer_orders 
+                SET order_state = 'completed', completed_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [orderId]);
+            
+            // Reserved stock leaves the warehouse
+            await this.settleOrderStock(client, orderId, 'committed');
+            
+            await client.query('COMMIT');
+            return result.rows[0];
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error completing order:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Move an order from one lifecycle state to another (fails if the state changed meanwhile)
+     * @param {number} orderId - Order ID
+     * @param {string} fromState - Expected current state
+     * @param {string} toState - New state (its `<state>_at` column is stamped if it exists)
+     * @param {Object} details - { note, trackingNumber, cancelReason, changedBy, releaseStock }
+     * @returns {Promise<Object|undefined>} Updated order or undefined
+     */
+    async transitionOrder(orderId, fromState, toState, details = {}) {
+        const timestampColumns = ['confirmed', 'shipped', 'delivered', 'cancelled', 'refunded', 'completed'];
+        
+        const client = await this.getClient();
+        try {
+            await client.query('BEGIN');
+            
+            const sets = ['order_state = $3'];
+            const values = [orderId, fromState, toState];
+            
+            if (timestampColumns.includes(toState)) {
+                sets.push(`${toState}_at = CURRENT_TIMESTAMP`);
+            }
+            if (details.trackingNumber) {
+                values.push(details.trackingNumber);
+                sets.push(`tracking_number = $${values.length}`);
+            }
+            if (details.cancelReason) {
+                values.push(details.cancelReason);
+                sets.push(`cancel_reason = $${values.length}`);
+            }
+            
+            const result = await client.query(`
+                UPDATE customer_orders 
+                SET ${sets.join(', ')}
+                WHERE id = $1 AND order_state = $2
+                RETURNING *
+            `, values);
+            
+            if (!result.rows[0]) {
+                await client.query('ROLLBACK');
+                return undefined;
+            }
+            
+            await client.query(`
+                INSERT INTO order_status_history (order_id, from_state, to_state, note, changed_by)
+                VALUES ($1, $2, $3, $4, $5)
+            `, [orderId, fromState, toState, details.note || null, details.changedBy || null]);
+            
+            // Reserved stock goes back in the same transaction, so it is never released twice
+            if (details.releaseStock) {
+                await this.settleOrderStock(client, orderId, 'released');
+            }
+            
+            await client.query('COMMIT');
+            return result.rows[0];
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error transitioning order:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getOrderStatusHistory(orderId) {
+        const query = 'SELECT * FROM order_status_history WHERE order_id = $1 ORDER BY created_at ASC, id ASC';
+        const result = await this.query(query, [orderId]);
+        return result.rows;
+    }
+
+    // Inventory operations
+    async getInventory(tenantId) {
+        const query = `
+            SELECT pi.*, p.name AS product_name, p.tenant_id,
+                   (pi.stock_quantity - pi.reserved_quantity) AS available_quantity
+            FROM product_inventory pi
+            JOIN products p ON p.id = pi.product_id
+            WHERE p.tenant_id = $1
+            ORDER BY p.name ASC, pi.variant_name ASC
+        `;
+        const result = await this.query(query, [tenantId]);
+        return result.rows;
+    }
+
+    async upsertInventory(productId, variantName, stockQuantity, lowStockThreshold = null) {
+        const query = `
+            INSERT INTO product_inventory (product_id, variant_name, stock_quantity, low_stock_threshold)
+            VALUES ($1, $2, $3, COALESCE($4, 5))
+            ON CONFLICT (product_id, variant_name)
+            DO UPDATE SET stock_quantity = EXCLUDED.stock_quantity,
+                          low_stock_threshold = COALESCE($4, product_inventory.low_stock_threshold),
+                          updated_at = CURRENT_TIMESTAMP
+            RETURNING *, (stock_quantity - reserved_quantity) AS available_quantity
+        `;
+        const result = await this.query(query, [productId, variantName || '', stockQuantity, lowStockThreshold]);
+        return result.rows[0];
+    }
+
+    async deleteInventory(productId, variantName) {
+        const query = 'DELETE FROM product_inventory WHERE product_id = $1 AND variant_name = $2 RETURNING *';
+        const result = await this.query(query, [productId, variantName || '']);
+        return result.rows[0];
+    }
+
+    /**
+     * Reserve stock for all items of an order (all or nothing)
+     * Items without an inventory row are not tracked and always succeed.
+     * @returns {Promise<Object>} { success, inventory } or { success: false, item, available }
+     */
+    async reserveOrderStock(orderId, items) {
+        const client = await this.getClient();
+        try {
+            await client.query('BEGIN');
+            
+            const inventory = [];
+            for (const item of items) {
+                if (!item.productId) continue;
+                
+                const reserved = await client.query(`
+                    UPDATE product_inventory 
+                    SET reserved_quantity = reserved_quantity + $3, updated_at = CURRENT_TIMESTAMP
+                    WHERE product_id = $1 AND variant_name = $2 
+                    AND stock_quantity - reserved_quantity >= $3
+                    RETURNING *, (stock_quantity - reserved_quantity) AS available_quantity
+                `, [item.productId, item.variant || '', item.quantity]);
+                
+                if (reserved.rows[0]) {
+                    inventory.push(reserved.rows[0]);
+                    continue;
+                }
+                
+                const tracked = await client.query(
+                    'SELECT (stock_quantity - reserved_quantity) AS available_quantity FROM product_inventory WHERE product_id = $1 AND variant_name = $2',
+                    [item.productId, item.variant || '']
+                );
+                
+                if (tracked.rows[0]) {
+                    await client.query('ROLLBACK');
+                    return { success: false, item, available: Math.max(0, tracked.rows[0].available_quantity) };
+                }
+            }
+            
+            await client.query(
+                "UPDATE customer_orders SET inventory_status = 'reserved' WHERE id = $1",
+                [orderId]
+            );
+            
+            await client.query('COMMIT');
+            return { success: true, inventory };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error reserving stock:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Give back the stock reserved by an order (cancel / expiry)
+     * Orders that already completed put their committed stock back on the shelf.
+     */
+    async releaseOrderStock(orderId) {
+        const client = await this.getClient();
+        try {
+            await client.query('BEGIN');
+            const released = await this.settleOrderStock(client, orderId, 'released');
+            const rows = released.length > 0 ? released : await this.settleOrderStock(client, orderId, 'restocked');
+            await client.query('COMMIT');
+            return rows;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error releasing stock:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Settle an order's stock:
+     *   reserved  -> committed  (stock and reservation decremented)
+     *   reserved  -> released   (reservation given back)
+     *   committed -> restocked  (cancelled after completion, stock put back)
+     * Only acts once per order: the inventory_status switch guards against double counting.
+     */
+    async settleOrderStock(client, orderId, outcome) {
+        const changes = {
+            committed: { from: 'reserved', stock: 'pi.stock_quantity - oi.quantity', reserved: 'GREATEST(pi.reserved_quantity - oi.quantity, 0)' },
+            released: { from: 'reserved', stock: 'pi.stock_quantity', reserved: 'GREATEST(pi.reserved_quantity - oi.quantity, 0)' },
+            restocked: { from: 'committed', stock: 'pi.stock_quantity + oi.quantity', reserved: 'pi.reserved_quantity' }
+        };
+        const change = changes[outcome];
+        
+        const switched = await client.query(`
+            UPDATE customer_orders SET inventory_status = $2 
+            WHERE id = $1 AND inventory_status = $3
+            RETURNING id
+        `, [orderId, outcome, change.from]);
+        
+        if (!switched.rows[0]) return [];
+        
+        const result = await client.query(`
+            UPDATE product_inventory pi
+            SET stock_quantity = ${change.stock},
+                reserved_quantity = ${change.reserved},
+                updated_at = CURRENT_TIMESTAMP
+            FROM (
+                SELECT product_id, COALESCE(variant_name, '') AS variant_name, SUM(quantity) AS quantity
+                FROM order_items WHERE order_id = $1 AND product_id IS NOT NULL
+                GROUP BY product_id, COALESCE(variant_name, '')
+            ) oi
+            WHERE pi.product_id = oi.product_id AND pi.variant_name = oi.variant_name
+            RETURNING pi.*
+        `, [orderId]);
+        return result.rows;
+    }
+
+    /**
+     * Orders holding a reservation with no customer activity for a while
+     * (last activity = last change of the conversation state, or the order creation)
+     * @param {Array} states - Order states that can be expired
+     */
+    async getExpiredReservations(maxAgeHours, states) {
+        const query = `
+            SELECT o.*, t.bot_paused FROM customer_orders o
+            JOIN tenants t ON t.id = o.tenant_id
+            LEFT JOIN order_flow_states f ON f.order_id = o.id
+            WHERE o.inventory_status = 'reserved'
+            AND o.order_state = ANY($2)
+            AND GREATEST(o.created_at, COALESCE(f.updated_at, o.created_at)) < CURRENT_TIMESTAMP - ($1 || ' hours')::interval
+        `;
+        const result = await this.query(query, [maxAgeHours, states]);
+        return result.rows;
+    }
+
+    async createOrderItems(orderId, items) {
+        if (!items || items.length === 0) return [];
+
+        const values = [];
+        const rows = items.map((item, index) => {
+            const base = index * 8;
+            values.push(
+                orderId,
+                item.productId || null,
+                item.name,
+                item.variant || null,
+                item.sku || null,
+                item.unitPrice,
+                item.quantity,
+                item.unitPrice * item.quantity
+            );
+            return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6}, $${base + 7}, $${base + 8})`;
+        });
+
+        const query = `
+            INSERT INTO order_items (order_id, product_id, product_name, variant_name, sku, unit_price, quantity, line_total)
+            VALUES ${rows.join(', ')}
+            RETURNING *
+        `;
+        const result = await this.query(query, values);
+        return result.rows;
+    }
+
+    async getOrderItems(orderId) {
+        const query = 'SELECT * FROM order_items WHERE order_id = $1 ORDER BY id ASC';
+        const result = await this.query(query, [orderId]);
+        return result.rows;
+    }
+
+    // Product catalog operations
+    async createProduct(tenantId, product) {
+        const query = `
+            INSERT INTO products (tenant_id, name, sku, price, currency, description, variants, is_active)
+            VALUES ($1, $2, $3, $4, COALESCE($5, (SELECT currency FROM tenants WHERE id = $1), 'MAD'), $6, $7, $8)
+            RETURNING *
+        `;
+        const result = await this.query(query, [
+            tenantId,
+            product.name,
+            product.sku || null,
+            product.price,
+            product.currency || null,
+            product.description || null,
+            JSON.stringify(product.variants || []),
+            product.is_active !== undefined ? product.is_active : true
+        ]);
+        return result.rows[0];
+    }
+
+    async getProducts(tenantId, activeOnly = false) {
+        const query = `
+            SELECT * FROM products 
+            WHERE tenant_id = $1 ${activeOnly ? 'AND is_active = true' : ''}
+            ORDER BY name ASC
+        `;
+        const result = await this.query(query, [tenantId]);
+        return result.rows;
+    }
+
+    async getProductById(productId, tenantId) {
+        const query = 'SELECT * FROM products WHERE id = $1 AND tenant_id = $2';
+        const result = await this.query(query, [productId, tenantId]);
+        return result.rows[0];
+    }
+
+    async updateProduct(productId, tenantId, updates) {
+        const fields = [];
+        const values = [];
+        let paramCount = 1;
+
+        Object.keys(updates).forEach(key => {
+            fields.push(`${key} = $${paramCount}`);
+            values.push(key === 'variants' ? JSON.stringify(updates[key]) : updates[key]);
+            paramCount++;
+        });
+
+        values.push(productId, tenantId);
+        const query = `
+            UPDATE products 
+            SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $${paramCount} AND tenant_id = $${paramCount + 1}
+            RETURNING *
+        `;
+        
+        const result = await this.query(query, values);
+        return result.rows[0];
+    }
+
+    async deleteProduct(productId, tenantId) {
+        const query = 'DELETE FROM products WHERE id = $1 AND tenant_id = $2 RETURNING *';
+        const result = await this.query(query, [productId, tenantId]);
+        return result.rows[0];
+    }
+
+    // Payment verification operations
+    async createPaymentVerification(orderId, tenantId, verification) {
+        const query = `
+            INSERT INTO payment_verifications (
+                order_id, tenant_id, proof_url, proof_cloudinary_id, expected_amount,
+                extracted_amount, extracted_currency, extracted_date, transaction_reference,
+                confidence, mismatch_reason, raw_analysis, status, reviewed_by, reviewed_at,
+                content_hash, perceptual_hash, duplicate_of_id, duplicate_reason
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13::varchar, $14,
+                CASE WHEN $13::varchar = 'pending' THEN NULL ELSE CURRENT_TIMESTAMP END,
+                $15, $16, $17, $18)
             RETURNING *
         `;
+        const result = await this.query(query, [
+            orderId,
+            tenantId,
+            verification.proof_url || null,
+            verification.proof_cloudinary_id || null,
+            verification.expected_amount ?? null,
+            verification.extracted_amount ?? null,
+            verification.extracted_currency || null,
+            verification.extracted_date || null,
+            verification.transaction_reference || null,
+            verification.confidence ?? null,
+            verification.mismatch_reason || null,
+            verification.raw_analysis || null,
+            verification.status || 'pending',
+            verification.reviewed_by || null,
+            verification.content_hash || null,
+            verification.perceptual_hash || null,
+            verification.duplicate_of_id || null,
+            verification.duplicate_reason || null
+        ]);
+        return result.rows[0];
+    }
+
+    async getPaymentVerifications(tenantId, status = null, limit = 50) {
+        const values = [tenantId];
+        let where = 'pv.tenant_id = $1';
+        if (status) {
+            values.push(status);
+            where += ` AND pv.status = $${values.length}`;
+        }
+        if (status === 'pending') {
+            // Orders cancelled meanwhile have nothing left to review
+            where += ` AND o.order_state = 'payment_pending_review'`;
+        }
+        values.push(limit);
+
+        const query = `
+            SELECT pv.*, o.customer_phone, o.customer_name, o.order_state, o.total_amount, o.currency
+            FROM payment_verifications pv
+            JOIN customer_orders o ON o.id = pv.order_id
+            WHERE ${where}
+            ORDER BY pv.created_at DESC
+            LIMIT $${values.length}
+        `;
+        const result = await this.query(query, values);
+        return result.rows;
+    }
+
+    async getPaymentVerificationById(verificationId, tenantId) {
+        const query = `
+            SELECT pv.*, o.customer_phone, o.customer_name, o.order_state
+            FROM payment_verifications pv
+            JOIN customer_orders o ON o.id = pv.order_id
+            WHERE pv.id = $1 AND pv.tenant_id = $2
+        `;
+        const result = await this.query(query, [verificationId, tenantId]);
+        return result.rows[0];
+    }
+
+    /**
+     * Fingerprints of a tenant's earlier proofs from other orders (newest first)
+     */
+    async getPaymentProofFingerprints(tenantId, excludeOrderId, limit = 1000) {
+        const query = `
+            SELECT id, order_id, content_hash, perceptual_hash, transaction_reference, extracted_amount, extracted_date, created_at
+            FROM payment_verifications
+            WHERE tenant_id = $1 AND order_id <> $2
+            AND (content_hash IS NOT NULL OR perceptual_hash IS NOT NULL OR transaction_reference IS NOT NULL)
+            ORDER BY created_at DESC
+            LIMIT $3
+        `;
+        const result = await this.query(query, [tenantId, excludeOrderId, limit]);
+        return result.rows;
+    }
+
+    async getOrderPaymentVerifications(orderId) {
+        const query = 'SELECT * FROM payment_verifications WHERE order_id = $1 ORDER BY created_at ASC';
         const result = await this.query(query, [orderId]);
+        return result.rows;
+    }
+
+    /**
+     * Approve or reject a pending payment proof and move its order on
+     * (approved -> awaiting_info, rejected -> awaiting_payment)
+     * @returns {Promise<Object|undefined>} { verification, order } or undefined if no longer pending
+     */
+    async reviewPaymentVerification(verificationId, tenantId, status, details = {}) {
+        const nextState = status === 'approved' ? 'awaiting_info' : 'awaiting_payment';
+
+        const client = await this.getClient();
+        try {
+            await client.query('BEGIN');
+
+            const verificationResult = await client.query(`
+                UPDATE payment_verifications
+                SET status = $3, reviewed_by = $4, review_note = $5, reviewed_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND tenant_id = $2 AND status = 'pending'
+                RETURNING *
+            `, [verificationId, tenantId, status, details.reviewedBy || null, details.note || null]);
+
+            const verification = verificationResult.rows[0];
+            if (!verification) {
+                await client.query('ROLLBACK');
+                return undefined;
+            }
+
+            const orderResult = await client.query(`
+                UPDATE customer_orders
+                SET order_state = $2
+                WHERE id = $1 AND order_state = 'payment_pending_review'
+                RETURNING *
+            `, [verification.order_id, nextState]);
+
+            const order = orderResult.rows[0];
+            if (!order) {
+                await client.query('ROLLBACK');
+                return undefined;
+            }
+
+            await client.query(`
+                INSERT INTO order_status_history (order_id, from_state, to_state, note, changed_by)
+                VALUES ($1, 'payment_pending_review', $2, $3, $4)
+            `, [order.id, nextState, `Payment ${status}${details.note ? `: ${details.note}` : ''}`, details.reviewedBy || null]);
+
+            await client.query('COMMIT');
+            return { verification, order };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error reviewing payment verification:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Delivery zone operations
+    async getDeliveryZones(tenantId, activeOnly = false) {
+        const query = `
+            SELECT * FROM delivery_zones 
+            WHERE tenant_id = $1 ${activeOnly ? 'AND is_active = true' : ''}
+            ORDER BY is_default ASC, fee ASC, name ASC
+        `;
+        const result = await this.query(query, [tenantId]);
+        return result.rows;
+    }
+
+    async createDeliveryZone(tenantId, zone) {
+        const query = `
+            INSERT INTO delivery_zones (tenant_id, name, cities, fee, eta_min_days, eta_max_days, cod_available, is_default, is_active)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING *
+        `;
+        const result = await this.query(query, [
+            tenantId,
+            zone.name,
+            JSON.stringify(zone.cities || []),
+            zone.fee,
+            zone.eta_min_days ?? null,
+            zone.eta_max_days ?? null,
+            zone.cod_available !== undefined ? zone.cod_available : true,
+            zone.is_default || false,
+            zone.is_active !== undefined ? zone.is_active : true
+        ]);
         return result.rows[0];
     }
+
+    async updateDeliveryZone(zoneId, tenantId, updates) {
+        const fields = [];
+        const values = [];
+        let paramCount = 1;
+
+        Object.keys(updates).forEach(key => {
+            fields.push(`${key} = $${paramCount}`);
+            values.push(key === 'cities' ? JSON.stringify(updates[key]) : updates[key]);
+            paramCount++;
+        });
+
+        values.push(zoneId, tenantId);
+        const query = `
+            UPDATE delivery_zones 
+            SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $${paramCount} AND tenant_id = $${paramCount + 1}
+            RETURNING *
+        `;
+        
+        const result = await this.query(query, values);
+        return result.rows[0];
+    }
+
+    async deleteDeliveryZone(zoneId, tenantId) {
+        const query = 'DELETE FROM delivery_zones WHERE id = $1 AND tenant_id = $2 RETURNING *';
+        const result = await this.query(query, [zoneId, tenantId]);
+        return result.rows[0];
+    }
+
+    // Payment method operations
+    async getPaymentMethods(tenantId, activeOnly = false) {
+        const query = `
+            SELECT pm.*, f.file_url, f.file_type 
+            FROM payment_methods pm 
+            LEFT JOIN tenant_files f ON f.id = pm.file_id 
+            WHERE pm.tenant_id = $1 ${activeOnly ? 'AND pm.is_active = true' : ''}
+            ORDER BY pm.sort_order ASC, pm.id ASC
+        `;
+        const result = await this.query(query, [tenantId]);
+        return result.rows;
+    }
+
+    async getPaymentMethodById(methodId, tenantId) {
+        const query = `
+            SELECT pm.*, f.file_url, f.file_type 
+            FROM payment_methods pm 
+            LEFT JOIN tenant_files f ON f.id = pm.file_id 
+            WHERE pm.id = $1 AND pm.tenant_id = $2
+        `;
+        const result = await this.query(query, [methodId, tenantId]);
+        return result.rows[0];
+    }
+
+    async createPaymentMethod(tenantId, method) {
+        const query = `
+            INSERT INTO payment_methods (tenant_id, method_type, name, instructions, file_id, cities, min_order_amount, max_order_amount, sort_order, is_active)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING *
+        `;
+        const result = await this.query(query, [
+            tenantId,
+            method.method_type,
+            method.name,
+            method.instructions || null,
+            method.file_id ?? null,
+            JSON.stringify(method.cities || []),
+            method.min_order_amount ?? null,
+            method.max_order_amount ?? null,
+            method.sort_order || 0,
+            method.is_active !== undefined ? method.is_active : true
+        ]);
+        return result.rows[0];
+    }
+
+    async updatePaymentMethod(methodId, tenantId, updates) {
+        const fields = [];
+        const values = [];
+        let paramCount = 1;
+
+        Object.keys(updates).forEach(key => {
+            fields.push(`${key} = $${paramCount}`);
+            values.push(key === 'cities' ? JSON.stringify(updates[key]) : updates[key]);
+            paramCount++;
+        });
+
+        values.push(methodId, tenantId);
+        const query = `
+            UPDATE payment_methods 
+            SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $${paramCount} AND tenant_id = $${paramCount + 1}
+            RETURNING *
+        `;
+        
+        const result = await this.query(query, values);
+        return result.rows[0];
+    }
+
+    async deletePaymentMethod(methodId, tenantId) {
+        const query = 'DELETE FROM payment_methods WHERE id = $1 AND tenant_id = $2 RETURNING *';
+        const result = await this.query(query, [methodId, tenantId]);
+        return result.rows[0];
+    }
+
+    // Payment link operations
+    async createPaymentLink(link) {
+        const query = `
+            INSERT INTO payment_links (order_id, tenant_id, provider, checkout_id, url, amount, currency)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `;
+        const result = await this.query(query, [
+            link.order_id,
+            link.tenant_id,
+            link.provider,
+            link.checkout_id,
+            link.url,
+            link.amount,
+            link.currency
+        ]);
+        return result.rows[0];
+    }
+
+    async getPaymentLinkByCheckout(provider, checkoutId) {
+        const query = 'SELECT * FROM payment_links WHERE provider = $1 AND checkout_id = $2';
+        const result = await this.query(query, [provider, checkoutId]);
+        return result.rows[0];
+    }
+
+    async getOrderPaymentLinks(orderId) {
+        const query = 'SELECT * FROM payment_links WHERE order_id = $1 ORDER BY created_at ASC';
+        const result = await this.query(query, [orderId]);
+        return result.rows;
+    }
+
+    /**
+     * Retire an order's other pending links once a new one replaces them (e.g. repriced order)
+     */
+    async replacePaymentLinks(orderId, newLinkId) {
+        const query = `
+            UPDATE payment_links 
+            SET status = 'replaced', updated_at = CURRENT_TIMESTAMP
+            WHERE order_id = $1 AND id <> $2 AND status = 'pending'
+            RETURNING *
+        `;
+        const result = await this.query(query, [orderId, newLinkId]);
+        return result.rows;
+    }
+
+    /**
+     * Note a failed attempt on a pending link (the customer can retry with the same link)
+     */
+    async recordPaymentLinkFailure(linkId, reason) {
+        const query = `
+            UPDATE payment_links 
+            SET failure_reason = $2, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'pending'
+            RETURNING *
+        `;
+        const result = await this.query(query, [linkId, reason]);
+        return result.rows[0];
+    }
+
+    /**
+     * Settle a pending (or replaced) payment link; a paid link moves its order on (awaiting_payment -> awaiting_info)
+     * @param {string} status - 'paid' or 'mismatch' (paid, but not the amount / currency of the link, or a replaced link)
+     * @param {Object} details - { transactionId, reason }
+     * @returns {Promise<Object|undefined>} { link, order } (order undefined if it wasn't awaiting payment)
+     *   or undefined if the link was already settled
+     */
+    async settlePaymentLink(linkId, status, details = {}) {
+        const client = await this.getClient();
+        try {
+            await client.query('BEGIN');
+
+            const linkResult = await client.query(`
+                UPDATE payment_links
+                SET status = $2, transaction_id = $3, failure_reason = $4,
+                    paid_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND status IN ('pending', 'replaced')
+                RETURNING *
+            `, [linkId, status, details.transactionId || null, details.reason || null]);
+
+            const link = linkResult.rows[0];
+            if (!link) {
+                await client.query('ROLLBACK');
+                return undefined;
+            }
+
+            let order;
+            if (status === 'paid') {
+                const orderResult = await client.query(`
+                    UPDATE customer_orders
+                    SET order_state = 'awaiting_info'
+                    WHERE id = $1 AND order_state = 'awaiting_payment'
+                    RETURNING *
+                `, [link.order_id]);
+                order = orderResult.rows[0];
+
+                if (order) {
+                    await client.query(`
+                        INSERT INTO order_status_history (order_id, from_state, to_state, note, changed_by)
+                        VALUES ($1, 'awaiting_payment', 'awaiting_info', $2, $3)
+                    `, [order.id, `Paid online${link.transaction_id ? ` (${link.transaction_id})` : ''}`, `provider:${link.provider}`]);
+                }
+            }
+
+            await client.query('COMMIT');
+            return { link, order };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error settling payment link:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Return request operations
+    /**
+     * A customer's orders that a return can be asked for (newest first)
+     * @param {Array} states - Order states eligible for a return
+     * @param {Array} openStatuses - Return statuses that block a new request on the same order
+     */
+    async getReturnableOrders(tenantId, customerPhone, states, openStatuses, limit = 10) {
+        const query = `
+            SELECT * FROM customer_orders o
+            WHERE o.tenant_id = $1 AND o.customer_phone = $2 AND o.order_state = ANY($3)
+            AND NOT EXISTS (
+                SELECT 1 FROM return_requests r WHERE r.order_id = o.id AND r.status = ANY($4)
+            )
+            ORDER BY o.created_at DESC, o.id DESC
+            LIMIT $5
+        `;
+        const result = await this.query(query, [tenantId, customerPhone, states, openStatuses, limit]);
+        return result.rows;
+    }
+
+    async getCustomerReturnRequests(tenantId, customerPhone, statuses) {
+        const query = `
+            SELECT * FROM return_requests
+            WHERE tenant_id = $1 AND customer_phone = $2 AND status = ANY($3)
+            ORDER BY created_at DESC, id DESC
+        `;
+        const result = await this.query(query, [tenantId, customerPhone, statuses]);
+        return result.rows;
+    }
+
+    async createReturnRequest(request) {
+        const query = `
+            INSERT INTO return_requests (order_id, tenant_id, customer_phone, reason, photo_url, photo_cloudinary_id, currency)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `;
+        const result = await this.query(query, [
+            request.order_id,
+            request.tenant_id,
+            request.customer_phone,
+            request.reason,
+            request.photo_url || null,
+            request.photo_cloudinary_id || null,
+            request.currency || null
+        ]);
+        return result.rows[0];
+    }
+
+    /**
+     * @param {Array|null} statuses - Only these statuses (null = all)
+     */
+    async getReturnRequests(tenantId, statuses = null, limit = 50) {
+        const values = [tenantId];
+        let where = 'r.tenant_id = $1';
+        if (statuses) {
+            values.push(statuses);
+            where += ` AND r.status = ANY($${values.length})`;
+        }
+        values.push(limit);
+
+        const query = `
+            SELECT r.*, o.customer_name, o.order_state, o.total_amount
+            FROM return_requests r
+            JOIN customer_orders o ON o.id = r.order_id
+            WHERE ${where}
+            ORDER BY r.created_at DESC, r.id DESC
+            LIMIT $${values.length}
+        `;
+        const result = await this.query(query, values);
+        return result.rows;
+    }
+
+    async getReturnRequestById(returnId, tenantId) {
+        const query = `
+            SELECT r.*, o.customer_name, o.order_state, o.total_amount, o.customer_language
+            FROM return_requests r
+            JOIN customer_orders o ON o.id = r.order_id
+            WHERE r.id = $1 AND r.tenant_id = $2
+        `;
+        const result = await this.query(query, [returnId, tenantId]);
+        return result.rows[0];
+    }
+
+    async getOrderReturnRequests(orderId) {
+        const query = 'SELECT * FROM return_requests WHERE order_id = $1 ORDER BY created_at ASC';
+        const result = await this.query(query, [orderId]);
+        return result.rows;
+    }
+
+    /**
+     * Move a return request on (fails if its status changed meanwhile)
+     * A refund can also move the order to "refunded" when it's in details.orderFromState.
+     * @param {Object} details - { note, refundAmount, updatedBy, orderFromState }
+     * @returns {Promise<Object|undefined>} { returnRequest, order } (order undefined if it didn't move)
+     *   or undefined if the request is no longer in fromStatus
+     */
+    async updateReturnRequestStatus(returnId, tenantId, fromStatus, toStatus, details = {}) {
+        const finalStatuses = ['refunded', 'rejected'];
+
+        const client = await this.getClient();
+        try {
+            await client.query('BEGIN');
+
+            const returnResult = await client.query(`
+                UPDATE return_requests
+                SET status = $4, owner_note = COALESCE($5, owner_note), refund_amount = COALESCE($6, refund_amount),
+                    updated_by = $7, updated_at = CURRENT_TIMESTAMP,
+                    resolved_at = CASE WHEN $8 THEN CURRENT_TIMESTAMP ELSE resolved_at END
+                WHERE id = $1 AND tenant_id = $2 AND status = $3
+                RETURNING *
+            `, [
+                returnId,
+                tenantId,
+                fromStatus,
+                toStatus,
+                details.note || null,
+                details.refundAmount ?? null,
+                details.updatedBy || null,
+                finalStatuses.includes(toStatus)
+            ]);
+
+            const returnRequest = returnResult.rows[0];
+            if (!returnRequest) {
+                await client.query('ROLLBACK');
+                return undefined;
+            }
+
+            let order;
+            if (toStatus === 'refunded' && details.orderFromState) {
+                const orderResult = await client.query(`
+                    UPDATE customer_orders
+                    SET order_state = 'refunded', refunded_at = CURRENT_TIMESTAMP
+                    WHERE id = $1 AND order_state = $2
+                    RETURNING *
+                `, [returnRequest.order_id, details.orderFromState]);
+                order = orderResult.rows[0];
+
+                if (order) {
+                    await client.query(`
+                        INSERT INTO order_status_history (order_id, from_state, to_state, note, changed_by)
+                        VALUES ($1, $2, 'refunded', $3, $4)
+                    `, [order.id, details.orderFromState, `Return #${returnRequest.id} refunded`, details.updatedBy || null]);
+                }
+            }
+
+            await client.query('COMMIT');
+            return { returnRequest, order };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error updating return request:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Shipment operations
+    /**
+     * @param {Object} filters - { statuses, orderId, search (tracking number, phone or name) }
+     */
+    async getShipments(tenantId, filters = {}, limit = 50) {
+        const values = [tenantId];
+        let where = 's.tenant_id = $1';
+        if (filters.statuses) {
+            values.push(filters.statuses);
+            where += ` AND s.status = ANY($${values.length})`;
+        }
+        if (filters.orderId) {
+            values.push(filters.orderId);
+            where += ` AND s.order_id = $${values.length}`;
+        }
+        if (filters.search) {
+            values.push(`%${filters.search}%`);
+            where += ` AND (s.tracking_number ILIKE $${values.length} OR s.customer_phone ILIKE $${values.length} OR s.customer_name ILIKE $${values.length})`;
+        }
+        values.push(limit);
+
+        const query = `
+            SELECT ${SHIPMENT_COLUMNS} FROM shipments s
+            WHERE ${where}
+            ORDER BY s.updated_at DESC, s.id DESC
+            LIMIT $${values.length}
+        `;
+        const result = await this.query(query, values);
+        return result.rows;
+    }
+
+    async getShipmentById(shipmentId, tenantId) {
+        const query = `SELECT ${SHIPMENT_COLUMNS} FROM shipments s WHERE s.id = $1 AND s.tenant_id = $2`;
+        const result = await this.query(query, [shipmentId, tenantId]);
+        return result.rows[0];
+    }
+
+    /**
+     * @param {Array} trackingNumbers - Normalized tracking numbers (uppercase, no spaces)
+     */
+    async getShipmentsByTrackingNumbers(tenantId, trackingNumbers) {
+        const query = `
+            SELECT ${SHIPMENT_COLUMNS} FROM shipments s
+            WHERE s.tenant_id = $1 AND s.tracking_number = ANY($2)
+            ORDER BY s.updated_at DESC
+        `;
+        const result = await this.query(query, [tenantId, trackingNumbers]);
+        return result.rows;
+    }
+
+    /**
+     * A customer's latest shipments, those still on their way first
+     * @param {Array} finalStatuses - Statuses of shipments that arrived or stopped
+     */
+    async getCustomerShipments(tenantId, customerPhone, finalStatuses, limit = 3) {
+        const query = `
+            SELECT ${SHIPMENT_COLUMNS} FROM shipments s
+            WHERE s.tenant_id = $1 AND s.customer_phone = $2
+            ORDER BY (s.status = ANY($3)) ASC, s.updated_at DESC, s.id DESC
+            LIMIT $4
+        `;
+        const result = await this.query(query, [tenantId, customerPhone, finalStatuses, limit]);
+        return result.rows;
+    }
+
+    /**
+     * Status history of shipments (oldest first)
+     */
+    async getShipmentEvents(shipmentIds) {
+        const query = 'SELECT * FROM shipment_events WHERE shipment_id = ANY($1) ORDER BY created_at ASC, id ASC';
+        const result = await this.query(query, [shipmentIds]);
+        return result.rows;
+    }
+
+    /**
+     * Create a shipment with its first history row
+     * @param {Object} details - { note, changedBy }
+     * @returns {Promise<Object|undefined>} Shipment or undefined if the tracking number already exists
+     */
+    async createShipment(shipment, details = {}) {
+        const client = await this.getClient();
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(`
+                INSERT INTO shipments AS s (tenant_id, order_id, tracking_number, carrier, customer_phone, customer_name,
+                                            customer_language, status, current_location, estimated_delivery, delivered_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CASE WHEN $11 THEN CURRENT_TIMESTAMP END)
+                ON CONFLICT (tenant_id, tracking_number) DO NOTHING
+                RETURNING ${SHIPMENT_COLUMNS}
+            `, [
+                shipment.tenant_id,
+                shipment.order_id || null,
+                shipment.tracking_number,
+                shipment.carrier || null,
+                shipment.customer_phone || null,
+                shipment.customer_name || null,
+                shipment.customer_language || 'fr',
+                shipment.status || 'pending',
+                shipment.current_location || null,
+                shipment.estimated_delivery || null,
+                shipment.status === 'delivered'
+            ]);
+
+            const created = result.rows[0];
+            if (!created) {
+                await client.query('ROLLBACK');
+                return undefined;
+            }
+
+            await client.query(`
+                INSERT INTO shipment_events (shipment_id, status, location, note, changed_by)
+                VALUES ($1, $2, $3, $4, $5)
+            `, [created.id, created.status, created.current_location, details.note || null, details.changedBy || null]);
+
+            await client.query('COMMIT');
+            return created;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error creating shipment:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Update shipment details (status changes go through addShipmentEvent)
+     */
+    async updateShipment(shipmentId, tenantId, updates) {
+        const fields = [];
+        const values = [];
+        let paramCount = 1;
+
+        Object.keys(updates).forEach(key => {
+            fields.push(`${key} = $${paramCount}`);
+            values.push(updates[key]);
+            paramCount++;
+        });
+
+        values.push(shipmentId, tenantId);
+        const query = `
+            UPDATE shipments AS s
+            SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE s.id = $${paramCount} AND s.tenant_id = $${paramCount + 1}
+            RETURNING ${SHIPMENT_COLUMNS}
+        `;
+
+        const result = await this.query(query, values);
+        return result.rows[0];
+    }
+
+    /**
+     * New status of a shipment, recorded in its history
+     * @param {Object} event - { status, location, note, estimatedDelivery, changedBy }
+     * @returns {Promise<Object|undefined>} { shipment, event } or undefined if not found
+     */
+    async addShipmentEvent(shipmentId, tenantId, event) {
+        const client = await this.getClient();
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(`
+                UPDATE shipments AS s
+                SET status = $3, current_location = COALESCE($4, s.current_location),
+                    estimated_delivery = COALESCE($5::date, s.estimated_delivery),
+                    delivered_at = CASE WHEN $6 THEN COALESCE(s.delivered_at, CURRENT_TIMESTAMP) END,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE s.id = $1 AND s.tenant_id = $2
+                RETURNING ${SHIPMENT_COLUMNS}
+            `, [shipmentId, tenantId, event.status, event.location || null, event.estimatedDelivery || null, event.status === 'delivered']);
+
+            const shipment = result.rows[0];
+            if (!shipment) {
+                await client.query('ROLLBACK');
+                return undefined;
+            }
+
+            const eventResult = await client.query(`
+                INSERT INTO shipment_events (shipment_id, status, location, note, changed_by)
+                VALUES ($1, $2, $3, $4, $5)
+                RETURNING *
+            `, [shipment.id, event.status, event.location || null, event.note || null, event.changedBy || null]);
+
+            await client.query('COMMIT');
+            return { shipment, event: eventResult.rows[0] };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error adding shipment event:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async deleteShipment(shipmentId, tenantId) {
+        const query = 'DELETE FROM shipments WHERE id = $1 AND tenant_id = $2 RETURNING id';
+        const result = await this.query(query, [shipmentId, tenantId]);
+        return result.rows[0];
+    }
+
+    // Appointment service operations
+    async getAppointmentServices(tenantId, activeOnly = false) {
+        const query = `
+            SELECT * FROM appointment_services
+            WHERE tenant_id = $1 ${activeOnly ? 'AND is_active = true' : ''}
+            ORDER BY sort_order ASC, id ASC
+        `;
+        const result = await this.query(query, [tenantId]);
+        return result.rows;
+    }
+
+    async getAppointmentServiceById(serviceId, tenantId) {
+        const query = 'SELECT * FROM appointment_services WHERE id = $1 AND tenant_id = $2';
+        const result = await this.query(query, [serviceId, tenantId]);
+        return result.rows[0];
+    }
+
+    async createAppointmentService(tenantId, service) {
+        const query = `
+            INSERT INTO appointment_services (tenant_id, name, description, duration_minutes, price, sort_order, is_active)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `;
+        const result = await this.query(query, [
+            tenantId,
+            service.name,
+            service.description || null,
+            service.duration_minutes,
+            service.price ?? null,
+            service.sort_order || 0,
+            service.is_active !== undefined ? service.is_active : true
+        ]);
+        return result.rows[0];
+    }
+
+    async updateAppointmentService(serviceId, tenantId, updates) {
+        const fields = [];
+        const values = [];
+        let paramCount = 1;
+
+        Object.keys(updates).forEach(key => {
+            fields.push(`${key} = $${paramCount}`);
+            values.push(updates[key]);
+            paramCount++;
+        });
+
+        values.push(serviceId, tenantId);
+        const query = `
+            UPDATE appointment_services 
+            SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $${paramCount} AND tenant_id = $${paramCount + 1}
+            RETURNING *
+        `;
+        
+        const result = await this.query(query, values);
+        return result.rows[0];
+    }
+
+    async deleteAppointmentService(serviceId, tenantId) {
+        const query = 'DELETE FROM appointment_services WHERE id = $1 AND tenant_id = $2 RETURNING *';
+        const result = await this.query(query, [serviceId, tenantId]);
+        return result.rows[0];
+    }
+
+    // Working schedule operations (times as "HH:MM", dates as "YYYY-MM-DD")
+    async getBusinessHours(tenantId) {
+        const query = `
+            SELECT id, day_of_week, to_char(open_time, 'HH24:MI') AS open_time, to_char(close_time, 'HH24:MI') AS close_time
+            FROM business_hours
+            WHERE tenant_id = $1
+            ORDER BY day_of_week ASC, open_time ASC
+        `;
+        const result = await this.query(query, [tenantId]);
+        return result.rows;
+    }
+
+    async getScheduleBreaks(tenantId) {
+        const query = `
+            SELECT id, day_of_week, to_char(start_time, 'HH24:MI') AS start_time, to_char(end_time, 'HH24:MI') AS end_time, label
+            FROM schedule_breaks
+            WHERE tenant_id = $1
+            ORDER BY day_of_week ASC NULLS FIRST, start_time ASC
+        `;
+        const result = await this.query(query, [tenantId]);
+        return result.rows;
+    }
+
+    /**
+     * Replace the weekly hours and breaks of a tenant
+     * @param {Array} hours - [{ day_of_week, open_time, close_time }]
+     * @param {Array|null} breaks - [{ day_of_week, start_time, end_time, label }] (null = keep the current ones)
+     */
+    async replaceSchedule(tenantId, hours, breaks = null) {
+        const client = await this.getClient();
+        try {
+            await client.query('BEGIN');
+
+            await client.query('DELETE FROM business_hours WHERE tenant_id = $1', [tenantId]);
+            for (const h of hours) {
+                await client.query(`
+                    INSERT INTO business_hours (tenant_id, day_of_week, open_time, close_time)
+                    VALUES ($1, $2, $3, $4)
+                `, [tenantId, h.day_of_week, h.open_time, h.close_time]);
+            }
+
+            if (breaks) {
+                await client.query('DELETE FROM schedule_breaks WHERE tenant_id = $1', [tenantId]);
+                for (const b of breaks) {
+                    await client.query(`
+                        INSERT INTO schedule_breaks (tenant_id, day_of_week, start_time, end_time, label)
+                        VALUES ($1, $2, $3, $4, $5)
+                    `, [tenantId, b.day_of_week ?? null, b.start_time, b.end_time, b.label || null]);
+                }
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error replacing schedule:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * @param {string|null} fromDate - Only holidays ending on or after this date ("YYYY-MM-DD")
+     */
+    async getHolidays(tenantId, fromDate = null) {
+        const query = `
+            SELECT id, to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date, label, created_at
+            FROM holidays
+            WHERE tenant_id = $1 AND ($2::date IS NULL OR end_date >= $2::date)
+            ORDER BY start_date ASC
+        `;
+        const result = await this.query(query, [tenantId, fromDate]);
+        return result.rows;
+    }
+
+    async createHoliday(tenantId, holiday) {
+        const query = `
+            INSERT INTO holidays (tenant_id, start_date, end_date, label)
+            VALUES ($1, $2, $3, $4)
+            RETURNING id, to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date, label, created_at
+        `;
+        const result = await this.query(query, [tenantId, holiday.start_date, holiday.end_date, holiday.label || null]);
+        return result.rows[0];
+    }
+
+    async deleteHoliday(holidayId, tenantId) {
+        const query = 'DELETE FROM holidays WHERE id = $1 AND tenant_id = $2 RETURNING id';
+        const result = await this.query(query, [holidayId, tenantId]);
+        return result.rows[0];
+    }
+
+    // Staff operations
+    async getStaffMembers(tenantId, activeOnly = false) {
+        const query = `
+            SELECT * FROM staff_members
+            WHERE tenant_id = $1 ${activeOnly ? 'AND is_active = true' : ''}
+            ORDER BY sort_order ASC, name ASC
+        `;
+        const result = await this.query(query, [tenantId]);
+        return result.rows;
+    }
+
+    async getStaffMemberById(staffId, tenantId) {
+        const query = 'SELECT * FROM staff_members WHERE id = $1 AND tenant_id = $2';
+        const result = await this.query(query, [staffId, tenantId]);
+        return result.rows[0];
+    }
+
+    /**
+     * Working hours of all staff members of a tenant
+     */
+    async getStaffHours(tenantId) {
+        const query = `
+            SELECT h.id, h.staff_id, h.day_of_week,
+                to_char(h.open_time, 'HH24:MI') AS open_time, to_char(h.close_time, 'HH24:MI') AS close_time
+            FROM staff_hours h
+            JOIN staff_members s ON s.id = h.staff_id
+            WHERE s.tenant_id = $1
+            ORDER BY h.staff_id ASC, h.day_of_week ASC, h.open_time ASC
+        `;
+        const result = await this.query(query, [tenantId]);
+        return result.rows;
+    }
+
+    /**
+     * Service assignments of all staff members of a tenant
+     */
+    async getStaffServices(tenantId) {
+        const query = `
+            SELECT ss.staff_id, ss.service_id
+            FROM staff_services ss
+            JOIN staff_members s ON s.id = ss.staff_id
+            WHERE s.tenant_id = $1
+        `;
+        const result = await this.query(query, [tenantId]);
+        return result.rows;
+    }
+
+    /**
+     * Create or update a staff member with their services and hours
+     * @param {number|null} staffId - null to create
+     * @param {Object} fields - Column values to set
+     * @param {Array|null} serviceIds - Replaces the assignments (null = unchanged)
+     * @param {Array|null} hours - [{ day_of_week, open_time, close_time }], replaces the hours (null = unchanged)
+     * @returns {Promise<Object|undefined>} Staff member or undefined if not found
+     */
+    async saveStaffMember(staffId, tenantId, fields, serviceIds = null, hours = null) {
+        const client = await this.getClient();
+        try {
+            await client.query('BEGIN');
+
+            const keys = Object.keys(fields);
+            const values = keys.map(key => fields[key]);
+            let result;
+            if (staffId === null) {
+                result = await client.query(`
+                    INSERT INTO staff_members (tenant_id, ${keys.join(', ')})
+                    VALUES ($1, ${keys.map((key, i) => `$${i + 2}`).join(', ')})
+                    RETURNING *
+                `, [tenantId, ...values]);
+            } else {
+                result = await client.query(`
+                    UPDATE staff_members
+                    SET ${keys.map((key, i) => `${key} = $${i + 3}, `).join('')}updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1 AND tenant_id = $2
+                    RETURNING *
+                `, [staffId, tenantId, ...values]);
+            }
+
+            const member = result.rows[0];
+            if (!member) {
+                await client.query('ROLLBACK');
+                return undefined;
+            }
+
+            if (serviceIds) {
+                await client.query('DELETE FROM staff_services WHERE staff_id = $1', [member.id]);
+                // Only the tenant's own services
+                await client.query(`
+                    INSERT INTO staff_services (staff_id, service_id)
+                    SELECT $1, id FROM appointment_services WHERE tenant_id = $2 AND id = ANY($3)
+                `, [member.id, tenantId, serviceIds]);
+            }
+
+            if (hours) {
+                await client.query('DELETE FROM staff_hours WHERE staff_id = $1', [member.id]);
+                for (const h of hours) {
+                    await client.query(`
+                        INSERT INTO staff_hours (staff_id, day_of_week, open_time, close_time)
+                        VALUES ($1, $2, $3, $4)
+                    `, [member.id, h.day_of_week, h.open_time, h.close_time]);
+                }
+            }
+
+            await client.query('COMMIT');
+            return member;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error saving staff member:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async deleteStaffMember(staffId, tenantId) {
+        const query = 'DELETE FROM staff_members WHERE id = $1 AND tenant_id = $2 RETURNING *';
+        const result = await this.query(query, [staffId, tenantId]);
+        return result.rows[0];
+    }
+
+    // Appointment operations
+    /**
+     * Time ranges already taken between two instants
+     * @param {Array} statuses - Appointment statuses that hold their slot
+     */
+    async getBusyAppointments(tenantId, from, to, statuses) {
+        const query = `
+            SELECT id, staff_id, starts_at, ends_at FROM appointments
+            WHERE tenant_id = $1 AND status = ANY($4) AND starts_at < $3 AND ends_at > $2
+            ORDER BY starts_at ASC
+        `;
+        const result = await this.query(query, [tenantId, from, to, statuses]);
+        return result.rows;
+    }
+
+    /**
+     * @param {Object} filters - { from, to, statuses, customerPhone, staffId }
+     */
+    async getAppointments(tenantId, filters = {}, limit = 200) {
+        const values = [tenantId];
+        let where = 'tenant_id = $1';
+        if (filters.from) {
+            values.push(filters.from);
+            where += ` AND starts_at >= $${values.length}`;
+        }
+        if (filters.to) {
+            values.push(filters.to);
+            where += ` AND starts_at < $${values.length}`;
+        }
+        if (filters.statuses) {
+            values.push(filters.statuses);
+            where += ` AND status = ANY($${values.length})`;
+        }
+        if (filters.customerPhone) {
+            values.push(filters.customerPhone);
+            where += ` AND customer_phone = $${values.length}`;
+        }
+        if (filters.staffId) {
+            values.push(filters.staffId);
+            where += ` AND staff_id = $${values.length}`;
+        }
+        values.push(limit);
+
+        const query = `
+            SELECT * FROM appointments
+            WHERE ${where}
+            ORDER BY starts_at ASC, id ASC
+            LIMIT $${values.length}
+        `;
+        const result = await this.query(query, values);
+        return result.rows;
+    }
+
+    async getAppointmentById(appointmentId, tenantId) {
+        const query = 'SELECT * FROM appointments WHERE id = $1 AND tenant_id = $2';
+        const result = await this.query(query, [appointmentId, tenantId]);
+        return result.rows[0];
+    }
+
+    /**
+     * Book an appointment unless its time overlaps one that holds its slot
+     * Bookings of a tenant are serialized so two customers can't take the same slot.
+     * With a staff member, only their appointments (and ones without staff) overlap.
+     * @param {Array} blockingStatuses - Appointment statuses that hold their slot
+     * @returns {Promise<Object|undefined>} Appointment or undefined if the slot is taken
+     */
+    async createAppointment(appointment, blockingStatuses) {
+        const client = await this.getClient();
+        try {
+            await client.query('BEGIN');
+            await client.query('SELECT pg_advisory_xact_lock($1)', [appointment.tenant_id]);
+
+            const conflict = await client.query(`
+                SELECT id FROM appointments
+                WHERE tenant_id = $1 AND status = ANY($4) AND starts_at < $3 AND ends_at > $2
+                AND ($5::int IS NULL OR staff_id IS NULL OR staff_id = $5::int)
+                LIMIT 1
+            `, [appointment.tenant_id, appointment.starts_at, appointment.ends_at, blockingStatuses, appointment.staff_id ?? null]);
+            if (conflict.rows.length > 0) {
+                await client.query('ROLLBACK');
+                return undefined;
+            }
+
+            const result = await client.query(`
+                INSERT INTO appointments (tenant_id, service_id, service_name, customer_phone, customer_name, customer_language,
+                                          starts_at, ends_at, price, currency, notes, created_by, staff_id, staff_name)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+                RETURNING *
+            `, [
+                appointment.tenant_id,
+                appointment.service_id ?? null,
+                appointment.service_name,
+                appointment.customer_phone,
+                appointment.customer_name || null,
+                appointment.customer_language || null,
+                appointment.starts_at,
+                appointment.ends_at,
+                appointment.price ?? null,
+                appointment.currency || null,
+                appointment.notes || null,
+                appointment.created_by || null,
+                appointment.staff_id ?? null,
+                appointment.staff_name || null
+            ]);
+
+            await client.query('COMMIT');
+            return result.rows[0];
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error creating appointment:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Next booked appointment of a customer, with whether a reminder was sent for it
+     */
+    async getNextCustomerAppointment(tenantId, customerPhone) {
+        const query = `
+            SELECT a.*, EXISTS (SELECT 1 FROM appointment_reminders r WHERE r.appointment_id = a.id) AS reminded
+            FROM appointments a
+            WHERE a.tenant_id = $1 AND a.customer_phone = $2 AND a.status = 'booked' AND a.starts_at > CURRENT_TIMESTAMP
+            ORDER BY a.starts_at ASC
+            LIMIT 1
+        `;
+        const result = await this.query(query, [tenantId, customerPhone]);
+        return result.rows[0];
+    }
+
+    /**
+     * Customer confirmed they will come (returns nothing if not booked anymore)
+     */
+    async confirmAppointment(appointmentId, tenantId) {
+        const query = `
+            UPDATE appointments
+            SET confirmed_at = COALESCE(confirmed_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND tenant_id = $2 AND status = 'booked'
+            RETURNING *
+        `;
+        const result = await this.query(query, [appointmentId, tenantId]);
+        return result.rows[0];
+    }
+
+    /**
+     * Move a booked appointment to a new time (same overlap check as createAppointment)
+     * @param {Object|null} staff - { id, name } it is with from now on (null = no staff)
+     * @returns {Promise<Object|undefined>} { appointment } or { conflict: true } if the slot is taken,
+     *   undefined if the appointment is not booked anymore
+     */
+    async rescheduleAppointment(appointmentId, tenantId, startsAt, endsAt, blockingStatuses, staff = null) {
+        const client = await this.getClient();
+        try {
+            await client.query('BEGIN');
+            await client.query('SELECT pg_advisory_xact_lock($1)', [tenantId]);
+
+            const conflict = await client.query(`
+                SELECT id FROM appointments
+                WHERE tenant_id = $1 AND id <> $5 AND status = ANY($4) AND starts_at < $3 AND ends_at > $2
+                AND ($6::int IS NULL OR staff_id IS NULL OR staff_id = $6::int)
+                LIMIT 1
+            `, [tenantId, startsAt, endsAt, blockingStatuses, appointmentId, staff ? staff.id : null]);
+            if (conflict.rows.length > 0) {
+                await client.query('ROLLBACK');
+                return { conflict: true };
+            }
+
+            // New time = new reminders and a new confirmation
+            const result = await client.query(`
+                UPDATE appointments
+                SET starts_at = $3, ends_at = $4, staff_id = $5, staff_name = $6,
+                    confirmed_at = NULL, reschedule_count = reschedule_count + 1,
+                    scheduled_at = CURRENT_TIMESTAMP,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND tenant_id = $2 AND status = 'booked'
+                RETURNING *
+            `, [appointmentId, tenantId, startsAt, endsAt, staff ? staff.id : null, staff ? staff.name : null]);
+            if (result.rows[0]) {
+                await client.query('DELETE FROM appointment_reminders WHERE appointment_id = $1', [appointmentId]);
+            }
+
+            await client.query('COMMIT');
+            return result.rows[0] ? { appointment: result.rows[0] } : undefined;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error rescheduling appointment:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Change the status of an appointment (fails if its status changed meanwhile)
+     * @param {Object} details - { reason }
+     * @returns {Promise<Object|undefined>} Appointment or undefined if it is no longer in fromStatus
+     */
+    async updateAppointmentStatus(appointmentId, tenantId, fromStatus, toStatus, details = {}) {
+        const query = `
+            UPDATE appointments
+            SET status = $4, cancel_reason = CASE WHEN $6 THEN $5 ELSE cancel_reason END,
+                cancelled_at = CASE WHEN $6 THEN CURRENT_TIMESTAMP ELSE cancelled_at END,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND tenant_id = $2 AND status = $3
+            RETURNING *
+        `;
+        const result = await this.query(query, [
+            appointmentId,
+            tenantId,
+            fromStatus,
+            toStatus,
+            details.reason || null,
+            toStatus === 'cancelled'
+        ]);
+        return result.rows[0];
+    }
+
+    // Appointment reminder operations
+    /**
+     * Booked appointments starting within the next hours, with the last reminder sent
+     */
+    async getAppointmentsToRemind(withinHours) {
+        const query = `
+            SELECT a.*, t.bot_paused, t.timezone, t.locale AS tenant_locale,
+                (SELECT MAX(r.step) FROM appointment_reminders r WHERE r.appointment_id = a.id) AS last_reminder_step
+            FROM appointments a
+            JOIN tenants t ON t.id = a.tenant_id
+            WHERE a.status = 'booked' AND a.starts_at > CURRENT_TIMESTAMP
+            AND a.starts_at <= CURRENT_TIMESTAMP + ($1 * INTERVAL '1 hour')
+            ORDER BY a.starts_at ASC
+        `;
+        const result = await this.query(query, [withinHours]);
+        return result.rows;
+    }
+
+    /**
+     * Record a reminder step before sending it (returns nothing if it was already sent)
+     */
+    async claimAppointmentReminder(appointmentId, tenantId, step) {
+        const query = `
+            INSERT INTO appointment_reminders (appointment_id, tenant_id, step)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (appointment_id, step) DO NOTHING
+            RETURNING *
+        `;
+        const result = await this.query(query, [appointmentId, tenantId, step]);
+        return result.rows[0];
+    }
+
+    async deleteAppointmentReminder(reminderId) {
+        await this.query('DELETE FROM appointment_reminders WHERE id = $1', [reminderId]);
+    }
+
+    /**
+     * Attendance of a tenant's past appointments
+     * @param {Object} filters - { from, to } on the appointment start
+     */
+    async getAppointmentStats(tenantId, filters = {}) {
+        const conditions = ['a.tenant_id = $1', 'a.starts_at <= CURRENT_TIMESTAMP'];
+        const values = [tenantId];
+
+        if (filters.from) {
+            values.push(filters.from);
+            conditions.push(`a.starts_at >= $${values.length}::timestamp`);
+        }
+        if (filters.to) {
+            values.push(filters.to);
+            conditions.push(/^\d{4}-\d{2}-\d{2}$/.test(filters.to)
+                ? `a.starts_at < ($${values.length}::date + INTERVAL '1 day')`
+                : `a.starts_at <= $${values.length}::timestamp`);
+        }
+
+        const query = `
+            SELECT
+                COUNT(*)::int AS appointments,
+                COUNT(*) FILTER (WHERE a.status = 'completed')::int AS completed,
+                COUNT(*) FILTER (WHERE a.status = 'no_show')::int AS no_shows,
+                COUNT(*) FILTER (WHERE a.status = 'cancelled')::int AS cancelled,
+                COUNT(*) FILTER (WHERE a.status = 'booked')::int AS unmarked,
+                COUNT(*) FILTER (WHERE a.reschedule_count > 0)::int AS rescheduled,
+                COUNT(*) FILTER (WHERE reminded)::int AS reminded,
+                COUNT(*) FILTER (WHERE reminded AND a.confirmed_at IS NOT NULL)::int AS confirmed,
+                COUNT(*) FILTER (WHERE a.confirmed_at IS NOT NULL AND a.status = 'completed')::int AS confirmed_completed,
+                COUNT(*) FILTER (WHERE a.confirmed_at IS NOT NULL AND a.status = 'no_show')::int AS confirmed_no_shows
+            FROM (
+                SELECT a.*, EXISTS (SELECT 1 FROM appointment_reminders r WHERE r.appointment_id = a.id) AS reminded
+                FROM appointments a
+                WHERE ${conditions.join(' AND ')}
+            ) a
+        `;
+        const result = await this.query(query, values);
+        return result.rows[0];
+    }
+
+    // Calendar feed operations
+    async getCalendarFeeds(tenantId) {
+        const query = 'SELECT * FROM calendar_feeds WHERE tenant_id = $1 ORDER BY created_at ASC';
+        const result = await this.query(query, [tenantId]);
+        return result.rows;
+    }
+
+    async getCalendarFeedByToken(token) {
+        const query = 'SELECT * FROM calendar_feeds WHERE token = $1';
+        const result = await this.query(query, [token]);
+        return result.rows[0];
+    }
+
+    /**
+     * @param {number|null} staffId - Feed of one staff member's appointments (null = all)
+     */
+    async createCalendarFeed(tenantId, name, token, staffId = null) {
+        const query = `
+            INSERT INTO calendar_feeds (tenant_id, name, token, staff_id)
+            VALUES ($1, $2, $3, $4)
+            RETURNING *
+        `;
+        const result = await this.query(query, [tenantId, name, token, staffId]);
+        return result.rows[0];
+    }
+
+    async deleteCalendarFeed(feedId, tenantId) {
+        const query = 'DELETE FROM calendar_feeds WHERE id = $1 AND tenant_id = $2 RETURNING id';
+        const result = await this.query(query, [feedId, tenantId]);
+        return result.rows[0];
+    }
+
+    async touchCalendarFeed(feedId) {
+        await this.query('UPDATE calendar_feeds SET last_accessed_at = CURRENT_TIMESTAMP WHERE id = $1', [feedId]);
+    }
+
+    // External calendar operations
+    async getExternalCalendars(tenantId) {
+        const query = 'SELECT * FROM external_calendars WHERE tenant_id = $1 ORDER BY created_at ASC';
+        const result = await this.query(query, [tenantId]);
+        return result.rows;
+    }
+
+    async getExternalCalendarById(calendarId, tenantId) {
+        const query = 'SELECT * FROM external_calendars WHERE id = $1 AND tenant_id = $2';
+        const result = await this.query(query, [calendarId, tenantId]);
+        return result.rows[0];
+    }
+
+    /**
+     * Calendars read from a URL, least recently synced first
+     */
+    async getSubscribedCalendars() {
+        const query = `
+            SELECT * FROM external_calendars
+            WHERE url IS NOT NULL
+            ORDER BY last_synced_at ASC NULLS FIRST
+        `;
+        const result = await this.query(query);
+        return result.rows;
+    }
+
+    /**
+     * @param {number|null} staffId - Busy times of one staff member (null = the whole business)
+     */
+    async createExternalCalendar(tenantId, name, url, staffId = null) {
+        const query = `
+            INSERT INTO external_calendars (tenant_id, name, url, staff_id)
+            VALUES ($1, $2, $3, $4)
+            RETURNING *
+        `;
+        const result = await this.query(query, [tenantId, name, url, staffId]);
+        return result.rows[0];
+    }
+
+    async deleteExternalCalendar(calendarId, tenantId) {
+        const query = 'DELETE FROM external_calendars WHERE id = $1 AND tenant_id = $2 RETURNING id';
+        const result = await this.query(query, [calendarId, tenantId]);
+        return result.rows[0];
+    }
+
+    /**
+     * Replace the busy times of a calendar with a fresh import
+     * @param {Array} events - [{ uid, summary, startsAt, endsAt }]
+     * @returns {Promise<Object|undefined>} Calendar or undefined if it was deleted meanwhile
+     */
+    async replaceCalendarBusyTimes(calendarId, tenantId, events) {
+        const client = await this.getClient();
+        try {
+            await client.query('BEGIN');
+
+            const calendar = await client.query(`
+                UPDATE external_calendars
+                SET event_count = $3, last_synced_at = CURRENT_TIMESTAMP, last_error = NULL, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND tenant_id = $2
+                RETURNING *
+            `, [calendarId, tenantId, events.length]);
+            if (!calendar.rows[0]) {
+                await client.query('ROLLBACK');
+                return undefined;
+            }
+
+            await client.query('DELETE FROM calendar_busy_times WHERE calendar_id = $1', [calendarId]);
+            for (const event of events) {
+                await client.query(`
+                    INSERT INTO calendar_busy_times (calendar_id, tenant_id, uid, summary, starts_at, ends_at)
+                    VALUES ($1, $2, $3, $4, $5, $6)
+                `, [calendarId, tenantId, event.uid, event.summary, event.startsAt, event.endsAt]);
+            }
+
+            await client.query('COMMIT');
+            return calendar.rows[0];
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * A URL could not be read: keep the last busy times, show the error
+     */
+    async setExternalCalendarError(calendarId, error) {
+        const query = `
+            UPDATE external_calendars
+            SET last_error = $2, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING *
+        `;
+        const result = await this.query(query, [calendarId, error]);
+        return result.rows[0];
+    }
+
+    /**
+     * Imported busy times overlapping a range (id NULL: never an appointment being moved)
+     */
+    async getCalendarBusyTimes(tenantId, from, to) {
+        const query = `
+            SELECT NULL::int AS id, c.staff_id, b.starts_at, b.ends_at
+            FROM calendar_busy_times b
+            JOIN external_calendars c ON c.id = b.calendar_id
+            WHERE b.tenant_id = $1 AND b.starts_at < $3 AND b.ends_at > $2
+            ORDER BY b.starts_at ASC
+        `;
+        const result = await this.query(query, [tenantId, from, to]);
+        return result.rows;
+    }
+
+    // Coupon operations
+    async getCoupons(tenantId, activeOnly = false) {
+        const query = `
+            SELECT c.*, (
+                SELECT COUNT(*)::int FROM coupon_redemptions r 
+                JOIN customer_orders o ON o.id = r.order_id 
+                WHERE r.coupon_id = c.id AND o.order_state <> ALL($2::varchar[])
+            ) AS uses_count
+            FROM coupons c 
+            WHERE c.tenant_id = $1 ${activeOnly ? 'AND c.is_active = true' : ''}
+            ORDER BY c.created_at DESC
+        `;
+        const result = await this.query(query, [tenantId, COUPON_RELEASED_STATES]);
+        return result.rows;
+    }
+
+    async getCouponById(couponId, tenantId) {
+        const query = 'SELECT * FROM coupons WHERE id = $1 AND tenant_id = $2';
+        const result = await this.query(query, [couponId, tenantId]);
+        return result.rows[0];
+    }
+
+    async createCoupon(tenantId, coupon) {
+        const query = `
+            INSERT INTO coupons (tenant_id, code, discount_type, discount_value, min_order_amount, max_uses, max_uses_per_customer, starts_at, expires_at, is_active)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING *
+        `;
+        const result = await this.query(query, [
+            tenantId,
+            coupon.code,
+            coupon.discount_type,
+            coupon.discount_value || 0,
+            coupon.min_order_amount ?? null,
+            coupon.max_uses ?? null,
+            coupon.max_uses_per_customer ?? null,
+            coupon.starts_at || null,
+            coupon.expires_at || null,
+            coupon.is_active !== undefined ? coupon.is_active : true
+        ]);
+        return result.rows[0];
+    }
+
+    async updateCoupon(couponId, tenantId, updates) {
+        const fields = [];
+        const values = [];
+        let paramCount = 1;
+
+        Object.keys(updates).forEach(key => {
+            fields.push(`${key} = $${paramCount}`);
+            values.push(updates[key]);
+            paramCount++;
+        });
+
+        values.push(couponId, tenantId);
+        const query = `
+            UPDATE coupons 
+            SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $${paramCount} AND tenant_id = $${paramCount + 1}
+            RETURNING *
+        `;
+        
+        const result = await this.query(query, values);
+        return result.rows[0];
+    }
+
+    async deleteCoupon(couponId, tenantId) {
+        const query = 'DELETE FROM coupons WHERE id = $1 AND tenant_id = $2 RETURNING *';
+        const result = await this.query(query, [couponId, tenantId]);
+        return result.rows[0];
+    }
+
+    async getCouponRedemptions(couponId, tenantId) {
+        const query = `
+            SELECT r.*, o.order_state, o.total_amount 
+            FROM coupon_redemptions r 
+            JOIN customer_orders o ON o.id = r.order_id 
+            WHERE r.coupon_id = $1 AND r.tenant_id = $2
+            ORDER BY r.created_at DESC
+        `;
+        const result = await this.query(query, [couponId, tenantId]);
+        return result.rows;
+    }
+
+    /**
+     * Uses of a coupon (all customers and one customer), cancelled and expired orders excluded
+     * @param {number} excludeOrderId - Order being (re)priced, not counted
+     * @returns {Promise<Object>} { total, customer }
+     */
+    async getCouponUsage(couponId, customerPhone, excludeOrderId = null, client = this) {
+        const result = await client.query(`
+            SELECT COUNT(*)::int AS total, 
+                   COUNT(*) FILTER (WHERE r.customer_phone = $2)::int AS customer
+            FROM coupon_redemptions r 
+            JOIN customer_orders o ON o.id = r.order_id 
+            WHERE r.coupon_id = $1 AND o.order_state <> ALL($4::varchar[]) 
+            AND ($3::int IS NULL OR r.order_id <> $3::int)
+        `, [couponId, customerPhone, excludeOrderId, COUPON_RELEASED_STATES]);
+        return result.rows[0];
+    }
+
+    /**
+     * Record a coupon on an order and reprice it (replaces a code redeemed earlier on the same order)
+     * Usage caps are checked under a lock so two customers can't take the last use.
+     * @returns {Promise<Object>} { success, order, redemption } or { success: false, reason: 'max_uses' | 'customer_limit' }
+     */
+    async redeemCoupon(orderId, coupon, customerPhone, discountAmount) {
+        const client = await this.getClient();
+        try {
+            await client.query('BEGIN');
+            await client.query('SELECT id FROM coupons WHERE id = $1 FOR UPDATE', [coupon.id]);
+            
+            const usage = await this.getCouponUsage(coupon.id, customerPhone, orderId, client);
+            if (coupon.max_uses !== null && coupon.max_uses !== undefined && usage.total >= coupon.max_uses) {
+                await client.query('ROLLBACK');
+                return { success: false, reason: 'max_uses' };
+            }
+            if (coupon.max_uses_per_customer !== null && coupon.max_uses_per_customer !== undefined && usage.customer >= coupon.max_uses_per_customer) {
+                await client.query('ROLLBACK');
+                return { success: false, reason: 'customer_limit' };
+            }
+            
+            await client.query('DELETE FROM coupon_redemptions WHERE order_id = $1', [orderId]);
+            const redemption = await client.query(`
+                INSERT INTO coupon_redemptions (coupon_id, tenant_id, order_id, customer_phone, discount_amount)
+                VALUES ($1, $2, $3, $4, $5)
+                RETURNING *
+            `, [coupon.id, coupon.tenant_id, orderId, customerPhone, discountAmount]);
+            
+            // Catalog orders have a subtotal - legacy orders keep their (unknown) total
+            const order = await client.query(`
+                UPDATE customer_orders 
+                SET coupon_id = $2, coupon_code = $3, discount_amount = $4, free_shipping = $5::boolean,
+                    total_amount = CASE WHEN subtotal IS NULL THEN total_amount
+                                        ELSE GREATEST(subtotal - $4, 0)
+                                             + CASE WHEN delivery_fee_on_delivery THEN 0 ELSE COALESCE(delivery_fee, 0) END END
+                WHERE id = $1
+                RETURNING *
+            `, [orderId, coupon.id, coupon.code, discountAmount, coupon.discount_type === 'free_shipping']);
+            
+            await client.query('COMMIT');
+            return { success: true, order: order.rows[0], redemption: redemption.rows[0] };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error redeeming coupon:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Abandoned order reminder operations
+    /**
+     * Orders waiting for payment, with how long they have waited and the last reminder sent
+     * awaiting_since is the last time the order (re)entered awaiting_payment (e.g. after a rejected proof).
+     */
+    async getAbandonedOrders() {
+        const query = `
+            SELECT o.*, t.bot_paused, t.currency AS tenant_currency, t.locale AS tenant_locale,
+                COALESCE(
+                    (SELECT MAX(h.created_at) FROM order_status_history h WHERE h.order_id = o.id AND h.to_state = 'awaiting_payment'),
+                    o.created_at
+                ) AS awaiting_since,
+                (SELECT MAX(r.step) FROM order_reminders r WHERE r.order_id = o.id) AS last_reminder_step,
+                (SELECT l.url FROM payment_links l WHERE l.order_id = o.id AND l.status = 'pending' ORDER BY l.id DESC LIMIT 1) AS payment_link_url
+            FROM customer_orders o
+            JOIN tenants t ON t.id = o.tenant_id
+            WHERE o.order_state = 'awaiting_payment'
+            ORDER BY o.id ASC
+        `;
+        const result = await this.query(query);
+        return result.rows;
+    }
+
+    /**
+     * Record a reminder step before sending it (returns nothing if it was already sent)
+     */
+    async claimOrderReminder(orderId, tenantId, step) {
+        const query = `
+            INSERT INTO order_reminders (order_id, tenant_id, step)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (order_id, step) DO NOTHING
+            RETURNING *
+        `;
+        const result = await this.query(query, [orderId, tenantId, step]);
+        return result.rows[0];
+    }
+
+    async deleteOrderReminder(reminderId) {
+        await this.query('DELETE FROM order_reminders WHERE id = $1', [reminderId]);
+    }
+
+    /**
+     * Reminder effectiveness for a tenant
+     * An order is recovered when it left awaiting_payment after a reminder without expiring or being cancelled.
+     * @param {Object} filters - { from, to } on the reminder date
+     */
+    async getRecoveryStats(tenantId, filters = {}) {
+        const conditions = ['r.tenant_id = $1'];
+        const values = [tenantId];
+
+        if (filters.from) {
+            values.push(filters.from);
+            conditions.push(`r.sent_at >= $${values.length}::timestamp`);
+        }
+        if (filters.to) {
+            values.push(filters.to);
+            conditions.push(/^\d{4}-\d{2}-\d{2}$/.test(filters.to)
+                ? `r.sent_at < ($${values.length}::date + INTERVAL '1 day')`
+                : `r.sent_at <= $${values.length}::timestamp`);
+        }
+
+        // One row per reminded order, with the last step it received
+        const query = `
+            SELECT last_step AS step,
+                COUNT(*)::int AS orders,
+                COUNT(*) FILTER (WHERE order_state NOT IN ('awaiting_payment', 'expired', 'cancelled'))::int AS recovered,
+                COUNT(*) FILTER (WHERE order_state = 'expired')::int AS expired,
+                COUNT(*) FILTER (WHERE order_state = 'awaiting_payment')::int AS pending
+            FROM (
+                SELECT o.id, o.order_state, MAX(r.step) AS last_step
+                FROM order_reminders r
+                JOIN customer_orders o ON o.id = r.order_id
+                WHERE ${conditions.join(' AND ')}
+                GROUP BY o.id, o.order_state
+            ) reminded
+            GROUP BY last_step
+            ORDER BY last_step ASC
+        `;
+        const result = await this.query(query, values);
+        return result.rows;
+    }
+
+    // Order flow state operations (in-flight conversations)
+    async upsertOrderFlowState(tenantId, customerPhone, orderId, state, data = {}) {
+        const query = `
+            INSERT INTO order_flow_states (tenant_id, customer_phone, order_id, state, data)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (tenant_id, customer_phone)
+            DO UPDATE SET order_id = EXCLUDED.order_id, state = EXCLUDED.state,
+                          data = EXCLUDED.data, updated_at = CURRENT_TIMESTAMP
+            RETURNING *
+        `;
+        const result = await this.query(query, [tenantId, customerPhone, orderId, state, JSON.stringify(data)]);
+        return result.rows[0];
+    }
+
+    async getOrderFlowState(tenantId, customerPhone) {
+        const query = 'SELECT * FROM order_flow_states WHERE tenant_id = $1 AND customer_phone = $2';
+        const result = await this.query(query, [tenantId, customerPhone]);
+        return result.rows[0];
+    }
+
+    async getAllOrderFlowStates() {
+        const query = 'SELECT * FROM order_flow_states ORDER BY updated_at ASC';
+        const result = await this.query(query);
+        return result.rows;
+    }
+
+    async deleteOrderFlowState(tenantId, customerPhone) {
+        const query = 'DELETE FROM order_flow_states WHERE tenant_id = $1 AND customer_phone = $2';
+        await this.query(query, [tenantId, customerPhone]);
+    }
 }
 
 module.exports = new Database();
@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./db');
+
+describe('db coupon uses', () => {
+    it('gives the use of a cancelled or expired order back', async () => {
+        const calls = [];
+        const client = {
+            query: async (sql, params) => {
+                calls.push({ sql, params });
+                return { rows: [{ total: 0, customer: 0 }] };
+            }
+        };
+
+        await db.getCouponUsage(3, '212600000000@c.us', null, client);
+        assert.match(calls[0].sql, /o\.order_state <> ALL\(\$4::varchar\[\]\)/);
+        assert.deepEqual(calls[0].params[3], ['cancelled', 'expired']);
+    });
+
+    it('leaves them out of the listed uses count too', async (t) => {
+        const query = t.mock.method(db, 'query', async () => ({ rows: [] }));
+
+        await db.getCoupons(1);
+        const [sql, params] = query.mock.calls[0].arguments;
+        assert.match(sql, /o\.order_state <> ALL\(\$2::varchar\[\]\)/);
+        assert.deepEqual(params, [1, ['cancelled', 'expired']]);
+    });
+});
@@ -132,3 +132,495 @@ END $$;
 UPDATE customer_orders 
 SET payment_method = 'BANK_TRANSFER' 
 WHERE payment_method IS NULL;
+
+-- Persist in-flight order conversations (survives redeploys and crashes)
+CREATE TABLE IF NOT EXISTS order_flow_states (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    customer_phone VARCHAR(50) NOT NULL,
+    order_id INTEGER REFERENCES customer_orders(id) ON DELETE CASCADE,
+    state VARCHAR(50) NOT NULL,
+    data JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (tenant_id, customer_phone)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_flow_states_order_id ON order_flow_states(order_id);
+
+-- Structured product catalog (authoritative prices for the e-commerce prompt)
+CREATE TABLE IF NOT EXISTS products (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    sku VARCHAR(100),
+    price NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    currency VARCHAR(10) DEFAULT 'MAD',
+    description TEXT,
+    variants JSONB DEFAULT '[]'::jsonb,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_products_tenant_id ON products(tenant_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_products_tenant_sku ON products(tenant_id, sku) WHERE sku IS NOT NULL;
+
+-- Multi-item carts: order line items and computed totals
+CREATE TABLE IF NOT EXISTS order_items (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER REFERENCES customer_orders(id) ON DELETE CASCADE,
+    product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+    product_name VARCHAR(255) NOT NULL,
+    variant_name VARCHAR(255),
+    sku VARCHAR(100),
+    unit_price NUMERIC(12, 2) NOT NULL,
+    quantity INTEGER NOT NULL DEFAULT 1,
+    line_total NUMERIC(12, 2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id);
+
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS subtotal NUMERIC(12, 2);
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS total_amount NUMERIC(12, 2);
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS currency VARCHAR(10) DEFAULT 'MAD';
+
+-- Inventory tracking (product-level row uses variant_name = ''; no row = untracked)
+CREATE TABLE IF NOT EXISTS product_inventory (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+    variant_name VARCHAR(255) NOT NULL DEFAULT '',
+    stock_quantity INTEGER NOT NULL DEFAULT 0,
+    reserved_quantity INTEGER NOT NULL DEFAULT 0,
+    low_stock_threshold INTEGER NOT NULL DEFAULT 5,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (product_id, variant_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_inventory_product_id ON product_inventory(product_id);
+
+-- Reservation lifecycle of an order's stock: reserved -> committed | released
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS inventory_status VARCHAR(20);
+
+-- Order lifecycle after completion: confirmed -> shipped -> delivered (+ cancelled, refunded)
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP;
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS shipped_at TIMESTAMP;
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP;
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP;
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS tracking_number VARCHAR(100);
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS cancel_reason TEXT;
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS customer_language VARCHAR(5);
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER REFERENCES customer_orders(id) ON DELETE CASCADE,
+    from_state VARCHAR(50),
+    to_state VARCHAR(50) NOT NULL,
+    note TEXT,
+    changed_by VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history(order_id);
+
+-- Delivery zones: per-tenant city fees, ETA and COD availability
+CREATE TABLE IF NOT EXISTS delivery_zones (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    cities JSONB DEFAULT '[]'::jsonb,
+    fee NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    eta_min_days INTEGER,
+    eta_max_days INTEGER,
+    cod_available BOOLEAN DEFAULT true,
+    is_default BOOLEAN DEFAULT false,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_delivery_zones_tenant_id ON delivery_zones(tenant_id);
+
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS delivery_city VARCHAR(100);
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS delivery_zone_id INTEGER REFERENCES delivery_zones(id) ON DELETE SET NULL;
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS delivery_fee NUMERIC(12, 2);
+-- Prepaid orders: the fee is paid to the courier and is not part of total_amount
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS delivery_fee_on_delivery BOOLEAN DEFAULT false;
+
+-- Structured delivery details (customer_name, delivery_city and customer_email already exist)
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS contact_phone VARCHAR(50);
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS street_address TEXT;
+
+-- Payment verifications: one record per payment proof, reviewed by the owner when it does not match
+CREATE TABLE IF NOT EXISTS payment_verifications (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER REFERENCES customer_orders(id) ON DELETE CASCADE,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    proof_url TEXT,
+    proof_cloudinary_id VARCHAR(255),
+    expected_amount NUMERIC(12, 2),
+    extracted_amount NUMERIC(12, 2),
+    extracted_currency VARCHAR(10),
+    extracted_date VARCHAR(100),
+    transaction_reference VARCHAR(255),
+    confidence NUMERIC(3, 2),
+    mismatch_reason TEXT,
+    raw_analysis TEXT,
+    status VARCHAR(20) DEFAULT 'pending',
+    reviewed_by VARCHAR(100),
+    review_note TEXT,
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_verifications_order_id ON payment_verifications(order_id);
+CREATE INDEX IF NOT EXISTS idx_payment_verifications_tenant_status ON payment_verifications(tenant_id, status);
+
+-- Payment proof fingerprints for duplicate / reused proof detection
+ALTER TABLE payment_verifications ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64);
+ALTER TABLE payment_verifications ADD COLUMN IF NOT EXISTS perceptual_hash VARCHAR(16);
+ALTER TABLE payment_verifications ADD COLUMN IF NOT EXISTS duplicate_of_id INTEGER REFERENCES payment_verifications(id) ON DELETE SET NULL;
+ALTER TABLE payment_verifications ADD COLUMN IF NOT EXISTS duplicate_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_payment_verifications_content_hash ON payment_verifications(tenant_id, content_hash);
+CREATE INDEX IF NOT EXISTS idx_payment_verifications_reference ON payment_verifications(tenant_id, transaction_reference);
+
+-- Owner command channel: bot paused from WhatsApp ("pause bot" / "resume bot")
+ALTER TABLE tenants ADD COLUMN IF NOT EXISTS bot_paused BOOLEAN DEFAULT false;
+
+-- Coupons: discount codes typed by customers before payment (codes stored uppercase)
+CREATE TABLE IF NOT EXISTS coupons (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    code VARCHAR(50) NOT NULL,
+    discount_type VARCHAR(20) NOT NULL, -- percentage, fixed, free_shipping
+    discount_value NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    min_order_amount NUMERIC(12, 2),
+    max_uses INTEGER,
+    max_uses_per_customer INTEGER,
+    starts_at TIMESTAMP,
+    expires_at TIMESTAMP,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (tenant_id, code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_coupons_tenant_id ON coupons(tenant_id);
+
+-- One redemption per order; cancelled orders give their use back
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+    id SERIAL PRIMARY KEY,
+    coupon_id INTEGER REFERENCES coupons(id) ON DELETE CASCADE,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    order_id INTEGER UNIQUE REFERENCES customer_orders(id) ON DELETE CASCADE,
+    customer_phone VARCHAR(50) NOT NULL,
+    discount_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon ON coupon_redemptions(coupon_id, customer_phone);
+
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS coupon_id INTEGER REFERENCES coupons(id) ON DELETE SET NULL;
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(50);
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(12, 2);
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS free_shipping BOOLEAN DEFAULT false;
+
+-- PDF invoice sent to the customer (and the owner) when the order is completed
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS invoice_number VARCHAR(50);
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS invoice_url TEXT;
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS invoice_cloudinary_id VARCHAR(255);
+
+-- Abandoned order reminders (one row per reminder step sent; unpaid orders end up "expired")
+CREATE TABLE IF NOT EXISTS order_reminders (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER REFERENCES customer_orders(id) ON DELETE CASCADE,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    step INTEGER NOT NULL,
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (order_id, step)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_reminders_tenant_sent ON order_reminders(tenant_id, sent_at);
+
+-- Payment methods: banks, mobile wallets and COD with their instructions and availability rules
+-- (tenants without any keep using bank_rib / accept_cod)
+CREATE TABLE IF NOT EXISTS payment_methods (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    method_type VARCHAR(20) NOT NULL DEFAULT 'BANK_TRANSFER',
+    name VARCHAR(255) NOT NULL,
+    instructions TEXT,
+    file_id INTEGER REFERENCES tenant_files(id) ON DELETE SET NULL,
+    cities JSONB DEFAULT '[]'::jsonb,
+    min_order_amount NUMERIC(12, 2),
+    max_order_amount NUMERIC(12, 2),
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_methods_tenant_id ON payment_methods(tenant_id);
+
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS payment_method_id INTEGER REFERENCES payment_methods(id) ON DELETE SET NULL;
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS payment_method_name VARCHAR(255);
+
+-- Tenant currency and number format (locale NULL = plain "1234.50" amounts)
+ALTER TABLE tenants ADD COLUMN IF NOT EXISTS currency VARCHAR(3) DEFAULT 'MAD';
+ALTER TABLE tenants ADD COLUMN IF NOT EXISTS locale VARCHAR(20);
+
+-- Online payment links: checkout created with a payment provider, settled by its signed webhook
+CREATE TABLE IF NOT EXISTS payment_links (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER REFERENCES customer_orders(id) ON DELETE CASCADE,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    provider VARCHAR(30) NOT NULL,
+    checkout_id VARCHAR(255) NOT NULL,
+    url TEXT NOT NULL,
+    amount NUMERIC(12, 2) NOT NULL,
+    currency VARCHAR(10) NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending', -- pending, paid, mismatch, replaced (new amount after a discount code)
+    transaction_id VARCHAR(255),
+    failure_reason TEXT,
+    paid_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (provider, checkout_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_links_order_id ON payment_links(order_id);
+
+-- Return / refund requests opened by customers on WhatsApp after an order is completed
+CREATE TABLE IF NOT EXISTS return_requests (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER REFERENCES customer_orders(id) ON DELETE CASCADE,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    customer_phone VARCHAR(50) NOT NULL,
+    reason TEXT NOT NULL,
+    photo_url TEXT,
+    photo_cloudinary_id VARCHAR(255),
+    status VARCHAR(20) DEFAULT 'requested', -- requested, approved, received, refunded, rejected
+    refund_amount NUMERIC(12, 2),
+    currency VARCHAR(10),
+    owner_note TEXT,
+    updated_by VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_return_requests_tenant_status ON return_requests(tenant_id, status);
+-- One open request per order
+CREATE UNIQUE INDEX IF NOT EXISTS idx_return_requests_open_order ON return_requests(order_id)
+    WHERE status IN ('requested', 'approved', 'received');
+
+-- Appointment booking: services, weekly hours, breaks, holidays and booked appointments
+ALTER TABLE tenants ADD COLUMN IF NOT EXISTS timezone VARCHAR(50) DEFAULT 'Africa/Casablanca';
+
+CREATE TABLE IF NOT EXISTS appointment_services (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    duration_minutes INTEGER NOT NULL,
+    price NUMERIC(12, 2),
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_services_tenant_id ON appointment_services(tenant_id);
+
+-- Opening hours per weekday (0 = Sunday ... 6 = Saturday), several rows for split days
+CREATE TABLE IF NOT EXISTS business_hours (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    day_of_week SMALLINT NOT NULL,
+    open_time TIME NOT NULL,
+    close_time TIME NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_business_hours_tenant_id ON business_hours(tenant_id);
+
+-- Recurring breaks (day_of_week NULL = every day)
+CREATE TABLE IF NOT EXISTS schedule_breaks (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    day_of_week SMALLINT,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    label VARCHAR(100)
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_breaks_tenant_id ON schedule_breaks(tenant_id);
+
+-- Closed days (inclusive range)
+CREATE TABLE IF NOT EXISTS holidays (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    label VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_holidays_tenant_dates ON holidays(tenant_id, start_date, end_date);
+
+CREATE TABLE IF NOT EXISTS appointments (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    service_id INTEGER REFERENCES appointment_services(id) ON DELETE SET NULL,
+    service_name VARCHAR(255) NOT NULL,
+    customer_phone VARCHAR(50) NOT NULL,
+    customer_name VARCHAR(255),
+    customer_language VARCHAR(5),
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    price NUMERIC(12, 2),
+    currency VARCHAR(10),
+    status VARCHAR(20) DEFAULT 'booked', -- booked, completed, cancelled, no_show
+    notes TEXT,
+    cancel_reason TEXT,
+    created_by VARCHAR(100),
+    cancelled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointments_tenant_starts ON appointments(tenant_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_appointments_customer ON appointments(tenant_id, customer_phone);
+
+-- Appointment reminders (one row per reminder step sent) and customer confirmations
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS reschedule_count INTEGER DEFAULT 0;
+-- When the current time was chosen (booking or last move) - reminders due before it are skipped
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS scheduled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS appointment_reminders (
+    id SERIAL PRIMARY KEY,
+    appointment_id INTEGER REFERENCES appointments(id) ON DELETE CASCADE,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    step INTEGER NOT NULL,
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (appointment_id, step)
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_reminders_tenant_sent ON appointment_reminders(tenant_id, sent_at);
+
+-- Secret iCalendar feeds of the appointments (URL = the token, revoked by deleting the row)
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    token VARCHAR(64) UNIQUE NOT NULL,
+    last_accessed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_feeds_tenant ON calendar_feeds(tenant_id);
+
+-- Imported calendars (uploaded .ics file, or a URL re-read periodically) whose events block slots
+CREATE TABLE IF NOT EXISTS external_calendars (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    url TEXT, -- NULL for uploaded files
+    event_count INTEGER DEFAULT 0,
+    last_synced_at TIMESTAMP,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS calendar_busy_times (
+    id SERIAL PRIMARY KEY,
+    calendar_id INTEGER REFERENCES external_calendars(id) ON DELETE CASCADE,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    uid VARCHAR(255),
+    summary VARCHAR(255),
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_busy_times_tenant_starts ON calendar_busy_times(tenant_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_calendar_busy_times_calendar ON calendar_busy_times(calendar_id);
+
+-- Staff members of appointment mode (practitioners, chairs, rooms...)
+CREATE TABLE IF NOT EXISTS staff_members (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    whatsapp_number VARCHAR(50), -- Gets the WhatsApp alerts of their appointments
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_members_tenant ON staff_members(tenant_id);
+
+-- Services a staff member does (none = every service)
+CREATE TABLE IF NOT EXISTS staff_services (
+    staff_id INTEGER REFERENCES staff_members(id) ON DELETE CASCADE,
+    service_id INTEGER REFERENCES appointment_services(id) ON DELETE CASCADE,
+    PRIMARY KEY (staff_id, service_id)
+);
+
+-- Working hours of a staff member (none = the business hours)
+CREATE TABLE IF NOT EXISTS staff_hours (
+    id SERIAL PRIMARY KEY,
+    staff_id INTEGER REFERENCES staff_members(id) ON DELETE CASCADE,
+    day_of_week INTEGER NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+    open_time TIME NOT NULL,
+    close_time TIME NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_hours_staff ON staff_hours(staff_id);
+
+-- Appointments are with one staff member (NULL = no staff, blocks everyone)
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS staff_id INTEGER REFERENCES staff_members(id) ON DELETE SET NULL;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS staff_name VARCHAR(255);
+CREATE INDEX IF NOT EXISTS idx_appointments_staff_starts ON appointments(staff_id, starts_at);
+
+-- Feeds and imported calendars of one staff member (NULL = whole business)
+ALTER TABLE calendar_feeds ADD COLUMN IF NOT EXISTS staff_id INTEGER REFERENCES staff_members(id) ON DELETE CASCADE;
+ALTER TABLE external_calendars ADD COLUMN IF NOT EXISTS staff_id INTEGER REFERENCES staff_members(id) ON DELETE CASCADE;
+
+-- Shipment tracking of delivery mode (tracking number, carrier, ETA, status history)
+CREATE TABLE IF NOT EXISTS shipments (
+    id SERIAL PRIMARY KEY,
+    tenant_id INTEGER REFERENCES tenants(id) ON DELETE CASCADE,
+    order_id INTEGER REFERENCES customer_orders(id) ON DELETE SET NULL,
+    tracking_number VARCHAR(100) NOT NULL, -- Uppercase, no spaces
+    carrier VARCHAR(100),
+    customer_phone VARCHAR(50),
+    customer_name VARCHAR(255),
+    customer_language VARCHAR(5) DEFAULT 'fr',
+    status VARCHAR(30) DEFAULT 'pending', -- pending, picked_up, in_transit, out_for_delivery, delivered, failed_attempt, returned, cancelled
+    current_location VARCHAR(255),
+    estimated_delivery DATE,
+    delivered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shipments_tenant_tracking ON shipments(tenant_id, tracking_number);
+CREATE INDEX IF NOT EXISTS idx_shipments_tenant_phone ON shipments(tenant_id, customer_phone);
+CREATE INDEX IF NOT EXISTS idx_shipments_order ON shipments(order_id);
+
+-- Status history (first row = shipment created)
+CREATE TABLE IF NOT EXISTS shipment_events (
+    id SERIAL PRIMARY KEY,
+    shipment_id INTEGER REFERENCES shipments(id) ON DELETE CASCADE,
+    status VARCHAR(30) NOT NULL,
+    location VARCHAR(255),
+    note TEXT,
+    changed_by VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipment_events_shipment ON shipment_events(shipment_id, created_at);
@@ -3,6 +3,7 @@ const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
 const multer = require('multer');
+const axios = require('axios');
 const MultiUserBotManager = require('./services/multiUserBotManager');
 const UserDataStore = require('./services/userDataStore');
 const authService = require('./services/authService');
@@ -10,6 +11,24 @@ const { authenticate, authorize } = require('./middleware/auth');
 const db = require('./database/db');
 const fileStorageService = require('./services/fileStorageService');
 const cloudinaryService = require('./services/cloudinaryService');
+const catalogService = require('./services/catalogService');
+const inventoryService = require('./services/inventoryService');
+const orderRecoveryService = require('./services/orderRecoveryService');
+const deliveryService = require('./services/deliveryService');
+const deliveryDetailsFlow = require('./services/deliveryDetailsFlow');
+const couponService = require('./services/couponService');
+const paymentMethodService = require('./services/paymentMethodService');
+const moneyService = require('./services/moneyService');
+const paymentGatewayService = require('./services/paymentGatewayService');
+const invoiceService = require('./services/invoiceService');
+const orderExportService = require('./services/orderExportService');
+const orderLifecycle = require('./services/orderLifecycle');
+const returnService = require('./services/returnService');
+const shipmentService = require('./services/shipmentService');
+const appointmentService = require('./services/appointmentService');
+const appointmentReminderService = require('./services/appointmentReminderService');
+const calendarSyncService = require('./services/calendarSyncService');
+const icalendarService = require('./services/icalendarService');
 const AIService = require('./services/aiService');
 const systemMetrics = require('./services/systemMetrics');
 const keepAlive = require('./services/keepAlive');
@@ -22,7 +41,7 @@ const io = socketIo(server);
 const PORT = process.env.PORT || 3000;
 
 // Initialize database
-db.initialize().catch(err => {
+const dbReady = db.initialize().catch(err => {
     console.error('Failed to initialize database:', err);
     process.exit(1);
 });
@@ -35,7 +54,10 @@ if (process.env.KEEP_ALIVE_ENABLED !== 'false') {
 }
 
 // Middleware
-app.use(express.json());
+app.use(express.json({
+    // Raw body kept for payment webhook signatures
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Configure multer for file uploads (memory storage)
@@ -50,6 +72,17 @@ const upload = multer({
 const userDataStore = new UserDataStore();
 const botManager = new MultiUserBotManager(io, userDataStore);
 
+// Restore customers who were halfway through an order before the restart
+dbReady.then(ready => {
+    if (ready) {
+        botManager.restoreOrderStates();
+        inventoryService.startReservationExpiryJob(botManager);
+        orderRecoveryService.start(botManager);
+        appointmentReminderService.start(botManager);
+        calendarSyncService.start();
+    }
+});
+
 // Health check endpoint (must respond quickly for Railway)
 app.get('/health', (req, res) => {
     res.status(200).json({ status: 'ok' });
@@ -405,180 +438,2094 @@ app.delete('/api/files/:fileId', authenticate, async (req, res) => {
     }
 });
 
-// Get specific session status (protected)
-app.get('/api/status/:sessionId', authenticate, async (req, res) => {
+// Product catalog (protected)
+app.get('/api/products', authenticate, async (req, res) => {
     try {
-        const { sessionId } = req.params;
-        const connection = await db.getWhatsAppConnectionBySessionId(sessionId);
+        const activeOnly = req.query.active === 'true';
+        const products = await db.getProducts(req.tenant.id, activeOnly);
+        res.json({ products });
+    } catch (error) {
+        console.error('Error fetching products:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/products/:productId', authenticate, async (req, res) => {
+    try {
+        const product = await db.getProductById(parseInt(req.params.productId), req.tenant.id);
         
-        if (!connection || connection.tenant_id !== req.tenant.id) {
-            return res.json({ exists: false });
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
         }
         
-        const session = botManager.getSession(sessionId);
-        
-        res.json({
-            exists: true,
-            isReady: session ? session.isReady : false,
-            hasQR: session ? !!session.qrCode : false,
-            isConnected: connection.is_connected
+        res.json({ product });
+    } catch (error) {
+        console.error('Error fetching product:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/products', authenticate, async (req, res) => {
+    try {
+        const validationError = catalogService.validate(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { name, sku, price, currency, description, variants, isActive } = req.body;
+        const product = await db.createProduct(req.tenant.id, {
+            name: name.trim(),
+            sku,
+            price: Number(price),
+            currency,
+            description,
+            variants,
+            is_active: isActive
         });
+
+        console.log(`🛍️ Product created by tenant ${req.tenant.id}:`, product.name);
+        res.status(201).json({ message: 'Product created successfully', product });
     } catch (error) {
+        console.error('Error creating product:', error);
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'A product with this SKU already exists' });
+        }
         res.status(500).json({ error: error.message });
     }
 });
 
-// Start new session (protected)
-app.post('/api/start', authenticate, async (req, res) => {
+app.put('/api/products/:productId', authenticate, async (req, res) => {
     try {
-        const { config } = req.body;
+        const validationError = catalogService.validate(req.body, true);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        // Map API fields to columns (only the ones provided)
+        const fieldMap = {
+            name: 'name',
+            sku: 'sku',
+            price: 'price',
+            currency: 'currency',
+            description: 'description',
+            variants: 'variants',
+            isActive: 'is_active'
+        };
         
-        console.log('🚀 Starting session for tenant:', req.tenant.id, 'with config:', config);
+        const updates = {};
+        Object.keys(fieldMap).forEach(field => {
+            if (req.body[field] !== undefined) {
+                updates[fieldMap[field]] = req.body[field];
+            }
+        });
         
-        // Update tenant with bot mode, owner WhatsApp number and bank RIB if provided
-        const tenantUpdates = {};
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'No fields to update' });
+        }
+
+        const product = await db.updateProduct(parseInt(req.params.productId), req.tenant.id, updates);
         
-        if (config?.botMode) {
-            console.log('🤖 Updating bot mode:', config.botMode);
-            tenantUpdates.bot_mode = config.botMode;
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
         }
         
-        if (config?.ownerWhatsApp) {
-            console.log('📱 Updating owner WhatsApp number:', config.ownerWhatsApp);
-            tenantUpdates.owner_whatsapp_number = config.ownerWhatsApp;
+        res.json({ message: 'Product updated successfully', product });
+    } catch (error) {
+        console.error('Error updating product:', error);
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'A product with this SKU already exists' });
         }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/products/:productId', authenticate, async (req, res) => {
+    try {
+        const product = await db.deleteProduct(parseInt(req.params.productId), req.tenant.id);
         
-        if (config?.bankRIB) {
-            console.log('🏦 Updating bank RIB:', config.bankRIB);
-            tenantUpdates.bank_rib = config.bankRIB;
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
         }
         
-        if (config?.acceptCOD !== undefined) {
-            console.log('💵 Updating COD setting:', config.acceptCOD);
-            tenantUpdates.accept_cod = config.acceptCOD;
+        res.json({ message: 'Product deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting product:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Inventory (protected)
+app.get('/api/inventory', authenticate, async (req, res) => {
+    try {
+        const inventory = await db.getInventory(req.tenant.id);
+        res.json({ 
+            inventory,
+            lowStock: inventoryService.getLowStock(inventory)
+        });
+    } catch (error) {
+        console.error('Error fetching inventory:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Set stock level of a product (or one of its variants)
+app.put('/api/products/:productId/stock', authenticate, async (req, res) => {
+    try {
+        const { variant, stockQuantity, lowStockThreshold } = req.body;
+        const product = await db.getProductById(parseInt(req.params.productId), req.tenant.id);
+        
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
         }
         
-        if (Object.keys(tenantUpdates).length > 0) {
-            try {
-                await db.updateTenant(req.tenant.id, tenantUpdates);
-            } catch (dbError) {
-                console.error('❌ Database error updating tenant:', dbError);
-                // Check if it's a column missing error
-                if (dbError.message.includes('column')) {
-                    return res.status(500).json({ 
-                        error: 'Database schema outdated. Please contact admin to run migrations.',
-                        details: `Column missing: ${dbError.message}`
-                    });
-                }
-                throw dbError;
-            }
+        if (variant && !(product.variants || []).some(v => v.name === variant)) {
+            return res.status(400).json({ error: `Unknown variant: ${variant}` });
         }
         
-        // Track first usage (for 30-day trial tracking)
-        try {
-            await db.setTenantFirstUsed(req.tenant.id);
-            console.log('📅 First usage timestamp recorded for tenant:', req.tenant.id);
-        } catch (firstUsedError) {
-            console.log('⚠️ Could not set first_used_at (may already be set):', firstUsedError.message);
+        const quantity = Number(stockQuantity);
+        if (!Number.isInteger(quantity) || quantity < 0) {
+            return res.status(400).json({ error: 'stockQuantity must be a non-negative integer' });
         }
         
-        // Generate unique session ID for this tenant
-        const sessionId = `tenant_${req.tenant.id}_${Date.now()}`;
+        const threshold = lowStockThreshold !== undefined ? Number(lowStockThreshold) : null;
+        if (threshold !== null && (!Number.isInteger(threshold) || threshold < 0)) {
+            return res.status(400).json({ error: 'lowStockThreshold must be a non-negative integer' });
+        }
         
-        console.log('💾 Creating WhatsApp connection with sessionId:', sessionId);
-        // Save WhatsApp connection to database
-        await db.createWhatsAppConnection(
-            req.tenant.id,
-            sessionId,
-            config?.businessData || null,
-            config?.apiKey || null
-        );
+        const inventory = await db.upsertInventory(product.id, variant || '', quantity, threshold);
         
-        console.log('🤖 Starting bot session...');
-        // Start bot session
-        await botManager.createSession(sessionId, config);
+        // Warn dashboards if the new level is already low
+        const lowStock = inventoryService.getLowStock([{ ...inventory, product_name: product.name }]);
+        if (lowStock.length > 0) {
+            botManager.emitToTenant(req.tenant.id, 'lowStockAlert', inventoryService.buildLowStockAlert(lowStock));
+        }
         
-        console.log('✅ Session started successfully:', sessionId);
-        res.json({ 
-            message: 'Session started. Please scan QR code.', 
-            sessionId 
-        });
+        res.json({ message: 'Stock updated successfully', inventory });
     } catch (error) {
-        console.error('❌ Error in /api/start:', error);
-        res.status(500).json({ 
-            error: error.message,
-            stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-        });
+        console.error('Error updating stock:', error);
+        res.status(500).json({ error: error.message });
     }
 });
 
-// Stop session (protected)
-app.post('/api/stop', authenticate, async (req, res) => {
+// Stop tracking stock of a product (or variant)
+app.delete('/api/products/:productId/stock', authenticate, async (req, res) => {
     try {
-        const { sessionId } = req.body;
-        console.log('🛑 Stop request received for session:', sessionId);
+        const product = await db.getProductById(parseInt(req.params.productId), req.tenant.id);
         
-        if (!sessionId) {
-            return res.status(400).json({ error: 'sessionId is required' });
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+        
+        const removed = await db.deleteInventory(product.id, req.query.variant || '');
+        
+        if (!removed) {
+            return res.status(404).json({ error: 'Stock is not tracked for this product' });
         }
+        
+        res.json({ message: 'Stock tracking removed' });
+    } catch (error) {
+        console.error('Error removing stock tracking:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        const connection = await db.getWhatsAppConnectionBySessionId(sessionId);
-        console.log('🔍 Connection found:', connection ? 'Yes' : 'No');
+// Delivery zones (protected)
+app.get('/api/delivery-zones', authenticate, async (req, res) => {
+    try {
+        const zones = await db.getDeliveryZones(req.tenant.id);
+        res.json({ zones });
+    } catch (error) {
+        console.error('Error fetching delivery zones:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Only one zone can cover "all other cities"
+async function hasOtherDefaultZone(tenantId, zoneId = null) {
+    const zones = await db.getDeliveryZones(tenantId);
+    return zones.some(zone => zone.is_default && zone.id !== zoneId);
+}
+
+app.post('/api/delivery-zones', authenticate, async (req, res) => {
+    try {
+        const validationError = deliveryService.validate(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { name, cities, fee, etaMinDays, etaMaxDays, codAvailable, isDefault, isActive } = req.body;
+        if (isDefault && await hasOtherDefaultZone(req.tenant.id)) {
+            return res.status(409).json({ error: 'A default zone already exists' });
+        }
+
+        const zone = await db.createDeliveryZone(req.tenant.id, {
+            name: name.trim(),
+            cities: (cities || []).map(city => city.trim()),
+            fee: Number(fee),
+            eta_min_days: etaMinDays,
+            eta_max_days: etaMaxDays,
+            cod_available: codAvailable,
+            is_default: isDefault,
+            is_active: isActive
+        });
+
+        console.log(`🚚 Delivery zone created by tenant ${req.tenant.id}:`, zone.name);
+        res.status(201).json({ message: 'Delivery zone created successfully', zone });
+    } catch (error) {
+        console.error('Error creating delivery zone:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/api/delivery-zones/:zoneId', authenticate, async (req, res) => {
+    try {
+        const zoneId = parseInt(req.params.zoneId);
+        const validationError = deliveryService.validate(req.body, true);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        if (req.body.isDefault && await hasOtherDefaultZone(req.tenant.id, zoneId)) {
+            return res.status(409).json({ error: 'A default zone already exists' });
+        }
+
+        // Map API fields to columns (only the ones provided)
+        const fieldMap = {
+            name: 'name',
+            cities: 'cities',
+            fee: 'fee',
+            etaMinDays: 'eta_min_days',
+            etaMaxDays: 'eta_max_days',
+            codAvailable: 'cod_available',
+            isDefault: 'is_default',
+            isActive: 'is_active'
+        };
         
-        if (!connection || connection.tenant_id !== req.tenant.id) {
-            return res.status(403).json({ error: 'Unauthorized' });
+        const updates = {};
+        Object.keys(fieldMap).forEach(field => {
+            if (req.body[field] !== undefined) {
+                updates[fieldMap[field]] = req.body[field];
+            }
+        });
+        
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'No fields to update' });
         }
 
-        console.log('🛑 Calling botManager.stopSession...');
-        await botManager.stopSession(sessionId);
+        const zone = await db.updateDeliveryZone(zoneId, req.tenant.id, updates);
         
-        console.log('💾 Updating connection status in DB...');
-        await db.updateWhatsAppConnection(sessionId, { is_connected: false });
+        if (!zone) {
+            return res.status(404).json({ error: 'Delivery zone not found' });
+        }
         
-        console.log('✅ Session stopped successfully');
-        res.json({ message: 'Session stopped successfully', sessionId });
+        res.json({ message: 'Delivery zone updated successfully', zone });
     } catch (error) {
-        console.error('❌ Error stopping session:', error);
+        console.error('Error updating delivery zone:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Clear session data (protected)
-app.post('/api/clear', authenticate, async (req, res) => {
+app.delete('/api/delivery-zones/:zoneId', authenticate, async (req, res) => {
     try {
-        const { sessionId } = req.body;
+        const zone = await db.deleteDeliveryZone(parseInt(req.params.zoneId), req.tenant.id);
         
-        if (!sessionId) {
-            return res.status(400).json({ error: 'sessionId is required' });
+        if (!zone) {
+            return res.status(404).json({ error: 'Delivery zone not found' });
         }
+        
+        res.json({ message: 'Delivery zone deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting delivery zone:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        const connection = await db.getWhatsAppConnectionBySessionId(sessionId);
-        if (!connection || connection.tenant_id !== req.tenant.id) {
-            return res.status(403).json({ error: 'Unauthorized' });
+// Payment methods (protected)
+app.get('/api/payment-methods', authenticate, async (req, res) => {
+    try {
+        const methods = await db.getPaymentMethods(req.tenant.id);
+        res.json({ methods });
+    } catch (error) {
+        console.error('Error fetching payment methods:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// QR codes / payment images come from the tenant's file library
+async function isTenantFile(tenantId, fileId) {
+    if (fileId === undefined || fileId === null) return true;
+    const files = await db.getTenantFiles(tenantId);
+    return files.some(file => file.id === parseInt(fileId));
+}
+
+app.post('/api/payment-methods', authenticate, async (req, res) => {
+    try {
+        const validationError = paymentMethodService.validate(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
         }
 
-        await botManager.clearSession(sessionId);
-        await db.deleteWhatsAppConnection(sessionId);
+        const { methodType, name, instructions, fileId, cities, minOrderAmount, maxOrderAmount, sortOrder, isActive } = req.body;
+        if (!await isTenantFile(req.tenant.id, fileId)) {
+            return res.status(400).json({ error: 'File not found' });
+        }
+
+        const method = await db.createPaymentMethod(req.tenant.id, {
+            method_type: methodType,
+            name: name.trim(),
+            instructions,
+            file_id: fileId,
+            cities: (cities || []).map(city => city.trim()),
+            min_order_amount: minOrderAmount,
+            max_order_amount: maxOrderAmount,
+            sort_order: sortOrder,
+            is_active: isActive
+        });
+
+        console.log(`💳 Payment method created by tenant ${req.tenant.id}:`, method.name);
+        res.status(201).json({ message: 'Payment method created successfully', method });
+    } catch (error) {
+        console.error('Error creating payment method:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/api/payment-methods/:methodId', authenticate, async (req, res) => {
+    try {
+        const methodId = parseInt(req.params.methodId);
+        const existing = await db.getPaymentMethodById(methodId, req.tenant.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Payment method not found' });
+        }
+
+        // City and amount rules depend on each other, so validate the method as it will be saved
+        const validationError = paymentMethodService.validate({
+            methodType: existing.method_type,
+            name: existing.name,
+            cities: existing.cities,
+            minOrderAmount: existing.min_order_amount,
+            maxOrderAmount: existing.max_order_amount,
+            ...req.body
+        });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        if (!await isTenantFile(req.tenant.id, req.body.fileId)) {
+            return res.status(400).json({ error: 'File not found' });
+        }
+
+        // Map API fields to columns (only the ones provided)
+        const fieldMap = {
+            methodType: 'method_type',
+            name: 'name',
+            instructions: 'instructions',
+            fileId: 'file_id',
+            cities: 'cities',
+            minOrderAmount: 'min_order_amount',
+            maxOrderAmount: 'max_order_amount',
+            sortOrder: 'sort_order',
+            isActive: 'is_active'
+        };
         
-        res.json({ message: 'Session cleared successfully', sessionId });
+        const updates = {};
+        Object.keys(fieldMap).forEach(field => {
+            if (req.body[field] !== undefined) {
+                updates[fieldMap[field]] = req.body[field];
+            }
+        });
+        
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'No fields to update' });
+        }
+
+        const method = await db.updatePaymentMethod(methodId, req.tenant.id, updates);
+        res.json({ message: 'Payment method updated successfully', method });
     } catch (error) {
+        console.error('Error updating payment method:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get tenant info endpoint (for debugging)
-app.get('/api/tenant-info', authenticate, async (req, res) => {
+app.delete('/api/payment-methods/:methodId', authenticate, async (req, res) => {
     try {
-        const tenant = await db.getTenantById(req.tenant.id);
-        res.json({
-            id: tenant.id,
-            name: tenant.name,
-            email: tenant.email,
-            owner_whatsapp_number: tenant.owner_whatsapp_number,
-            created_at: tenant.created_at
+        const method = await db.deletePaymentMethod(parseInt(req.params.methodId), req.tenant.id);
+        
+        if (!method) {
+            return res.status(404).json({ error: 'Payment method not found' });
+        }
+        
+        res.json({ message: 'Payment method deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting payment method:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Coupon / discount code routes (protected)
+app.get('/api/coupons', authenticate, async (req, res) => {
+    try {
+        const coupons = await db.getCoupons(req.tenant.id);
+        res.json({ coupons });
+    } catch (error) {
+        console.error('Error fetching coupons:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/coupons', authenticate, async (req, res) => {
+    try {
+        const validationError = couponService.validate(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { code, discountType, discountValue, minOrderAmount, maxUses, maxUsesPerCustomer, startsAt, expiresAt, isActive } = req.body;
+        const coupon = await db.createCoupon(req.tenant.id, {
+            code: couponService.normalizeCode(code),
+            discount_type: discountType,
+            discount_value: discountType === 'free_shipping' ? 0 : Number(discountValue),
+            min_order_amount: minOrderAmount,
+            max_uses: maxUses,
+            max_uses_per_customer: maxUsesPerCustomer,
+            starts_at: startsAt,
+            expires_at: expiresAt,
+            is_active: isActive
         });
+
+        console.log(`🏷️ Coupon created by tenant ${req.tenant.id}:`, coupon.code);
+        res.status(201).json({ message: 'Coupon created successfully', coupon });
     } catch (error) {
-        console.error('❌ Error getting tenant info:', error);
+        console.error('Error creating coupon:', error);
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'A coupon with this code already exists' });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/api/coupons/:couponId', authenticate, async (req, res) => {
+    try {
+        const couponId = parseInt(req.params.couponId);
+        const existing = await db.getCouponById(couponId, req.tenant.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Coupon not found' });
+        }
+
+        // Value rules depend on the type, so validate the coupon as it will be saved
+        const validationError = couponService.validate({
+            code: existing.code,
+            discountType: existing.discount_type,
+            discountValue: existing.discount_type === 'free_shipping' ? undefined : Number(existing.discount_value),
+            minOrderAmount: existing.min_order_amount,
+            maxUses: existing.max_uses,
+            maxUsesPerCustomer: existing.max_uses_per_customer,
+            startsAt: existing.starts_at,
+            expiresAt: existing.expires_at,
+            ...req.body
+        });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        // Map API fields to columns (only the ones provided)
+        const fieldMap = {
+            code: 'code',
+            discountType: 'discount_type',
+            discountValue: 'discount_value',
+            minOrderAmount: 'min_order_amount',
+            maxUses: 'max_uses',
+            maxUsesPerCustomer: 'max_uses_per_customer',
+            startsAt: 'starts_at',
+            expiresAt: 'expires_at',
+            isActive: 'is_active'
+        };
+        
+        const updates = {};
+        Object.keys(fieldMap).forEach(field => {
+            if (req.body[field] !== undefined) {
+                updates[fieldMap[field]] = req.body[field];
+            }
+        });
+        
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'No fields to update' });
+        }
+        if (updates.code) {
+            updates.code = couponService.normalizeCode(updates.code);
+        }
+        if (updates.discount_type === 'free_shipping') {
+            updates.discount_value = 0;
+        }
+
+        const coupon = await db.updateCoupon(couponId, req.tenant.id, updates);
+        res.json({ message: 'Coupon updated successfully', coupon });
+    } catch (error) {
+        console.error('Error updating coupon:', error);
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'A coupon with this code already exists' });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/coupons/:couponId', authenticate, async (req, res) => {
+    try {
+        const coupon = await db.deleteCoupon(parseInt(req.params.couponId), req.tenant.id);
+        
+        if (!coupon) {
+            return res.status(404).json({ error: 'Coupon not found' });
+        }
+        
+        res.json({ message: 'Coupon deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting coupon:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Orders that used a coupon
+app.get('/api/coupons/:couponId/redemptions', authenticate, async (req, res) => {
+    try {
+        const couponId = parseInt(req.params.couponId);
+        const coupon = await db.getCouponById(couponId, req.tenant.id);
+        
+        if (!coupon) {
+            return res.status(404).json({ error: 'Coupon not found' });
+        }
+        
+        const redemptions = await db.getCouponRedemptions(couponId, req.tenant.id);
+        res.json({ coupon, redemptions });
+    } catch (error) {
+        console.error('Error fetching coupon redemptions:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Parse order list filters from the query string (?state=a,b&from=&to=&phone=)
+function parseOrderFilters(query) {
+    const filters = {};
+    
+    if (query.state) {
+        filters.states = String(query.state).split(',').map(st => st.trim()).filter(Boolean);
+    }
+    
+    for (const key of ['from', 'to']) {
+        if (query[key]) {
+            if (isNaN(Date.parse(query[key]))) {
+                return { error: `Invalid date for "${key}": ${query[key]}` };
+            }
+            filters[key] = query[key];
+        }
+    }
+    
+    if (query.phone) {
+        filters.phone = String(query.phone).replace(/[^\d]/g, '');
+    }
+    
+    return { filters };
+}
+
+// List orders (protected)
+app.get('/api/orders', authenticate, async (req, res) => {
+    try {
+        const { filters, error } = parseOrderFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+        
+        const { orders, total } = await db.getOrders(req.tenant.id, filters, limit, (page - 1) * limit);
+        
+        res.json({
+            orders,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching orders:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Export orders for accounting, same filters as the list (protected)
+app.get('/api/orders/export', authenticate, async (req, res) => {
+    try {
+        const { filters, error } = parseOrderFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const format = String(req.query.format || 'csv').toLowerCase();
+        if (!orderExportService.formats.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${orderExportService.formats.join(', ')}` });
+        }
+        
+        const fileName = `orders_${new Date().toISOString().split('T')[0]}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.setHeader('Content-Type', format === 'csv'
+            ? 'text/csv; charset=utf-8'
+            : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        
+        const count = format === 'csv'
+            ? await orderExportService.streamCsv(res, req.tenant.id, filters)
+            : await orderExportService.streamXlsx(res, req.tenant.id, filters);
+        
+        console.log(`📤 Tenant ${req.tenant.id} exported ${count} orders (${format})`);
+    } catch (error) {
+        console.error('Error exporting orders:', error);
+        // Headers (and maybe rows) already went out - cut the download instead of sending JSON
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.removeHeader('Content-Disposition');
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Abandoned order recovery: reminders sent, orders recovered or expired (protected)
+app.get('/api/orders/recovery-stats', authenticate, async (req, res) => {
+    try {
+        const { filters, error } = parseOrderFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const stats = await orderRecoveryService.getStats(req.tenant.id, filters);
+        res.json({ stats });
+    } catch (error) {
+        console.error('Error getting recovery stats:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get order with line items and payment proof (protected)
+app.get('/api/orders/:orderId', authenticate, async (req, res) => {
+    try {
+        const order = await db.getOrderById(parseInt(req.params.orderId), req.tenant.id);
+        
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        
+        const items = await db.getOrderItems(order.id);
+        const history = await db.getOrderStatusHistory(order.id);
+        const paymentVerifications = await db.getOrderPaymentVerifications(order.id);
+        const paymentLinks = await db.getOrderPaymentLinks(order.id);
+        const returnRequests = await db.getOrderReturnRequests(order.id);
+        const shipments = await db.getShipments(req.tenant.id, { orderId: order.id });
+        
+        res.json({ 
+            order,
+            items,
+            history,
+            paymentVerifications,
+            paymentLinks,
+            returnRequests,
+            shipments,
+            paymentProofUrl: order.payment_proof_url || null,
+            allowedTransitions: orderLifecycle.getAllowedTransitions(order.order_state)
+        });
+    } catch (error) {
+        console.error('Error fetching order:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Download the PDF invoice of an order (protected)
+app.get('/api/orders/:orderId/invoice', authenticate, async (req, res) => {
+    try {
+        const order = await db.getOrderById(parseInt(req.params.orderId), req.tenant.id);
+        
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        
+        if (!order.completed_at) {
+            return res.status(409).json({ error: 'Invoice is available once the order is completed' });
+        }
+        
+        // Rendered from the current order so owner corrections are reflected
+        const [tenant, items] = await Promise.all([
+            db.getTenantById(req.tenant.id),
+            db.getOrderItems(order.id)
+        ]);
+        const pdf = await invoiceService.generate(order, items, tenant);
+        
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${invoiceService.getFileName(order)}"`);
+        res.send(pdf);
+    } catch (error) {
+        console.error('Error generating invoice:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Correct order details (protected)
+app.patch('/api/orders/:orderId', authenticate, async (req, res) => {
+    try {
+        // Map API fields to columns (only the ones provided)
+        const fieldMap = {
+            customerName: 'customer_name',
+            customerAddress: 'customer_address',
+            customerEmail: 'customer_email',
+            contactPhone: 'contact_phone',
+            streetAddress: 'street_address',
+            deliveryCity: 'delivery_city',
+            orderDetails: 'order_details',
+            paymentMethod: 'payment_method'
+        };
+        
+        const updates = {};
+        Object.keys(fieldMap).forEach(field => {
+            if (req.body[field] !== undefined) {
+                updates[fieldMap[field]] = req.body[field];
+            }
+        });
+        
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ 
+                error: `No fields to update. Allowed: ${Object.keys(fieldMap).join(', ')}` 
+            });
+        }
+        
+        if (updates.payment_method && !paymentMethodService.methodTypes.includes(updates.payment_method)) {
+            return res.status(400).json({ error: `paymentMethod must be one of: ${paymentMethodService.methodTypes.join(', ')}` });
+        }
+        
+        if (updates.contact_phone) {
+            updates.contact_phone = deliveryDetailsFlow.parsePhone(String(updates.contact_phone));
+            if (!updates.contact_phone) {
+                return res.status(400).json({ error: 'contactPhone is not a valid phone number' });
+            }
+        }
+        if (typeof updates.delivery_city === 'string') {
+            updates.delivery_city = updates.delivery_city.trim().substring(0, 100);
+        }
+        
+        // Keep the combined address shown in the dashboard in sync with its parts
+        if ((updates.street_address !== undefined || updates.delivery_city !== undefined) && updates.customer_address === undefined) {
+            const existing = await db.getOrderById(parseInt(req.params.orderId), req.tenant.id);
+            if (!existing) {
+                return res.status(404).json({ error: 'Order not found' });
+            }
+            const street = updates.street_address !== undefined ? updates.street_address : existing.street_address;
+            const city = updates.delivery_city !== undefined ? updates.delivery_city : existing.delivery_city;
+            updates.customer_address = [street, city].filter(Boolean).join(', ').substring(0, 1000) || null;
+        }
+        
+        const order = await db.updateTenantOrder(parseInt(req.params.orderId), req.tenant.id, updates);
+        
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        
+        console.log(`✏️ Order ${order.id} updated by user ${req.user.id}:`, Object.keys(updates).join(', '));
+        res.json({ message: 'Order updated successfully', order });
+    } catch (error) {
+        console.error('Error updating order:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Change order status and notify the customer (protected)
+app.post('/api/orders/:orderId/status', authenticate, async (req, res) => {
+    try {
+        const { status, note, trackingNumber, cancelReason } = req.body;
+        
+        if (!status) {
+            return res.status(400).json({ error: 'status is required' });
+        }
+        
+        const order = await db.getOrderById(parseInt(req.params.orderId), req.tenant.id);
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        
+        const validationError = orderLifecycle.validateTransition(order.order_state, status, { trackingNumber });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const result = await botManager.changeOrderStatus(req.tenant.id, order.id, status, {
+            note,
+            trackingNumber,
+            cancelReason: status === 'cancelled' ? cancelReason : undefined,
+            changedBy: `user:${req.user.id}`
+        });
+        
+        res.json({ 
+            message: `Order moved to ${status}`,
+            order: result.order,
+            customerNotified: result.notified
+        });
+    } catch (error) {
+        console.error('Error changing order status:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Payment verifications (protected)
+app.get('/api/payment-verifications', authenticate, async (req, res) => {
+    try {
+        const status = req.query.status || null;
+        if (status && !['pending', 'approved', 'rejected'].includes(status)) {
+            return res.status(400).json({ error: 'status must be pending, approved or rejected' });
+        }
+        
+        const verifications = await db.getPaymentVerifications(req.tenant.id, status);
+        res.json({ verifications });
+    } catch (error) {
+        console.error('Error fetching payment verifications:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Approve or reject a payment proof waiting for review
+async function reviewPaymentRequest(req, res, decision) {
+    try {
+        const note = req.body.note || req.body.reason;
+        if (decision === 'rejected' && !note) {
+            return res.status(400).json({ error: 'A reason is required to reject a payment' });
+        }
+        
+        const verification = await db.getPaymentVerificationById(parseInt(req.params.verificationId), req.tenant.id);
+        if (!verification) {
+            return res.status(404).json({ error: 'Payment verification not found' });
+        }
+        
+        if (verification.status !== 'pending') {
+            return res.status(400).json({ error: `Payment verification already ${verification.status}` });
+        }
+        
+        const result = await botManager.reviewPayment(req.tenant.id, verification.id, decision, {
+            note,
+            reviewedBy: `user:${req.user.id}`
+        });
+        
+        if (!result) {
+            return res.status(409).json({ error: 'Order is no longer waiting for payment review' });
+        }
+        
+        res.json({ 
+            message: `Payment ${decision}`,
+            verification: result.verification,
+            order: result.order,
+            customerNotified: result.notified
+        });
+    } catch (error) {
+        console.error(`Error reviewing payment (${decision}):`, error);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+app.post('/api/payment-verifications/:verificationId/approve', authenticate, (req, res) => reviewPaymentRequest(req, res, 'approved'));
+app.post('/api/payment-verifications/:verificationId/reject', authenticate, (req, res) => reviewPaymentRequest(req, res, 'rejected'));
+
+// Return / refund requests (protected)
+app.get('/api/returns', authenticate, async (req, res) => {
+    try {
+        // status=open: requests not resolved yet
+        const status = req.query.status || null;
+        const statuses = status === 'open' ? returnService.openStatuses : status ? [status] : null;
+        if (status && status !== 'open' && !returnService.transitions[status]) {
+            return res.status(400).json({ error: `status must be open or one of: ${Object.keys(returnService.transitions).join(', ')}` });
+        }
+        
+        const returnRequests = await db.getReturnRequests(req.tenant.id, statuses);
+        res.json({ returnRequests });
+    } catch (error) {
+        console.error('Error fetching return requests:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/returns/:returnId', authenticate, async (req, res) => {
+    try {
+        const returnRequest = await db.getReturnRequestById(parseInt(req.params.returnId), req.tenant.id);
+        if (!returnRequest) {
+            return res.status(404).json({ error: 'Return request not found' });
+        }
+        
+        res.json({
+            returnRequest,
+            allowedTransitions: returnService.getAllowedTransitions(returnRequest.status)
+        });
+    } catch (error) {
+        console.error('Error fetching return request:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Move a return request on and notify the customer (protected)
+app.post('/api/returns/:returnId/status', authenticate, async (req, res) => {
+    try {
+        const { status, note, refundAmount } = req.body;
+        
+        if (!status) {
+            return res.status(400).json({ error: 'status is required' });
+        }
+        
+        const returnRequest = await db.getReturnRequestById(parseInt(req.params.returnId), req.tenant.id);
+        if (!returnRequest) {
+            return res.status(404).json({ error: 'Return request not found' });
+        }
+        
+        const validationError = returnService.validateTransition(returnRequest.status, status, { note, refundAmount });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const result = await botManager.changeReturnStatus(req.tenant.id, returnRequest.id, status, {
+            note,
+            refundAmount,
+            updatedBy: `user:${req.user.id}`
+        });
+        
+        res.json({
+            message: `Return moved to ${status}`,
+            returnRequest: result.returnRequest,
+            orderRefunded: !!result.order,
+            customerNotified: result.notified
+        });
+    } catch (error) {
+        console.error('Error changing return status:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Shipments (protected) - what delivery mode answers tracking questions from
+// ?status=active (not delivered, returned or cancelled) or a status, ?orderId=12, ?q=tracking number, phone or name
+app.get('/api/shipments', authenticate, async (req, res) => {
+    try {
+        const { status, orderId, q } = req.query;
+        if (status && status !== 'active' && !shipmentService.statuses.includes(status)) {
+            return res.status(400).json({ error: `status must be active or one of: ${shipmentService.statuses.join(', ')}` });
+        }
+        
+        const statuses = status === 'active'
+            ? shipmentService.statuses.filter(s => !shipmentService.finalStatuses.includes(s))
+            : status ? [status] : null;
+        const shipments = await db.getShipments(req.tenant.id, {
+            statuses,
+            orderId: parseInt(orderId) || null,
+            search: q ? String(q).trim() : null
+        }, Math.min(parseInt(req.query.limit) || 50, 500));
+        res.json({ shipments });
+    } catch (error) {
+        console.error('Error fetching shipments:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/shipments/:shipmentId', authenticate, async (req, res) => {
+    try {
+        const shipment = await db.getShipmentById(parseInt(req.params.shipmentId), req.tenant.id);
+        if (!shipment) {
+            return res.status(404).json({ error: 'Shipment not found' });
+        }
+        
+        const events = await db.getShipmentEvents([shipment.id]);
+        res.json({ shipment, events });
+    } catch (error) {
+        console.error('Error fetching shipment:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// { trackingNumber, carrier, orderId, customerPhone, customerName, language, status, location, estimatedDelivery, note }
+// Customer details default to the linked order's
+app.post('/api/shipments', authenticate, async (req, res) => {
+    try {
+        const validationError = shipmentService.validateShipment(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const { trackingNumber, carrier, orderId, customerPhone, customerName, language, status, location, estimatedDelivery, note } = req.body;
+        
+        let order = null;
+        if (orderId !== undefined && orderId !== null) {
+            order = await db.getOrderById(parseInt(orderId), req.tenant.id);
+            if (!order) {
+                return res.status(404).json({ error: 'Order not found' });
+            }
+        }
+        
+        const phone = customerPhone ? deliveryDetailsFlow.parsePhone(String(customerPhone), null) : null;
+        const shipment = await db.createShipment({
+            tenant_id: req.tenant.id,
+            order_id: order ? order.id : null,
+            tracking_number: shipmentService.normalizeTrackingNumber(trackingNumber),
+            carrier: carrier ? carrier.trim() : null,
+            customer_phone: phone ? `${phone.replace(/\D/g, '')}@c.us` : order ? order.customer_phone : null,
+            customer_name: customerName || (order ? order.customer_name : null),
+            customer_language: language || (order ? order.customer_language : null),
+            status: status || 'pending',
+            current_location: location,
+            estimated_delivery: estimatedDelivery
+        }, { note, changedBy: `user:${req.user.id}` });
+        
+        if (!shipment) {
+            return res.status(409).json({ error: 'A shipment with this tracking number already exists' });
+        }
+        
+        console.log(`📦 Shipment created by tenant ${req.tenant.id}:`, shipment.tracking_number);
+        res.status(201).json({ message: 'Shipment created successfully', shipment });
+    } catch (error) {
+        console.error('Error creating shipment:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Shipment details (the status changes through /events so it stays in the history)
+app.put('/api/shipments/:shipmentId', authenticate, async (req, res) => {
+    try {
+        if (req.body.status !== undefined) {
+            return res.status(400).json({ error: 'Change the status with POST /api/shipments/:shipmentId/events' });
+        }
+        const validationError = shipmentService.validateShipment(req.body, true);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        // Map API fields to columns (only the ones provided)
+        const fieldMap = {
+            trackingNumber: 'tracking_number',
+            carrier: 'carrier',
+            customerPhone: 'customer_phone',
+            customerName: 'customer_name',
+            language: 'customer_language',
+            estimatedDelivery: 'estimated_delivery'
+        };
+        
+        const updates = {};
+        Object.keys(fieldMap).forEach(field => {
+            if (req.body[field] !== undefined) {
+                updates[fieldMap[field]] = req.body[field];
+            }
+        });
+        if (updates.tracking_number !== undefined) {
+            updates.tracking_number = shipmentService.normalizeTrackingNumber(updates.tracking_number);
+        }
+        if (updates.customer_phone !== undefined) {
+            const phone = updates.customer_phone ? deliveryDetailsFlow.parsePhone(String(updates.customer_phone), null) : null;
+            updates.customer_phone = phone ? `${phone.replace(/\D/g, '')}@c.us` : null;
+        }
+        
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'No fields to update' });
+        }
+        
+        const shipment = await db.updateShipment(parseInt(req.params.shipmentId), req.tenant.id, updates);
+        if (!shipment) {
+            return res.status(404).json({ error: 'Shipment not found' });
+        }
+        
+        res.json({ message: 'Shipment updated successfully', shipment });
+    } catch (error) {
+        console.error('Error updating shipment:', error);
+        if (error.code === '23505') {
+            return res.status(409).json({ error: 'A shipment with this tracking number already exists' });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// New status { status, location, note, estimatedDelivery, notify (default true) } - the customer is told on WhatsApp
+app.post('/api/shipments/:shipmentId/events', authenticate, async (req, res) => {
+    try {
+        const validationError = shipmentService.validateEvent(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const { status, location, note, estimatedDelivery, notify } = req.body;
+        const result = await botManager.updateShipmentStatus(req.tenant.id, parseInt(req.params.shipmentId), {
+            status,
+            location: location ? location.trim() : null,
+            note,
+            estimatedDelivery,
+            notify: notify !== false,
+            changedBy: `user:${req.user.id}`
+        });
+        if (!result) {
+            return res.status(404).json({ error: 'Shipment not found' });
+        }
+        
+        res.status(201).json({
+            message: `Shipment moved to ${status}`,
+            shipment: result.shipment,
+            event: result.event,
+            customerNotified: result.notified
+        });
+    } catch (error) {
+        console.error('Error updating shipment status:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/shipments/:shipmentId', authenticate, async (req, res) => {
+    try {
+        const shipment = await db.deleteShipment(parseInt(req.params.shipmentId), req.tenant.id);
+        if (!shipment) {
+            return res.status(404).json({ error: 'Shipment not found' });
+        }
+        
+        res.json({ message: 'Shipment deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting shipment:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Appointment services (protected) - what customers can book, with duration and price
+app.get('/api/appointment-services', authenticate, async (req, res) => {
+    try {
+        const services = await db.getAppointmentServices(req.tenant.id);
+        res.json({ services });
+    } catch (error) {
+        console.error('Error fetching appointment services:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/appointment-services', authenticate, async (req, res) => {
+    try {
+        const validationError = appointmentService.validateService(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { name, description, durationMinutes, price, sortOrder, isActive } = req.body;
+        const service = await db.createAppointmentService(req.tenant.id, {
+            name: name.trim(),
+            description,
+            duration_minutes: Number(durationMinutes),
+            price,
+            sort_order: sortOrder,
+            is_active: isActive
+        });
+
+        console.log(`📅 Appointment service created by tenant ${req.tenant.id}:`, service.name);
+        res.status(201).json({ message: 'Service created successfully', service });
+    } catch (error) {
+        console.error('Error creating appointment service:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/api/appointment-services/:serviceId', authenticate, async (req, res) => {
+    try {
+        const validationError = appointmentService.validateService(req.body, true);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        // Map API fields to columns (only the ones provided)
+        const fieldMap = {
+            name: 'name',
+            description: 'description',
+            durationMinutes: 'duration_minutes',
+            price: 'price',
+            sortOrder: 'sort_order',
+            isActive: 'is_active'
+        };
+        
+        const updates = {};
+        Object.keys(fieldMap).forEach(field => {
+            if (req.body[field] !== undefined) {
+                updates[fieldMap[field]] = req.body[field];
+            }
+        });
+        
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'No fields to update' });
+        }
+
+        const service = await db.updateAppointmentService(parseInt(req.params.serviceId), req.tenant.id, updates);
+        if (!service) {
+            return res.status(404).json({ error: 'Service not found' });
+        }
+        
+        res.json({ message: 'Service updated successfully', service });
+    } catch (error) {
+        console.error('Error updating appointment service:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/appointment-services/:serviceId', authenticate, async (req, res) => {
+    try {
+        // Booked appointments keep the service name they were booked with
+        const service = await db.deleteAppointmentService(parseInt(req.params.serviceId), req.tenant.id);
+        
+        if (!service) {
+            return res.status(404).json({ error: 'Service not found' });
+        }
+        
+        res.json({ message: 'Service deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting appointment service:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Working schedule (protected) - timezone, weekly hours, breaks and upcoming holidays
+app.get('/api/appointment-schedule', authenticate, async (req, res) => {
+    try {
+        const tenant = await db.getTenantById(req.tenant.id);
+        const timezone = appointmentService.getTimezone(tenant);
+        const [hours, breaks, holidays] = await Promise.all([
+            db.getBusinessHours(req.tenant.id),
+            db.getScheduleBreaks(req.tenant.id),
+            db.getHolidays(req.tenant.id, appointmentService.today(timezone))
+        ]);
+        
+        res.json({ timezone, hours, breaks, holidays });
+    } catch (error) {
+        console.error('Error fetching schedule:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Replace the weekly hours (and breaks when given) - days without hours are closed
+app.put('/api/appointment-schedule', authenticate, async (req, res) => {
+    try {
+        const { timezone, hours, breaks } = req.body;
+        if (timezone === undefined && hours === undefined && breaks === undefined) {
+            return res.status(400).json({ error: 'Nothing to update (timezone, hours, breaks)' });
+        }
+        
+        const validationError = appointmentService.validateSchedule({ timezone, hours, breaks });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        if (timezone !== undefined) {
+            await db.updateTenant(req.tenant.id, { timezone });
+        }
+        
+        if (hours !== undefined || breaks !== undefined) {
+            const currentHours = hours === undefined
+                ? (await db.getBusinessHours(req.tenant.id)).map(h => ({ dayOfWeek: h.day_of_week, open: h.open_time, close: h.close_time }))
+                : hours;
+            await db.replaceSchedule(
+                req.tenant.id,
+                currentHours.map(h => ({ day_of_week: h.dayOfWeek, open_time: h.open, close_time: h.close })),
+                breaks === undefined ? null : breaks.map(b => ({ day_of_week: b.dayOfWeek ?? null, start_time: b.start, end_time: b.end, label: b.label }))
+            );
+        }
+        
+        const tenant = await db.getTenantById(req.tenant.id);
+        console.log(`📅 Tenant ${req.tenant.id} schedule updated`);
+        res.json({
+            message: 'Schedule updated successfully',
+            timezone: appointmentService.getTimezone(tenant),
+            hours: await db.getBusinessHours(req.tenant.id),
+            breaks: await db.getScheduleBreaks(req.tenant.id)
+        });
+    } catch (error) {
+        console.error('Error updating schedule:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/holidays', authenticate, async (req, res) => {
+    try {
+        const validationError = appointmentService.validateHoliday(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const { startDate, endDate, label } = req.body;
+        const holiday = await db.createHoliday(req.tenant.id, {
+            start_date: startDate,
+            end_date: endDate || startDate,
+            label
+        });
+        
+        res.status(201).json({ message: 'Holiday added successfully', holiday });
+    } catch (error) {
+        console.error('Error creating holiday:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/holidays/:holidayId', authenticate, async (req, res) => {
+    try {
+        const holiday = await db.deleteHoliday(parseInt(req.params.holidayId), req.tenant.id);
+        
+        if (!holiday) {
+            return res.status(404).json({ error: 'Holiday not found' });
+        }
+        
+        res.json({ message: 'Holiday deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting holiday:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Staff member id of a request: null if not given, undefined if not one of the tenant's staff
+async function resolveStaffId(value, tenantId) {
+    if (value === undefined || value === null || value === '') return null;
+    const staffId = parseInt(value);
+    if (isNaN(staffId)) return undefined;
+    const member = await db.getStaffMemberById(staffId, tenantId);
+    return member ? member.id : undefined;
+}
+
+// Staff members with the services they do and their own hours (empty = every service / business hours)
+async function getStaffWithSchedules(tenantId) {
+    const [members, hours, services] = await Promise.all([
+        db.getStaffMembers(tenantId),
+        db.getStaffHours(tenantId),
+        db.getStaffServices(tenantId)
+    ]);
+    return members.map(member => ({
+        ...member,
+        service_ids: services.filter(a => a.staff_id === member.id).map(a => a.service_id),
+        hours: hours.filter(h => h.staff_id === member.id)
+    }));
+}
+
+// Staff members of appointment mode (protected)
+app.get('/api/staff', authenticate, async (req, res) => {
+    try {
+        const staff = await getStaffWithSchedules(req.tenant.id);
+        res.json({ staff });
+    } catch (error) {
+        console.error('Error fetching staff:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// { name, whatsappNumber, serviceIds, hours: [{ dayOfWeek, open, close }], sortOrder, isActive }
+app.post('/api/staff', authenticate, async (req, res) => {
+    try {
+        const validationError = appointmentService.validateStaff(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const { name, whatsappNumber, serviceIds, hours, sortOrder, isActive } = req.body;
+        const member = await db.saveStaffMember(null, req.tenant.id, {
+            name: name.trim(),
+            whatsapp_number: whatsappNumber ? String(whatsappNumber).replace(/[^\d]/g, '') : null,
+            sort_order: sortOrder ?? 0,
+            is_active: isActive ?? true
+        }, serviceIds || [], (hours || []).map(h => ({ day_of_week: h.dayOfWeek, open_time: h.open, close_time: h.close })));
+        
+        console.log(`🧑‍💼 Staff member created by tenant ${req.tenant.id}:`, member.name);
+        const staff = await getStaffWithSchedules(req.tenant.id);
+        res.status(201).json({ message: 'Staff member created successfully', staffMember: staff.find(m => m.id === member.id) });
+    } catch (error) {
+        console.error('Error creating staff member:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Fields given are updated; serviceIds and hours replace the current ones
+app.put('/api/staff/:staffId', authenticate, async (req, res) => {
+    try {
+        const validationError = appointmentService.validateStaff(req.body, true);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        // Map API fields to columns (only the ones provided)
+        const fieldMap = {
+            name: 'name',
+            whatsappNumber: 'whatsapp_number',
+            sortOrder: 'sort_order',
+            isActive: 'is_active'
+        };
+        
+        const updates = {};
+        Object.keys(fieldMap).forEach(field => {
+            if (req.body[field] !== undefined) {
+                updates[fieldMap[field]] = req.body[field];
+            }
+        });
+        if (updates.name) updates.name = updates.name.trim();
+        if (updates.whatsapp_number !== undefined) {
+            updates.whatsapp_number = updates.whatsapp_number ? String(updates.whatsapp_number).replace(/[^\d]/g, '') : null;
+        }
+        
+        const { serviceIds, hours } = req.body;
+        if (Object.keys(updates).length === 0 && serviceIds === undefined && hours === undefined) {
+            return res.status(400).json({ error: 'No fields to update' });
+        }
+        
+        const member = await db.saveStaffMember(
+            parseInt(req.params.staffId),
+            req.tenant.id,
+            updates,
+            serviceIds === undefined ? null : serviceIds,
+            hours === undefined ? null : hours.map(h => ({ day_of_week: h.dayOfWeek, open_time: h.open, close_time: h.close }))
+        );
+        if (!member) {
+            return res.status(404).json({ error: 'Staff member not found' });
+        }
+        
+        const staff = await getStaffWithSchedules(req.tenant.id);
+        res.json({ message: 'Staff member updated successfully', staffMember: staff.find(m => m.id === member.id) });
+    } catch (error) {
+        console.error('Error updating staff member:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/staff/:staffId', authenticate, async (req, res) => {
+    try {
+        const staffId = parseInt(req.params.staffId);
+        
+        // Their booked appointments would block every colleague - move them or deactivate the member
+        const upcoming = await db.getAppointments(req.tenant.id, { from: new Date(), statuses: ['booked'], staffId }, 1);
+        if (upcoming.length > 0) {
+            return res.status(409).json({ error: 'This staff member has upcoming appointments: move them or set isActive to false' });
+        }
+        
+        const member = await db.deleteStaffMember(staffId, req.tenant.id);
+        if (!member) {
+            return res.status(404).json({ error: 'Staff member not found' });
+        }
+        
+        res.json({ message: 'Staff member deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting staff member:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Appointment feeds for phone calendars (protected) - anyone with the URL can read it
+app.get('/api/calendar-feeds', authenticate, async (req, res) => {
+    try {
+        const feeds = await db.getCalendarFeeds(req.tenant.id);
+        res.json({ feeds: feeds.map(feed => ({ ...feed, url: calendarSyncService.getFeedUrl(feed) })) });
+    } catch (error) {
+        console.error('Error fetching calendar feeds:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/calendar-feeds', authenticate, async (req, res) => {
+    try {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        if (!name || name.length > 255) {
+            return res.status(400).json({ error: 'name is required (255 characters max)' });
+        }
+        // staffId: only that staff member's appointments
+        const staffId = await resolveStaffId(req.body.staffId, req.tenant.id);
+        if (staffId === undefined) {
+            return res.status(404).json({ error: 'Staff member not found' });
+        }
+        
+        const feed = await calendarSyncService.createFeed(req.tenant.id, name, staffId);
+        res.status(201).json({ feed: { ...feed, url: calendarSyncService.getFeedUrl(feed) } });
+    } catch (error) {
+        console.error('Error creating calendar feed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Revoke a feed (its URL stops working)
+app.delete('/api/calendar-feeds/:feedId', authenticate, async (req, res) => {
+    try {
+        const feed = await db.deleteCalendarFeed(parseInt(req.params.feedId), req.tenant.id);
+        
+        if (!feed) {
+            return res.status(404).json({ error: 'Calendar feed not found' });
+        }
+        
+        res.json({ message: 'Calendar feed deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting calendar feed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// The feed itself (public - the token is the secret)
+app.get('/api/calendar/:token.ics', async (req, res) => {
+    try {
+        const feed = await db.getCalendarFeedByToken(req.params.token);
+        if (!feed) {
+            return res.status(404).json({ error: 'Calendar feed not found' });
+        }
+        
+        const ics = await calendarSyncService.buildFeed(feed);
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', 'inline; filename="appointments.ics"');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.send(ics);
+    } catch (error) {
+        console.error('Error building calendar feed:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Calendars whose events block slots (protected) - .ics upload ("file") or { name, url },
+// staffId to block only that staff member
+app.get('/api/external-calendars', authenticate, async (req, res) => {
+    try {
+        const calendars = await db.getExternalCalendars(req.tenant.id);
+        res.json({ calendars });
+    } catch (error) {
+        console.error('Error fetching external calendars:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/external-calendars', authenticate, upload.single('file'), async (req, res) => {
+    try {
+        const validationError = calendarSyncService.validateCalendar(req.body, !!req.file);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        const text = req.file ? req.file.buffer.toString('utf8') : null;
+        if (text !== null && !icalendarService.isCalendar(text)) {
+            return res.status(400).json({ error: 'Not an iCalendar (.ics) file' });
+        }
+        
+        const staffId = await resolveStaffId(req.body.staffId, req.tenant.id);
+        if (staffId === undefined) {
+            return res.status(404).json({ error: 'Staff member not found' });
+        }
+        
+        const url = req.body.url ? calendarSyncService.normalizeUrl(req.body.url) : null;
+        let calendar = await db.createExternalCalendar(req.tenant.id, req.body.name.trim(), url, staffId);
+        calendar = text !== null
+            ? await calendarSyncService.importCalendar(calendar, text)
+            : await calendarSyncService.syncCalendar(calendar);
+        
+        res.status(201).json({ calendar });
+    } catch (error) {
+        console.error('Error importing calendar:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Re-read a calendar now: its URL, or a new upload of the file
+app.post('/api/external-calendars/:calendarId/sync', authenticate, upload.single('file'), async (req, res) => {
+    try {
+        const calendar = await db.getExternalCalendarById(parseInt(req.params.calendarId), req.tenant.id);
+        if (!calendar) {
+            return res.status(404).json({ error: 'Calendar not found' });
+        }
+        
+        if (req.file) {
+            const text = req.file.buffer.toString('utf8');
+            if (!icalendarService.isCalendar(text)) {
+                return res.status(400).json({ error: 'Not an iCalendar (.ics) file' });
+            }
+            return res.json({ calendar: await calendarSyncService.importCalendar(calendar, text) });
+        }
+        if (!calendar.url) {
+            return res.status(400).json({ error: 'Upload the new .ics file of this calendar' });
+        }
+        
+        res.json({ calendar: await calendarSyncService.syncCalendar(calendar) });
+    } catch (error) {
+        console.error('Error syncing calendar:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/external-calendars/:calendarId', authenticate, async (req, res) => {
+    try {
+        const calendar = await db.deleteExternalCalendar(parseInt(req.params.calendarId), req.tenant.id);
+        
+        if (!calendar) {
+            return res.status(404).json({ error: 'Calendar not found' });
+        }
+        
+        res.json({ message: 'Calendar deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting calendar:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Free slots of a service (protected) - ?serviceId=1&date=YYYY-MM-DD&days=7&staffId=2
+// With staff, each slot lists the staff members free then
+app.get('/api/appointments/availability', authenticate, async (req, res) => {
+    try {
+        const service = await db.getAppointmentServiceById(parseInt(req.query.serviceId), req.tenant.id);
+        if (!service) {
+            return res.status(404).json({ error: 'Service not found' });
+        }
+        if (req.query.date && !appointmentService.isValidDate(req.query.date)) {
+            return res.status(400).json({ error: 'date must be "YYYY-MM-DD"' });
+        }
+        const staffId = await resolveStaffId(req.query.staffId, req.tenant.id);
+        if (staffId === undefined) {
+            return res.status(404).json({ error: 'Staff member not found' });
+        }
+        
+        const days = await appointmentService.getAvailability(req.tenant.id, service, {
+            from: req.query.date || null,
+            days: parseInt(req.query.days) || 7,
+            staffId
+        });
+        res.json({ service, days });
+    } catch (error) {
+        console.error('Error fetching availability:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Appointment attendance: reminders, confirmations, no-show rates (protected)
+app.get('/api/appointments/stats', authenticate, async (req, res) => {
+    try {
+        const { filters, error } = parseOrderFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const stats = await appointmentReminderService.getStats(req.tenant.id, filters);
+        res.json({ stats });
+    } catch (error) {
+        console.error('Error getting appointment stats:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Bookings (protected) - ?from=ISO&to=ISO&status=booked&staffId=2
+app.get('/api/appointments', authenticate, async (req, res) => {
+    try {
+        const { from, to, status, staffId } = req.query;
+        if (status && !appointmentService.statuses.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${appointmentService.statuses.join(', ')}` });
+        }
+        if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+            return res.status(400).json({ error: 'from and to must be dates' });
+        }
+        
+        const appointments = await db.getAppointments(req.tenant.id, {
+            from: from ? new Date(from) : null,
+            to: to ? new Date(to) : null,
+            statuses: status ? [status] : null,
+            staffId: parseInt(staffId) || null
+        });
+        res.json({ appointments });
+    } catch (error) {
+        console.error('Error fetching appointments:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Book a free slot for a customer and notify them on WhatsApp (protected) - staffId: null = any available
+app.post('/api/appointments', authenticate, async (req, res) => {
+    try {
+        const { serviceId, startsAt, customerPhone, customerName, notes, language } = req.body;
+        
+        const phone = deliveryDetailsFlow.parsePhone(String(customerPhone || ''), null);
+        if (!phone) {
+            return res.status(400).json({ error: 'customerPhone must be a valid phone number' });
+        }
+        if (!startsAt || isNaN(new Date(startsAt))) {
+            return res.status(400).json({ error: 'startsAt must be a date (ISO 8601)' });
+        }
+        if (language !== undefined && !['fr', 'ar', 'en'].includes(language)) {
+            return res.status(400).json({ error: 'language must be fr, ar or en' });
+        }
+        
+        const service = await db.getAppointmentServiceById(parseInt(serviceId), req.tenant.id);
+        if (!service) {
+            return res.status(404).json({ error: 'Service not found' });
+        }
+        const staffId = await resolveStaffId(req.body.staffId, req.tenant.id);
+        if (staffId === undefined) {
+            return res.status(404).json({ error: 'Staff member not found' });
+        }
+        
+        const result = await botManager.createAppointment(req.tenant.id, service, {
+            startsAt,
+            staffId,
+            customerPhone: `${phone.replace(/\D/g, '')}@c.us`,
+            customerName,
+            language: language || 'fr',
+            notes,
+            createdBy: `user:${req.user.id}`
+        });
+        if (!result) {
+            return res.status(409).json({ error: 'This time is not a free slot for this service' });
+        }
+        
+        res.status(201).json({
+            message: 'Appointment booked',
+            appointment: result.appointment,
+            customerNotified: result.notified
+        });
+    } catch (error) {
+        console.error('Error booking appointment:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/appointments/:appointmentId', authenticate, async (req, res) => {
+    try {
+        const appointment = await db.getAppointmentById(parseInt(req.params.appointmentId), req.tenant.id);
+        if (!appointment) {
+            return res.status(404).json({ error: 'Appointment not found' });
+        }
+        
+        res.json({
+            appointment,
+            allowedTransitions: appointmentService.getAllowedTransitions(appointment.status)
+        });
+    } catch (error) {
+        console.error('Error fetching appointment:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Move an appointment ({ startsAt, staffId }) or change its status ({ status, reason }) and notify the customer (protected)
+// staffId when moving: absent = same staff member, null = any available
+app.put('/api/appointments/:appointmentId', authenticate, async (req, res) => {
+    try {
+        const { status, reason, startsAt } = req.body;
+        if (!status === !startsAt) {
+            return res.status(400).json({ error: 'Send either status (completed, cancelled, no_show) or startsAt' });
+        }
+        
+        const appointment = await db.getAppointmentById(parseInt(req.params.appointmentId), req.tenant.id);
+        if (!appointment) {
+            return res.status(404).json({ error: 'Appointment not found' });
+        }
+        
+        if (startsAt) {
+            if (isNaN(new Date(startsAt))) {
+                return res.status(400).json({ error: 'startsAt must be a date (ISO 8601)' });
+            }
+            if (appointment.status !== 'booked') {
+                return res.status(400).json({ error: `Only booked appointments can be moved (this one is ${appointment.status})` });
+            }
+            
+            let staffId;
+            if (req.body.staffId !== undefined) {
+                staffId = await resolveStaffId(req.body.staffId, req.tenant.id);
+                if (staffId === undefined) {
+                    return res.status(404).json({ error: 'Staff member not found' });
+                }
+            }
+            
+            const result = await botManager.rescheduleAppointment(req.tenant.id, appointment.id, startsAt, { staffId });
+            if (!result) {
+                return res.status(409).json({ error: 'This time is not a free slot for this service' });
+            }
+            return res.json({ message: 'Appointment moved', appointment: result.appointment, customerNotified: result.notified });
+        }
+        
+        const validationError = appointmentService.validateTransition(appointment.status, status);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const result = await botManager.changeAppointmentStatus(req.tenant.id, appointment.id, status, { reason });
+        res.json({ message: `Appointment marked ${status}`, appointment: result.appointment, customerNotified: result.notified });
+    } catch (error) {
+        console.error('Error updating appointment:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Payment provider webhook (public - authenticated by the provider's signature)
+app.post('/api/payments/webhook/:provider', async (req, res) => {
+    try {
+        // Only the configured provider is accepted
+        const provider = req.params.provider === paymentGatewayService.providerName
+            ? paymentGatewayService.getProvider()
+            : null;
+        if (!provider) {
+            return res.status(404).json({ error: 'Unknown payment provider' });
+        }
+        
+        if (!provider.verifyWebhook(req.rawBody, req.headers)) {
+            console.warn(`🚩 Payment webhook with invalid signature (${provider.name})`);
+            return res.status(401).json({ error: 'Invalid signature' });
+        }
+        
+        const event = provider.parseWebhook(req.body || {});
+        const link = event.checkoutId ? await db.getPaymentLinkByCheckout(provider.name, event.checkoutId) : null;
+        if (!link) {
+            return res.status(404).json({ error: 'Unknown checkout' });
+        }
+        
+        // Already settled - providers resend events until they get a 2xx
+        // (a replaced link still takes payments, they go to the owner)
+        const replacedPayment = link.status === 'replaced' && event.status === 'paid';
+        if (link.status !== 'pending' && !replacedPayment) {
+            return res.json({ received: true, status: link.status });
+        }
+        
+        const result = await botManager.handleOnlinePayment(link, event);
+        res.json({ received: true, status: result.link ? result.link.status : link.status });
+    } catch (error) {
+        console.error('Error handling payment webhook:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Mock provider checkout page (PAYMENT_PROVIDER=mock) - pays through the signed webhook like a real provider
+if (paymentGatewayService.providerName === 'mock') {
+    const renderMockPage = (title, body) => `<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${title}</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 40px auto; text-align: center;"><h2>${title}</h2>${body}</body></html>`;
+    
+    app.get('/api/payments/mock/checkout/:checkoutId', async (req, res) => {
+        try {
+            const link = await db.getPaymentLinkByCheckout('mock', req.params.checkoutId);
+            if (!link) {
+                return res.status(404).send(renderMockPage('Checkout not found', ''));
+            }
+            
+            const amount = moneyService.format(link.amount, link.currency);
+            if (link.status !== 'pending') {
+                return res.send(renderMockPage(`Order #${link.order_id}`, `<p>${amount}</p><p>Already ${link.status}.</p>`));
+            }
+            
+            res.send(renderMockPage(`Order #${link.order_id}`, `<p>Test payment - no real card is charged.</p><p><strong>${amount}</strong></p>
+<form method="POST" action="${req.params.checkoutId}/succeeded"><button type="submit">Pay</button></form><br>
+<form method="POST" action="${req.params.checkoutId}/failed"><button type="submit">Simulate a declined card</button></form>`));
+        } catch (error) {
+            console.error('Error rendering mock checkout:', error);
+            res.status(500).send(renderMockPage('Error', ''));
+        }
+    });
+    
+    app.post('/api/payments/mock/checkout/:checkoutId/:outcome', async (req, res) => {
+        try {
+            const link = await db.getPaymentLinkByCheckout('mock', req.params.checkoutId);
+            if (!link) {
+                return res.status(404).send(renderMockPage('Checkout not found', ''));
+            }
+            
+            const succeeded = req.params.outcome === 'succeeded';
+            const { body, headers } = paymentGatewayService.getProvider().buildEvent(link, succeeded);
+            await axios.post(`${paymentGatewayService.getBaseUrl()}/api/payments/webhook/mock`, body, { headers });
+            
+            res.send(renderMockPage(succeeded ? 'Payment succeeded' : 'Payment declined', '<p>You can go back to WhatsApp.</p>'));
+        } catch (error) {
+            console.error('Error simulating mock payment:', error.message);
+            res.status(500).send(renderMockPage('Payment could not be sent', '<p>See the server logs.</p>'));
+        }
+    });
+}
+
+// Get specific session status (protected)
+app.get('/api/status/:sessionId', authenticate, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const connection = await db.getWhatsAppConnectionBySessionId(sessionId);
+        
+        if (!connection || connection.tenant_id !== req.tenant.id) {
+            return res.json({ exists: false });
+        }
+        
+        const session = botManager.getSession(sessionId);
+        
+        res.json({
+            exists: true,
+            isReady: session ? session.isReady : false,
+            hasQR: session ? !!session.qrCode : false,
+            isConnected: connection.is_connected
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Start new session (protected)
+app.post('/api/start', authenticate, async (req, res) => {
+    try {
+        const { config } = req.body;
+        
+        console.log('🚀 Starting session for tenant:', req.tenant.id, 'with config:', config);
+        
+        // Update tenant with bot mode, owner WhatsApp number and bank RIB if provided
+        const tenantUpdates = {};
+        
+        if (config?.botMode) {
+            console.log('🤖 Updating bot mode:', config.botMode);
+            tenantUpdates.bot_mode = config.botMode;
+        }
+        
+        if (config?.ownerWhatsApp) {
+            console.log('📱 Updating owner WhatsApp number:', config.ownerWhatsApp);
+            tenantUpdates.owner_whatsapp_number = config.ownerWhatsApp;
+        }
+        
+        if (config?.bankRIB) {
+            console.log('🏦 Updating bank RIB:', config.bankRIB);
+            tenantUpdates.bank_rib = config.bankRIB;
+        }
+        
+        if (config?.acceptCOD !== undefined) {
+            console.log('💵 Updating COD setting:', config.acceptCOD);
+            tenantUpdates.accept_cod = config.acceptCOD;
+        }
+        
+        if (Object.keys(tenantUpdates).length > 0) {
+            try {
+                await db.updateTenant(req.tenant.id, tenantUpdates);
+            } catch (dbError) {
+                console.error('❌ Database error updating tenant:', dbError);
+                // Check if it's a column missing error
+                if (dbError.message.includes('column')) {
+                    return res.status(500).json({ 
+                        error: 'Database schema outdated. Please contact admin to run migrations.',
+                        details: `Column missing: ${dbError.message}`
+                    });
+                }
+                throw dbError;
+            }
+        }
+        
+        // Track first usage (for 30-day trial tracking)
+        try {
+            await db.setTenantFirstUsed(req.tenant.id);
+            console.log('📅 First usage timestamp recorded for tenant:', req.tenant.id);
+        } catch (firstUsedError) {
+            console.log('⚠️ Could not set first_used_at (may already be set):', firstUsedError.message);
+        }
+        
+        // Generate unique session ID for this tenant
+        const sessionId = `tenant_${req.tenant.id}_${Date.now()}`;
+        
+        console.log('💾 Creating WhatsApp connection with sessionId:', sessionId);
+        // Save WhatsApp connection to database
+        await db.createWhatsAppConnection(
+            req.tenant.id,
+            sessionId,
+            config?.businessData || null,
+            config?.apiKey || null
+        );
+        
+        console.log('🤖 Starting bot session...');
+        // Start bot session
+        await botManager.createSession(sessionId, config);
+        
+        console.log('✅ Session started successfully:', sessionId);
+        res.json({ 
+            message: 'Session started. Please scan QR code.', 
+            sessionId 
+        });
+    } catch (error) {
+        console.error('❌ Error in /api/start:', error);
+        res.status(500).json({ 
+            error: error.message,
+            stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        });
+    }
+});
+
+// Stop session (protected)
+app.post('/api/stop', authenticate, async (req, res) => {
+    try {
+        const { sessionId } = req.body;
+        console.log('🛑 Stop request received for session:', sessionId);
+        
+        if (!sessionId) {
+            return res.status(400).json({ error: 'sessionId is required' });
+        }
+
+        const connection = await db.getWhatsAppConnectionBySessionId(sessionId);
+        console.log('🔍 Connection found:', connection ? 'Yes' : 'No');
+        
+        if (!connection || connection.tenant_id !== req.tenant.id) {
+            return res.status(403).json({ error: 'Unauthorized' });
+        }
+
+        console.log('🛑 Calling botManager.stopSession...');
+        await botManager.stopSession(sessionId);
+        
+        console.log('💾 Updating connection status in DB...');
+        await db.updateWhatsAppConnection(sessionId, { is_connected: false });
+        
+        console.log('✅ Session stopped successfully');
+        res.json({ message: 'Session stopped successfully', sessionId });
+    } catch (error) {
+        console.error('❌ Error stopping session:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Clear session data (protected)
+app.post('/api/clear', authenticate, async (req, res) => {
+    try {
+        const { sessionId } = req.body;
+        
+        if (!sessionId) {
+            return res.status(400).json({ error: 'sessionId is required' });
+        }
+
+        const connection = await db.getWhatsAppConnectionBySessionId(sessionId);
+        if (!connection || connection.tenant_id !== req.tenant.id) {
+            return res.status(403).json({ error: 'Unauthorized' });
+        }
+
+        await botManager.clearSession(sessionId);
+        await db.deleteWhatsAppConnection(sessionId);
+        
+        res.json({ message: 'Session cleared successfully', sessionId });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get tenant info endpoint (for debugging)
+app.get('/api/tenant-info', authenticate, async (req, res) => {
+    try {
+        const tenant = await db.getTenantById(req.tenant.id);
+        res.json({
+            id: tenant.id,
+            name: tenant.name,
+            email: tenant.email,
+            owner_whatsapp_number: tenant.owner_whatsapp_number,
+            bot_paused: !!tenant.bot_paused,
+            currency: tenant.currency || moneyService.defaultCurrency,
+            locale: tenant.locale || null,
+            timezone: appointmentService.getTimezone(tenant),
+            created_at: tenant.created_at
+        });
+    } catch (error) {
+        console.error('❌ Error getting tenant info:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Update currency / number format (protected) - used for prices, order totals and payment checks
+app.put('/api/tenant-settings', authenticate, async (req, res) => {
+    try {
+        const { currency, locale } = req.body;
+        const validationError = moneyService.validateSettings({ currency, locale });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const updates = {};
+        if (currency !== undefined) updates.currency = currency.toUpperCase();
+        if (locale !== undefined) updates.locale = locale || null;
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'No settings to update (currency, locale)' });
+        }
+
+        const tenant = await db.updateTenant(req.tenant.id, updates);
+        console.log(`💱 Tenant ${req.tenant.id} money settings updated:`, updates);
+        res.json({
+            message: 'Settings updated successfully',
+            settings: moneyService.getSettings(tenant),
+            example: moneyService.format(1234.5, tenant.currency, tenant.locale)
+        });
+    } catch (error) {
+        console.error('❌ Error updating tenant settings:', error);
         res.status(500).json({ error: error.message });
     }
 });
@@ -229,14 +229,14 @@ class AIService {
     /**
      * Get system prompt for AI
      * @param {string} senderName - Name of the person chatting
-     * @param {object} context - Additional context (botMode, modeContext)
+     * @param {object} context - Additional context (botMode, modeContext, catalog, delivery, appointments)
      * @returns {string} System prompt
      */
     getSystemPrompt(senderName, context = {}) {
-        const { botMode = 'conversational', modeContext = '' } = context;
+        const { botMode = 'conversational', modeContext = '', catalog = '', delivery = '', appointments = '' } = context;
         
         // Use user's custom business data if provided, otherwise use default
-        const productData = this.businessData || `
+        const fallbackProductData = this.businessData || `
 PRODUCTS/SERVICES YOU SELL:
 
 1. WA Sender/WA CRM - إرسال رسائل جماعية
@@ -264,6 +264,14 @@ PRODUCTS/SERVICES YOU SELL:
 7. Windows + Office: 99 DH تفعيل أصلي فوري
 `;
 
+        // Structured catalog is authoritative; business data only adds extra info
+        const productData = catalog
+            ? (this.businessData ? `${catalog}\n\nADDITIONAL BUSINESS INFO:\n${this.businessData}` : catalog)
+            : fallbackProductData;
+
+        // Tenant delivery zones replace the example fees below
+        const deliveryData = delivery ? `\n\n${delivery}` : '';
+
         // Mode-specific system prompts
         if (botMode === 'conversational') {
             return `${modeContext}
@@ -291,23 +299,26 @@ Customer name: ${senderName}`;
         }
         
         if (botMode === 'appointment') {
+            // Real services and free slots from the booking engine (none configured = no booking)
+            const availability = appointments || 'No services or opening hours are configured yet: online booking is not available, invite the customer to contact the business directly.';
             return `${modeContext}
 
-You are an appointment booking assistant. Help customers schedule appointments, check availability, and answer service questions.
+You are an appointment booking assistant. Help customers check availability and answer service questions.
+
+${availability}
 
 RULES:
-✓ Help book, reschedule, or cancel appointments
-✓ Ask for: Date, Time, Service Type, Name, Phone
+✓ ONLY mention services, prices and times listed above - NEVER invent or promise another time
+✓ If the customer asks for a time that is not listed, say it is not available and suggest the closest listed times
+✓ NEVER confirm a booking yourself - to book, the customer replies *RDV* (or "موعد" / "BOOK") and is guided step by step
 ✓ Be professional and efficient
 ✓ ALWAYS reply in customer's language
-✓ Confirm all appointment details clearly
-✓ Check availability before confirming
 
 EXAMPLES:
 
-Customer: "I need an appointment" → You: "I'd be happy to help! What service do you need and what date works for you?"
-Customer: "Je voudrais prendre rendez-vous" → You: "Avec plaisir! Quel service vous intéresse et pour quelle date?"
-Customer: "بغيت موعد" → You: "مرحبا! شنو الخدمة اللي بغيتي و أشمن نهار يناسبك?"
+Customer: "I need an appointment" → You: "I'd be happy to help! Here are our services and next free times: ... Reply *BOOK* to choose yours."
+Customer: "Vous avez de la place demain à 10h?" → You: "Demain, nous avons 10:00 et 10:30 de libre. Répondez *RDV* pour réserver."
+Customer: "بغيت موعد" → You: "مرحبا! هادي الخدمات و الأوقات المتاحة: ... صيفط *موعد* باش تحجز."
 
 Customer name: ${senderName}`;
         }
@@ -338,7 +349,7 @@ Customer name: ${senderName}`;
         return `You are a professional WhatsApp sales assistant for a business. Your ONLY job is to help customers buy products/services.
 
 YOUR PRODUCTS/SERVICES:
-${productData}
+${productData}${deliveryData}
 
 🚫 ABSOLUTE STRICT RULES - YOU MUST OBEY:
 ❌ NEVER answer questions about general knowledge, definitions, explanations
@@ -360,7 +371,7 @@ ${productData}
 4. **STAY TRANSACTIONAL** - Your ONLY purpose: help customers BUY your products
 5. **ALWAYS reply in customer's language** (English, French, Arabic, Darija)
 6. **COMPLETE but FOCUSED answers** - Give full product details (price, features, delivery) but ONLY for YOUR products. 2-3 sentences when needed.
-7. **ACCURATE prices** - Only mention products/prices from YOUR list above
+7. **ACCURATE prices** - Only mention products/prices from YOUR list above - never invent, round or discount a price
 8. **IMAGE ANALYSIS (VISION)** - When customer sends image:
    - Analyze image content carefully and accurately
    - If image shows payment proof: Read amount, date, transaction details → Confirm receipt
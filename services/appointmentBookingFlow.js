@@ -0,0 +1,553 @@
+/**
+ * Appointment Booking Flow
+ * Guided booking on WhatsApp: service, staff member (when several do it), day,
+ * free slot, name, then a recap to confirm. Only slots returned by the appointment
+ * engine are offered.
+ */
+
+const appointmentService = require('./appointmentService');
+const moneyService = require('./moneyService');
+const deliveryDetailsFlow = require('./deliveryDetailsFlow');
+const orderLifecycle = require('./orderLifecycle');
+
+// Messages that start a booking (whole words, fr/en/ar)
+const FRENCH_BOOKING_KEYWORDS = ['rdv', 'rendez vous', 'réserver', 'reserver', 'réservation', 'reservation'];
+const BOOKING_KEYWORDS = [
+    ...FRENCH_BOOKING_KEYWORDS,
+    'appointment', 'book', 'booking',
+    'موعد', 'حجز', 'نحجز'
+];
+
+const CONFIRM_KEYWORDS = ['oui', 'confirmer', 'confirme', 'ok', 'd accord', 'yes', 'confirm', 'نعم', 'تأكيد', 'اكيد', 'أكيد', 'wakha', 'واخا'];
+const CHANGE_KEYWORDS = ['changer', 'modifier', 'autre', 'change', 'other', 'تغيير', 'بدل'];
+const TODAY_KEYWORDS = ["aujourd hui", 'aujourdhui', 'today', 'اليوم', 'lyoum'];
+const TOMORROW_KEYWORDS = ['demain', 'tomorrow', 'غدا', 'غدوة', 'ghda', 'ghedda'];
+const ANY_STAFF_KEYWORDS = ['peu importe', 'n importe', 'premier disponible', 'any', 'anyone', 'whoever', 'لا يهم', 'أي واحد', 'اي واحد', 'ay wahed'];
+
+const ANY_STAFF_LABELS = {
+    fr: 'Peu importe (premier disponible)',
+    ar: 'أي شخص (أول متاح)',
+    en: 'Anyone (first available)'
+};
+
+// Days and slots listed in one message
+const MAX_LISTED_DAYS = 7;
+
+const MESSAGES = {
+    service: {
+        fr: (lines) => `📅 *Prise de rendez-vous*\n\nQuel service souhaitez-vous?\n\n${lines}\n\n👉 Répondez avec le numéro du service (ex: 1)\n❌ Pour annuler: répondez "ANNULER"`,
+        ar: (lines) => `📅 *حجز موعد*\n\nما هي الخدمة التي تريدها؟\n\n${lines}\n\n👉 أرسل رقم الخدمة (مثال: 1)\n❌ للإلغاء: اكتب "إلغاء"`,
+        en: (lines) => `📅 *Book an appointment*\n\nWhich service would you like?\n\n${lines}\n\n👉 Reply with the service number (e.g. 1)\n❌ To cancel: reply "CANCEL"`
+    },
+    staff: {
+        fr: (service, lines) => `🧑‍💼 *${service}*: avec qui souhaitez-vous votre rendez-vous?\n\n${lines}\n\n👉 Répondez avec le numéro (ex: 0 pour le premier disponible)`,
+        ar: (service, lines) => `🧑‍💼 *${service}*: مع من تريد موعدك؟\n\n${lines}\n\n👉 أرسل الرقم (مثال: 0 لأول شخص متاح)`,
+        en: (service, lines) => `🧑‍💼 *${service}*: who would you like to see?\n\n${lines}\n\n👉 Reply with the number (e.g. 0 for the first available)`
+    },
+    day: {
+        fr: (service, lines) => `📅 *${service}*: quel jour vous convient?\n\n${lines}\n\n👉 Répondez avec le numéro du jour (ex: 1) ou "demain"`,
+        ar: (service, lines) => `📅 *${service}*: أي يوم يناسبك؟\n\n${lines}\n\n👉 أرسل رقم اليوم (مثال: 1) أو "غدا"`,
+        en: (service, lines) => `📅 *${service}*: which day suits you?\n\n${lines}\n\n👉 Reply with the day number (e.g. 1) or "tomorrow"`
+    },
+    slot: {
+        fr: (date, lines) => `🕐 *${date}*: créneaux disponibles\n\n${lines}\n\n👉 Répondez avec le numéro du créneau ou l'heure (ex: 14h30)`,
+        ar: (date, lines) => `🕐 *${date}*: الأوقات المتاحة\n\n${lines}\n\n👉 أرسل رقم الوقت أو الساعة (مثال: 14:30)`,
+        en: (date, lines) => `🕐 *${date}*: available times\n\n${lines}\n\n👉 Reply with the slot number or the time (e.g. 14:30)`
+    },
+    name: {
+        fr: () => '👤 À quel nom dois-je réserver?',
+        ar: () => '👤 باسم من أحجز الموعد؟',
+        en: () => '👤 What name should I book it under?'
+    },
+    confirm: {
+        fr: (r) => `📋 *Récapitulatif*\n\n💼 ${r.service}${r.duration ? ` (${r.duration})` : ''}${r.staff ? `\n🧑‍💼 Avec ${r.staff}` : ''}\n📅 ${r.date} à ${r.time}\n👤 ${r.name}${r.price ? `\n💰 ${r.price}` : ''}\n\n✅ Répondez *OUI* pour confirmer\n🔁 *CHANGER* pour un autre horaire\n❌ *ANNULER* pour abandonner`,
+        ar: (r) => `📋 *ملخص الموعد*\n\n💼 ${r.service}${r.duration ? ` (${r.duration})` : ''}${r.staff ? `\n🧑‍💼 مع ${r.staff}` : ''}\n📅 ${r.date} على الساعة ${r.time}\n👤 ${r.name}${r.price ? `\n💰 ${r.price}` : ''}\n\n✅ أرسل *نعم* للتأكيد\n🔁 *تغيير* لاختيار وقت آخر\n❌ *إلغاء* للتراجع`,
+        en: (r) => `📋 *Summary*\n\n💼 ${r.service}${r.duration ? ` (${r.duration})` : ''}${r.staff ? `\n🧑‍💼 With ${r.staff}` : ''}\n📅 ${r.date} at ${r.time}\n👤 ${r.name}${r.price ? `\n💰 ${r.price}` : ''}\n\n✅ Reply *YES* to confirm\n🔁 *CHANGE* for another time\n❌ *CANCEL* to stop`
+    },
+    noServices: {
+        fr: '📅 La prise de rendez-vous en ligne n\'est pas encore disponible. Contactez-nous directement pour réserver.',
+        ar: '📅 الحجز عبر الواتساب غير متاح حالياً. تواصل معنا مباشرة لحجز موعد.',
+        en: '📅 Online booking isn\'t available yet. Please contact us directly to book.'
+    },
+    cancelled: {
+        fr: '✅ Prise de rendez-vous annulée. Comment puis-je vous aider?',
+        ar: '✅ تم إلغاء الحجز. كيف يمكنني مساعدتك؟',
+        en: '✅ Booking cancelled. How can I help you?'
+    },
+    unchanged: {
+        fr: '✅ D\'accord, votre rendez-vous reste inchangé.',
+        ar: '✅ حسناً، موعدك يبقى كما هو.',
+        en: '✅ OK, your appointment stays as it is.'
+    }
+};
+
+const ERRORS = {
+    service: {
+        fr: (lines) => `⚠️ Service introuvable. Services disponibles:\n${lines}`,
+        ar: (lines) => `⚠️ الخدمة غير موجودة. الخدمات المتاحة:\n${lines}`,
+        en: (lines) => `⚠️ Service not found. Available services:\n${lines}`
+    },
+    staff: {
+        fr: (lines) => `⚠️ Je n'ai pas compris. Avec qui souhaitez-vous votre rendez-vous?\n${lines}`,
+        ar: (lines) => `⚠️ لم أفهم. مع من تريد موعدك؟\n${lines}`,
+        en: (lines) => `⚠️ I didn't get that. Who would you like to see?\n${lines}`
+    },
+    staffNoSlots: {
+        fr: (name, lines) => `😔 Plus aucun créneau libre avec *${name}* dans les prochains jours. Avec qui d'autre?\n\n${lines}`,
+        ar: (name, lines) => `😔 لا يوجد أي وقت متاح مع *${name}* في الأيام القادمة. مع من تريد؟\n\n${lines}`,
+        en: (name, lines) => `😔 No free slot left with *${name}* in the coming days. Who else would you like to see?\n\n${lines}`
+    },
+    noSlots: {
+        fr: (service, lines) => `😔 Plus aucun créneau libre pour *${service}* dans les prochains jours.${lines ? `\n\nAutres services:\n${lines}` : ''}`,
+        ar: (service, lines) => `😔 لا يوجد أي وقت متاح لـ *${service}* في الأيام القادمة.${lines ? `\n\nخدمات أخرى:\n${lines}` : ''}`,
+        en: (service, lines) => `😔 No free slot left for *${service}* in the coming days.${lines ? `\n\nOther services:\n${lines}` : ''}`
+    },
+    day: {
+        fr: (lines) => `⚠️ Ce jour n'est pas disponible. Jours avec des créneaux libres:\n${lines}`,
+        ar: (lines) => `⚠️ هذا اليوم غير متاح. الأيام المتاحة:\n${lines}`,
+        en: (lines) => `⚠️ That day isn't available. Days with free slots:\n${lines}`
+    },
+    slot: {
+        fr: (lines) => `⚠️ Ce créneau n'est pas disponible. Créneaux libres:\n${lines}`,
+        ar: (lines) => `⚠️ هذا الوقت غير متاح. الأوقات المتاحة:\n${lines}`,
+        en: (lines) => `⚠️ That time isn't available. Free slots:\n${lines}`
+    },
+    taken: {
+        fr: (lines) => `😔 Ce créneau vient d'être réservé. Jours avec des créneaux libres:\n${lines}`,
+        ar: (lines) => `😔 تم حجز هذا الوقت للتو. الأيام المتاحة:\n${lines}`,
+        en: (lines) => `😔 That slot was just booked. Days with free slots:\n${lines}`
+    },
+    name: {
+        fr: () => '⚠️ Merci d\'indiquer votre nom (ex: Sara Alaoui).',
+        ar: () => '⚠️ المرجو كتابة اسمك (مثال: سارة العلوي).',
+        en: () => '⚠️ Please tell me your name (e.g. Sara Alaoui).'
+    },
+    confirm: {
+        fr: () => '⚠️ Répondez *OUI* pour confirmer, *CHANGER* pour un autre horaire ou *ANNULER*.',
+        ar: () => '⚠️ أرسل *نعم* للتأكيد، *تغيير* لوقت آخر أو *إلغاء*.',
+        en: () => '⚠️ Reply *YES* to confirm, *CHANGE* for another time or *CANCEL*.'
+    }
+};
+
+class AppointmentBookingFlow {
+    /**
+     * Check whether a customer message asks for an appointment
+     */
+    isBookingRequest(text) {
+        return deliveryDetailsFlow.matches(text, BOOKING_KEYWORDS);
+    }
+
+    /**
+     * Language of the booking ("rdv demain" is French even without other French words)
+     */
+    detectLanguage(text) {
+        const language = orderLifecycle.detectLanguageCode(text);
+        return language === 'en' && deliveryDetailsFlow.matches(text, FRENCH_BOOKING_KEYWORDS) ? 'fr' : language;
+    }
+
+    message(key, language = 'fr', ...args) {
+        const template = MESSAGES[key][language] || MESSAGES[key].fr;
+        return typeof template === 'function' ? template(...args) : template;
+    }
+
+    error(key, language = 'fr', ...args) {
+        return (ERRORS[key][language] || ERRORS[key].fr)(...args);
+    }
+
+    toLatinDigits(text) {
+        return (text || '').replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660));
+    }
+
+    /**
+     * One line per service ("1. Coupe homme (30 min) - 80 DH")
+     * @param {Object} money - Tenant { currency, locale }
+     */
+    formatServices(services, money = moneyService.getSettings(null)) {
+        return services.map((service, i) => {
+            const price = service.price !== null && service.price !== undefined
+                ? ` - ${moneyService.format(service.price, money.currency, money.locale)}`
+                : '';
+            return `${i + 1}. ${service.name} (${appointmentService.formatDuration(service.duration_minutes)})${price}`;
+        }).join('\n');
+    }
+
+    formatDays(days, language = 'fr') {
+        return days.slice(0, MAX_LISTED_DAYS)
+            .map((day, i) => `${i + 1}. ${appointmentService.formatDate(day.date, language)}`)
+            .join('\n');
+    }
+
+    formatSlots(slots) {
+        return slots.map((slot, i) => `${i + 1}. ${slot.time}`).join('\n');
+    }
+
+    formatStaff(members, language = 'fr') {
+        return [`0. ${ANY_STAFF_LABELS[language] || ANY_STAFF_LABELS.fr}`]
+            .concat(members.map((member, i) => `${i + 1}. ${member.name}`))
+            .join('\n');
+    }
+
+    /**
+     * Staff members who do a service (context.staff: active staff, serviceIds empty = every service)
+     */
+    getServiceStaff(service, context) {
+        return (context.staff || []).filter(member => member.serviceIds.length === 0 || member.serviceIds.includes(service.id));
+    }
+
+    /**
+     * Staff member a customer picked ("2", "Sara", "peu importe")
+     * @param {boolean} allowNumber - Accept a list number or "anyone" (not in the first message)
+     * @returns {Object|null} { member } (member null = anyone) or null if nobody is named
+     */
+    findStaff(text, members, allowNumber = true) {
+        const reply = this.toLatinDigits(text).trim();
+
+        const number = reply.match(/^(\d{1,2})$/);
+        if (number) {
+            if (!allowNumber) return null;
+            const index = parseInt(number[1]);
+            if (index === 0) return { member: null };
+            return members[index - 1] ? { member: members[index - 1] } : null;
+        }
+        if (allowNumber && deliveryDetailsFlow.matches(reply, ANY_STAFF_KEYWORDS)) return { member: null };
+
+        // Full name, then first name ("avec Sara")
+        const normalized = ` ${deliveryDetailsFlow.normalize(reply)} `;
+        const member = members.find(m => {
+            const name = deliveryDetailsFlow.normalize(m.name);
+            return name && normalized.includes(` ${name} `);
+        }) || members.find(m => {
+            const firstName = deliveryDetailsFlow.normalize(m.name).split(' ')[0];
+            return firstName.length >= 3 && normalized.includes(` ${firstName} `);
+        });
+        return member ? { member } : null;
+    }
+
+    /**
+     * Service a customer picked ("2", "coupe homme")
+     * @param {boolean} allowNumber - Accept a list number (not in the first message: "rdv demain 14h")
+     */
+    findService(text, services, allowNumber = true) {
+        const reply = this.toLatinDigits(text).trim();
+
+        const number = reply.match(/^(\d{1,2})$/);
+        if (number) {
+            return allowNumber ? services[parseInt(number[1]) - 1] || null : null;
+        }
+
+        const normalized = deliveryDetailsFlow.normalize(reply);
+        if (normalized.length < 3) return null;
+        return services.find(service => {
+            const name = deliveryDetailsFlow.normalize(service.name);
+            return name && ` ${normalized} `.includes(` ${name} `);
+        }) || services.find(service => {
+            const name = deliveryDetailsFlow.normalize(service.name);
+            return name && allowNumber && name.includes(normalized);
+        }) || null;
+    }
+
+    /**
+     * Day a customer picked among the free days ("2", "demain", "21/10")
+     * @param {Array} days - Free days ([{ date, slots }]) from the engine
+     * @param {string} today - Today's date in the tenant's timezone
+     * @param {boolean} allowNumber - Accept a list number
+     * @returns {Object|null} { day } (day null = a real day, but not free) or null if no day is named
+     */
+    findDay(text, days, today, allowNumber = true) {
+        const reply = this.toLatinDigits(text).trim();
+        const pick = (date) => ({ day: days.find(d => d.date === date) || null });
+
+        if (deliveryDetailsFlow.matches(reply, TODAY_KEYWORDS)) return pick(today);
+        if (deliveryDetailsFlow.matches(reply, TOMORROW_KEYWORDS)) return pick(appointmentService.addDays(today, 1));
+
+        const date = reply.match(/\b(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2,4}))?\b/);
+        if (date) {
+            let year = date[3] ? parseInt(date[3]) : parseInt(today.substring(0, 4));
+            if (year < 100) year += 2000;
+            let candidate = `${year}-${date[2].padStart(2, '0')}-${date[1].padStart(2, '0')}`;
+            // "05/01" in December means next January
+            if (!date[3] && candidate < today) candidate = `${year + 1}${candidate.substring(4)}`;
+            return appointmentService.isValidDate(candidate) ? pick(candidate) : { day: null };
+        }
+
+        const number = reply.match(/^(\d{1,2})$/);
+        if (number && allowNumber) {
+            const index = parseInt(number[1]) - 1;
+            return { day: index < MAX_LISTED_DAYS ? days[index] || null : null };
+        }
+
+        return null;
+    }
+
+    /**
+     * Time a customer wrote ("14h30", "14:30", "9h", "à 10h")
+     * @returns {string|null} "HH:MM" or null
+     */
+    parseTime(text) {
+        const match = this.toLatinDigits(text).match(/\b([01]?\d|2[0-3])\s*(?:h|:)\s*([0-5]\d)?\b/i);
+        if (!match) return null;
+        return `${match[1].padStart(2, '0')}:${match[2] || '00'}`;
+    }
+
+    /**
+     * Slot a customer picked on a day ("3", "14h30")
+     */
+    findSlot(text, slots) {
+        const time = this.parseTime(text);
+        if (time) return slots.find(slot => slot.time === time) || null;
+
+        const number = this.toLatinDigits(text).trim().match(/^(\d{1,2})$/);
+        return number ? slots[parseInt(number[1]) - 1] || null : null;
+    }
+
+    /**
+     * Recap before booking
+     */
+    buildRecap(info, service, money, language = 'fr', member = null) {
+        return this.message('confirm', language, {
+            service: service.name,
+            staff: member ? member.name : null,
+            duration: appointmentService.formatDuration(service.duration_minutes),
+            date: appointmentService.formatDate(info.date, language),
+            time: info.time,
+            name: info.name,
+            price: service.price !== null && service.price !== undefined
+                ? moneyService.format(service.price, money.currency, money.locale)
+                : null
+        });
+    }
+
+    /**
+     * Question (or recap) for the first step still missing, days/slots re-checked
+     * @returns {Promise<Object>} { info, reply, done }
+     */
+    async next(info, context, errorKey = null) {
+        const { services, loadDays, money } = context;
+        const language = info.language || 'fr';
+        const service = services.find(s => s.id === info.serviceId);
+
+        if (!service) {
+            return { info: { ...info, step: 'service', serviceId: null }, reply: this.message('service', language, this.formatServices(services, money)), done: false };
+        }
+
+        // Several staff members do it: who with? (asked again if the one chosen stopped doing it)
+        const serviceStaff = this.getServiceStaff(service, context);
+        const member = serviceStaff.find(m => m.id === info.staffId) || null;
+        if (serviceStaff.length > 1 && (!info.staffChosen || (info.staffId && !member))) {
+            return {
+                info: { ...info, step: 'staff', staffId: null, staffChosen: false, date: null, time: null },
+                reply: this.message('staff', language, service.name, this.formatStaff(serviceStaff, language)),
+                done: false
+            };
+        }
+
+        const days = await loadDays(service, member ? member.id : null);
+        if (days.length === 0 && member && serviceStaff.length > 1) {
+            return {
+                info: { ...info, step: 'staff', staffId: null, staffChosen: false, date: null, time: null },
+                reply: this.error('staffNoSlots', language, member.name, this.formatStaff(serviceStaff, language)),
+                done: false
+            };
+        }
+        if (days.length === 0) {
+            const others = services.filter(s => s.id !== service.id);
+            return {
+                info: { ...info, step: 'service', serviceId: null, date: null, time: null },
+                reply: this.error('noSlots', language, service.name, this.formatServices(others, money)) +
+                    (others.length > 0 ? `\n\n${this.message('service', language, this.formatServices(services, money))}` : ''),
+                done: others.length === 0
+            };
+        }
+
+        const day = days.find(d => d.date === info.date);
+        if (!day) {
+            const lines = this.formatDays(days, language);
+            return {
+                info: { ...info, step: 'day', date: null, time: null },
+                reply: errorKey ? this.error(errorKey, language, lines) : this.message('day', language, member ? `${service.name} - ${member.name}` : service.name, lines),
+                done: false
+            };
+        }
+
+        if (!day.slots.some(slot => slot.time === info.time)) {
+            const lines = this.formatSlots(day.slots);
+            return {
+                info: { ...info, step: 'slot', time: null },
+                reply: info.time ? this.error('slot', language, lines) : this.message('slot', language, appointmentService.formatDate(day.date, language), lines),
+                done: false
+            };
+        }
+
+        if (!info.name) {
+            return { info: { ...info, step: 'name' }, reply: this.message('name', language), done: false };
+        }
+
+        return { info: { ...info, step: 'confirm' }, reply: this.buildRecap(info, service, money, language, member), done: false };
+    }
+
+    /**
+     * First question, skipping what the message already says ("rdv coupe demain 14h")
+     * @param {string} text - Message that started the booking
+     * @param {Object} context - { services (active, at least one), staff (active, [{ id, name, serviceIds }]),
+     *   loadDays(service, staffId) -> free days, today, customerName, money, language }
+     * @returns {Promise<Object>} { info, reply, done }
+     */
+    async start(text, context) {
+        const { services, today } = context;
+        const info = {
+            step: 'service',
+            serviceId: null,
+            staffId: null,
+            staffChosen: false,
+            date: null,
+            time: null,
+            name: context.customerName || null,
+            language: context.language || 'fr'
+        };
+
+        const service = services.length === 1 ? services[0] : this.findService(text, services, false);
+        if (service) {
+            info.serviceId = service.id;
+            // "rdv coupe avec Sara"
+            const found = this.findStaff(text, this.getServiceStaff(service, context), false);
+            if (found) {
+                info.staffId = found.member.id;
+                info.staffChosen = true;
+            }
+
+            const days = await context.loadDays(service, info.staffId);
+            const day = this.findDay(text, days, today, false);
+            if (day && day.day) {
+                info.date = day.day.date;
+                const slot = this.findSlot(text, day.day.slots);
+                if (slot && this.parseTime(text)) info.time = slot.time;
+            }
+        }
+
+        return this.next(info, context);
+    }
+
+    /**
+     * Process a customer reply
+     * @param {Object} info - bookingInfo from the conversation state
+     * @param {string} text - Customer reply
+     * @param {Object} context - Same as start()
+     * @returns {Promise<Object>} { info, reply, done } (done with a reply = nothing left to book)
+     */
+    async handle(info, text, context) {
+        const { services, today, money } = context;
+        const language = info.language || 'fr';
+        const updated = { ...info };
+
+        switch (updated.step) {
+            case 'service': {
+                const service = this.findService(text, services);
+                if (!service) {
+                    return { info: updated, reply: this.error('service', language, this.formatServices(services, money)), done: false };
+                }
+                updated.serviceId = service.id;
+                updated.staffId = null;
+                updated.staffChosen = false;
+                updated.date = null;
+                updated.time = null;
+                return this.next(updated, context);
+            }
+
+            case 'staff': {
+                const service = services.find(s => s.id === updated.serviceId);
+                const serviceStaff = service ? this.getServiceStaff(service, context) : [];
+                const found = this.findStaff(text, serviceStaff);
+                if (!found) {
+                    return { info: updated, reply: this.error('staff', language, this.formatStaff(serviceStaff, language)), done: false };
+                }
+                updated.staffId = found.member ? found.member.id : null;
+                updated.staffChosen = true;
+                return this.next(updated, context);
+            }
+
+            case 'day': {
+                const service = services.find(s => s.id === updated.serviceId);
+                const days = service ? await context.loadDays(service, updated.staffId || null) : [];
+                const found = this.findDay(text, days, today);
+                if (found && found.day) {
+                    updated.date = found.day.date;
+                    // "demain 10h" picks the time too
+                    const time = this.parseTime(text);
+                    if (time && found.day.slots.some(slot => slot.time === time)) updated.time = time;
+                    return this.next(updated, context);
+                }
+                return this.next(updated, context, 'day');
+            }
+
+            case 'slot': {
+                const service = services.find(s => s.id === updated.serviceId);
+                const days = service ? await context.loadDays(service, updated.staffId || null) : [];
+                const day = days.find(d => d.date === updated.date);
+                if (day) {
+                    const slot = this.findSlot(text, day.slots);
+                    if (!slot) {
+                        return { info: updated, reply: this.error('slot', language, this.formatSlots(day.slots)), done: false };
+                    }
+                    updated.time = slot.time;
+                }
+                return this.next(updated, context, 'taken');
+            }
+
+            case 'name': {
+                const name = (text || '').replace(/\s+/g, ' ').trim();
+                if (name.length > 100 || !/\p{L}{2,}/u.test(name)) {
+                    return { info: updated, reply: this.error('name', language), done: false };
+                }
+                updated.name = name;
+                return this.next(updated, context, 'taken');
+            }
+
+            case 'confirm': {
+                if (deliveryDetailsFlow.matches(text, CHANGE_KEYWORDS)) {
+                    return this.next({ ...updated, date: null, time: null }, context);
+                }
+                if (!deliveryDetailsFlow.matches(text, CONFIRM_KEYWORDS)) {
+                    return { info: updated, reply: this.error('confirm', language), done: false };
+                }
+                // Slot still free? Otherwise back to the free days
+                const checked = await this.next(updated, context, 'taken');
+                if (checked.info.step !== 'confirm') return checked;
+                return { info: updated, reply: null, done: true };
+            }
+
+            default:
+                // Unknown step (older conversation) - start over
+                return this.next({ ...updated, serviceId: null, staffId: null, staffChosen: false, date: null, time: null }, context);
+        }
+    }
+
+    /**
+     * Move an existing appointment: straight to the free days of its service
+     * @param {Object} appointment - Booked appointment
+     * @param {Object} context - Same as start(), services = [the appointment's service]
+     * @returns {Promise<Object>} { info, reply, done }
+     */
+    async startReschedule(appointment, context) {
+        return this.next({
+            step: 'day',
+            serviceId: appointment.service_id,
+            // Same staff member; asked again if they no longer do it
+            staffId: appointment.staff_id || null,
+            staffChosen: !!appointment.staff_id,
+            date: null,
+            time: null,
+            name: appointment.customer_name || context.customerName || null,
+            language: appointment.customer_language || context.language || 'fr',
+            rescheduleId: appointment.id
+        }, context);
+    }
+
+    /**
+     * Back to the free days after the slot was booked by someone else meanwhile
+     */
+    async retake(info, context) {
+        return this.next({ ...info, time: null, date: null }, context, 'taken');
+    }
+}
+
+module.exports = new AppointmentBookingFlow();
@@ -0,0 +1,243 @@
+/**
+ * Appointment Reminder Service
+ * Reminds customers of their booked appointments (e.g. 24h and 1h before) from
+ * the tenant's WhatsApp session, reads their reply (confirm, reschedule, cancel)
+ * and reports confirmation and no-show rates.
+ * Everything is derived from the database, so restarts never resend or lose a reminder.
+ */
+
+const db = require('../database/db');
+const appointmentService = require('./appointmentService');
+const deliveryDetailsFlow = require('./deliveryDetailsFlow');
+
+const REMINDER_MESSAGES = {
+    fr: (a) => `⏰ *Rappel: rendez-vous ${a.when}*\n\n💼 ${a.service}\n📅 ${a.date} à ${a.time}\n\nRépondez:\n1️⃣ *CONFIRMER* - je serai là\n2️⃣ *DÉPLACER* - choisir un autre horaire\n3️⃣ *ANNULER* - annuler le rendez-vous`,
+    ar: (a) => `⏰ *تذكير: موعدك ${a.when}*\n\n💼 ${a.service}\n📅 ${a.date} على الساعة ${a.time}\n\nأرسل:\n1️⃣ *تأكيد* - سأحضر\n2️⃣ *تغيير* - اختيار وقت آخر\n3️⃣ *إلغاء* - إلغاء الموعد`,
+    en: (a) => `⏰ *Reminder: appointment ${a.when}*\n\n💼 ${a.service}\n📅 ${a.date} at ${a.time}\n\nReply:\n1️⃣ *CONFIRM* - I'll be there\n2️⃣ *MOVE* - pick another time\n3️⃣ *CANCEL* - cancel the appointment`
+};
+
+// "in 24h", "in 1h" (hours before the appointment, rounded)
+const WHEN_LABELS = {
+    fr: (hours) => hours >= 24 && hours % 24 === 0 ? (hours === 24 ? 'demain' : `dans ${hours / 24} jours`) : `dans ${hours}h`,
+    ar: (hours) => hours >= 24 && hours % 24 === 0 ? (hours === 24 ? 'غداً' : `بعد ${hours / 24} أيام`) : `بعد ${hours} ساعة`,
+    en: (hours) => hours >= 24 && hours % 24 === 0 ? (hours === 24 ? 'tomorrow' : `in ${hours / 24} days`) : `in ${hours}h`
+};
+
+const REPLY_MESSAGES = {
+    confirmed: {
+        fr: (a) => `✅ Merci! Votre rendez-vous du ${a.date} à ${a.time} est confirmé. À bientôt!`,
+        ar: (a) => `✅ شكراً! تم تأكيد موعدك يوم ${a.date} على الساعة ${a.time}. إلى اللقاء!`,
+        en: (a) => `✅ Thank you! Your appointment on ${a.date} at ${a.time} is confirmed. See you soon!`
+    },
+    cancelled: {
+        fr: (a) => `❌ Votre rendez-vous du ${a.date} à ${a.time} est annulé.\n\nPour reprendre rendez-vous, répondez *RDV*.`,
+        ar: (a) => `❌ تم إلغاء موعدك يوم ${a.date} على الساعة ${a.time}.\n\nلحجز موعد جديد، أرسل *موعد*.`,
+        en: (a) => `❌ Your appointment on ${a.date} at ${a.time} is cancelled.\n\nTo book again, reply *BOOK*.`
+    }
+};
+
+// Reply words (whole words); bare words and numbers only count as a reply to a reminder
+const REPLY_KEYWORDS = {
+    confirm: ['confirmer', 'confirme', 'je confirme', 'oui', 'confirm', 'yes', 'تأكيد', 'أكيد', 'اكيد', 'نعم', 'wakha', 'واخا'],
+    reschedule: ['deplacer', 'déplacer', 'reporter', 'decaler', 'décaler', 'changer', 'modifier', 'move', 'reschedule', 'change', 'تغيير', 'تأجيل', 'بدل'],
+    cancel: ['annuler', 'annule', 'cancel', 'إلغاء', 'الغاء', 'لغي']
+};
+const REPLY_NUMBERS = { 1: 'confirm', 2: 'reschedule', 3: 'cancel' };
+
+// Words that make an action about the appointment without a reminder ("annuler mon rdv")
+const APPOINTMENT_WORDS = ['rdv', 'rendez vous', 'appointment', 'booking', 'réservation', 'reservation', 'موعد', 'الموعد', 'حجز'];
+
+/**
+ * Parse "24,1" into [24, 1] (hours before the appointment, largest first)
+ */
+function parseHours(value, fallback) {
+    const hours = String(value || '')
+        .split(',')
+        .map(h => parseFloat(h))
+        .filter(h => !isNaN(h) && h > 0)
+        .sort((a, b) => b - a);
+    return hours.length > 0 ? hours : fallback;
+}
+
+class AppointmentReminderService {
+    constructor() {
+        this.reminderHours = parseHours(process.env.APPOINTMENT_REMINDER_HOURS, [24, 1]);
+        this.checkInterval = 300000; // Check every 5 minutes
+        this.intervalId = null;
+        this.running = false;
+        this.botManager = null;
+    }
+
+    /**
+     * Reminder an appointment needs now
+     * A step is skipped when the appointment was booked after its time (no "tomorrow" reminder
+     * for a booking made this morning); earlier steps missed (e.g. server down) are skipped too.
+     * @param {Object} appointment - Row from db.getAppointmentsToRemind
+     * @returns {number|null} Step index or null
+     */
+    getDueStep(appointment, now = new Date()) {
+        const startsAt = new Date(appointment.starts_at).getTime();
+        const bookedAt = new Date(appointment.scheduled_at || appointment.created_at).getTime();
+        const hoursLeft = (startsAt - now.getTime()) / 3600000;
+        if (hoursLeft <= 0) return null;
+
+        let step = -1;
+        this.reminderHours.forEach((hours, i) => {
+            const sendAt = startsAt - hours * 3600000;
+            if (hoursLeft <= hours && bookedAt <= sendAt) step = i;
+        });
+
+        const lastStep = appointment.last_reminder_step === null || appointment.last_reminder_step === undefined
+            ? -1
+            : Number(appointment.last_reminder_step);
+        return step > lastStep ? step : null;
+    }
+
+    /**
+     * Date and time of an appointment in the customer's language
+     */
+    describe(appointment, timezone) {
+        const language = appointment.customer_language || 'fr';
+        const local = appointmentService.getLocalParts(appointment.starts_at, timezone);
+        return {
+            service: appointment.service_name,
+            date: appointmentService.formatDate(local.date, language),
+            time: appointmentService.formatMinutes(local.minutes)
+        };
+    }
+
+    buildReminderMessage(appointment, step) {
+        const language = appointment.customer_language || 'fr';
+        const timezone = appointmentService.getTimezone(appointment);
+        return (REMINDER_MESSAGES[language] || REMINDER_MESSAGES.fr)({
+            ...this.describe(appointment, timezone),
+            when: (WHEN_LABELS[language] || WHEN_LABELS.fr)(Math.round(this.reminderHours[step]))
+        });
+    }
+
+    /**
+     * Answer to a customer reply ('confirmed' or 'cancelled')
+     */
+    buildReplyMessage(key, appointment, timezone) {
+        const language = appointment.customer_language || 'fr';
+        return (REPLY_MESSAGES[key][language] || REPLY_MESSAGES[key].fr)(this.describe(appointment, timezone));
+    }
+
+    /**
+     * What a customer's message asks about their next appointment
+     * @param {boolean} reminded - A reminder was sent (bare "oui" / "2" count as replies)
+     * @returns {string|null} 'confirm', 'reschedule', 'cancel' or null
+     */
+    parseReply(text, reminded) {
+        const reply = (text || '').replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660)).trim();
+        const aboutAppointment = reminded || deliveryDetailsFlow.matches(reply, APPOINTMENT_WORDS);
+
+        if (reminded && REPLY_NUMBERS[reply]) return REPLY_NUMBERS[reply];
+        if (!aboutAppointment) return null;
+
+        // Cancel first: "annuler" must not be read as a confirmation
+        for (const action of ['cancel', 'reschedule', 'confirm']) {
+            if (action === 'confirm' && !reminded) continue;
+            if (deliveryDetailsFlow.matches(reply, REPLY_KEYWORDS[action])) return action;
+        }
+        return null;
+    }
+
+    /**
+     * Send one reminder (recorded first so two runs can't both send it)
+     * @returns {Promise<boolean>} true if sent
+     */
+    async sendReminder(appointment, step) {
+        const claim = await db.claimAppointmentReminder(appointment.id, appointment.tenant_id, step);
+        if (!claim) return false;
+
+        const sent = await this.botManager.notifyCustomer(appointment.tenant_id, appointment.customer_phone, this.buildReminderMessage(appointment, step));
+        if (!sent) {
+            // WhatsApp not connected - try again on the next run
+            await db.deleteAppointmentReminder(claim.id);
+            return false;
+        }
+
+        console.log(`⏰ [Reminders] Reminder ${step + 1}/${this.reminderHours.length} sent for appointment ${appointment.id}`);
+        return true;
+    }
+
+    /**
+     * One pass over the upcoming appointments
+     * @returns {Promise<Object>} { reminded }
+     */
+    async run(now = new Date()) {
+        const stats = { reminded: 0 };
+        if (this.running) return stats;
+        this.running = true;
+
+        try {
+            const appointments = await db.getAppointmentsToRemind(this.reminderHours[0]);
+
+            for (const appointment of appointments) {
+                const step = this.getDueStep(appointment, now);
+                if (step === null || appointment.bot_paused) continue;
+
+                try {
+                    if (await this.sendReminder(appointment, step)) stats.reminded++;
+                } catch (error) {
+                    console.error(`❌ [Reminders] Error reminding appointment ${appointment.id}:`, error.message);
+                }
+            }
+
+            if (stats.reminded > 0) {
+                console.log(`⏰ [Reminders] ${stats.reminded} appointment reminder(s) sent`);
+            }
+        } catch (error) {
+            console.error('❌ [Reminders] Error checking appointments:', error.message);
+        } finally {
+            this.running = false;
+        }
+
+        return stats;
+    }
+
+    /**
+     * Attendance report for the dashboard (past appointments)
+     * @param {Object} filters - { from, to }
+     * @returns {Promise<Object>} Counts, confirmation rate (over reminded appointments) and
+     *   no-show rates (over appointments marked completed or no-show; null until one is marked)
+     */
+    async getStats(tenantId, filters = {}) {
+        const row = await db.getAppointmentStats(tenantId, filters);
+        const rate = (part, total) => total > 0 ? Math.round((part / total) * 1000) / 1000 : null;
+
+        const marked = row.completed + row.no_shows;
+        const confirmedMarked = row.confirmed_completed + row.confirmed_no_shows;
+        return {
+            appointments: row.appointments,
+            completed: row.completed,
+            noShows: row.no_shows,
+            cancelled: row.cancelled,
+            unmarked: row.unmarked,
+            rescheduled: row.rescheduled,
+            reminded: row.reminded,
+            confirmed: row.confirmed,
+            confirmationRate: rate(row.confirmed, row.reminded),
+            noShowRate: rate(row.no_shows, marked),
+            noShowRateConfirmed: rate(row.confirmed_no_shows, confirmedMarked),
+            noShowRateUnconfirmed: rate(row.no_shows - row.confirmed_no_shows, marked - confirmedMarked),
+            settings: {
+                reminderHours: this.reminderHours
+            }
+        };
+    }
+
+    /**
+     * Start the periodic check (needs the bot manager to send WhatsApp messages)
+     */
+    start(botManager) {
+        if (this.intervalId) return;
+
+        this.botManager = botManager;
+        this.intervalId = setInterval(() => this.run(), this.checkInterval);
+        console.log(`⏰ Appointment reminders started (${this.reminderHours.join('h, ')}h before)`);
+    }
+}
+
+module.exports = new AppointmentReminderService();
@@ -0,0 +1,671 @@
+/**
+ * Appointment Service
+ * Booking engine of appointment mode: free slots from the tenant's services
+ * (duration), weekly hours, breaks, holidays and existing appointments, in the
+ * tenant's timezone. The bot and the dashboard can only book slots it returns.
+ */
+
+const db = require('../database/db');
+const moneyService = require('./moneyService');
+
+const DEFAULT_TIMEZONE = 'Africa/Casablanca';
+
+const STATUSES = ['booked', 'completed', 'cancelled', 'no_show'];
+
+// Appointments that keep their time slot taken
+const BLOCKING_STATUSES = ['booked', 'completed', 'no_show'];
+
+// from status -> statuses it can move to
+const TRANSITIONS = {
+    booked: ['completed', 'cancelled', 'no_show'],
+    completed: [],
+    cancelled: [],
+    no_show: []
+};
+
+// One formatter per timezone: creating them is far slower than using them
+const LOCAL_FORMATTERS = new Map();
+
+// Date formats of the customer messages
+const DATE_LOCALES = { fr: 'fr-FR', ar: 'ar-MA', en: 'en-GB' };
+
+const CUSTOMER_MESSAGES = {
+    booked: {
+        fr: (a) => `✅ *Rendez-vous confirmé #${a.id}*\n\n💼 ${a.service}${a.staff ? `\n🧑‍💼 Avec ${a.staff}` : ''}\n📅 ${a.date} à ${a.time}${a.price ? `\n💰 ${a.price}` : ''}\n\nÀ bientôt!`,
+        ar: (a) => `✅ *تم تأكيد الموعد #${a.id}*\n\n💼 ${a.service}${a.staff ? `\n🧑‍💼 مع ${a.staff}` : ''}\n📅 ${a.date} على الساعة ${a.time}${a.price ? `\n💰 ${a.price}` : ''}\n\nإلى اللقاء!`,
+        en: (a) => `✅ *Appointment confirmed #${a.id}*\n\n💼 ${a.service}${a.staff ? `\n🧑‍💼 With ${a.staff}` : ''}\n📅 ${a.date} at ${a.time}${a.price ? `\n💰 ${a.price}` : ''}\n\nSee you soon!`
+    },
+    rescheduled: {
+        fr: (a) => `🔁 *Rendez-vous #${a.id} déplacé*\n\n💼 ${a.service}${a.staff ? `\n🧑‍💼 Avec ${a.staff}` : ''}\n📅 Nouvel horaire: ${a.date} à ${a.time}\n\nSi cet horaire ne vous convient pas, répondez à ce message.`,
+        ar: (a) => `🔁 *تم تغيير موعد #${a.id}*\n\n💼 ${a.service}${a.staff ? `\n🧑‍💼 مع ${a.staff}` : ''}\n📅 الموعد الجديد: ${a.date} على الساعة ${a.time}\n\nإذا لم يناسبك هذا الموعد، رد على هذه الرسالة.`,
+        en: (a) => `🔁 *Appointment #${a.id} moved*\n\n💼 ${a.service}${a.staff ? `\n🧑‍💼 With ${a.staff}` : ''}\n📅 New time: ${a.date} at ${a.time}\n\nIf this time doesn't suit you, reply to this message.`
+    },
+    cancelled: {
+        fr: (a) => `❌ *Rendez-vous #${a.id} annulé* (${a.service}, ${a.date} à ${a.time})${a.reason ? `\n\nRaison: ${a.reason}` : ''}\n\nPour reprendre rendez-vous, répondez *RDV*.`,
+        ar: (a) => `❌ *تم إلغاء الموعد #${a.id}* (${a.service}، ${a.date} على الساعة ${a.time})${a.reason ? `\n\nالسبب: ${a.reason}` : ''}\n\nلحجز موعد جديد، أرسل *موعد*.`,
+        en: (a) => `❌ *Appointment #${a.id} cancelled* (${a.service}, ${a.date} at ${a.time})${a.reason ? `\n\nReason: ${a.reason}` : ''}\n\nTo book again, reply *BOOK*.`
+    }
+};
+
+const OWNER_ALERT_TITLES = {
+    booked: '📅 *NOUVEAU RENDEZ-VOUS',
+    rescheduled: '🔁 *RENDEZ-VOUS DÉPLACÉ PAR LE CLIENT',
+    cancelled: '❌ *RENDEZ-VOUS ANNULÉ PAR LE CLIENT'
+};
+
+// Alerts of staff members (changes from WhatsApp or the dashboard)
+const STAFF_ALERT_TITLES = {
+    booked: '📅 *NOUVEAU RENDEZ-VOUS',
+    rescheduled: '🔁 *RENDEZ-VOUS DÉPLACÉ',
+    cancelled: '❌ *RENDEZ-VOUS ANNULÉ',
+    reassigned: '↪️ *RENDEZ-VOUS CONFIÉ À UN COLLÈGUE'
+};
+
+const WHATSAPP_NUMBER_PATTERN = /^\d{8,15}$/;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class AppointmentService {
+    constructor() {
+        this.statuses = STATUSES;
+        this.blockingStatuses = BLOCKING_STATUSES;
+        this.defaultTimezone = DEFAULT_TIMEZONE;
+
+        // Slot grid, minimum delay before a slot and how far ahead customers can book
+        this.slotMinutes = parseInt(process.env.APPOINTMENT_SLOT_MINUTES) || 30;
+        this.minNoticeMinutes = parseInt(process.env.APPOINTMENT_MIN_NOTICE_MINUTES) || 60;
+        this.bookingDays = parseInt(process.env.APPOINTMENT_BOOKING_DAYS) || 30;
+    }
+
+    // ---------- Time helpers (dates "YYYY-MM-DD", times "HH:MM", instants Date) ----------
+
+    isValidTimezone(timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return typeof timezone === 'string' && timezone.length > 0;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    getTimezone(tenant) {
+        const timezone = tenant && tenant.timezone;
+        return timezone && this.isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+    }
+
+    toMinutes(time) {
+        const [hours, minutes] = String(time).split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    formatMinutes(minutes) {
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Wall-clock date, time and weekday of an instant in a timezone
+     * @returns {Object} { date, minutes, dayOfWeek }
+     */
+    getLocalParts(instant, timezone) {
+        if (!LOCAL_FORMATTERS.has(timezone)) {
+            LOCAL_FORMATTERS.set(timezone, new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit'
+            }));
+        }
+
+        const parts = {};
+        LOCAL_FORMATTERS.get(timezone).formatToParts(new Date(instant)).forEach(part => { parts[part.type] = part.value; });
+
+        const date = `${parts.year}-${parts.month}-${parts.day}`;
+        return {
+            date,
+            minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+            dayOfWeek: this.getDayOfWeek(date)
+        };
+    }
+
+    /**
+     * Instant of a wall-clock time in a timezone (summer time changes included)
+     */
+    toUtc(date, minutes, timezone) {
+        const [year, month, day] = date.split('-').map(Number);
+        const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+        const offsetAt = (instant) => {
+            const local = this.getLocalParts(instant, timezone);
+            const [y, m, d] = local.date.split('-').map(Number);
+            return Date.UTC(y, m - 1, d, 0, local.minutes) - Math.floor(instant / 60000) * 60000;
+        };
+
+        // Offset at the guessed instant, then again in case a summer time change lies in between
+        const guess = wallClock - offsetAt(wallClock);
+        return new Date(wallClock - offsetAt(guess));
+    }
+
+    getDayOfWeek(date) {
+        return new Date(`${date}T00:00:00Z`).getUTCDay();
+    }
+
+    addDays(date, days) {
+        const next = new Date(`${date}T00:00:00Z`);
+        next.setUTCDate(next.getUTCDate() + days);
+        return next.toISOString().split('T')[0];
+    }
+
+    isValidDate(date) {
+        if (typeof date !== 'string' || !DATE_PATTERN.test(date)) return false;
+        const parsed = new Date(`${date}T00:00:00Z`);
+        return !isNaN(parsed) && parsed.toISOString().startsWith(date);
+    }
+
+    /**
+     * Today's date in the tenant's timezone
+     */
+    today(timezone, now = new Date()) {
+        return this.getLocalParts(now, timezone).date;
+    }
+
+    /**
+     * Instant of today's local midnight in the tenant's timezone
+     */
+    startOfToday(timezone, now = new Date()) {
+        return this.toUtc(this.today(timezone, now), 0, timezone);
+    }
+
+    // ---------- Slots ----------
+
+    /**
+     * Everything the slot computation needs for a date range (one query each)
+     * @param {Object} options - { from ("YYYY-MM-DD", default today), days, now }
+     * @returns {Promise<Object>} Schedule { timezone, from, days, hours, breaks, holidays, busy, staff, now }
+     */
+    async loadSchedule(tenantId, options = {}) {
+        const tenant = await db.getTenantById(tenantId);
+        const timezone = this.getTimezone(tenant);
+        const now = options.now || new Date();
+        const from = options.from || this.today(timezone, now);
+        const days = Math.min(options.days || this.bookingDays, this.bookingDays);
+
+        const rangeStart = this.toUtc(from, 0, timezone);
+        const rangeEnd = this.toUtc(this.addDays(from, days), 0, timezone);
+
+        const [hours, breaks, holidays, appointments, imported, staff] = await Promise.all([
+            db.getBusinessHours(tenantId),
+            db.getScheduleBreaks(tenantId),
+            db.getHolidays(tenantId, from),
+            db.getBusyAppointments(tenantId, rangeStart, rangeEnd, BLOCKING_STATUSES),
+            db.getCalendarBusyTimes(tenantId, rangeStart, rangeEnd),
+            this.loadStaff(tenantId)
+        ]);
+
+        // Busy times imported from other calendars block slots like appointments
+        const busy = appointments.concat(imported);
+
+        return { tenant, timezone, from, days, hours, breaks, holidays, busy, staff, now };
+    }
+
+    /**
+     * Active staff members with their own hours and services (none = business hours / every service)
+     * @returns {Promise<Array>} [{ id, name, hours, serviceIds }]
+     */
+    async loadStaff(tenantId) {
+        const [members, hours, services] = await Promise.all([
+            db.getStaffMembers(tenantId, true),
+            db.getStaffHours(tenantId),
+            db.getStaffServices(tenantId)
+        ]);
+
+        return members.map(member => ({
+            id: member.id,
+            name: member.name,
+            hours: hours.filter(h => h.staff_id === member.id),
+            serviceIds: services.filter(a => a.staff_id === member.id).map(a => a.service_id)
+        }));
+    }
+
+    isHoliday(date, holidays) {
+        return holidays.some(h => h.start_date <= date && h.end_date >= date);
+    }
+
+    /**
+     * Staff members of a schedule who do a service
+     */
+    getServiceStaff(schedule, service) {
+        return schedule.staff.filter(member => member.serviceIds.length === 0 || member.serviceIds.includes(service.id));
+    }
+
+    /**
+     * Free start times of a service in some opening hours, against some busy times
+     * @returns {Map} start minute -> { time, startsAt, endsAt } (split days can't list a time twice)
+     */
+    computeWindowSlots(schedule, service, date, hours, busy) {
+        const dayOfWeek = this.getDayOfWeek(date);
+        const duration = Number(service.duration_minutes);
+        const earliest = schedule.now.getTime() + this.minNoticeMinutes * 60000;
+        const breaks = schedule.breaks
+            .filter(b => b.day_of_week === null || b.day_of_week === dayOfWeek)
+            .map(b => [this.toMinutes(b.start_time), this.toMinutes(b.end_time)]);
+
+        const slots = new Map();
+        for (const window of hours.filter(h => h.day_of_week === dayOfWeek)) {
+            const open = this.toMinutes(window.open_time);
+            const close = this.toMinutes(window.close_time);
+
+            for (let start = open; start + duration <= close; start += this.slotMinutes) {
+                const end = start + duration;
+                if (breaks.some(([breakStart, breakEnd]) => start < breakEnd && end > breakStart)) continue;
+
+                const startsAt = this.toUtc(date, start, schedule.timezone);
+                const endsAt = new Date(startsAt.getTime() + duration * 60000);
+                if (startsAt.getTime() < earliest) continue;
+                if (busy.some(a => startsAt < new Date(a.ends_at) && endsAt > new Date(a.starts_at))) continue;
+
+                slots.set(start, { time: this.formatMinutes(start), startsAt, endsAt });
+            }
+        }
+
+        return slots;
+    }
+
+    /**
+     * Free slots of a service on one day
+     * With staff members, a time is free when one of the service's staff is free then;
+     * the slot lists them least busy that day first (the one "any available" books).
+     * @param {Object} schedule - From loadSchedule
+     * @param {Object} service - appointment_services row
+     * @param {string} date - "YYYY-MM-DD"
+     * @param {number|null} excludeAppointmentId - Appointment being moved (its own time is free)
+     * @param {number|null} staffId - Only this staff member (null = any)
+     * @returns {Array} [{ time, startsAt, endsAt, staff?: [{ id, name }] }]
+     */
+    computeDaySlots(schedule, service, date, excludeAppointmentId = null, staffId = null) {
+        if (this.isHoliday(date, schedule.holidays)) return [];
+
+        const busy = excludeAppointmentId ? schedule.busy.filter(a => a.id !== excludeAppointmentId) : schedule.busy;
+        let slots;
+
+        if (schedule.staff.length === 0) {
+            slots = this.computeWindowSlots(schedule, service, date, schedule.hours, busy);
+        } else {
+            const dayStart = this.toUtc(date, 0, schedule.timezone);
+            const dayEnd = this.toUtc(this.addDays(date, 1), 0, schedule.timezone);
+            const load = (member) => busy.filter(a => a.staff_id === member.id &&
+                new Date(a.starts_at) < dayEnd && new Date(a.ends_at) > dayStart).length;
+
+            const members = this.getServiceStaff(schedule, service)
+                .filter(member => !staffId || member.id === staffId)
+                .map(member => ({ member, load: load(member) }))
+                .sort((a, b) => a.load - b.load)
+                .map(entry => entry.member);
+
+            slots = new Map();
+            for (const member of members) {
+                // Appointments and imported busy times without staff block everyone
+                const own = busy.filter(a => a.staff_id === null || a.staff_id === undefined || a.staff_id === member.id);
+                const hours = member.hours.length > 0 ? member.hours : schedule.hours;
+                for (const [start, slot] of this.computeWindowSlots(schedule, service, date, hours, own)) {
+                    if (!slots.has(start)) slots.set(start, { ...slot, staff: [] });
+                    slots.get(start).staff.push({ id: member.id, name: member.name });
+                }
+            }
+        }
+
+        return [...slots.keys()].sort((a, b) => a - b).map(start => slots.get(start));
+    }
+
+    /**
+     * Days of the schedule range that have free slots for a service
+     * @returns {Array} [{ date, slots }]
+     */
+    computeSlots(schedule, service, excludeAppointmentId = null, staffId = null) {
+        const days = [];
+        for (let i = 0; i < schedule.days; i++) {
+            const date = this.addDays(schedule.from, i);
+            const slots = this.computeDaySlots(schedule, service, date, excludeAppointmentId, staffId);
+            if (slots.length > 0) days.push({ date, slots });
+        }
+        return days;
+    }
+
+    /**
+     * Free slots of a service
+     * @param {Object} options - { from, days, excludeAppointmentId, staffId }
+     * @returns {Promise<Array>} [{ date, slots: [{ time, startsAt, endsAt, staff? }] }]
+     */
+    async getAvailability(tenantId, service, options = {}) {
+        const schedule = await this.loadSchedule(tenantId, options);
+        return this.computeSlots(schedule, service, options.excludeAppointmentId || null, options.staffId || null);
+    }
+
+    /**
+     * Free slot of a service starting at an exact instant, null if that time is not bookable
+     */
+    async findSlot(tenantId, service, startsAt, excludeAppointmentId = null, staffId = null) {
+        const tenant = await db.getTenantById(tenantId);
+        const start = new Date(startsAt);
+        if (isNaN(start)) return null;
+
+        const date = this.getLocalParts(start, this.getTimezone(tenant)).date;
+        const days = await this.getAvailability(tenantId, service, { from: date, days: 1, excludeAppointmentId, staffId });
+        const slots = days.length > 0 ? days[0].slots : [];
+        return slots.find(slot => slot.startsAt.getTime() === start.getTime()) || null;
+    }
+
+    /**
+     * Book a free slot (checked again against concurrent bookings)
+     * With staff, the slot's staff members are tried in order until one is still free.
+     * @param {Object} service - appointment_services row
+     * @param {Object} slot - From findSlot / getAvailability
+     * @param {Object} customer - { phone, name, language, notes, createdBy }
+     * @returns {Promise<Object|undefined>} Appointment or undefined if the slot was taken meanwhile
+     */
+    async book(tenantId, service, slot, customer) {
+        const tenant = await db.getTenantById(tenantId);
+        for (const member of slot.staff || [null]) {
+            const appointment = await db.createAppointment({
+                tenant_id: tenantId,
+                service_id: service.id,
+                service_name: service.name,
+                customer_phone: customer.phone,
+                customer_name: customer.name,
+                customer_language: customer.language,
+                starts_at: slot.startsAt,
+                ends_at: slot.endsAt,
+                price: service.price,
+                currency: moneyService.getSettings(tenant).currency,
+                notes: customer.notes,
+                created_by: customer.createdBy,
+                staff_id: member ? member.id : null,
+                staff_name: member ? member.name : null
+            }, BLOCKING_STATUSES);
+            if (appointment) return appointment;
+        }
+        return undefined;
+    }
+
+    // ---------- Statuses ----------
+
+    getAllowedTransitions(fromStatus) {
+        return TRANSITIONS[fromStatus] || [];
+    }
+
+    /**
+     * Check a status change request
+     * @returns {string|null} Error message or null if valid
+     */
+    validateTransition(fromStatus, toStatus) {
+        if (!STATUSES.includes(toStatus) || toStatus === 'booked') {
+            return `Unknown status: ${toStatus}. Allowed: ${STATUSES.filter(s => s !== 'booked').join(', ')}`;
+        }
+
+        const allowed = this.getAllowedTransitions(fromStatus);
+        if (!allowed.includes(toStatus)) {
+            return `Cannot change appointment from "${fromStatus}" to "${toStatus}"` +
+                (allowed.length > 0 ? `. Allowed: ${allowed.join(', ')}` : ' (final status)');
+        }
+
+        return null;
+    }
+
+    // ---------- Messages ----------
+
+    /**
+     * Day name for customers ("mardi 21 octobre", "Tuesday 21 October")
+     */
+    formatDate(date, language = 'fr') {
+        return new Intl.DateTimeFormat(DATE_LOCALES[language] || DATE_LOCALES.fr, {
+            timeZone: 'UTC',
+            weekday: 'long',
+            day: 'numeric',
+            month: 'long'
+        }).format(new Date(`${date}T12:00:00Z`));
+    }
+
+    formatDuration(minutes) {
+        const value = Number(minutes);
+        if (value < 60) return `${value} min`;
+        return value % 60 === 0 ? `${value / 60}h` : `${Math.floor(value / 60)}h${String(value % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Localized customer message for a booked, moved or cancelled appointment
+     * @param {string} event - 'booked', 'rescheduled' or 'cancelled'
+     * @param {Object} appointment - appointments row
+     * @param {string} timezone - Tenant timezone
+     * @param {string|null} locale - Tenant number format
+     * @returns {string|null} Message or null if the event has no notification
+     */
+    buildCustomerMessage(event, appointment, timezone, locale = null) {
+        const templates = CUSTOMER_MESSAGES[event];
+        if (!templates) return null;
+
+        const language = appointment.customer_language || 'fr';
+        const local = this.getLocalParts(appointment.starts_at, timezone);
+        return (templates[language] || templates.fr)({
+            id: appointment.id,
+            service: appointment.service_name,
+            date: this.formatDate(local.date, language),
+            time: this.formatMinutes(local.minutes),
+            price: appointment.price !== null && appointment.price !== undefined
+                ? moneyService.format(appointment.price, appointment.currency || moneyService.defaultCurrency, locale)
+                : null,
+            reason: appointment.cancel_reason,
+            staff: appointment.staff_name
+        });
+    }
+
+    formatAlert(title, appointment, timezone) {
+        const local = this.getLocalParts(appointment.starts_at, timezone);
+        let text = `${title} #${appointment.id}*\n\n`;
+        text += `━━━━━━━━━━━━━━━━━━━━\n`;
+        text += `💼 Service: ${appointment.service_name}\n`;
+        if (appointment.staff_name) text += `🧑‍💼 Avec: ${appointment.staff_name}\n`;
+        text += `🗓️ ${this.formatDate(local.date, 'fr')} à ${this.formatMinutes(local.minutes)}\n`;
+        text += `📱 Client: ${appointment.customer_phone.replace('@c.us', '')}\n`;
+        if (appointment.customer_name) text += `👤 Nom: ${appointment.customer_name}\n`;
+        text += `━━━━━━━━━━━━━━━━━━━━`;
+        return text;
+    }
+
+    /**
+     * Owner WhatsApp message for a booking made, moved or cancelled by a customer
+     * @param {string} event - 'booked', 'rescheduled' or 'cancelled'
+     */
+    buildOwnerAlert(appointment, timezone, event = 'booked') {
+        return this.formatAlert(OWNER_ALERT_TITLES[event] || OWNER_ALERT_TITLES.booked, appointment, timezone);
+    }
+
+    /**
+     * Staff member WhatsApp message about one of their appointments
+     * @param {string} event - 'booked', 'rescheduled', 'cancelled' or 'reassigned' (given to a colleague)
+     */
+    buildStaffAlert(appointment, timezone, event = 'booked') {
+        return this.formatAlert(STAFF_ALERT_TITLES[event] || STAFF_ALERT_TITLES.booked, appointment, timezone);
+    }
+
+    /**
+     * Services and their next free slots, for the appointment system prompt
+     * The AI can only offer these times - bookings go through the booking flow.
+     * @param {Object} schedule - From loadSchedule
+     * @param {Array} services - Active services
+     * @returns {string} Prompt section ('' if no services)
+     */
+    formatForPrompt(schedule, services, locale = null, maxDays = 3, maxSlots = 8) {
+        if (!services || services.length === 0) return '';
+
+        const currency = moneyService.getSettings(schedule.tenant).currency;
+        const lines = services.map(service => {
+            let line = `- ${service.name} (${this.formatDuration(service.duration_minutes)})`;
+            if (service.price !== null && service.price !== undefined) {
+                line += ` - ${moneyService.format(service.price, currency, locale)}`;
+            }
+            if (service.description) line += `\n  ${service.description}`;
+            if (schedule.staff.length > 0) {
+                line += `\n  With: ${this.getServiceStaff(schedule, service).map(member => member.name).join(', ') || 'nobody'}`;
+            }
+
+            const days = this.computeSlots(schedule, service).slice(0, maxDays);
+            line += days.length > 0
+                ? '\n' + days.map(day => `  ${day.date} (${this.formatDate(day.date, 'en')}): ${day.slots.slice(0, maxSlots).map(s => s.time).join(', ')}${day.slots.length > maxSlots ? ', ...' : ''}`).join('\n')
+                : '\n  No free slot in the coming days';
+            return line;
+        });
+
+        return `SERVICES AND NEXT FREE SLOTS (timezone ${schedule.timezone}, today ${schedule.from}):\n${lines.join('\n')}`;
+    }
+
+    // ---------- Validation (dashboard API) ----------
+
+    /**
+     * Validate a service payload
+     * @param {boolean} partial - Allow missing fields (updates)
+     * @returns {string|null} Error message or null if valid
+     */
+    validateService(payload, partial = false) {
+        if (!partial || payload.name !== undefined) {
+            if (!payload.name || typeof payload.name !== 'string' || !payload.name.trim() || payload.name.length > 255) {
+                return 'Name is required (max 255 characters)';
+            }
+        }
+
+        if (!partial || payload.durationMinutes !== undefined) {
+            const duration = Number(payload.durationMinutes);
+            if (!Number.isInteger(duration) || duration < 5 || duration > 24 * 60) {
+                return 'durationMinutes must be a whole number of minutes between 5 and 1440';
+            }
+        }
+
+        if (payload.price !== undefined && payload.price !== null && (isNaN(Number(payload.price)) || Number(payload.price) < 0)) {
+            return 'price must be a non-negative number';
+        }
+
+        if (payload.description !== undefined && payload.description !== null && typeof payload.description !== 'string') {
+            return 'Description must be text';
+        }
+
+        if (payload.sortOrder !== undefined && payload.sortOrder !== null && !Number.isInteger(Number(payload.sortOrder))) {
+            return 'sortOrder must be an integer';
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate weekly hours and breaks
+     * @param {Object} payload - { timezone, hours: [{ dayOfWeek, open, close }], breaks: [{ dayOfWeek|null, start, end, label }] }
+     * @returns {string|null} Error message or null if valid
+     */
+    validateSchedule(payload) {
+        if (payload.timezone !== undefined && !this.isValidTimezone(payload.timezone)) {
+            return `Unknown timezone: ${payload.timezone} (e.g. Africa/Casablanca, Europe/Paris)`;
+        }
+
+        if (payload.hours !== undefined) {
+            if (!Array.isArray(payload.hours)) return 'hours must be an array';
+            for (const h of payload.hours) {
+                if (!Number.isInteger(h.dayOfWeek) || h.dayOfWeek < 0 || h.dayOfWeek > 6) {
+                    return 'dayOfWeek must be 0 (Sunday) to 6 (Saturday)';
+                }
+                if (!TIME_PATTERN.test(h.open || '') || !TIME_PATTERN.test(h.close || '')) {
+                    return 'Opening hours must be "HH:MM" (open, close)';
+                }
+                if (this.toMinutes(h.open) >= this.toMinutes(h.close)) {
+                    return `Opening time must be before closing time (day ${h.dayOfWeek})`;
+                }
+            }
+
+            for (let day = 0; day <= 6; day++) {
+                const windows = payload.hours
+                    .filter(h => h.dayOfWeek === day)
+                    .map(h => [this.toMinutes(h.open), this.toMinutes(h.close)])
+                    .sort((a, b) => a[0] - b[0]);
+                for (let i = 1; i < windows.length; i++) {
+                    if (windows[i][0] < windows[i - 1][1]) return `Opening hours overlap on day ${day}`;
+                }
+            }
+        }
+
+        if (payload.breaks !== undefined) {
+            if (!Array.isArray(payload.breaks)) return 'breaks must be an array';
+            for (const b of payload.breaks) {
+                if (b.dayOfWeek !== undefined && b.dayOfWeek !== null && (!Number.isInteger(b.dayOfWeek) || b.dayOfWeek < 0 || b.dayOfWeek > 6)) {
+                    return 'Break dayOfWeek must be 0 (Sunday) to 6 (Saturday), or null for every day';
+                }
+                if (!TIME_PATTERN.test(b.start || '') || !TIME_PATTERN.test(b.end || '')) {
+                    return 'Breaks must be "HH:MM" (start, end)';
+                }
+                if (this.toMinutes(b.start) >= this.toMinutes(b.end)) {
+                    return 'Break start must be before its end';
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate a staff member payload
+     * @param {Object} payload - { name, whatsappNumber, serviceIds, hours: [{ dayOfWeek, open, close }], sortOrder, isActive }
+     * @param {boolean} partial - Allow missing fields (updates)
+     * @returns {string|null} Error message or null if valid
+     */
+    validateStaff(payload, partial = false) {
+        if (!partial || payload.name !== undefined) {
+            if (!payload.name || typeof payload.name !== 'string' || !payload.name.trim() || payload.name.length > 255) {
+                return 'Name is required (max 255 characters)';
+            }
+        }
+
+        if (payload.whatsappNumber !== undefined && payload.whatsappNumber !== null && payload.whatsappNumber !== '' &&
+            !WHATSAPP_NUMBER_PATTERN.test(String(payload.whatsappNumber).replace(/[^\d]/g, ''))) {
+            return 'whatsappNumber must be a phone number with country code (e.g. 212612345678)';
+        }
+
+        if (payload.serviceIds !== undefined && (!Array.isArray(payload.serviceIds) || !payload.serviceIds.every(id => Number.isInteger(id)))) {
+            return 'serviceIds must be an array of service ids (empty = every service)';
+        }
+
+        if (payload.hours !== undefined) {
+            const hoursError = this.validateSchedule({ hours: payload.hours });
+            if (hoursError) return hoursError;
+        }
+
+        if (payload.sortOrder !== undefined && payload.sortOrder !== null && !Number.isInteger(Number(payload.sortOrder))) {
+            return 'sortOrder must be an integer';
+        }
+
+        if (payload.isActive !== undefined && typeof payload.isActive !== 'boolean') {
+            return 'isActive must be true or false';
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate a holiday (closed dates, inclusive)
+     * @returns {string|null} Error message or null if valid
+     */
+    validateHoliday(payload) {
+        if (!this.isValidDate(payload.startDate)) {
+            return 'startDate must be a date "YYYY-MM-DD"';
+        }
+        if (payload.endDate !== undefined && payload.endDate !== null && !this.isValidDate(payload.endDate)) {
+            return 'endDate must be a date "YYYY-MM-DD"';
+        }
+        if (payload.endDate && payload.endDate < payload.startDate) {
+            return 'endDate cannot be before startDate';
+        }
+        if (payload.label !== undefined && payload.label !== null && (typeof payload.label !== 'string' || payload.label.length > 255)) {
+            return 'Label must be text (max 255 characters)';
+        }
+        return null;
+    }
+}
+
+module.exports = new AppointmentService();
@@ -0,0 +1,23 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const appointmentService = require('./appointmentService');
+
+describe('appointmentService.startOfToday', () => {
+    it('starts the day at local midnight, not UTC midnight', () => {
+        // 00:30 on October 19th in Casablanca (UTC+1)
+        const now = new Date('2026-10-18T23:30:00Z');
+        assert.equal(appointmentService.today('Africa/Casablanca', now), '2026-10-19');
+        assert.equal(appointmentService.startOfToday('Africa/Casablanca', now).toISOString(), '2026-10-18T23:00:00.000Z');
+    });
+
+    it('handles timezones ahead of UTC by more than a few hours', () => {
+        const now = new Date('2026-10-18T16:00:00Z');
+        assert.equal(appointmentService.startOfToday('Asia/Tokyo', now).toISOString(), '2026-10-18T15:00:00.000Z');
+    });
+
+    it('uses the offset of midnight on a summer time change day', () => {
+        // Paris moves to UTC+2 at 02:00 on March 29th - midnight is still UTC+1
+        const now = new Date('2026-03-29T12:00:00Z');
+        assert.equal(appointmentService.startOfToday('Europe/Paris', now).toISOString(), '2026-03-28T23:00:00.000Z');
+    });
+});
@@ -0,0 +1,241 @@
+/**
+ * Calendar Sync Service
+ * Publishes a tenant's appointments (all, or one staff member's) as secret .ics feeds
+ * for phone calendars, and imports busy times from .ics files or calendar URLs so WhatsApp bookings can't
+ * collide with appointments made elsewhere. Subscribed URLs are re-read periodically;
+ * a URL that can't be read keeps its last busy times.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const db = require('../database/db');
+const appointmentService = require('./appointmentService');
+const icalendarService = require('./icalendarService');
+const paymentGatewayService = require('./paymentGatewayService');
+
+const MAX_CALENDAR_BYTES = 5 * 1024 * 1024;
+
+// Feeds show the last month too; imports keep a year of busy times
+const FEED_PAST_DAYS = 30;
+const FEED_MAX_APPOINTMENTS = 2000;
+const IMPORT_DAYS = 365;
+
+// Calendar URLs may not reach the server itself or its private network
+// (IPv4-mapped IPv6 addresses are matched against the IPv4 ranges)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const BLOCKED_ADDRESS_ERROR = 'Calendar URL points to a private network address';
+
+class CalendarSyncService {
+    constructor() {
+        this.syncMinutes = parseInt(process.env.CALENDAR_SYNC_MINUTES) || 15;
+        this.checkInterval = 300000; // Check every 5 minutes
+        this.intervalId = null;
+        this.running = false;
+    }
+
+    // ---------- Feeds ----------
+
+    getFeedUrl(feed) {
+        return `${paymentGatewayService.getBaseUrl()}/api/calendar/${feed.token}.ics`;
+    }
+
+    /**
+     * @param {number|null} staffId - Feed of one staff member's appointments (null = all)
+     */
+    async createFeed(tenantId, name, staffId = null) {
+        const token = crypto.randomBytes(24).toString('hex');
+        return db.createCalendarFeed(tenantId, name, token, staffId);
+    }
+
+    /**
+     * .ics content of a feed
+     */
+    async buildFeed(feed, now = new Date()) {
+        const tenant = await db.getTenantById(feed.tenant_id);
+        const timezone = appointmentService.getTimezone(tenant);
+        const appointments = await db.getAppointments(feed.tenant_id, {
+            from: new Date(now.getTime() - FEED_PAST_DAYS * 86400000),
+            staffId: feed.staff_id
+        }, FEED_MAX_APPOINTMENTS);
+
+        await db.touchCalendarFeed(feed.id);
+        return icalendarService.buildFeed(appointments, {
+            name: `${tenant.name} - ${feed.name}`,
+            timezone
+        });
+    }
+
+    // ---------- Imported calendars ----------
+
+    /**
+     * "webcal://" links are https ones for servers
+     * @returns {string|null} URL or null if not http(s)
+     */
+    normalizeUrl(url) {
+        const value = String(url || '').trim().replace(/^webcal:\/\//i, 'https://');
+        try {
+            const parsed = new URL(value);
+            return ['http:', 'https:'].includes(parsed.protocol) ? parsed.toString() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @returns {string|null} Error message or null if valid
+     */
+    validateCalendar(payload, hasFile) {
+        if (!payload.name || typeof payload.name !== 'string' || !payload.name.trim()) {
+            return 'name is required';
+        }
+        if (payload.name.length > 255) {
+            return 'name must be 255 characters or less';
+        }
+        if (payload.url && !this.normalizeUrl(payload.url)) {
+            return 'url must be an http(s) or webcal link';
+        }
+        if (!payload.url && !hasFile) {
+            return 'Upload an .ics file or give the calendar url';
+        }
+        if (payload.url && hasFile) {
+            return 'Give either an .ics file or a url, not both';
+        }
+        return null;
+    }
+
+    /**
+     * Replace a calendar's busy times with the events of an .ics text
+     * @returns {Promise<Object>} Updated calendar
+     */
+    async importCalendar(calendar, text, now = new Date()) {
+        if (!icalendarService.isCalendar(text)) {
+            throw new Error('Not an iCalendar (.ics) file');
+        }
+
+        const tenant = await db.getTenantById(calendar.tenant_id);
+        const busy = icalendarService.parseBusyTimes(
+            text,
+            appointmentService.getTimezone(tenant),
+            new Date(now.getTime() - 86400000),
+            new Date(now.getTime() + IMPORT_DAYS * 86400000)
+        );
+
+        const updated = await db.replaceCalendarBusyTimes(calendar.id, calendar.tenant_id, busy);
+        if (!updated) {
+            throw new Error('Calendar not found');
+        }
+
+        console.log(`📆 [Tenant ${calendar.tenant_id}] Calendar "${calendar.name}" imported: ${busy.length} busy time(s)`);
+        return updated;
+    }
+
+    isBlockedAddress(address) {
+        const family = net.isIP(address);
+        return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+    }
+
+    /**
+     * Throws if a URL host is a private IP address (host names are checked when resolved)
+     */
+    checkHost(hostname) {
+        if (this.isBlockedAddress(String(hostname || '').replace(/^\[|\]$/g, ''))) {
+            throw new Error(BLOCKED_ADDRESS_ERROR);
+        }
+    }
+
+    /**
+     * dns.lookup that refuses host names resolving to a private address
+     */
+    lookupPublic(hostname, options, callback) {
+        dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+            if (addresses.some(entry => this.isBlockedAddress(entry.address))) {
+                return callback(new Error(BLOCKED_ADDRESS_ERROR));
+            }
+            callback(null, addresses);
+        });
+    }
+
+    /**
+     * Download a calendar; every host, redirects included, must be a public address
+     */
+    async fetchCalendar(url) {
+        this.checkHost(new URL(url).hostname);
+
+        const response = await axios.get(url, {
+            timeout: 20000,
+            responseType: 'text',
+            transformResponse: data => data,
+            maxContentLength: MAX_CALENDAR_BYTES,
+            maxRedirects: 5,
+            proxy: false,
+            lookup: (hostname, options, callback) => this.lookupPublic(hostname, options, callback),
+            beforeRedirect: (options) => this.checkHost(options.hostname)
+        });
+        return response.data;
+    }
+
+    /**
+     * Re-read a subscribed calendar (errors are stored on the calendar, not thrown)
+     * @returns {Promise<Object>} Updated calendar (last_error set if it failed)
+     */
+    async syncCalendar(calendar) {
+        try {
+            const text = await this.fetchCalendar(calendar.url);
+            return await this.importCalendar(calendar, text);
+        } catch (error) {
+            console.error(`❌ [Calendars] Sync of calendar ${calendar.id} failed:`, error.message);
+            return (await db.setExternalCalendarError(calendar.id, error.message)) || calendar;
+        }
+    }
+
+    /**
+     * Sync the subscribed calendars not read for a while
+     * @returns {Promise<Object>} { synced, failed }
+     */
+    async run(now = new Date()) {
+        const stats = { synced: 0, failed: 0 };
+        if (this.running) return stats;
+        this.running = true;
+
+        try {
+            const calendars = await db.getSubscribedCalendars();
+            for (const calendar of calendars) {
+                const age = calendar.last_synced_at ? now - new Date(calendar.last_synced_at) : Infinity;
+                if (age < this.syncMinutes * 60000) continue;
+
+                const result = await this.syncCalendar(calendar);
+                if (result.last_error) stats.failed++;
+                else stats.synced++;
+            }
+        } catch (error) {
+            console.error('❌ [Calendars] Error syncing calendars:', error.message);
+        } finally {
+            this.running = false;
+        }
+
+        return stats;
+    }
+
+    /**
+     * Start the periodic sync of subscribed calendars
+     */
+    start() {
+        if (this.intervalId) return;
+
+        this.intervalId = setInterval(() => this.run(), this.checkInterval);
+        console.log(`📆 Calendar sync started (every ${this.syncMinutes} min)`);
+    }
+}
+
+module.exports = new CalendarSyncService();
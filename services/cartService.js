@@ -0,0 +1,285 @@
+/**
+ * Cart Service
+ * Builds multi-item carts from customer messages using the product catalog
+ * and computes totals (no price guessing from AI text)
+ */
+
+const catalogService = require('./catalogService');
+
+// Quantity written after a product name: "iphone x2"
+const SUFFIX_QUANTITY = /^\s*x\s*(\d{1,3})\b/;
+
+class CartService {
+    /**
+     * Normalize text for matching (lowercase, no punctuation, single spaces)
+     */
+    normalize(text) {
+        return (text || '')
+            .toLowerCase()
+            .replace(/[^\w\s\u0600-\u06FF]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Find catalog products mentioned in a message, with quantities and variants
+     * Longer product names are matched first so "iPhone 15 Pro" wins over "iPhone 15".
+     * @param {string} text - Customer message
+     * @param {Array} products - Active product rows
+     * @returns {Array} Cart items ({ productId, name, variant, sku, unitPrice, quantity, currency })
+     */
+    extractItems(text, products) {
+        const normalized = ` ${this.normalize(text)} `;
+        if (!products || products.length === 0 || !normalized.trim()) return [];
+
+        const candidates = [];
+        for (const product of products) {
+            const names = [product.name, product.sku].filter(Boolean).map(n => this.normalize(n));
+            for (const name of names) {
+                if (name) candidates.push({ product, name });
+            }
+        }
+        candidates.sort((a, b) => b.name.length - a.name.length);
+
+        // Locate each product once, skipping text already claimed by a longer name
+        const claimed = [];
+        const matches = [];
+        for (const { product, name } of candidates) {
+            if (matches.some(m => m.product.id === product.id)) continue;
+
+            const index = normalized.indexOf(` ${name} `);
+            if (index === -1) continue;
+
+            const start = index + 1;
+            const end = start + name.length;
+            if (claimed.some(([s, e]) => start < e && end > s)) continue;
+
+            claimed.push([start, end]);
+            matches.push({ product, start, end });
+        }
+
+        matches.sort((a, b) => a.start - b.start);
+
+        // Text taken by the previous product: "iphone 256gb x2 airpods" - the x2 is not the AirPods'
+        let used = 0;
+        return matches.map((match, i) => {
+            const before = normalized.substring(used, match.start);
+            const nextStart = i + 1 < matches.length ? matches[i + 1].start : normalized.length;
+            const after = normalized.substring(match.end, nextStart);
+
+            const variant = this.findVariant(match.product, after);
+            const rest = this.skipVariant(after, variant);
+            const suffix = rest.match(SUFFIX_QUANTITY);
+            used = nextStart - rest.length + (suffix ? suffix[0].length : 0);
+
+            return this.buildItem(match.product, this.findQuantity(before, rest), variant);
+        });
+    }
+
+    /**
+     * Quantity written right before ("2 iphone", "2x iphone") or after ("iphone x2") the product
+     * @param {string} after - Text after the product name and its variant ("iphone 256gb x2")
+     */
+    findQuantity(before, after) {
+        const beforeMatch = before.match(/(\d{1,3})\s*x?\s*$/);
+        if (beforeMatch) return Math.max(1, parseInt(beforeMatch[1]));
+
+        const afterMatch = after.match(SUFFIX_QUANTITY);
+        if (afterMatch) return Math.max(1, parseInt(afterMatch[1]));
+
+        return 1;
+    }
+
+    /**
+     * Variant named in the text following the product name
+     */
+    findVariant(product, after) {
+        const variants = Array.isArray(product.variants) ? product.variants : [];
+        const text = ` ${after} `;
+
+        return variants
+            .filter(v => v && v.name)
+            .sort((a, b) => b.name.length - a.name.length)
+            .find(v => {
+                const names = [v.name, v.sku].filter(Boolean).map(n => this.normalize(n));
+                return names.some(name => name && text.includes(` ${name} `));
+            }) || null;
+    }
+
+    /**
+     * Text after a product name without the variant written right after it
+     */
+    skipVariant(after, variant) {
+        if (!variant) return after;
+
+        const names = [variant.name, variant.sku].filter(Boolean).map(n => this.normalize(n));
+        const text = after.trimStart();
+        const name = names.find(n => n && `${text} `.startsWith(`${n} `));
+        return name ? text.substring(name.length) : after;
+    }
+
+    /**
+     * Build a cart item from a product (and optional variant)
+     */
+    buildItem(product, quantity = 1, variant = null) {
+        const variantPrice = variant && variant.price !== undefined && variant.price !== null ? variant.price : null;
+        const available = variant ? variant.available : product.available;
+
+        return {
+            productId: product.id,
+            name: product.name,
+            variant: variant ? variant.name : null,
+            sku: (variant && variant.sku) || product.sku || null,
+            unitPrice: Number(variantPrice !== null ? variantPrice : product.price),
+            quantity: quantity,
+            currency: product.currency || 'MAD',
+            available: available !== undefined ? available : null
+        };
+    }
+
+    /**
+     * Split items into those in stock and those that can't be served
+     * (available is null when stock isn't tracked)
+     * @param {Array} items - Items from extractItems
+     * @returns {Object} { inStock, outOfStock }
+     */
+    checkStock(items) {
+        const inStock = [];
+        const outOfStock = [];
+
+        for (const item of items) {
+            if (item.available === null || item.available === undefined || item.available >= item.quantity) {
+                inStock.push(item);
+            } else {
+                outOfStock.push(item);
+            }
+        }
+
+        return { inStock, outOfStock };
+    }
+
+    /**
+     * Customer message listing items that are out of stock
+     */
+    formatOutOfStock(items) {
+        const lines = items.map(item => {
+            const label = item.variant ? `${item.name} (${item.variant})` : item.name;
+            return item.available > 0
+                ? `• ${label}: il reste seulement ${item.available}`
+                : `• ${label}: rupture de stock`;
+        });
+        return `⚠️ *Stock insuffisant*\n${lines.join('\n')}`;
+    }
+
+    /**
+     * Split items by currency: a cart is paid in one currency, items priced in another
+     * have to be ordered separately
+     * @param {string|null} currency - Cart currency (null = currency of the first item)
+     * @returns {Object} { sameCurrency, otherCurrency }
+     */
+    checkCurrency(items, currency = null) {
+        const cartCurrency = currency || (items[0] && items[0].currency);
+        return {
+            sameCurrency: items.filter(item => item.currency === cartCurrency),
+            otherCurrency: items.filter(item => item.currency !== cartCurrency)
+        };
+    }
+
+    /**
+     * Customer message listing items left out of the cart for their currency
+     */
+    formatOtherCurrency(items) {
+        const lines = items.map(item => {
+            const label = item.variant ? `${item.name} (${item.variant})` : item.name;
+            return `• ${label}: ${catalogService.formatPrice(item.unitPrice, item.currency)}`;
+        });
+        return `⚠️ *Devise différente*\n${lines.join('\n')}\nCes articles doivent être commandés séparément.`;
+    }
+
+    /**
+     * Create an empty cart
+     */
+    createCart(currency = 'MAD') {
+        return { items: [], currency };
+    }
+
+    /**
+     * Add items to a cart (a product/variant already in the cart gets the new quantity)
+     * Items in another currency than the cart's are left out (see checkCurrency).
+     * @param {Object} cart - Cart ({ items, currency })
+     * @param {Array} items - Items from extractItems
+     * @returns {Object} Updated cart
+     */
+    addItems(cart, items) {
+        const updated = cart ? { ...cart, items: [...(cart.items || [])] } : this.createCart();
+
+        for (const item of items) {
+            if (updated.items.length > 0 && item.currency !== updated.currency) continue;
+
+            const existing = updated.items.findIndex(i => i.productId === item.productId && i.variant === item.variant);
+            if (existing !== -1) {
+                updated.items[existing] = { ...updated.items[existing], quantity: item.quantity };
+            } else {
+                updated.items.push(item);
+            }
+            if (updated.items.length === 1) updated.currency = item.currency;
+        }
+
+        return updated;
+    }
+
+    /**
+     * Compute cart totals
+     * @param {Object} cart - Cart ({ items, currency })
+     * @returns {Object} { subtotal, total, currency, itemCount }
+     */
+    computeTotals(cart) {
+        const items = (cart && cart.items) || [];
+        if (items.some(item => item.currency && item.currency !== cart.currency)) {
+            throw new Error('Cart mixes currencies');
+        }
+        const subtotal = items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+        const itemCount = items.reduce((sum, item) => sum + item.quantity, 0);
+
+        return {
+            subtotal: Math.round(subtotal * 100) / 100,
+            total: Math.round(subtotal * 100) / 100,
+            currency: (cart && cart.currency) || 'MAD',
+            itemCount
+        };
+    }
+
+    /**
+     * Check whether a cart has items
+     */
+    hasItems(cart) {
+        return !!(cart && cart.items && cart.items.length > 0);
+    }
+
+    /**
+     * Render cart lines ("2 × iPhone 15 (256GB) — 27000 DH")
+     * @param {Array} items - Cart items or order_items rows
+     * @param {string} currency - Currency code
+     * @param {string|null} locale - Tenant number format
+     * @returns {string} One line per item
+     */
+    formatLines(items, currency = 'MAD', locale = null) {
+        return items.map(item => {
+            const name = item.name || item.product_name;
+            const variant = item.variant || item.variant_name;
+            const unitPrice = Number(item.unitPrice !== undefined ? item.unitPrice : item.unit_price);
+            const label = variant ? `${name} (${variant})` : name;
+            return `• ${item.quantity} × ${label} — ${catalogService.formatPrice(unitPrice * item.quantity, currency, locale)}`;
+        }).join('\n');
+    }
+
+    /**
+     * Plain-text cart summary stored in customer_orders.order_details
+     */
+    summarize(cart, locale = null) {
+        const totals = this.computeTotals(cart);
+        return `${this.formatLines(cart.items, totals.currency, locale)}\nTotal: ${catalogService.formatPrice(totals.total, totals.currency, locale)}`;
+    }
+}
+
+module.exports = new CartService();
@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const cartService = require('./cartService');
+
+const products = [
+    { id: 1, name: 'iPhone 15', price: 9000, currency: 'MAD', variants: [{ name: '256GB', price: 10500 }] },
+    { id: 2, name: 'iPhone 15 Pro', price: 12000, currency: 'MAD' },
+    { id: 3, name: 'AirPods', price: 1500, currency: 'MAD' },
+    { id: 4, name: 'Coque', price: 20, currency: 'EUR' }
+];
+
+const summary = items => items.map(item => [item.name, item.variant, item.quantity]);
+
+describe('cartService.extractItems', () => {
+    it('prefers the longest product name', () => {
+        assert.deepEqual(summary(cartService.extractItems('je veux iphone 15 pro', products)), [['iPhone 15 Pro', null, 1]]);
+    });
+
+    it('reads quantities written before the product', () => {
+        assert.deepEqual(summary(cartService.extractItems('2 iphone 15 et 3x airpods', products)), [
+            ['iPhone 15', null, 2],
+            ['AirPods', null, 3]
+        ]);
+    });
+
+    it('reads a quantity written after the product', () => {
+        assert.deepEqual(summary(cartService.extractItems('airpods x2', products)), [['AirPods', null, 2]]);
+    });
+
+    it('reads a quantity written after the variant', () => {
+        const [item] = cartService.extractItems('iphone 15 256gb x2', products);
+        assert.deepEqual([item.variant, item.quantity, item.unitPrice], ['256GB', 2, 10500]);
+    });
+
+    it('binds a suffix quantity only to the product written before it', () => {
+        assert.deepEqual(summary(cartService.extractItems('iphone 15 256gb x2 airpods', products)), [
+            ['iPhone 15', '256GB', 2],
+            ['AirPods', null, 1]
+        ]);
+        assert.deepEqual(summary(cartService.extractItems('airpods x3 iphone 15', products)), [
+            ['AirPods', null, 3],
+            ['iPhone 15', null, 1]
+        ]);
+    });
+
+    it('returns nothing without a catalog', () => {
+        assert.deepEqual(cartService.extractItems('iphone 15', []), []);
+    });
+});
+
+describe('cartService.findQuantity', () => {
+    it('defaults to 1', () => {
+        assert.equal(cartService.findQuantity(' je veux ', ' svp '), 1);
+    });
+
+    it('reads "2 ", "2x " before and "x2" after', () => {
+        assert.equal(cartService.findQuantity(' 2 ', ' '), 2);
+        assert.equal(cartService.findQuantity(' 2x ', ' '), 2);
+        assert.equal(cartService.findQuantity(' ', ' x 4 '), 4);
+    });
+
+    it('never returns less than 1', () => {
+        assert.equal(cartService.findQuantity(' 0 ', ' '), 1);
+    });
+});
+
+describe('cartService currencies', () => {
+    const [iphone, , , coque] = products.map(p => cartService.buildItem(p));
+
+    it('splits items priced in another currency than the cart', () => {
+        const { sameCurrency, otherCurrency } = cartService.checkCurrency([iphone, coque], 'MAD');
+        assert.deepEqual(sameCurrency, [iphone]);
+        assert.deepEqual(otherCurrency, [coque]);
+    });
+
+    it('leaves other-currency items out of the cart', () => {
+        const cart = cartService.addItems(cartService.createCart(), [iphone, coque]);
+        assert.deepEqual(cart.items.map(item => item.name), ['iPhone 15']);
+        assert.equal(cartService.computeTotals(cart).total, 9000);
+    });
+
+    it('refuses to total a cart that mixes currencies', () => {
+        assert.throws(() => cartService.computeTotals({ currency: 'MAD', items: [iphone, coque] }), /mixes currencies/);
+    });
+});
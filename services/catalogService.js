@@ -0,0 +1,161 @@
+/**
+ * Product Catalog Service
+ * Loads a tenant's structured product catalog and renders it for the AI prompt
+ */
+
+const db = require('../database/db');
+const moneyService = require('./moneyService');
+
+class CatalogService {
+    /**
+     * Get the active products of a tenant, with stock availability
+     * @param {number} tenantId - Tenant ID
+     * @returns {Promise<Array>} Active products (empty if none or on error)
+     */
+    async getActiveProducts(tenantId) {
+        if (!tenantId) return [];
+
+        try {
+            const [products, inventory] = await Promise.all([
+                db.getProducts(tenantId, true),
+                db.getInventory(tenantId)
+            ]);
+            return this.attachAvailability(products, inventory);
+        } catch (error) {
+            console.error(`❌ [Catalog] Error loading products for tenant ${tenantId}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Add available quantities to products and variants (null = stock not tracked)
+     * @param {Array} products - Product rows
+     * @param {Array} inventory - product_inventory rows
+     * @returns {Array} Products with `available` on the product and each variant
+     */
+    attachAvailability(products, inventory) {
+        const stock = new Map();
+        for (const row of inventory || []) {
+            stock.set(`${row.product_id}:${row.variant_name}`, Number(row.available_quantity));
+        }
+
+        const availableFor = (productId, variantName) => {
+            const key = `${productId}:${variantName}`;
+            return stock.has(key) ? Math.max(0, stock.get(key)) : null;
+        };
+
+        return products.map(product => ({
+            ...product,
+            available: availableFor(product.id, ''),
+            variants: (Array.isArray(product.variants) ? product.variants : []).map(variant => ({
+                ...variant,
+                available: variant && variant.name ? availableFor(product.id, variant.name) : null
+            }))
+        }));
+    }
+
+    /**
+     * Describe stock for the prompt ('' when not tracked)
+     */
+    describeStock(available) {
+        if (available === null || available === undefined) return '';
+        if (available <= 0) return 'OUT OF STOCK';
+        if (available <= 3) return `only ${available} left`;
+        return '';
+    }
+
+    /**
+     * Format a price for display (MAD is shown as DH like the rest of the bot)
+     * @param {number|string} amount - Price
+     * @param {string} currency - ISO currency code
+     * @param {string|null} locale - Tenant number format (null = plain digits)
+     * @returns {string} Formatted price
+     */
+    formatPrice(amount, currency = 'MAD', locale = null) {
+        return moneyService.format(amount, currency, locale);
+    }
+
+    /**
+     * Render products as the product section of the e-commerce system prompt
+     * @param {Array} products - Product rows
+     * @param {string|null} locale - Tenant number format
+     * @returns {string} Catalog text ('' if no products)
+     */
+    formatForPrompt(products, locale = null) {
+        if (!products || products.length === 0) return '';
+
+        const lines = products.map((product, index) => {
+            let line = `${index + 1}. ${product.name}`;
+            if (product.sku) line += ` (SKU: ${product.sku})`;
+            line += ` - ${this.formatPrice(product.price, product.currency, locale)}`;
+
+            const stockNote = this.describeStock(product.available);
+            if (stockNote) line += ` [${stockNote}]`;
+
+            if (product.description) {
+                line += `\n   ${product.description}`;
+            }
+
+            const variants = Array.isArray(product.variants) ? product.variants : [];
+            if (variants.length > 0) {
+                const variantList = variants.map(variant => {
+                    const price = variant.price !== undefined && variant.price !== null ? variant.price : product.price;
+                    const variantStock = this.describeStock(variant.available);
+                    return `${variant.name} (${this.formatPrice(price, product.currency, locale)}${variantStock ? `, ${variantStock}` : ''})`;
+                });
+                line += `\n   Variants: ${variantList.join(', ')}`;
+            }
+
+            return line;
+        });
+
+        let catalog = `PRODUCTS/SERVICES YOU SELL (official catalog - prices are final):\n\n${lines.join('\n\n')}`;
+
+        const hasOutOfStock = products.some(p => p.available === 0 || (p.variants || []).some(v => v.available === 0));
+        if (hasOutOfStock) {
+            catalog += '\n\n⛔ Items marked OUT OF STOCK must NOT be offered or sold. Say they are unavailable and suggest an in-stock alternative.';
+        }
+
+        return catalog;
+    }
+
+    /**
+     * Validate a product payload from the API
+     * @param {Object} payload - Request body
+     * @param {boolean} partial - Allow missing fields (updates)
+     * @returns {string|null} Error message or null if valid
+     */
+    validate(payload, partial = false) {
+        if (!partial || payload.name !== undefined) {
+            if (!payload.name || typeof payload.name !== 'string' || !payload.name.trim()) {
+                return 'Product name is required';
+            }
+        }
+
+        if (!partial || payload.price !== undefined) {
+            const price = Number(payload.price);
+            if (payload.price === undefined || payload.price === null || isNaN(price) || price < 0) {
+                return 'Price must be a non-negative number';
+            }
+        }
+
+        if (payload.variants !== undefined) {
+            if (!Array.isArray(payload.variants)) {
+                return 'Variants must be an array';
+            }
+            const invalid = payload.variants.find(v => !v || !v.name || (v.price !== undefined && v.price !== null && (isNaN(Number(v.price)) || Number(v.price) < 0)));
+            if (invalid) {
+                return 'Each variant needs a name and a valid price';
+            }
+        }
+
+        if (payload.currency !== undefined) {
+            const currencyError = moneyService.validateSettings({ currency: payload.currency });
+            if (currencyError) return currencyError;
+        }
+
+        return null;
+    }
+}
+
+module.exports = new CatalogService();
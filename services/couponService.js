@@ -0,0 +1,223 @@
+/**
+ * Coupon Service
+ * Finds discount codes in customer messages, checks them against the tenant's
+ * coupons and computes the discount and the amount left to pay
+ */
+
+const catalogService = require('./catalogService');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed', 'free_shipping'];
+
+// "code promo: NOEL20", "coupon RAMADAN", "كود SALE10"
+const CODE_HINT = /(?:code\s*promo|promo\s*code|coupon|code|promo|كود|كوبون)\s*:?\s*([A-Za-z0-9_-]{3,50})/i;
+
+const FREE_SHIPPING_LABELS = {
+    fr: 'Livraison offerte 🚚',
+    ar: 'توصيل مجاني 🚚',
+    en: 'Free delivery 🚚'
+};
+
+const MESSAGES = {
+    applied: {
+        fr: (c) => `🏷️ Code *${c.code}* appliqué: ${c.label}${c.total ? `\n💰 Nouveau montant: ${c.total}` : ''}`,
+        ar: (c) => `🏷️ تم تطبيق الكود *${c.code}*: ${c.label}${c.total ? `\n💰 المبلغ الجديد: ${c.total}` : ''}`,
+        en: (c) => `🏷️ Code *${c.code}* applied: ${c.label}${c.total ? `\n💰 New amount: ${c.total}` : ''}`
+    },
+    not_found: {
+        fr: (c) => `❌ Le code *${c.code}* n'est pas valide.`,
+        ar: (c) => `❌ الكود *${c.code}* غير صالح.`,
+        en: (c) => `❌ Code *${c.code}* is not valid.`
+    },
+    not_started: {
+        fr: (c) => `⏳ Le code *${c.code}* n'est pas encore actif.`,
+        ar: (c) => `⏳ الكود *${c.code}* غير مفعل بعد.`,
+        en: (c) => `⏳ Code *${c.code}* is not active yet.`
+    },
+    expired: {
+        fr: (c) => `⌛ Le code *${c.code}* a expiré.`,
+        ar: (c) => `⌛ انتهت صلاحية الكود *${c.code}*.`,
+        en: (c) => `⌛ Code *${c.code}* has expired.`
+    },
+    min_amount: {
+        fr: (c) => `❌ Le code *${c.code}* est valable à partir de ${c.minAmount} d'achat.`,
+        ar: (c) => `❌ الكود *${c.code}* صالح ابتداءً من ${c.minAmount} من المشتريات.`,
+        en: (c) => `❌ Code *${c.code}* requires a minimum order of ${c.minAmount}.`
+    },
+    no_amount: {
+        fr: (c) => `❌ Le code *${c.code}* ne peut pas être appliqué à cette commande. Le montant sera confirmé par notre équipe.`,
+        ar: (c) => `❌ لا يمكن تطبيق الكود *${c.code}* على هذا الطلب. سيؤكد فريقنا المبلغ.`,
+        en: (c) => `❌ Code *${c.code}* can't be applied to this order. Our team will confirm the amount.`
+    },
+    max_uses: {
+        fr: (c) => `❌ Le code *${c.code}* a atteint son nombre maximum d'utilisations.`,
+        ar: (c) => `❌ الكود *${c.code}* بلغ الحد الأقصى للاستعمال.`,
+        en: (c) => `❌ Code *${c.code}* has reached its usage limit.`
+    },
+    customer_limit: {
+        fr: (c) => `❌ Vous avez déjà utilisé le code *${c.code}*.`,
+        ar: (c) => `❌ سبق لك استعمال الكود *${c.code}*.`,
+        en: (c) => `❌ You have already used code *${c.code}*.`
+    }
+};
+
+class CouponService {
+    constructor() {
+        this.discountTypes = DISCOUNT_TYPES;
+    }
+
+    /**
+     * Normalize a code for storage and comparison
+     */
+    normalizeCode(code) {
+        return (code || '').trim().toUpperCase();
+    }
+
+    /**
+     * Find a coupon code in a customer message
+     * @param {string} text - Customer message
+     * @param {Array} coupons - Tenant coupon rows
+     * @returns {Object|null} { code, coupon } (coupon null for an unknown code typed after "code"/"coupon") or null
+     */
+    findCode(text, coupons) {
+        const tokens = (text || '').toUpperCase().match(/[A-Z0-9_-]{3,50}/g) || [];
+        const coupon = (coupons || []).find(c => tokens.includes(this.normalizeCode(c.code)));
+        if (coupon) return { code: coupon.code, coupon };
+
+        // Unknown code - only when introduced as a code and looking like one (uppercase or with digits)
+        const hint = (text || '').match(CODE_HINT);
+        if (hint && (/\d/.test(hint[1]) || hint[1] === hint[1].toUpperCase())) {
+            return { code: this.normalizeCode(hint[1]), coupon: null };
+        }
+
+        return null;
+    }
+
+    /**
+     * Check the coupon rules that don't need the usage counts
+     * @param {Object} coupon - Coupon row
+     * @param {number|null} baseAmount - Order amount before discount (null if unknown)
+     * @returns {string|null} Error key or null if the coupon can be applied
+     */
+    check(coupon, baseAmount, now = new Date()) {
+        if (!coupon.is_active) return 'not_found';
+        if (coupon.starts_at && new Date(coupon.starts_at) > now) return 'not_started';
+        if (coupon.expires_at && new Date(coupon.expires_at) < now) return 'expired';
+
+        const needsAmount = coupon.discount_type !== 'free_shipping' || coupon.min_order_amount !== null;
+        if (needsAmount && (baseAmount === null || baseAmount === undefined)) return 'no_amount';
+        if (coupon.min_order_amount !== null && coupon.min_order_amount !== undefined && baseAmount < Number(coupon.min_order_amount)) {
+            return 'min_amount';
+        }
+
+        return null;
+    }
+
+    /**
+     * Discount on the order amount (free shipping is applied on the delivery fee, not here)
+     * @returns {number} Discount, never more than the amount
+     */
+    computeDiscount(coupon, baseAmount) {
+        const amount = Number(baseAmount) || 0;
+        const value = Number(coupon.discount_value) || 0;
+
+        let discount = 0;
+        if (coupon.discount_type === 'percentage') {
+            discount = amount * Math.min(value, 100) / 100;
+        } else if (coupon.discount_type === 'fixed') {
+            discount = value;
+        }
+
+        return Math.round(Math.min(discount, amount) * 100) / 100;
+    }
+
+    /**
+     * Short description of what a coupon gives ("-10% (-50 DH)", "Livraison offerte")
+     */
+    describe(coupon, discount, currency = 'MAD', language = 'fr', locale = null) {
+        if (coupon.discount_type === 'free_shipping') return FREE_SHIPPING_LABELS[language] || FREE_SHIPPING_LABELS.fr;
+        const amount = `-${catalogService.formatPrice(discount, currency, locale)}`;
+        return coupon.discount_type === 'percentage' ? `-${Number(coupon.discount_value)}% (${amount})` : amount;
+    }
+
+    /**
+     * Customer message for a coupon outcome
+     * @param {string} key - 'applied' or an error key from check / db.redeemCoupon
+     * @param {string} language - 'fr', 'ar' or 'en'
+     * @param {Object} details - { code, label, total, minAmount }
+     */
+    buildMessage(key, language, details) {
+        const templates = MESSAGES[key] || MESSAGES.not_found;
+        return (templates[language] || templates.fr)(details);
+    }
+
+    /**
+     * Order total after discount and delivery
+     * @param {Object} order - Order row (subtotal, discount_amount, free_shipping)
+     * @param {number|null} deliveryFee - Zone fee (ignored with free shipping)
+     * @returns {number|null} Total or null when the order has no computed subtotal
+     */
+    computeTotal(order, deliveryFee = null) {
+        if (!order || order.subtotal === null || order.subtotal === undefined) return null;
+
+        const fee = order.free_shipping ? 0 : Number(deliveryFee) || 0;
+        const subtotal = Math.max(0, Number(order.subtotal) - (Number(order.discount_amount) || 0));
+        return Math.round((subtotal + fee) * 100) / 100;
+    }
+
+    /**
+     * Validate a coupon payload from the API
+     * @param {Object} payload - Request body
+     * @param {boolean} partial - Allow missing fields (updates)
+     * @returns {string|null} Error message or null if valid
+     */
+    validate(payload, partial = false) {
+        if (!partial || payload.code !== undefined) {
+            if (!payload.code || typeof payload.code !== 'string' || !/^[A-Za-z0-9_-]{3,50}$/.test(payload.code.trim())) {
+                return 'Code must be 3-50 letters, digits, "-" or "_"';
+            }
+        }
+
+        if (!partial || payload.discountType !== undefined) {
+            if (!DISCOUNT_TYPES.includes(payload.discountType)) {
+                return `discountType must be one of: ${DISCOUNT_TYPES.join(', ')}`;
+            }
+        }
+
+        if (payload.discountValue !== undefined || (!partial && payload.discountType !== 'free_shipping')) {
+            const value = Number(payload.discountValue);
+            if (payload.discountValue === undefined || payload.discountValue === null || isNaN(value) || value <= 0) {
+                return 'discountValue must be a positive number';
+            }
+            if (payload.discountType === 'percentage' && value > 100) {
+                return 'A percentage discount cannot exceed 100';
+            }
+        }
+
+        if (payload.minOrderAmount !== undefined && payload.minOrderAmount !== null) {
+            const value = Number(payload.minOrderAmount);
+            if (isNaN(value) || value < 0) return 'minOrderAmount must be a non-negative number';
+        }
+
+        for (const key of ['maxUses', 'maxUsesPerCustomer']) {
+            const value = payload[key];
+            if (value !== undefined && value !== null && (!Number.isInteger(Number(value)) || Number(value) < 1)) {
+                return `${key} must be a positive integer`;
+            }
+        }
+
+        for (const key of ['startsAt', 'expiresAt']) {
+            const value = payload[key];
+            if (value !== undefined && value !== null && isNaN(new Date(value).getTime())) {
+                return `${key} must be a valid date`;
+            }
+        }
+
+        if (payload.startsAt && payload.expiresAt && new Date(payload.startsAt) > new Date(payload.expiresAt)) {
+            return 'startsAt cannot be after expiresAt';
+        }
+
+        return null;
+    }
+}
+
+module.exports = new CouponService();
@@ -0,0 +1,420 @@
+/**
+ * Delivery Details Flow
+ * Guided collection of the customer's delivery details (name, phone, city,
+ * street address, optional email) one question at a time, with validation
+ * and a final recap the customer confirms or corrects
+ */
+
+const deliveryService = require('./deliveryService');
+const catalogService = require('./catalogService');
+const couponService = require('./couponService');
+const paymentMethodService = require('./paymentMethodService');
+const moneyService = require('./moneyService');
+
+// Questions asked in order (confirm = final recap)
+const STEPS = ['name', 'phone', 'city', 'address', 'email'];
+
+const PROMPTS = {
+    name: {
+        fr: () => '👤 Quel est votre *nom complet* (prénom et nom)?',
+        ar: () => '👤 ما هو *اسمك الكامل* (الاسم والنسب)؟',
+        en: () => '👤 What is your *full name* (first and last name)?'
+    },
+    phone: {
+        fr: () => '📞 Quel *numéro de téléphone* doit utiliser le livreur?\n(Répondez *MÊME* pour utiliser ce numéro WhatsApp)',
+        ar: () => '📞 ما هو *رقم الهاتف* الذي سيتصل به عامل التوصيل؟\n(أرسل *نفس* لاستعمال رقم الواتساب هذا)',
+        en: () => '📞 Which *phone number* should the courier call?\n(Reply *SAME* to use this WhatsApp number)'
+    },
+    city: {
+        fr: (zones, money) => `🏙️ Dans quelle *ville* êtes-vous?${zones.length > 0 ? `\n\n🚚 Livraison:\n${deliveryService.formatFeeTable(zones, money.currency, money.locale)}` : ''}`,
+        ar: (zones, money) => `🏙️ في أي *مدينة* أنت؟${zones.length > 0 ? `\n\n🚚 التوصيل:\n${deliveryService.formatFeeTable(zones, money.currency, money.locale)}` : ''}`,
+        en: (zones, money) => `🏙️ Which *city* are you in?${zones.length > 0 ? `\n\n🚚 Delivery:\n${deliveryService.formatFeeTable(zones, money.currency, money.locale)}` : ''}`
+    },
+    address: {
+        fr: () => '📍 Quelle est votre *adresse* (rue, numéro, quartier)?',
+        ar: () => '📍 ما هو *عنوانك* (الشارع، الرقم، الحي)؟',
+        en: () => '📍 What is your *street address* (street, number, area)?'
+    },
+    email: {
+        fr: () => '📧 Votre *email* (optionnel)\nRépondez *PASSER* pour ignorer',
+        ar: () => '📧 *بريدك الإلكتروني* (اختياري)\nأرسل *تخطي* للتجاوز',
+        en: () => '📧 Your *email* (optional)\nReply *SKIP* to leave it out'
+    }
+};
+
+const ERRORS = {
+    name: {
+        fr: '⚠️ Merci d\'indiquer votre prénom et votre nom (ex: Ahmed Benali).',
+        ar: '⚠️ المرجو كتابة الاسم والنسب (مثال: أحمد بنعلي).',
+        en: '⚠️ Please send your first and last name (e.g. Ahmed Benali).'
+    },
+    phone: {
+        fr: '⚠️ Numéro invalide. Exemple: 0612345678 ou +212612345678',
+        ar: '⚠️ رقم غير صالح. مثال: 0612345678 أو +212612345678',
+        en: '⚠️ Invalid number. Example: 0612345678 or +212612345678'
+    },
+    city: {
+        fr: '⚠️ Merci d\'indiquer le nom de votre ville.',
+        ar: '⚠️ المرجو كتابة اسم مدينتك.',
+        en: '⚠️ Please send the name of your city.'
+    },
+    cityNotServed: {
+        fr: (zones, money) => `⚠️ Nous ne livrons pas encore dans cette ville. Villes desservies:\n${deliveryService.formatFeeTable(zones, money.currency, money.locale)}`,
+        ar: (zones, money) => `⚠️ لا نوصل بعد إلى هذه المدينة. المدن المتوفرة:\n${deliveryService.formatFeeTable(zones, money.currency, money.locale)}`,
+        en: (zones, money) => `⚠️ We don't deliver to this city yet. Cities we serve:\n${deliveryService.formatFeeTable(zones, money.currency, money.locale)}`
+    },
+    codNotAvailable: {
+        fr: (city) => `⚠️ Le paiement à la livraison n'est pas disponible à ${city}. Indiquez une autre ville ou répondez ANNULER.`,
+        ar: (city) => `⚠️ الدفع عند الاستلام غير متوفر في ${city}. أرسل مدينة أخرى أو اكتب إلغاء.`,
+        en: (city) => `⚠️ Cash on delivery isn't available in ${city}. Send another city or reply CANCEL.`
+    },
+    address: {
+        fr: '⚠️ Adresse trop courte. Indiquez la rue, le numéro et le quartier.',
+        ar: '⚠️ العنوان قصير جداً. المرجو ذكر الشارع والرقم والحي.',
+        en: '⚠️ Address too short. Please include street, number and area.'
+    },
+    email: {
+        fr: '⚠️ Email invalide. Réessayez ou répondez *PASSER*.',
+        ar: '⚠️ بريد إلكتروني غير صالح. حاول مجدداً أو أرسل *تخطي*.',
+        en: '⚠️ Invalid email. Try again or reply *SKIP*.'
+    },
+    confirm: {
+        fr: 'Répondez *OUI* pour confirmer, ou envoyez le numéro du champ à corriger (1-5).',
+        ar: 'أرسل *نعم* للتأكيد، أو رقم المعلومة التي تريد تصحيحها (1-5).',
+        en: 'Reply *YES* to confirm, or send the number of the field to correct (1-5).'
+    }
+};
+
+const RECAP = {
+    fr: {
+        title: '📋 *Vérifiez vos informations:*',
+        labels: { name: 'Nom', phone: 'Téléphone', city: 'Ville', address: 'Adresse', email: 'Email' },
+        none: 'Non fourni',
+        delivery: 'Livraison',
+        dueOnDelivery: 'à régler au livreur',
+        total: 'Total',
+        footer: '✅ Tout est correct? Répondez *OUI*\n✏️ Pour corriger, envoyez le numéro du champ (1-5)'
+    },
+    ar: {
+        title: '📋 *تحقق من معلوماتك:*',
+        labels: { name: 'الاسم', phone: 'الهاتف', city: 'المدينة', address: 'العنوان', email: 'البريد' },
+        none: 'غير متوفر',
+        delivery: 'التوصيل',
+        dueOnDelivery: 'تُدفع لعامل التوصيل',
+        total: 'المجموع',
+        footer: '✅ هل كل شيء صحيح؟ أرسل *نعم*\n✏️ للتصحيح، أرسل رقم المعلومة (1-5)'
+    },
+    en: {
+        title: '📋 *Please check your details:*',
+        labels: { name: 'Name', phone: 'Phone', city: 'City', address: 'Address', email: 'Email' },
+        none: 'Not provided',
+        delivery: 'Delivery',
+        dueOnDelivery: 'paid to the courier',
+        total: 'Total',
+        footer: '✅ Is everything correct? Reply *YES*\n✏️ To correct a field, send its number (1-5)'
+    }
+};
+
+const NUMBER_EMOJIS = ['1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣'];
+
+const SAME_NUMBER_KEYWORDS = ['meme', 'same', 'نفس', 'ce numero', 'this number', 'nafs'];
+const SKIP_KEYWORDS = ['passer', 'skip', 'non', 'no', 'aucun', 'none', 'تخطي', 'لا', 'la'];
+const YES_KEYWORDS = ['oui', 'yes', 'ok', 'correct', 'confirmer', 'confirm', 'نعم', 'واه', 'اه', 'صحيح', 'تأكيد', 'wah', 'ah'];
+const CANCEL_KEYWORDS = ['annuler', 'cancel', 'stop', 'الغاء', 'إلغاء'];
+
+class DeliveryDetailsFlow {
+    constructor() {
+        this.steps = STEPS;
+    }
+
+    /**
+     * Normalize a reply for keyword matching (lowercase, no accents/punctuation)
+     */
+    normalize(text) {
+        return (text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^\w\s\u0600-\u06FF]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Whole-word / whole-phrase keyword match
+     */
+    matches(text, keywords) {
+        const normalized = ` ${this.normalize(text)} `;
+        return keywords.some(kw => normalized.includes(` ${this.normalize(kw)} `));
+    }
+
+    isCancel(text) {
+        return this.matches(text, CANCEL_KEYWORDS);
+    }
+
+    /**
+     * Initial collectedInfo for a new sub-flow
+     */
+    start() {
+        return { step: STEPS[0], fields: {}, delivery: null, editing: false };
+    }
+
+    /**
+     * collectedInfo of an order whose conversation state was lost, from its saved columns
+     * The city is asked again so the delivery fee is quoted; answered steps are skipped.
+     */
+    resume(order) {
+        const fields = {};
+        if (order.customer_name) fields.name = order.customer_name;
+        if (order.contact_phone) fields.phone = order.contact_phone;
+        if (order.street_address) fields.address = order.street_address;
+        if (order.customer_email) fields.email = order.customer_email;
+
+        return { ...this.start(), step: this.nextStep(fields), fields };
+    }
+
+    /**
+     * First step after `from` whose field is not answered yet (undefined when none is left)
+     */
+    nextStep(fields, from = null) {
+        return STEPS.slice(from ? STEPS.indexOf(from) + 1 : 0).find(step => fields[step] === undefined);
+    }
+
+    /**
+     * Question for a step in the customer's language
+     * @param {string} step - Step name
+     * @param {string} language - 'fr', 'ar' or 'en'
+     * @param {Array} zones - Tenant delivery zones (shown with the city question)
+     * @param {Object} money - Tenant { currency, locale } for the zone fees
+     */
+    prompt(step, language = 'fr', zones = [], money = moneyService.getSettings(null)) {
+        const templates = PROMPTS[step];
+        return (templates[language] || templates.fr)(zones, money);
+    }
+
+    error(key, language, ...args) {
+        const template = ERRORS[key][language] || ERRORS[key].fr;
+        return typeof template === 'function' ? template(...args) : template;
+    }
+
+    /**
+     * Validate a full name (at least two words, letters only)
+     * @returns {string|null} Cleaned name or null
+     */
+    parseName(text) {
+        const name = (text || '').replace(/\s+/g, ' ').trim();
+        if (name.length < 5 || name.length > 100) return null;
+        if (!/^[\p{L}\p{M}' .-]+$/u.test(name)) return null;
+
+        const words = name.split(' ').filter(word => /\p{L}{2,}/u.test(word));
+        return words.length >= 2 ? name : null;
+    }
+
+    /**
+     * Validate a phone number ("06 12 34 56 78", "+212 612-345678", "00212...")
+     * Moroccan local numbers are stored in international format.
+     * @param {string} text - Customer reply
+     * @param {string} customerPhone - WhatsApp ID (used for "same number")
+     * @returns {string|null} Phone number or null
+     */
+    parsePhone(text, customerPhone) {
+        if (this.matches(text, SAME_NUMBER_KEYWORDS)) {
+            const digits = (customerPhone || '').split('@')[0].replace(/\D/g, '');
+            return digits ? `+${digits}` : null;
+        }
+
+        const raw = (text || '').trim();
+        if (/[^\d\s+().-]/.test(raw)) return null;
+
+        let phone = raw.replace(/[^\d+]/g, '');
+        if (phone.startsWith('00')) phone = `+${phone.substring(2)}`;
+
+        if (/^0[5-7]\d{8}$/.test(phone)) return `+212${phone.substring(1)}`;
+        if (/^\+\d{8,15}$/.test(phone)) return phone;
+        if (/^\d{9,15}$/.test(phone)) return `+${phone}`;
+        return null;
+    }
+
+    /**
+     * Validate a city
+     * @param {Array} paymentCities - Cities of the chosen COD method (empty = all)
+     * @param {Object} money - Tenant { currency, locale } for the zone fees
+     * @returns {Object} { city, delivery } or { error }
+     */
+    parseCity(text, zones, paymentMethod, language, paymentCities = [], money = moneyService.getSettings(null)) {
+        const city = (text || '').replace(/\s+/g, ' ').trim();
+        if (city.length < 2 || city.length > 100 || !/\p{L}/u.test(city)) {
+            return { error: this.error('city', language) };
+        }
+
+        let delivery = null;
+        if (zones && zones.length > 0) {
+            delivery = deliveryService.quoteForCity(zones, city);
+            if (!delivery) {
+                return { error: this.error('cityNotServed', language, zones, money) };
+            }
+        }
+
+        const deliveryCity = delivery ? delivery.city : city;
+        const codAvailable = (!delivery || delivery.codAvailable) && paymentMethodService.isCityAllowed(paymentCities, deliveryCity);
+        if (paymentMethod === 'COD' && !codAvailable) {
+            return { error: this.error('codNotAvailable', language, deliveryCity) };
+        }
+
+        return { city: deliveryCity, delivery };
+    }
+
+    parseAddress(text) {
+        const address = (text || '').trim();
+        if (address.length < 6 || address.length > 500) return null;
+        return /\p{L}{2,}/u.test(address) ? address : null;
+    }
+
+    /**
+     * Email or '' when skipped; null when invalid
+     */
+    parseEmail(text) {
+        if (this.matches(text, SKIP_KEYWORDS)) return '';
+        const match = (text || '').trim().match(/^[\w.+-]+@[\w-]+(\.[\w-]+)+$/);
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Process a customer reply
+     * @param {Object} info - collectedInfo from the order state
+     * @param {string} text - Customer reply
+     * @param {Object} context - { zones, customerPhone, paymentMethod, paymentCities, language, order, money, confirmed, prepaid }
+     *   (confirmed = the customer tapped the recap's confirm button, prepaid = the order is already paid)
+     * @returns {Object} { info, reply, done }
+     */
+    handle(info, text, context = {}) {
+        const { zones = [], customerPhone, paymentMethod, paymentCities = [], language = 'fr', order = null } = context;
+        const money = context.money || moneyService.getSettings(null);
+
+        // Conversation started before the guided flow existed - start over
+        if (!info || !info.step) {
+            const started = { ...(info || {}), ...this.start() };
+            return { info: started, reply: this.prompt(started.step, language, zones, money), done: false };
+        }
+
+        const updated = { ...info, fields: { ...(info.fields || {}) } };
+
+        if (updated.step === 'confirm') {
+            if (context.confirmed || this.matches(text, YES_KEYWORDS)) {
+                return { info: updated, reply: null, done: true };
+            }
+
+            const fieldNumber = parseInt((text || '').trim());
+            if (fieldNumber >= 1 && fieldNumber <= STEPS.length && /^\d$/.test((text || '').trim())) {
+                updated.step = STEPS[fieldNumber - 1];
+                updated.editing = true;
+                return { info: updated, reply: this.prompt(updated.step, language, zones, money), done: false };
+            }
+
+            return { info: updated, reply: this.error('confirm', language), done: false };
+        }
+
+        let error = null;
+        switch (updated.step) {
+            case 'name': {
+                const name = this.parseName(text);
+                if (name) updated.fields.name = name;
+                else error = this.error('name', language);
+                break;
+            }
+            case 'phone': {
+                const phone = this.parsePhone(text, customerPhone);
+                if (phone) updated.fields.phone = phone;
+                else error = this.error('phone', language);
+                break;
+            }
+            case 'city': {
+                const result = this.parseCity(text, zones, paymentMethod, language, paymentCities, money);
+                if (result.error) {
+                    error = result.error;
+                } else {
+                    updated.fields.city = result.city;
+                    updated.delivery = result.delivery;
+                }
+                break;
+            }
+            case 'address': {
+                const address = this.parseAddress(text);
+                if (address) updated.fields.address = address;
+                else error = this.error('address', language);
+                break;
+            }
+            case 'email': {
+                const email = this.parseEmail(text);
+                if (email !== null) updated.fields.email = email || null;
+                else error = this.error('email', language);
+                break;
+            }
+        }
+
+        if (error) {
+            return { info: updated, reply: error, done: false };
+        }
+
+        // Next question, or back to the recap after a correction / the last question
+        const nextStep = this.nextStep(updated.fields, updated.step);
+        if (updated.editing || !nextStep) {
+            updated.step = 'confirm';
+            updated.editing = false;
+            return { info: updated, reply: this.buildRecap(updated, language, order, money, context.prepaid), done: false };
+        }
+
+        updated.step = nextStep;
+        return { info: updated, reply: this.prompt(nextStep, language, zones, money), done: false };
+    }
+
+    /**
+     * Final "is this correct?" message
+     * @param {Object} info - collectedInfo with all fields
+     * @param {string} language - 'fr', 'ar' or 'en'
+     * @param {Object} order - Order row (subtotal/discount/currency for the total)
+     * @param {Object} money - Tenant { currency, locale }
+     * @param {boolean} prepaid - Already paid: the fee goes to the courier and the total is unchanged
+     */
+    buildRecap(info, language = 'fr', order = null, money = moneyService.getSettings(null), prepaid = false) {
+        const text = RECAP[language] || RECAP.fr;
+        const fields = info.fields || {};
+
+        const lines = STEPS.map((step, i) => `${NUMBER_EMOJIS[i]} ${text.labels[step]}: ${fields[step] || text.none}`);
+
+        let recap = `${text.title}\n\n${lines.join('\n')}`;
+
+        if (info.delivery) {
+            const currency = (order && order.currency) || money.currency;
+            const fee = order && order.free_shipping ? 0 : info.delivery.fee;
+            const eta = deliveryService.formatEta(info.delivery.zone);
+            recap += `\n\n🚚 ${text.delivery}: ${deliveryService.formatFee(fee, currency, money.locale)}${eta ? ` (${eta})` : ''}`;
+            if (prepaid && fee > 0) {
+                recap += ` - ${text.dueOnDelivery}`;
+            }
+
+            const total = couponService.computeTotal(order, fee);
+            if (total !== null && !prepaid) {
+                recap += `\n💰 ${text.total}: ${catalogService.formatPrice(total, currency, money.locale)}`;
+            }
+        }
+
+        return `${recap}\n\n${text.footer}`;
+    }
+
+    /**
+     * customer_orders columns for the collected fields
+     */
+    toOrderColumns(fields) {
+        return {
+            customer_name: fields.name.substring(0, 255),
+            contact_phone: fields.phone,
+            delivery_city: fields.city.substring(0, 100),
+            street_address: fields.address,
+            customer_address: `${fields.address}, ${fields.city}`.substring(0, 1000),
+            customer_email: fields.email || null
+        };
+    }
+}
+
+module.exports = new DeliveryDetailsFlow();
@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const deliveryDetailsFlow = require('./deliveryDetailsFlow');
+
+const zones = [{ id: 1, name: 'Casa', cities: ['Casablanca'], fee: 30, is_default: false, cod_available: true }];
+const order = { subtotal: 500, discount_amount: 0, free_shipping: false, currency: 'MAD' };
+
+/**
+ * Answer the questions in order and return the last result
+ */
+function answer(replies, context = {}) {
+    let result = { info: deliveryDetailsFlow.start() };
+    for (const reply of replies) {
+        result = deliveryDetailsFlow.handle(result.info, reply, { zones, customerPhone: '212600000000@c.us', order, ...context });
+    }
+    return result;
+}
+
+describe('deliveryDetailsFlow steps', () => {
+    it('asks name, phone, city, address and email, then shows the recap', () => {
+        const result = answer(['Ali Alaoui', 'meme', 'Casablanca', '12 rue des Fleurs', 'passer']);
+        assert.equal(result.info.step, 'confirm');
+        assert.deepEqual(result.info.fields, {
+            name: 'Ali Alaoui',
+            phone: '+212600000000',
+            city: 'Casablanca',
+            address: '12 rue des Fleurs',
+            email: null
+        });
+        assert.match(result.reply, /Total: 530/);
+        assert.equal(result.done, false);
+    });
+
+    it('stays on a step until the reply is valid', () => {
+        const result = answer(['Ali', 'Ali Alaoui', '123']);
+        assert.equal(result.info.step, 'phone');
+        assert.equal(result.info.fields.name, 'Ali Alaoui');
+    });
+
+    it('refuses a city outside the delivery zones', () => {
+        const result = answer(['Ali Alaoui', '0611223344', 'Tanger']);
+        assert.equal(result.info.step, 'city');
+    });
+
+    it('goes back to the recap after a correction', () => {
+        const recap = answer(['Ali Alaoui', '0611223344', 'Casablanca', '12 rue des Fleurs', 'passer']);
+        const editing = deliveryDetailsFlow.handle(recap.info, '4', { zones, order });
+        assert.equal(editing.info.step, 'address');
+        const corrected = deliveryDetailsFlow.handle(editing.info, '8 avenue Hassan II', { zones, order });
+        assert.equal(corrected.info.step, 'confirm');
+        assert.equal(corrected.info.fields.address, '8 avenue Hassan II');
+    });
+
+    it('is done once the recap is confirmed', () => {
+        const recap = answer(['Ali Alaoui', '0611223344', 'Casablanca', '12 rue des Fleurs', 'passer']);
+        assert.equal(deliveryDetailsFlow.handle(recap.info, 'oui', { zones, order }).done, true);
+    });
+
+    it('tells a prepaid customer the fee is paid to the courier', () => {
+        const recap = answer(['Ali Alaoui', '0611223344', 'Casablanca', '12 rue des Fleurs', 'passer'], { prepaid: true });
+        assert.match(recap.reply, /30 DH - à régler au livreur/);
+        assert.doesNotMatch(recap.reply, /Total/);
+    });
+
+    it('skips the steps a resumed order already answered', () => {
+        const info = deliveryDetailsFlow.resume({ customer_name: 'Ali Alaoui', contact_phone: '+212611223344' });
+        assert.equal(info.step, 'city');
+        const result = deliveryDetailsFlow.handle(info, 'Casablanca', { zones, order });
+        assert.equal(result.info.step, 'address');
+    });
+});
+
+describe('deliveryDetailsFlow.isCancel', () => {
+    it('matches explicit cancel words only', () => {
+        assert.equal(deliveryDetailsFlow.isCancel('Annuler svp'), true);
+        assert.equal(deliveryDetailsFlow.isCancel('إلغاء'), true);
+        assert.equal(deliveryDetailsFlow.isCancel('non'), false);
+        assert.equal(deliveryDetailsFlow.isCancel('NOEL20'), false);
+    });
+});
+
+describe('deliveryDetailsFlow.toOrderColumns', () => {
+    it('stores each field in its own column with the combined address', () => {
+        assert.deepEqual(deliveryDetailsFlow.toOrderColumns({
+            name: 'Ali Alaoui',
+            phone: '+212611223344',
+            city: 'Casablanca',
+            address: '12 rue des Fleurs',
+            email: null
+        }), {
+            customer_name: 'Ali Alaoui',
+            contact_phone: '+212611223344',
+            delivery_city: 'Casablanca',
+            street_address: '12 rue des Fleurs',
+            customer_address: '12 rue des Fleurs, Casablanca',
+            customer_email: null
+        });
+    });
+});
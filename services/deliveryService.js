@@ -0,0 +1,216 @@
+/**
+ * Delivery Service
+ * Tenant delivery zones: finds the customer's city in a message, quotes the
+ * delivery fee / ETA / COD availability and renders the zones for the AI prompt
+ */
+
+const db = require('../database/db');
+const catalogService = require('./catalogService');
+
+class DeliveryService {
+    /**
+     * Get the active delivery zones of a tenant
+     * @param {number} tenantId - Tenant ID
+     * @returns {Promise<Array>} Zones (empty if none or on error)
+     */
+    async getZones(tenantId) {
+        if (!tenantId) return [];
+
+        try {
+            return await db.getDeliveryZones(tenantId, true);
+        } catch (error) {
+            console.error(`❌ [Delivery] Error loading zones for tenant ${tenantId}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Normalize a city name or message for matching (lowercase, no accents/punctuation)
+     */
+    normalize(text) {
+        return (text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^\w\s\u0600-\u06FF]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Find a city listed in a zone within a message (longest name wins)
+     * @param {string} text - Customer message
+     * @param {Array} zones - Delivery zone rows
+     * @returns {Object|null} { city, zone } or null if no listed city is mentioned
+     */
+    detectCity(text, zones) {
+        const normalized = ` ${this.normalize(text)} `;
+        if (!normalized.trim() || !zones || zones.length === 0) return null;
+
+        const candidates = [];
+        for (const zone of zones) {
+            for (const city of Array.isArray(zone.cities) ? zone.cities : []) {
+                const name = this.normalize(city);
+                if (name) candidates.push({ city, name, zone });
+            }
+        }
+        candidates.sort((a, b) => b.name.length - a.name.length);
+
+        const match = candidates.find(c => normalized.includes(` ${c.name} `));
+        return match ? { city: match.city, zone: match.zone } : null;
+    }
+
+    /**
+     * Default zone (applies to cities not listed in any zone)
+     */
+    getDefaultZone(zones) {
+        return (zones || []).find(zone => zone.is_default) || null;
+    }
+
+    /**
+     * Quote delivery for a city
+     * @param {Array} zones - Delivery zone rows
+     * @param {string} city - City name
+     * @returns {Object|null} { zone, city, fee, codAvailable } or null if not deliverable / no zones
+     */
+    quoteForCity(zones, city) {
+        const detected = this.detectCity(city, zones);
+        const zone = detected ? detected.zone : this.getDefaultZone(zones);
+        if (!zone) return null;
+
+        return this.buildQuote(zone, detected ? detected.city : (city || '').trim());
+    }
+
+    /**
+     * Quote delivery from a free-text message (address, city...)
+     * Falls back to the default zone only when no listed city is mentioned.
+     * @returns {Object|null} Quote or null
+     */
+    quoteFromText(zones, text) {
+        const detected = this.detectCity(text, zones);
+        if (detected) return this.buildQuote(detected.zone, detected.city);
+
+        const zone = this.getDefaultZone(zones);
+        return zone ? this.buildQuote(zone, null) : null;
+    }
+
+    buildQuote(zone, city) {
+        return {
+            zone,
+            zoneId: zone.id,
+            zoneName: zone.name,
+            city: city || null,
+            fee: Number(zone.fee),
+            codAvailable: zone.cod_available !== false
+        };
+    }
+
+    /**
+     * ETA range in days ("1-2", "3") or '' when not set
+     */
+    formatEtaRange(zone) {
+        const days = [zone.eta_min_days, zone.eta_max_days].filter(d => d !== null && d !== undefined);
+        if (days.length === 0) return '';
+        return days.length === 2 && days[0] !== days[1] ? `${days[0]}-${days[1]}` : `${days[0]}`;
+    }
+
+    /**
+     * ETA text for customers ("1-2 jours", "1 jour") or '' when not set
+     */
+    formatEta(zone) {
+        const range = this.formatEtaRange(zone);
+        if (!range) return '';
+        return `${range} ${range === '1' ? 'jour' : 'jours'}`;
+    }
+
+    /**
+     * Delivery fee label ("Gratuite" or "30 DH")
+     */
+    formatFee(fee, currency = 'MAD', locale = null) {
+        return Number(fee) === 0 ? 'Gratuite' : catalogService.formatPrice(fee, currency, locale);
+    }
+
+    /**
+     * One line per zone for the order confirmation message
+     * @param {Array} zones - Delivery zone rows
+     * @param {string} currency - Currency code
+     * @param {string|null} locale - Tenant number format
+     * @returns {string} Zone lines ('' if no zones)
+     */
+    formatFeeTable(zones, currency = 'MAD', locale = null) {
+        return (zones || []).map(zone => {
+            const label = zone.is_default ? 'Autres villes' : zone.name;
+            const eta = this.formatEta(zone);
+            return `• ${label}: ${this.formatFee(zone.fee, currency, locale)}${eta ? ` (${eta})` : ''}`;
+        }).join('\n');
+    }
+
+    /**
+     * Render zones as the delivery section of the e-commerce system prompt
+     * @param {Array} zones - Delivery zone rows
+     * @param {string} currency - Currency code
+     * @param {string|null} locale - Tenant number format
+     * @returns {string} Delivery text ('' if no zones)
+     */
+    formatForPrompt(zones, currency = 'MAD', locale = null) {
+        if (!zones || zones.length === 0) return '';
+
+        const lines = zones.map(zone => {
+            const cities = zone.is_default ? 'All other cities' : (zone.cities || []).join(', ');
+            const range = this.formatEtaRange(zone);
+            const eta = range ? `, ${range} day(s)` : '';
+            const cod = zone.cod_available !== false ? 'cash on delivery available' : 'NO cash on delivery';
+            return `- ${zone.name} (${cities}): ${this.formatFee(zone.fee, currency, locale)}${eta}, ${cod}`;
+        });
+
+        let text = `DELIVERY FEES (official - never invent other fees; fees in the examples below are NOT ours):\n${lines.join('\n')}`;
+        if (!this.getDefaultZone(zones)) {
+            text += '\nWe do NOT deliver to cities not listed above.';
+        }
+        return text;
+    }
+
+    /**
+     * Validate a delivery zone payload from the API
+     * @param {Object} payload - Request body
+     * @param {boolean} partial - Allow missing fields (updates)
+     * @returns {string|null} Error message or null if valid
+     */
+    validate(payload, partial = false) {
+        if (!partial || payload.name !== undefined) {
+            if (!payload.name || typeof payload.name !== 'string' || !payload.name.trim()) {
+                return 'Zone name is required';
+            }
+        }
+
+        if (!partial || payload.fee !== undefined) {
+            const fee = Number(payload.fee);
+            if (payload.fee === undefined || payload.fee === null || isNaN(fee) || fee < 0) {
+                return 'Fee must be a non-negative number';
+            }
+        }
+
+        if (payload.cities !== undefined) {
+            if (!Array.isArray(payload.cities) || payload.cities.some(c => typeof c !== 'string' || !c.trim())) {
+                return 'Cities must be an array of city names';
+            }
+        } else if (!partial && !payload.isDefault) {
+            return 'Cities are required (or set isDefault for all other cities)';
+        }
+
+        for (const key of ['etaMinDays', 'etaMaxDays']) {
+            const value = payload[key];
+            if (value !== undefined && value !== null && (!Number.isInteger(Number(value)) || Number(value) < 0)) {
+                return `${key} must be a non-negative integer`;
+            }
+        }
+
+        if (payload.etaMinDays != null && payload.etaMaxDays != null && Number(payload.etaMinDays) > Number(payload.etaMaxDays)) {
+            return 'etaMinDays cannot be greater than etaMaxDays';
+        }
+
+        return null;
+    }
+}
+
+module.exports = new DeliveryService();
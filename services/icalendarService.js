@@ -0,0 +1,399 @@
+/**
+ * iCalendar Service
+ * Reads and writes .ics files (RFC 5545) without a library: the appointment feeds
+ * phone calendars subscribe to, and the busy times of calendars imported from
+ * elsewhere (recurring events expanded).
+ */
+
+const appointmentService = require('./appointmentService');
+
+const PRODUCT_ID = '-//WhatsApp AI Agent//Appointments//FR';
+const UID_DOMAIN = 'whatsapp-ai-agent';
+
+// Periods walked for one recurring event at most (a daily event for ~50 years),
+// and for all the recurring events of one calendar together
+const MAX_PERIODS = 20000;
+const MAX_CALENDAR_PERIODS = 100000;
+
+const WEEKDAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const RULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'WKST'];
+
+const STATUS_LABELS = { booked: 'Réservé', completed: 'Terminé', cancelled: 'Annulé', no_show: 'Absent' };
+
+class ICalendarService {
+    // ---------- Reading ----------
+
+    /**
+     * Properties of an .ics text, folded lines joined
+     * @returns {Array} [{ name, params, value }]
+     */
+    parseLines(text) {
+        return String(text || '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/\n[ \t]/g, '')
+            .split('\n')
+            .map(line => this.parseLine(line))
+            .filter(Boolean);
+    }
+
+    parseLine(line) {
+        // Name and parameters end at the first ':' outside quotes (TZID="...:...")
+        let inQuotes = false;
+        let colon = -1;
+        for (let i = 0; i < line.length && colon === -1; i++) {
+            if (line[i] === '"') inQuotes = !inQuotes;
+            else if (line[i] === ':' && !inQuotes) colon = i;
+        }
+        if (colon <= 0) return null;
+
+        const [name, ...rawParams] = line.substring(0, colon).split(';');
+        const params = {};
+        for (const param of rawParams) {
+            const eq = param.indexOf('=');
+            if (eq > 0) params[param.substring(0, eq).toUpperCase()] = param.substring(eq + 1).replace(/^"|"$/g, '');
+        }
+        return { name: name.trim().toUpperCase(), params, value: line.substring(colon + 1).trim() };
+    }
+
+    /**
+     * VEVENTs of a calendar: property name -> property (EXDATE -> list); alarms ignored
+     */
+    readEvents(text) {
+        const events = [];
+        const components = [];
+        let event = null;
+
+        for (const property of this.parseLines(text)) {
+            if (property.name === 'BEGIN') {
+                components.push(property.value.toUpperCase());
+                if (property.value.toUpperCase() === 'VEVENT') event = { EXDATE: [] };
+            } else if (property.name === 'END') {
+                if (components.pop() === 'VEVENT' && event) {
+                    events.push(event);
+                    event = null;
+                }
+            } else if (event && components[components.length - 1] === 'VEVENT') {
+                if (property.name === 'EXDATE') event.EXDATE.push(property);
+                else if (!event[property.name]) event[property.name] = property;
+            }
+        }
+
+        return events;
+    }
+
+    /**
+     * Date or date-time value in its own timezone ("Z" = UTC, TZID, otherwise the
+     * default timezone for floating times and all-day dates)
+     * @returns {Object|null} { date, minutes, seconds, timezone, allDay }
+     */
+    parseDateValue(value, params, defaultTimezone) {
+        const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value).trim());
+        if (!match) return null;
+
+        const date = `${match[1]}-${match[2]}-${match[3]}`;
+        if (!appointmentService.isValidDate(date)) return null;
+        if (!match[4]) {
+            return { date, minutes: 0, seconds: 0, timezone: defaultTimezone, allDay: true };
+        }
+
+        const tzid = params && params.TZID;
+        const timezone = match[7] ? 'UTC' : (tzid && appointmentService.isValidTimezone(tzid) ? tzid : defaultTimezone);
+        return {
+            date,
+            minutes: parseInt(match[4]) * 60 + parseInt(match[5]),
+            seconds: parseInt(match[6] || '0'),
+            timezone,
+            allDay: false
+        };
+    }
+
+    toInstant(local, date = local.date) {
+        return new Date(appointmentService.toUtc(date, local.minutes, local.timezone).getTime() + local.seconds * 1000);
+    }
+
+    /**
+     * "PT1H30M", "P1D", "P2W" in milliseconds
+     */
+    parseDuration(value) {
+        const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+        if (!match) return null;
+
+        const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || 0);
+        const ms = (((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 3600 + Number(minutes) * 60 + Number(seconds)) * 1000;
+        return sign === '-' ? -ms : ms;
+    }
+
+    parseRule(value) {
+        const rule = {};
+        for (const part of String(value).split(';')) {
+            const [key, ruleValue] = part.split('=');
+            if (key && ruleValue) rule[key.trim().toUpperCase()] = ruleValue.trim().toUpperCase();
+        }
+        return rule;
+    }
+
+    unescapeText(value) {
+        return String(value || '').replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    }
+
+    /**
+     * Local dates of one period of a recurring event
+     * @param {number} offset - Periods since the first one (interval included)
+     */
+    getPeriodDates(date, rule, offset) {
+        if (rule.FREQ === 'DAILY') return [appointmentService.addDays(date, offset)];
+
+        if (rule.FREQ === 'WEEKLY') {
+            if (!rule.BYDAY) return [appointmentService.addDays(date, offset * 7)];
+
+            // Weeks start on Monday; days of the first week before DTSTART are dropped by the caller
+            const monday = appointmentService.addDays(date, offset * 7 - (appointmentService.getDayOfWeek(date) + 6) % 7);
+            return rule.BYDAY.split(',')
+                .map(day => (WEEKDAYS[day] + 6) % 7)
+                .sort((a, b) => a - b)
+                .map(days => appointmentService.addDays(monday, days));
+        }
+
+        // Monthly and yearly repeat the day of month; months without it are skipped (no 31 June)
+        const [year, month, day] = date.split('-').map(Number);
+        const months = year * 12 + month - 1 + (rule.FREQ === 'YEARLY' ? offset * 12 : offset);
+        const next = `${Math.floor(months / 12)}-${String(months % 12 + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+        return appointmentService.isValidDate(next) ? [next] : [];
+    }
+
+    /**
+     * Periods of a recurring event that all lie before a date (one kept as margin)
+     */
+    countPeriodsBefore(date, rule, interval, before) {
+        let periods;
+        if (rule.FREQ === 'MONTHLY' || rule.FREQ === 'YEARLY') {
+            const [year, month] = date.split('-').map(Number);
+            const [beforeYear, beforeMonth] = before.split('-').map(Number);
+            periods = ((beforeYear - year) * 12 + beforeMonth - month) / (rule.FREQ === 'YEARLY' ? 12 : 1);
+        } else {
+            const days = (new Date(`${before}T00:00:00Z`) - new Date(`${date}T00:00:00Z`)) / 86400000;
+            periods = rule.FREQ === 'WEEKLY' ? days / 7 : days;
+        }
+        return Math.max(Math.floor(periods / interval) - 1, 0);
+    }
+
+    /**
+     * Start instants of a recurring event within a range (earlier ones may be included)
+     * Rules this reader does not understand (e.g. "2nd Tuesday of the month") keep
+     * their first occurrence only.
+     * @param {Object} budget - { periods } left for the whole calendar, decreased here
+     */
+    expandRule(start, rule, from, to, budget) {
+        const supported = FREQUENCIES.includes(rule.FREQ) &&
+            Object.keys(rule).every(key => RULE_PARTS.includes(key)) &&
+            (!rule.BYDAY || (rule.FREQ === 'WEEKLY' && rule.BYDAY.split(',').every(day => day in WEEKDAYS)));
+        if (!supported) return [this.toInstant(start)];
+
+        const interval = Math.max(parseInt(rule.INTERVAL) || 1, 1);
+        const count = parseInt(rule.COUNT) || Infinity;
+        let last = to;
+        if (rule.UNTIL) {
+            const until = this.parseDateValue(rule.UNTIL, {}, start.timezone);
+            // A date-only UNTIL includes its whole day
+            const untilInstant = until && (until.allDay
+                ? new Date(appointmentService.toUtc(appointmentService.addDays(until.date, 1), 0, until.timezone).getTime() - 1)
+                : this.toInstant(until));
+            if (untilInstant && untilInstant < last) last = untilInstant;
+        }
+
+        // A day of margin for timezones; dates before it are not converted to instants
+        const rangeStart = appointmentService.addDays(appointmentService.getLocalParts(from, start.timezone).date, -1);
+
+        // With COUNT every earlier occurrence counts, otherwise start right before the range
+        let period = rule.COUNT ? 0 : this.countPeriodsBefore(start.date, rule, interval, rangeStart);
+        let counted = 0;
+        const starts = [];
+        let done = false;
+        for (let walked = 0; walked < MAX_PERIODS && budget.periods > 0 && !done; walked++, period++) {
+            budget.periods--;
+            for (const date of this.getPeriodDates(start.date, rule, period * interval)) {
+                if (date < start.date) continue;
+                if (counted >= count) {
+                    done = true;
+                    break;
+                }
+                counted++;
+                if (date < rangeStart) continue;
+
+                const instant = this.toInstant(start, date);
+                if (instant > last) {
+                    done = true;
+                    break;
+                }
+                starts.push(instant);
+            }
+        }
+
+        return starts;
+    }
+
+    /**
+     * Busy times of a calendar overlapping a range
+     * Free ("transparent") and cancelled events are skipped; recurring events are expanded
+     * (daily, weekly with days, monthly, yearly; interval, count, until, excluded dates and
+     * occurrences moved or cancelled on their own).
+     * @param {string} defaultTimezone - For floating times and all-day events
+     * @returns {Array} [{ uid, summary, startsAt, endsAt }]
+     */
+    parseBusyTimes(text, defaultTimezone, from, to) {
+        const events = this.readEvents(text);
+
+        // Occurrences overridden by their own event (RECURRENCE-ID) are dropped from the series
+        const overridden = new Map(); // uid -> Set of original start times
+        for (const event of events) {
+            const recurrenceId = event['RECURRENCE-ID'];
+            const local = recurrenceId && this.parseDateValue(recurrenceId.value, recurrenceId.params, defaultTimezone);
+            if (!local || !event.UID) continue;
+
+            if (!overridden.has(event.UID.value)) overridden.set(event.UID.value, new Set());
+            overridden.get(event.UID.value).add(this.toInstant(local).getTime());
+        }
+
+        const busy = [];
+        const budget = { periods: MAX_CALENDAR_PERIODS };
+        for (const event of events) {
+            const free = (event.TRANSP && event.TRANSP.value.toUpperCase() === 'TRANSPARENT') ||
+                (event.STATUS && event.STATUS.value.toUpperCase() === 'CANCELLED');
+            if (free || !event.DTSTART) continue;
+
+            const start = this.parseDateValue(event.DTSTART.value, event.DTSTART.params, defaultTimezone);
+            if (!start) continue;
+
+            const startsAt = this.toInstant(start);
+            const end = event.DTEND && this.parseDateValue(event.DTEND.value, event.DTEND.params, defaultTimezone);
+            let duration = start.allDay ? 86400000 : 0;
+            if (end) duration = this.toInstant(end) - startsAt;
+            else if (event.DURATION) duration = this.parseDuration(event.DURATION.value);
+            if (!(duration > 0)) continue;
+
+            const uid = event.UID ? event.UID.value : null;
+            const excluded = new Set(event['RECURRENCE-ID'] ? [] : (overridden.get(uid) || []));
+            for (const exdate of event.EXDATE) {
+                for (const value of exdate.value.split(',')) {
+                    const local = this.parseDateValue(value, exdate.params, defaultTimezone);
+                    if (local) excluded.add(this.toInstant(local).getTime());
+                }
+            }
+
+            const starts = event.RRULE && !event['RECURRENCE-ID']
+                ? this.expandRule(start, this.parseRule(event.RRULE.value), new Date(from.getTime() - duration), to, budget)
+                : [startsAt];
+
+            for (const occurrence of starts) {
+                const endsAt = new Date(occurrence.getTime() + duration);
+                if (excluded.has(occurrence.getTime()) || endsAt <= from || occurrence >= to) continue;
+
+                busy.push({
+                    uid: uid ? uid.substring(0, 255) : null,
+                    summary: event.SUMMARY ? this.unescapeText(event.SUMMARY.value).substring(0, 255) : null,
+                    startsAt: occurrence,
+                    endsAt
+                });
+            }
+        }
+
+        if (budget.periods <= 0) {
+            console.warn(`⚠️ [Calendars] Recurring events cut short after ${MAX_CALENDAR_PERIODS} periods`);
+        }
+
+        return busy.sort((a, b) => a.startsAt - b.startsAt);
+    }
+
+    isCalendar(text) {
+        return /BEGIN:VCALENDAR/i.test(String(text || ''));
+    }
+
+    // ---------- Writing ----------
+
+    escapeText(value) {
+        return String(value || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    formatInstant(instant) {
+        return new Date(instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Lines longer than 75 bytes continue on the next line after a space
+     */
+    foldLine(line) {
+        const parts = [];
+        let current = '';
+        let bytes = 0;
+        for (const char of line) {
+            const size = Buffer.byteLength(char);
+            if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+                parts.push(current);
+                current = '';
+                bytes = 0;
+            }
+            current += char;
+            bytes += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    buildEvent(appointment) {
+        const phone = String(appointment.customer_phone).split('@')[0];
+        const description = [
+            `Client: ${appointment.customer_name || '-'}`,
+            `Tél: +${phone}`,
+            `Statut: ${STATUS_LABELS[appointment.status] || appointment.status}`,
+            appointment.notes ? `Notes: ${appointment.notes}` : null,
+            appointment.cancel_reason ? `Motif: ${appointment.cancel_reason}` : null
+        ].filter(Boolean).join('\n');
+
+        // Every change must raise the sequence or calendars keep the old version
+        const sequence = (appointment.reschedule_count || 0) + (appointment.status === 'cancelled' ? 1 : 0);
+
+        return [
+            'BEGIN:VEVENT',
+            `UID:appointment-${appointment.id}@${UID_DOMAIN}`,
+            `DTSTAMP:${this.formatInstant(appointment.updated_at || appointment.created_at || new Date())}`,
+            `DTSTART:${this.formatInstant(appointment.starts_at)}`,
+            `DTEND:${this.formatInstant(appointment.ends_at)}`,
+            `SUMMARY:${this.escapeText(`${appointment.service_name} - ${appointment.customer_name || `+${phone}`}`)}`,
+            `DESCRIPTION:${this.escapeText(description)}`,
+            `STATUS:${appointment.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+            `SEQUENCE:${sequence}`,
+            'END:VEVENT'
+        ];
+    }
+
+    /**
+     * .ics feed of appointments (times in UTC; cancelled ones kept so calendars remove them)
+     * @param {Object} calendar - { name, timezone }
+     */
+    buildFeed(appointments, calendar) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeText(calendar.name)}`,
+            `X-WR-TIMEZONE:${calendar.timezone}`,
+            'REFRESH-INTERVAL;VALUE=DURATION:PT15M',
+            'X-PUBLISHED-TTL:PT15M'
+        ];
+        for (const appointment of appointments) {
+            lines.push(...this.buildEvent(appointment));
+        }
+        lines.push('END:VCALENDAR');
+
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+}
+
+module.exports = new ICalendarService();
@@ -0,0 +1,133 @@
+/**
+ * Interactive Message Service
+ * Sends order confirmations, payment method choices and cancel options as
+ * WhatsApp buttons / list messages, and reads the customer's tap back as a
+ * structured reply. Every message keeps its typed instructions, and falls back
+ * to plain text when the client can't send interactive messages.
+ * Off unless INTERACTIVE_MESSAGES=true: WhatsApp deprecated buttons and lists, and
+ * accounts that don't show them drop the message without any error.
+ */
+
+const { Buttons, List } = require('whatsapp-web.js');
+
+// IDs carried by button / list replies
+const REPLY_IDS = {
+    confirmOrder: 'order_confirm',
+    cancelOrder: 'order_cancel',
+    confirmDetails: 'details_confirm'
+};
+
+const PAYMENT_METHOD_PREFIX = 'payment_method_';
+
+const LABELS = {
+    confirmOrder: { fr: '✅ Confirmer', ar: '✅ تأكيد', en: '✅ Confirm' },
+    cancelOrder: { fr: '❌ Annuler', ar: '❌ إلغاء', en: '❌ Cancel' },
+    confirmDetails: { fr: '✅ Oui, c\'est correct', ar: '✅ نعم، صحيح', en: '✅ Yes, correct' },
+    chooseMethod: { fr: 'Choisir', ar: 'اختيار', en: 'Choose' },
+    paymentMethods: { fr: 'Modes de paiement', ar: 'طرق الدفع', en: 'Payment methods' }
+};
+
+// WhatsApp limit for list row titles
+const ROW_TITLE_MAX = 24;
+
+class InteractiveMessageService {
+    constructor() {
+        this.enabled = process.env.INTERACTIVE_MESSAGES === 'true';
+        this.replyIds = REPLY_IDS;
+    }
+
+    label(key, language = 'fr') {
+        return LABELS[key][language] || LABELS[key].fr;
+    }
+
+    /**
+     * Send an interactive message, or the text alone when it can't be sent
+     * @param {Object} chat - Customer chat
+     * @param {string} text - Full message (with typed instructions)
+     * @param {Function} build - Returns the Buttons / List to send
+     */
+    async send(chat, text, build) {
+        if (this.enabled) {
+            try {
+                const sent = await chat.sendMessage(build());
+                if (sent) return sent;
+            } catch (error) {
+                console.warn('⚠️ Interactive message not supported, sending text:', error.message || error);
+            }
+        }
+        return chat.sendMessage(text);
+    }
+
+    /**
+     * Order summary with Confirm / Cancel buttons
+     */
+    sendOrderConfirmation(chat, text, language = 'fr') {
+        return this.send(chat, text, () => new Buttons(text, [
+            { id: REPLY_IDS.confirmOrder, body: this.label('confirmOrder', language) },
+            { id: REPLY_IDS.cancelOrder, body: this.label('cancelOrder', language) }
+        ]));
+    }
+
+    /**
+     * Payment method menu as a list (one row per method, plus cancel)
+     * @param {Array} methods - Available methods, in menu order
+     * @param {Function} getLabel - Method display name
+     */
+    sendPaymentMethodMenu(chat, text, methods, getLabel, language = 'fr') {
+        return this.send(chat, text, () => new List(
+            text,
+            this.label('chooseMethod', language),
+            [{
+                title: this.label('paymentMethods', language),
+                rows: [
+                    ...methods.map((method, i) => ({
+                        id: `${PAYMENT_METHOD_PREFIX}${i + 1}`,
+                        title: getLabel(method, language).substring(0, ROW_TITLE_MAX)
+                    })),
+                    { id: REPLY_IDS.cancelOrder, title: this.label('cancelOrder', language) }
+                ]
+            }]
+        ));
+    }
+
+    /**
+     * Message with a single Cancel button (payment instructions)
+     */
+    sendWithCancel(chat, text, language = 'fr') {
+        return this.send(chat, text, () => new Buttons(text, [
+            { id: REPLY_IDS.cancelOrder, body: this.label('cancelOrder', language) }
+        ]));
+    }
+
+    /**
+     * Delivery details recap with Yes / Cancel buttons (fields are still corrected by number)
+     */
+    sendDetailsRecap(chat, text, language = 'fr') {
+        return this.send(chat, text, () => new Buttons(text, [
+            { id: REPLY_IDS.confirmDetails, body: this.label('confirmDetails', language) },
+            { id: REPLY_IDS.cancelOrder, body: this.label('cancelOrder', language) }
+        ]));
+    }
+
+    /**
+     * ID of the button / list row the customer tapped
+     * @param {Object} message - Incoming WhatsApp message
+     * @returns {string|null} Reply ID or null for typed messages
+     */
+    getReply(message) {
+        if (!message) return null;
+        return message.selectedButtonId || message.selectedRowId || null;
+    }
+
+    /**
+     * Position (1-based) of the payment method picked in the list
+     * @returns {number|null} Position or null if the reply isn't a method row
+     */
+    getPaymentMethodChoice(replyId) {
+        if (!replyId || !replyId.startsWith(PAYMENT_METHOD_PREFIX)) return null;
+        const position = parseInt(replyId.substring(PAYMENT_METHOD_PREFIX.length));
+        return isNaN(position) ? null : position;
+    }
+}
+
+module.exports = new InteractiveMessageService();
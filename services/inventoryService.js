@@ -0,0 +1,161 @@
+/**
+ * Inventory Service
+ * Stock reservations for orders, low-stock detection and release of
+ * reservations held by abandoned orders
+ */
+
+const db = require('../database/db');
+const orderStateStore = require('./orderStateStore');
+
+// Abandoned before payment: still choosing how to pay, or cash on delivery without the
+// delivery details. awaiting_payment is expired by the abandoned order reminders;
+// paid orders keep their stock (it is sold).
+const EXPIRABLE_STATES = ['initiated', 'awaiting_delivery_info'];
+
+const EXPIRY_MESSAGES = {
+    fr: (o) => `⏰ Votre commande #${o.id} a expiré car elle n'a pas été finalisée.\n\nVous pouvez commander à nouveau à tout moment en nous écrivant.`,
+    ar: (o) => `⏰ انتهت صلاحية طلبك #${o.id} لأنه لم يكتمل.\n\nيمكنك الطلب من جديد في أي وقت بمراسلتنا.`,
+    en: (o) => `⏰ Your order #${o.id} expired because it was never completed.\n\nYou can order again anytime by messaging us.`
+};
+
+class InventoryService {
+    constructor() {
+        this.reservationTTLHours = parseInt(process.env.RESERVATION_TTL_HOURS) || 48;
+        this.checkInterval = 3600000; // Check every 1 hour
+        this.intervalId = null;
+        this.botManager = null;
+    }
+
+    /**
+     * Reserve stock for an order's items
+     * @param {number} orderId - Order ID
+     * @param {Array} items - Cart items
+     * @returns {Promise<Object>} { success, lowStock } or { success: false, item, available }
+     */
+    async reserveForOrder(orderId, items) {
+        const result = await db.reserveOrderStock(orderId, items);
+        if (!result.success) {
+            console.warn(`⚠️ [Inventory] Order ${orderId}: not enough stock for ${result.item.name} (available: ${result.available})`);
+            return result;
+        }
+
+        console.log(`📦 [Inventory] Stock reserved for order ${orderId} (${result.inventory.length} tracked item(s))`);
+
+        const names = new Map(items.map(item => [item.productId, item.name]));
+        const lowStock = this.getLowStock(result.inventory)
+            .map(row => ({ ...row, product_name: names.get(row.product_id) }));
+        return { success: true, lowStock };
+    }
+
+    /**
+     * Release stock reserved by an order (cancel or expiry)
+     * @param {number} orderId - Order ID
+     */
+    async releaseForOrder(orderId) {
+        try {
+            const rows = await db.releaseOrderStock(orderId);
+            if (rows.length > 0) {
+                console.log(`📦 [Inventory] Released stock of order ${orderId} (${rows.length} item(s))`);
+            }
+        } catch (error) {
+            console.error(`❌ [Inventory] Error releasing stock for order ${orderId}:`, error.message);
+        }
+    }
+
+    /**
+     * Inventory rows at or below their low-stock threshold
+     * @param {Array} rows - product_inventory rows (with available_quantity)
+     * @returns {Array} Low-stock rows
+     */
+    getLowStock(rows) {
+        return (rows || []).filter(row => {
+            const available = row.available_quantity !== undefined
+                ? Number(row.available_quantity)
+                : row.stock_quantity - row.reserved_quantity;
+            return available <= row.low_stock_threshold;
+        });
+    }
+
+    /**
+     * Payload for the dashboard 'lowStockAlert' event
+     */
+    buildLowStockAlert(rows) {
+        return {
+            items: rows.map(row => ({
+                productId: row.product_id,
+                productName: row.product_name || null,
+                variant: row.variant_name || null,
+                available: row.available_quantity !== undefined
+                    ? Number(row.available_quantity)
+                    : row.stock_quantity - row.reserved_quantity,
+                threshold: row.low_stock_threshold
+            })),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Expire an unfinished order that held its reservation too long: release its stock
+     * and conversation state, tell the customer
+     * @returns {Promise<boolean>} true if expired (false if the order moved meanwhile)
+     */
+    async expireReservation(order) {
+        const updated = await db.transitionOrder(order.id, order.order_state, 'expired', {
+            changedBy: 'scheduler',
+            note: `Stock reserved for more than ${this.reservationTTLHours}h`,
+            releaseStock: true
+        });
+        if (!updated) return false;
+
+        const orderState = await orderStateStore.get(order.tenant_id, order.customer_phone);
+        if (orderState && orderState.orderId === order.id) {
+            await orderStateStore.delete(order.tenant_id, order.customer_phone);
+        }
+
+        const message = (EXPIRY_MESSAGES[order.customer_language] || EXPIRY_MESSAGES.fr)(order);
+        const notified = !order.bot_paused &&
+            await this.botManager.notifyCustomer(order.tenant_id, order.customer_phone, message);
+
+        this.botManager.emitToTenant(order.tenant_id, 'orderExpired', {
+            orderId: order.id,
+            customerPhone: order.customer_phone,
+            notified,
+            timestamp: new Date().toISOString()
+        });
+        return true;
+    }
+
+    /**
+     * Expire unfinished orders that have held a reservation for too long
+     */
+    async releaseExpiredReservations() {
+        try {
+            const orders = await db.getExpiredReservations(this.reservationTTLHours, EXPIRABLE_STATES);
+
+            let expired = 0;
+            for (const order of orders) {
+                if (await this.expireReservation(order)) expired++;
+            }
+
+            if (expired > 0) {
+                console.log(`⏰ [Inventory] Expired ${expired} order(s) older than ${this.reservationTTLHours}h`);
+            }
+        } catch (error) {
+            console.error('❌ [Inventory] Error releasing expired reservations:', error.message);
+        }
+    }
+
+    /**
+     * Start periodic release of expired reservations
+     * @param {Object} botManager - MultiUserBotManager (sends messages, emits dashboard events)
+     */
+    startReservationExpiryJob(botManager) {
+        if (this.intervalId) return;
+
+        this.botManager = botManager;
+        this.intervalId = setInterval(() => this.releaseExpiredReservations(), this.checkInterval);
+        console.log(`📦 Reservation expiry job started (orders expire after ${this.reservationTTLHours}h)`);
+    }
+}
+
+module.exports = new InventoryService();
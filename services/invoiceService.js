@@ -0,0 +1,234 @@
+/**
+ * Invoice Service
+ * Renders the PDF invoice / receipt of a completed order (tenant, line items,
+ * discount, delivery fee, payment method and totals)
+ */
+
+const PDFDocument = require('pdfkit');
+const catalogService = require('./catalogService');
+
+const LABELS = {
+    fr: {
+        title: 'FACTURE',
+        invoice: 'Facture N°',
+        order: 'Commande',
+        date: 'Date',
+        customer: 'Client',
+        phone: 'Téléphone',
+        address: 'Adresse',
+        item: 'Article',
+        quantity: 'Qté',
+        unitPrice: 'Prix unitaire',
+        lineTotal: 'Total',
+        subtotal: 'Sous-total',
+        discount: 'Réduction',
+        delivery: 'Livraison',
+        deliveryOnDelivery: 'Livraison (payée au livreur)',
+        free: 'Gratuite',
+        total: 'TOTAL',
+        paymentMethod: 'Mode de paiement',
+        cod: 'Paiement à la livraison',
+        transfer: 'Virement bancaire',
+        wallet: 'Portefeuille mobile',
+        card: 'Carte bancaire',
+        thanks: 'Merci pour votre commande !'
+    },
+    en: {
+        title: 'INVOICE',
+        invoice: 'Invoice No.',
+        order: 'Order',
+        date: 'Date',
+        customer: 'Customer',
+        phone: 'Phone',
+        address: 'Address',
+        item: 'Item',
+        quantity: 'Qty',
+        unitPrice: 'Unit price',
+        lineTotal: 'Total',
+        subtotal: 'Subtotal',
+        discount: 'Discount',
+        delivery: 'Delivery',
+        deliveryOnDelivery: 'Delivery (paid to the courier)',
+        free: 'Free',
+        total: 'TOTAL',
+        paymentMethod: 'Payment method',
+        cod: 'Cash on delivery',
+        transfer: 'Bank transfer',
+        wallet: 'Mobile wallet',
+        card: 'Card payment',
+        thanks: 'Thank you for your order!'
+    }
+};
+
+// Caption of the WhatsApp document message
+const CAPTIONS = {
+    fr: (o) => `🧾 Votre facture pour la commande #${o.id}`,
+    ar: (o) => `🧾 فاتورة طلبك #${o.id}`,
+    en: (o) => `🧾 Your invoice for order #${o.id}`
+};
+
+class InvoiceService {
+    constructor() {
+        // Built-in PDF fonts only cover Latin-1; set a TTF (e.g. Noto Sans) for Arabic names
+        this.fontPath = process.env.INVOICE_FONT_PATH || null;
+    }
+
+    /**
+     * Invoice number of an order ("F-2026-000123")
+     */
+    getInvoiceNumber(order) {
+        const year = new Date(order.completed_at || order.created_at || Date.now()).getFullYear();
+        return `F-${year}-${String(order.id).padStart(6, '0')}`;
+    }
+
+    getFileName(order) {
+        return `facture_${this.getInvoiceNumber(order)}.pdf`;
+    }
+
+    /**
+     * Caption sent with the PDF on WhatsApp
+     */
+    buildCaption(order) {
+        return (CAPTIONS[order.customer_language] || CAPTIONS.fr)(order);
+    }
+
+    /**
+     * Keep text printable with the built-in fonts (characters outside Latin-1 are dropped)
+     */
+    printable(text) {
+        const value = String(text === null || text === undefined ? '' : text);
+        if (this.fontPath) return value;
+        return value.replace(/[^\x20-\x7E\xA0-\xFF\n]/g, '').replace(/ {2,}/g, ' ').trim();
+    }
+
+    /**
+     * Render the invoice of an order
+     * @param {Object} order - customer_orders row
+     * @param {Array} items - order_items rows (empty for legacy free-text orders)
+     * @param {Object} tenant - Tenant row
+     * @returns {Promise<Buffer>} PDF bytes
+     */
+    generate(order, items, tenant) {
+        return new Promise((resolve, reject) => {
+            try {
+                const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: this.getInvoiceNumber(order) } });
+                const chunks = [];
+                doc.on('data', chunk => chunks.push(chunk));
+                doc.on('end', () => resolve(Buffer.concat(chunks)));
+                doc.on('error', reject);
+
+                if (this.fontPath) doc.font(this.fontPath);
+                this.render(doc, order, items || [], tenant || {});
+                doc.end();
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    render(doc, order, items, tenant) {
+        const text = LABELS[order.customer_language] || LABELS.fr;
+        const currency = order.currency || 'MAD';
+        // Narrow no-break spaces (fr-FR grouping) are not in the built-in fonts' encoding
+        const price = (amount) => catalogService.formatPrice(amount, currency, tenant.locale || null).replace(/\u202F/g, ' ');
+        const date = new Date(order.completed_at || order.created_at || Date.now());
+
+        // Header: tenant and invoice reference
+        doc.fontSize(20).text(this.printable(tenant.name) || 'Invoice', { align: 'left' });
+        doc.fontSize(10).fillColor('#555555');
+        if (tenant.email) doc.text(this.printable(tenant.email));
+        doc.fillColor('#000000').moveDown();
+
+        doc.fontSize(16).text(text.title, { align: 'right' });
+        doc.fontSize(10)
+            .text(`${text.invoice} ${this.getInvoiceNumber(order)}`, { align: 'right' })
+            .text(`${text.order} #${order.id}`, { align: 'right' })
+            .text(`${text.date}: ${date.toLocaleDateString('fr-FR')}`, { align: 'right' });
+        doc.moveDown();
+
+        // Customer
+        const customerLines = [
+            `${text.customer}: ${this.printable(order.customer_name) || '-'}`,
+            `${text.phone}: ${this.printable(order.contact_phone || (order.customer_phone || '').replace('@c.us', ''))}`
+        ];
+        const address = [order.street_address, order.delivery_city].filter(Boolean).join(', ') || order.customer_address;
+        if (address) customerLines.push(`${text.address}: ${this.printable(address)}`);
+        doc.fontSize(11).text(customerLines.join('\n'));
+        doc.moveDown(1.5);
+
+        // Line items
+        const columns = { item: 50, quantity: 300, unitPrice: 360, lineTotal: 460 };
+        const tableRow = (cells, bold = false) => {
+            const y = doc.y;
+            doc.fontSize(10).font(this.fontPath || (bold ? 'Helvetica-Bold' : 'Helvetica'));
+            doc.text(cells.item, columns.item, y, { width: 240 });
+            const itemBottom = doc.y;
+            doc.text(cells.quantity, columns.quantity, y, { width: 50, align: 'right' });
+            doc.text(cells.unitPrice, columns.unitPrice, y, { width: 90, align: 'right' });
+            doc.text(cells.lineTotal, columns.lineTotal, y, { width: 85, align: 'right' });
+            doc.y = Math.max(itemBottom, doc.y) + 4;
+            doc.x = columns.item;
+        };
+
+        tableRow({ item: text.item, quantity: text.quantity, unitPrice: text.unitPrice, lineTotal: text.lineTotal }, true);
+        doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+        doc.y += 4;
+
+        if (items.length > 0) {
+            for (const item of items) {
+                const label = item.variant_name ? `${item.product_name} (${item.variant_name})` : item.product_name;
+                tableRow({
+                    item: this.printable(label),
+                    quantity: String(item.quantity),
+                    unitPrice: price(item.unit_price),
+                    lineTotal: price(item.line_total)
+                });
+            }
+        } else {
+            // Legacy order - free-text details only
+            tableRow({
+                item: this.printable(order.order_details).substring(0, 300) || '-',
+                quantity: '1',
+                unitPrice: '',
+                lineTotal: order.subtotal !== null && order.subtotal !== undefined ? price(order.subtotal) : ''
+            });
+        }
+
+        doc.moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+        doc.moveDown();
+
+        // Totals
+        const totalRow = (label, value, bold = false) => {
+            const y = doc.y;
+            doc.fontSize(bold ? 12 : 10).font(this.fontPath || (bold ? 'Helvetica-Bold' : 'Helvetica'));
+            doc.text(label, 300, y, { width: 150, align: 'right' });
+            doc.text(value, columns.lineTotal, y, { width: 85, align: 'right' });
+            doc.moveDown(0.3);
+        };
+
+        if (order.subtotal !== null && order.subtotal !== undefined) {
+            totalRow(text.subtotal, price(order.subtotal));
+        }
+        if (order.coupon_code && Number(order.discount_amount) > 0) {
+            totalRow(`${text.discount} (${this.printable(order.coupon_code)})`, `-${price(order.discount_amount)}`);
+        }
+        if (order.delivery_fee !== null && order.delivery_fee !== undefined) {
+            totalRow(order.delivery_fee_on_delivery ? text.deliveryOnDelivery : text.delivery, Number(order.delivery_fee) === 0 ? text.free : price(order.delivery_fee));
+        }
+        if (order.total_amount !== null && order.total_amount !== undefined) {
+            totalRow(text.total, price(order.total_amount), true);
+        }
+
+        const methodTypes = { COD: text.cod, MOBILE_WALLET: text.wallet, PAYMENT_LINK: text.card };
+        const paymentMethod = this.printable(order.payment_method_name) || methodTypes[order.payment_method] || text.transfer;
+        doc.moveDown();
+        doc.x = 50;
+        doc.fontSize(10).font(this.fontPath || 'Helvetica')
+            .text(`${text.paymentMethod}: ${paymentMethod}`);
+
+        doc.moveDown(2);
+        doc.fontSize(10).fillColor('#555555').text(text.thanks, { align: 'center' });
+    }
+}
+
+module.exports = new InvoiceService();
@@ -0,0 +1,88 @@
+/**
+ * Mock Payment Provider
+ * Local stand-in for a card payment gateway: checkout links open a test page
+ * served by this app, and paying there sends a signed webhook back to the app,
+ * so the whole payment link flow can be tried without a real provider account.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+class MockPaymentProvider {
+    /**
+     * @param {Object} options - { secret, baseUrl }
+     */
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.secret = options.secret || 'mock-webhook-secret';
+        this.baseUrl = options.baseUrl;
+    }
+
+    /**
+     * Create a checkout for an order
+     * @param {Object} checkout - { reference, amount, currency, description }
+     * @returns {Promise<Object>} { checkoutId, url }
+     */
+    async createCheckout(checkout) {
+        const checkoutId = `mock_${crypto.randomBytes(8).toString('hex')}`;
+        return {
+            checkoutId,
+            url: `${this.baseUrl}/api/payments/mock/checkout/${checkoutId}`
+        };
+    }
+
+    sign(rawBody) {
+        return crypto.createHmac('sha256', this.secret).update(rawBody).digest('hex');
+    }
+
+    /**
+     * Check the webhook signature (HMAC-SHA256 of the raw body)
+     * @param {Buffer|string} rawBody - Request body as received
+     * @param {Object} headers - Request headers
+     */
+    verifyWebhook(rawBody, headers) {
+        const signature = headers[SIGNATURE_HEADER];
+        if (!signature || !rawBody) return false;
+
+        const expected = Buffer.from(this.sign(rawBody));
+        const received = Buffer.from(String(signature));
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    /**
+     * Read a webhook event
+     * @returns {Object} { checkoutId, status ('paid' / 'failed'), amount, currency, transactionId }
+     */
+    parseWebhook(body) {
+        return {
+            checkoutId: body.checkout_id,
+            status: body.status === 'succeeded' ? 'paid' : 'failed',
+            amount: body.amount !== undefined ? Number(body.amount) : null,
+            currency: body.currency || null,
+            transactionId: body.transaction_id || null
+        };
+    }
+
+    /**
+     * Event the test checkout page sends when the customer pays (or fails to)
+     * @param {Object} link - payment_links row
+     * @param {boolean} succeeded - Outcome picked on the test page
+     * @returns {Object} { body, headers } ready to POST to the webhook
+     */
+    buildEvent(link, succeeded) {
+        const body = JSON.stringify({
+            checkout_id: link.checkout_id,
+            status: succeeded ? 'succeeded' : 'failed',
+            amount: Number(link.amount),
+            currency: link.currency,
+            transaction_id: `mock_txn_${crypto.randomBytes(6).toString('hex')}`
+        });
+        return {
+            body,
+            headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: this.sign(body) }
+        };
+    }
+}
+
+module.exports = MockPaymentProvider;
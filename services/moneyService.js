@@ -0,0 +1,205 @@
+/**
+ * Money Service
+ * Shared money formatting and parsing: finds amounts written with a currency
+ * ("250 DH", "€12,50", "1 234,500 DT") and formats amounts in the tenant's
+ * currency and number format (locale)
+ */
+
+// Display symbol, what customers / receipts write for it, decimals and the
+// difference tolerated between an expected and a paid amount (transfer fees)
+const CURRENCIES = {
+    MAD: { symbol: 'DH', aliases: ['DH', 'DHS', 'MAD', 'dirham', 'dirhams', 'درهم', 'دراهم'], decimals: 2, tolerance: 10 },
+    EUR: { symbol: '€', aliases: ['€', 'EUR', 'euro', 'euros', 'يورو'], decimals: 2, tolerance: 1 },
+    USD: { symbol: '$', symbolFirst: true, aliases: ['US$', '$', 'USD', 'dollar', 'dollars', 'دولار'], decimals: 2, tolerance: 1 },
+    GBP: { symbol: '£', symbolFirst: true, aliases: ['£', 'GBP', 'pound', 'pounds'], decimals: 2, tolerance: 1 },
+    TND: { symbol: 'DT', aliases: ['DT', 'TND', 'dinar', 'dinars', 'د.ت', 'دينار'], decimals: 3, tolerance: 1 },
+    DZD: { symbol: 'DA', aliases: ['DA', 'DZD', 'دج'], decimals: 2, tolerance: 50 },
+    XOF: { symbol: 'FCFA', aliases: ['F CFA', 'FCFA', 'CFA', 'XOF'], decimals: 0, tolerance: 500 },
+    SAR: { symbol: 'SAR', aliases: ['SAR', 'SR', 'ريال'], decimals: 2, tolerance: 5 },
+    AED: { symbol: 'AED', aliases: ['AED'], decimals: 2, tolerance: 5 }
+};
+
+// "1234", "1 234,50", "1.234,50", "1,234.50" (groups of exactly 3 digits)
+const NUMBER_PATTERN = '\\d{1,3}(?:[\\s.,\']\\d{3})+(?:[.,]\\d{1,3})?|\\d+(?:[.,]\\d{1,3})?';
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class MoneyService {
+    constructor() {
+        this.defaultCurrency = 'MAD';
+        this.currencies = CURRENCIES;
+        this.patterns = new Map(); // currency -> RegExp
+    }
+
+    /**
+     * Currency settings ({ symbol, aliases, decimals, tolerance }); unknown ISO codes are shown as-is
+     */
+    getCurrency(currency) {
+        const code = (currency || this.defaultCurrency).toUpperCase();
+        return CURRENCIES[code] || { symbol: code, aliases: [code], decimals: 2, tolerance: 1 };
+    }
+
+    /**
+     * Currency and locale of a tenant
+     * @param {Object} tenant - Tenant row
+     * @returns {Object} { currency, locale } (locale null = plain numbers, "1234.50")
+     */
+    getSettings(tenant) {
+        return {
+            currency: (tenant && tenant.currency) || this.defaultCurrency,
+            locale: (tenant && tenant.locale) || null
+        };
+    }
+
+    /**
+     * Format an amount ("1234.50 DH", "1 234,50 €", "$1,234.50")
+     * @param {number|string} amount - Amount
+     * @param {string} currency - ISO currency code
+     * @param {string|null} locale - BCP 47 locale for separators (null = plain digits)
+     */
+    format(amount, currency = this.defaultCurrency, locale = null) {
+        const { symbol, symbolFirst, decimals } = this.getCurrency(currency);
+        const value = Number(amount);
+        const fractionDigits = Number.isInteger(value) ? 0 : decimals;
+
+        const number = locale
+            ? new Intl.NumberFormat(locale, { minimumFractionDigits: fractionDigits, maximumFractionDigits: fractionDigits }).format(value)
+            : value.toFixed(fractionDigits);
+
+        return symbolFirst ? `${symbol}${number}` : `${number} ${symbol}`;
+    }
+
+    /**
+     * Decimal separator of a locale ('.' when no locale is set)
+     */
+    getDecimalSeparator(locale) {
+        if (!locale) return '.';
+        const part = new Intl.NumberFormat(locale).formatToParts(1.5).find(p => p.type === 'decimal');
+        return part ? part.value : '.';
+    }
+
+    /**
+     * Read a number written with any grouping ("1 234,50", "1.234,50", "12,000")
+     * A single separator followed by exactly 3 digits is ambiguous - the locale decides.
+     * @returns {number|null} Number or null if not a number
+     */
+    parseNumber(value, locale = null) {
+        if (value === null || value === undefined) return null;
+        if (typeof value === 'number') return isNaN(value) ? null : value;
+
+        let text = String(value).replace(/[\s']/g, '').replace(/[^\d.,-]/g, '');
+        if (!/\d/.test(text)) return null;
+
+        const lastComma = text.lastIndexOf(',');
+        const lastDot = text.lastIndexOf('.');
+        let decimalSeparator = null;
+
+        if (lastComma !== -1 && lastDot !== -1) {
+            decimalSeparator = lastComma > lastDot ? ',' : '.';
+        } else if (lastComma !== -1 || lastDot !== -1) {
+            const separator = lastComma !== -1 ? ',' : '.';
+            const occurrences = text.split(separator).length - 1;
+            const digitsAfter = text.length - text.lastIndexOf(separator) - 1;
+            if (occurrences === 1 && (digitsAfter !== 3 || separator === this.getDecimalSeparator(locale))) {
+                decimalSeparator = separator;
+            }
+        }
+
+        if (decimalSeparator) {
+            const index = text.lastIndexOf(decimalSeparator);
+            text = `${text.slice(0, index).replace(/[.,]/g, '')}.${text.slice(index + 1)}`;
+        } else {
+            text = text.replace(/[.,]/g, '');
+        }
+
+        const number = parseFloat(text);
+        return isNaN(number) ? null : number;
+    }
+
+    /**
+     * Regex matching an amount next to one of the currency's symbols ("250 DH", "€ 12,50")
+     */
+    getPattern(currency) {
+        const code = (currency || this.defaultCurrency).toUpperCase();
+        if (!this.patterns.has(code)) {
+            const aliases = this.getCurrency(code).aliases
+                .map(alias => `${escapeRegExp(alias)}${/\p{L}$/u.test(alias) ? '(?!\\p{L})' : ''}`)
+                .join('|');
+            this.patterns.set(code, new RegExp(
+                `(?:^|[^\\p{L}\\d])(?:(?:${aliases})\\s?(${NUMBER_PATTERN})|(${NUMBER_PATTERN})\\s?(?:${aliases}))`,
+                'iu'
+            ));
+        }
+        return this.patterns.get(code);
+    }
+
+    /**
+     * Find the first amount written with a currency in a text
+     * The expected currency is looked for first, then any known currency.
+     * @param {string} text - Message, AI reply or receipt text
+     * @param {string} currency - Expected ISO currency code
+     * @param {string|null} locale - Tenant locale (decides ambiguous separators)
+     * @returns {Object|null} { amount, currency } or null if no amount is found
+     */
+    parse(text, currency = this.defaultCurrency, locale = null) {
+        if (!text) return null;
+
+        const expected = (currency || this.defaultCurrency).toUpperCase();
+        const candidates = [expected, ...Object.keys(CURRENCIES).filter(code => code !== expected)];
+
+        for (const code of candidates) {
+            const match = String(text).match(this.getPattern(code));
+            if (match) {
+                const amount = this.parseNumber(match[1] || match[2], locale);
+                if (amount !== null) return { amount, currency: code };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * ISO code for a currency as written on a receipt ("DH" -> "MAD", "€" -> "EUR")
+     * @returns {string|null} ISO code or null if not recognized
+     */
+    normalizeCurrency(text) {
+        const value = (text || '').trim();
+        if (!value) return null;
+        const lower = value.toLowerCase();
+        const code = Object.keys(CURRENCIES).find(c => CURRENCIES[c].aliases.some(alias => alias.toLowerCase() === lower));
+        if (code) return code;
+        return /^[A-Za-z]{3}$/.test(value) ? value.toUpperCase() : null;
+    }
+
+    /**
+     * Paid amount accepted for an expected amount (absorbs transfer fees)
+     */
+    getTolerance(currency) {
+        return this.getCurrency(currency).tolerance;
+    }
+
+    /**
+     * Validate currency / locale settings from the API
+     * @returns {string|null} Error message or null if valid
+     */
+    validateSettings({ currency, locale }) {
+        if (currency !== undefined && (typeof currency !== 'string' || !/^[A-Za-z]{3}$/.test(currency))) {
+            return 'currency must be a 3-letter ISO code (e.g. MAD, EUR, USD, TND)';
+        }
+
+        if (locale !== undefined && locale !== null && locale !== '') {
+            try {
+                if (typeof locale !== 'string' || Intl.NumberFormat.supportedLocalesOf([locale]).length === 0) {
+                    return `Unsupported locale: ${locale}`;
+                }
+            } catch (error) {
+                return `Invalid locale: ${locale}`;
+            }
+        }
+
+        return null;
+    }
+}
+
+module.exports = new MoneyService();
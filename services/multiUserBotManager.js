@@ -2,6 +2,27 @@ const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
 const qrcode = require('qrcode');
 const AIService = require('./aiService');
 const fileStorageService = require('./fileStorageService');
+const orderStateStore = require('./orderStateStore');
+const catalogService = require('./catalogService');
+const cartService = require('./cartService');
+const inventoryService = require('./inventoryService');
+const orderLifecycle = require('./orderLifecycle');
+const deliveryService = require('./deliveryService');
+const deliveryDetailsFlow = require('./deliveryDetailsFlow');
+const paymentVerificationService = require('./paymentVerificationService');
+const ownerCommands = require('./ownerCommands');
+const couponService = require('./couponService');
+const invoiceService = require('./invoiceService');
+const paymentMethodService = require('./paymentMethodService');
+const moneyService = require('./moneyService');
+const interactiveMessageService = require('./interactiveMessageService');
+const paymentGatewayService = require('./paymentGatewayService');
+const returnService = require('./returnService');
+const returnRequestFlow = require('./returnRequestFlow');
+const appointmentService = require('./appointmentService');
+const appointmentBookingFlow = require('./appointmentBookingFlow');
+const appointmentReminderService = require('./appointmentReminderService');
+const shipmentService = require('./shipmentService');
 const db = require('../database/db');
 
 class MultiUserBotManager {
@@ -10,7 +31,7 @@ class MultiUserBotManager {
         this.sessions = new Map(); // userId -> {client, config, aiService, tenantId}
         this.defaultAIService = new AIService();
         this.userDataStore = userDataStore;
-        this.orderStates = new Map(); // customerPhone -> {orderId, state, data}
+        this.orderStates = orderStateStore; // tenantId + customerPhone -> {orderId, state, data} (persisted)
         
         // Session cleanup configuration - EXTENDED for 24/7 operation
         this.cleanupConfig = {
@@ -320,18 +341,57 @@ class MultiUserBotManager {
             const tenant = await db.getTenantById(tenantId);
             const botMode = tenant?.bot_mode || 'conversational';
             
+            // Messages from the owner's number are commands ("#123 ship TRK555", "pause bot"...)
+            if (ownerCommands.isOwner(customerPhone, tenant?.owner_whatsapp_number)) {
+                const handled = await this.handleOwnerCommand(tenant, messageBody, chat, userId);
+                if (handled) return;
+            }
+            
+            if (tenant?.bot_paused) {
+                console.log(`⏸️ [${userId}] Bot paused by owner - not replying to ${customerPhone}`);
+                return;
+            }
+            
             console.log(`🤖 [${userId}] Bot mode: ${botMode}`);
 
             // Check if customer has an active order in progress (only for ecommerce mode)
             if (botMode === 'ecommerce') {
-                const orderState = this.orderStates.get(`${tenantId}_${customerPhone}`);
+                const orderState = await this.orderStates.get(tenantId, customerPhone);
                 
                 if (orderState) {
-                    // Customer is in order flow - handle state machine
-                    const result = await this.handleOrderFlow(orderState, message, chat, tenantId, customerPhone, userId);
+                    // Customer is in order flow (or a return request) - handle state machine
+                    const result = orderState.state === 'return_request'
+                        ? await this.handleReturnRequest(orderState, message, chat, tenantId, customerPhone, userId)
+                        : await this.handleOrderFlow(orderState, message, chat, tenantId, customerPhone, userId);
                     if (result) return; // Order flow handled, exit
+                } else if (returnRequestFlow.isReturnRequest(messageBody)) {
+                    // "Je veux retourner ma commande" - handled before the AI
+                    const result = await this.startReturnRequest(tenantId, customerPhone, messageBody, chat, userId);
+                    if (result) return;
+                }
+            }
+            
+            // Appointment mode - bookings only go through the engine's free slots
+            if (botMode === 'appointment') {
+                const bookingState = await this.orderStates.get(tenantId, customerPhone);
+                
+                if (bookingState && bookingState.state === 'appointment_booking') {
+                    const result = await this.handleAppointmentBooking(bookingState, message, chat, tenantId, customerPhone, userId);
+                    if (result) return;
+                } else if (await this.handleAppointmentReply(tenantId, customerPhone, messageBody, chat, userId)) {
+                    // "CONFIRMER" / "2" after a reminder, "annuler mon rdv"...
+                    return;
+                } else if (appointmentBookingFlow.isBookingRequest(messageBody)) {
+                    const result = await this.startAppointmentBooking(tenantId, customerPhone, messageBody, chat, userId);
+                    if (result) return;
                 }
             }
+            
+            // Delivery mode - tracking questions are answered from the shipments, never guessed by the AI
+            if (botMode === 'delivery') {
+                const handled = await this.handleTrackingRequest(tenant, customerPhone, messageBody, chat, userId);
+                if (handled) return;
+            }
 
             // Check if message has media
             let fileInfo = null;
@@ -421,13 +481,37 @@ class MultiUserBotManager {
 
             // Get AI response with file/image info if available (mode-specific context)
             const modeContext = this.getModeSpecificContext(botMode, tenant);
+            
+            // Load catalog and delivery zones on every message so edits apply without restarting the session
+            const money = moneyService.getSettings(tenant);
+            let catalog = '';
+            let products = [];
+            let deliveryZones = [];
+            let appointments = '';
+            if (botMode === 'ecommerce') {
+                [products, deliveryZones] = await Promise.all([
+                    catalogService.getActiveProducts(tenantId),
+                    deliveryService.getZones(tenantId)
+                ]);
+                catalog = catalogService.formatForPrompt(products, money.locale);
+            } else if (botMode === 'appointment') {
+                const [services, schedule] = await Promise.all([
+                    db.getAppointmentServices(tenantId, true),
+                    appointmentService.loadSchedule(tenantId)
+                ]);
+                appointments = appointmentService.formatForPrompt(schedule, services, money.locale);
+            }
+            
             const aiResponse = await aiService.generateResponse(messageBody || '', {
                 senderName: senderName,
                 chatId: `${userId}_${message.from}`,
                 fileInfo: fileInfo,
                 imageData: imageData, // Pass image data for Vision API
                 botMode: botMode,
-                modeContext: modeContext
+                modeContext: modeContext,
+                catalog: catalog,
+                delivery: deliveryService.formatForPrompt(deliveryZones, money.currency, money.locale),
+                appointments: appointments
             });
 
             // Check if customer wants to purchase - ONLY for ecommerce mode
@@ -437,17 +521,43 @@ class MultiUserBotManager {
                 if (customerShowsInterest) {
                     console.log(`🛒 [${userId}] Customer shows purchase interest, sending confirmation message`);
                     
+                    // Build cart from catalog products named by the customer
+                    // (or the single product the AI reply is about)
+                    let items = cartService.extractItems(messageBody, products);
+                    if (items.length === 0) {
+                        const replyItems = cartService.extractItems(aiResponse, products);
+                        if (replyItems.length === 1) items = replyItems;
+                    }
+                    const { inStock, outOfStock } = cartService.checkStock(items);
+                    const { sameCurrency, otherCurrency } = cartService.checkCurrency(inStock);
+                    const cart = sameCurrency.length > 0 ? cartService.addItems(null, sameCurrency) : null;
+                    
                     // Send AI product response first
                     await message.reply(aiResponse);
                     
+                    if (otherCurrency.length > 0) {
+                        await chat.sendMessage(cartService.formatOtherCurrency(otherCurrency));
+                    }
+                    
+                    if (outOfStock.length > 0) {
+                        await chat.sendMessage(cartService.formatOutOfStock(outOfStock));
+                        
+                        // Nothing left to order - don't ask for confirmation
+                        if (!cart) {
+                            console.log(`📦 [${userId}] Requested items are out of stock`);
+                            return;
+                        }
+                    }
+                    
                     // Then send EXPLICIT confirmation message
-                    const confirmationMessage = this.buildOrderConfirmationMessage(aiResponse);
-                    await chat.sendMessage(confirmationMessage);
+                    const confirmationMessage = this.buildOrderConfirmationMessage(aiResponse, cart, deliveryZones, null, money);
+                    await interactiveMessageService.sendOrderConfirmation(chat, confirmationMessage, orderLifecycle.detectLanguageCode(aiResponse));
                     
                     // Set state to awaiting confirmation
-                    this.orderStates.set(`${tenantId}_${customerPhone}`, {
+                    await this.orderStates.set(tenantId, customerPhone, {
                         state: 'awaiting_order_confirmation',
                         productDetails: aiResponse,
+                        cart: cart,
                         timestamp: new Date()
                     });
                     
@@ -525,73 +635,88 @@ class MultiUserBotManager {
     }
 
     /**
-     * Detect language from text and return appropriate payment request message with RIB
+     * Get customer info request message in appropriate language
+     * (payment received - first question of the delivery details flow)
      */
-    detectLanguage(text, tenantRIB = null) {
-        const lower = text.toLowerCase();
-        
-        // Build RIB section if provided
-        let ribSection = '';
-        if (tenantRIB) {
-            ribSection = `\n\n🏦 *RIB pour virement:*\n${tenantRIB}`;
-        }
-        
-        // Check for Arabic/Darija
-        if (/[\u0600-\u06FF]/.test(text) || lower.includes('dh') || lower.includes('dirham')) {
-            return `💳 *تأكيد الطلب*\n\nشكراً! المرجو إرسال إثبات الدفع (screenshot) بعد إتمام التحويل.${ribSection}\n\n📸 أرسل صورة الوصل الآن`;
-        }
-        
-        // Check for French
-        if (lower.includes('produit') || lower.includes('prix') || lower.includes('merci')) {
-            return `💳 *Confirmation de commande*\n\nParfait! Veuillez envoyer la preuve de paiement (screenshot) après avoir effectué le virement.${ribSection}\n\n📸 Envoyez la photo du reçu maintenant`;
-        }
+    getCustomerInfoMessage(text) {
+        const language = orderLifecycle.detectLanguageCode(text);
+        const headers = {
+            ar: '✅ *الدفع مستلم!*\n\nبعض الأسئلة من أجل التوصيل:',
+            fr: '✅ *Paiement reçu!*\n\nQuelques questions pour la livraison:',
+            en: '✅ *Payment received!*\n\nA few questions for the delivery:'
+        };
         
-        // Default English
-        return `💳 *Order Confirmation*\n\nPerfect! Please send payment proof (screenshot) after completing the transfer.${ribSection}\n\n📸 Send receipt photo now`;
+        return `${headers[language]}\n\n${deliveryDetailsFlow.prompt('name', language)}`;
     }
 
     /**
-     * Get customer info request message in appropriate language
+     * Get cash-on-delivery confirmation message in appropriate language
+     * (no payment needed - first question of the delivery details flow)
      */
-    getCustomerInfoMessage(text) {
-        const lower = text.toLowerCase();
-        
-        // Check for Arabic/Darija
-        if (/[\u0600-\u06FF]/.test(text)) {
-            return `✅ *الدفع مستلم!*\n\nالآن، المرجو تقديم:\n\n1️⃣ الاسم الكامل\n2️⃣ عنوان التسليم الكامل\n3️⃣ البريد الإلكتروني (اختياري)\n\nأرسل كل المعلومات في رسالة واحدة`;
-        }
-        
-        // Check for French
-        if (lower.includes('produit') || lower.includes('prix') || lower.includes('merci')) {
-            return `✅ *Paiement reçu!*\n\nMaintenant, veuillez fournir:\n\n1️⃣ Nom complet\n2️⃣ Adresse de livraison complète\n3️⃣ Email (optionnel)\n\nEnvoyez toutes les infos en un seul message`;
-        }
+    getCODMessage(text, instructions = null) {
+        const language = orderLifecycle.detectLanguageCode(text);
+        const headers = {
+            ar: '💵 *الدفع عند الاستلام*\n\nستدفع عند استلام طلبك. بعض الأسئلة من أجل التوصيل:',
+            fr: '💵 *Paiement à la livraison*\n\nVous payez à la réception de votre commande. Quelques questions pour la livraison:',
+            en: '💵 *Cash on delivery*\n\nYou pay when your order arrives. A few questions for the delivery:'
+        };
+        const note = instructions ? `ℹ️ ${instructions}\n\n` : '';
         
-        // Default English
-        return `✅ *Payment received!*\n\nNow, please provide:\n\n1️⃣ Full name\n2️⃣ Complete delivery address\n3️⃣ Email (optional)\n\nSend all info in one message`;
+        return `${note}${headers[language]}\n\n${deliveryDetailsFlow.prompt('name', language)}`;
     }
 
     /**
      * Build explicit order confirmation message
+     * @param {string} productDetails - AI product reply
+     * @param {Object} cart - Cart built from the catalog (optional)
+     * @param {Array} deliveryZones - Tenant delivery zones (fee added once the city is known)
+     * @param {Object} coupon - Coupon typed by the customer (optional, { code, discount_type, discount_value })
+     * @param {Object} money - Tenant { currency, locale }
      */
-    buildOrderConfirmationMessage(productDetails) {
-        // Extract product name and price from AI response if possible
-        const priceMatch = productDetails.match(/(\d+[\d,]*)\s*(DH|درهم)/i);
-        const price = priceMatch ? priceMatch[1] : '---';
+    buildOrderConfirmationMessage(productDetails, cart = null, deliveryZones = [], coupon = null, money = moneyService.getSettings(null)) {
+        let summary;
+        let baseAmount = null;
+        const currency = (cart && cart.currency) || money.currency;
+        
+        if (cartService.hasItems(cart)) {
+            // Catalog cart - list items and computed total
+            const totals = cartService.computeTotals(cart);
+            baseAmount = totals.total;
+            summary = `📦 *Articles:*
+${cartService.formatLines(cart.items, totals.currency, money.locale)}
+
+💰 ${deliveryZones.length > 0 ? 'Sous-total' : 'Total'}: ${catalogService.formatPrice(totals.total, totals.currency, money.locale)}`;
+        } else {
+            // No catalog match - extract price from AI response if possible
+            baseAmount = this.extractLegacyAmount(productDetails, money);
+            const price = baseAmount !== null ? catalogService.formatPrice(baseAmount, currency, money.locale) : '---';
+            summary = `📦 ${productDetails.substring(0, 150)}${productDetails.length > 150 ? '...' : ''}
+
+💰 Prix: ${price}`;
+        }
+        
+        if (coupon) {
+            const discount = baseAmount !== null ? couponService.computeDiscount(coupon, baseAmount) : 0;
+            summary += `\n🏷️ Code ${coupon.code}: ${couponService.describe(coupon, discount, currency, 'fr', money.locale)}`;
+            if (discount > 0) {
+                summary += `\n💰 Après réduction: ${catalogService.formatPrice(Math.round((baseAmount - discount) * 100) / 100, currency, money.locale)}`;
+            }
+        }
         
         return `
 🛒 *CONFIRMER VOTRE COMMANDE?*
 ━━━━━━━━━━━━━━━━━━━━
 
-📦 ${productDetails.substring(0, 150)}${productDetails.length > 150 ? '...' : ''}
-
-💰 Prix: ${price} DH
-🚚 Livraison: Selon votre ville
+${summary}
+${deliveryZones.length > 0
+    ? `🚚 *Livraison:*\n${deliveryService.formatFeeTable(deliveryZones, currency, money.locale)}`
+    : '🚚 Livraison: Selon votre ville'}
 
 ━━━━━━━━━━━━━━━━━━━━
 ⚠️ Pour confirmer et commander, répondez:
 
 ✅ "CONFIRMER" ou "تأكيد"
-
+${cartService.hasItems(cart) ? `➕ Pour ajouter un article, écrivez son nom (ex: "2 ${cart.items[0].name}")\n` : ''}
 ❌ Pour annuler, ignorez ce message.
 `;
     }
@@ -607,93 +732,86 @@ class MultiUserBotManager {
             
             appointment: `You are an appointment booking assistant for ${tenant?.name || 'this service'}. Help customers check availability, book appointments, and answer questions about services. Be professional and efficient.`,
             
-            delivery: `You are a delivery tracking assistant for ${tenant?.name || 'this delivery service'}. Help customers track their packages, provide delivery updates, and answer shipping questions. Be clear and reassuring.`
+            delivery: `You are a delivery tracking assistant for ${tenant?.name || 'this delivery service'}. Help customers track their packages, provide delivery updates, and answer shipping questions. Be clear and reassuring. Package statuses are answered from the tracking database: never invent a status, location or delivery date - ask for the tracking number instead.`
         };
         
         return contexts[botMode] || contexts.conversational;
     }
 
     /**
-     * Initiate order flow - send payment screenshot or skip to delivery info if COD
+     * Initiate order flow - create the order, then ask for payment (or skip to delivery info if COD)
+     * @param {Object} cart - Cart built from the catalog (optional, null = legacy single product)
+     * @param {Object} coupon - Coupon typed before confirming (optional, { id, code })
      */
-    async initiateOrderFlow(tenantId, customerPhone, orderDetails, chat, userId) {
+    async initiateOrderFlow(tenantId, customerPhone, orderDetails, chat, userId, cart = null, coupon = null) {
+        let order = null;
         try {
-            // Create order in database and extract expected amount
-            const order = await db.createOrder(tenantId, customerPhone, orderDetails);
+            const hasCart = cartService.hasItems(cart);
+            const money = await this.getMoneySettings(tenantId);
             
-            // Extract expected amount from order details
-            const amountMatch = orderDetails.match(/(\d+[\d,]*)\s*(DH|درهم)/i);
-            const expectedAmount = amountMatch ? parseInt(amountMatch[1].replace(/,/g, '')) : null;
+            // Create order in database (cart summary instead of the raw AI reply)
+            order = await db.createOrder(tenantId, customerPhone, hasCart ? cartService.summarize(cart, money.locale) : orderDetails);
             
-            // Get tenant info for RIB and COD setting
-            const tenant = await db.getTenantById(tenantId);
-            const bankRIB = tenant?.bank_rib;
-            const acceptCOD = tenant?.accept_cod || false;
+            // Remember customer language for status notifications (AI replies in the customer's language)
+            await db.updateOrder(order.id, { customer_language: orderLifecycle.detectLanguageCode(orderDetails) });
             
-            // CHECK: If COD is enabled, skip payment and go directly to delivery info
-            if (acceptCOD) {
-                console.log(`💵 [${userId}] COD enabled - Skipping payment, collecting delivery info`);
-                
-                // Send COD confirmation message
-                const codMsg = this.getCODMessage(orderDetails);
-                await chat.sendMessage(codMsg);
-                
-                // Set state to awaiting delivery info (skip payment)
-                this.orderStates.set(`${tenantId}_${customerPhone}`, {
-                    orderId: order.id,
-                    state: 'awaiting_delivery_info',
-                    orderDetails: orderDetails,
-                    paymentMethod: 'COD',
-                    collectedInfo: {}
+            let expectedAmount = null;
+            if (hasCart) {
+                // Line items first: a reservation is given back from them
+                const totals = cartService.computeTotals(cart);
+                await db.createOrderItems(order.id, cart.items);
+                await db.updateOrder(order.id, {
+                    subtotal: totals.subtotal,
+                    total_amount: totals.total,
+                    currency: totals.currency
                 });
+                expectedAmount = totals.total;
                 
-                await db.updateOrder(order.id, { 
-                    order_state: 'awaiting_delivery_info',
-                    payment_method: 'COD'
-                });
+                // Then reserve stock - someone else may have bought the last units
+                const reservation = await inventoryService.reserveForOrder(order.id, cart.items);
                 
-                console.log(`💵 [${userId}] COD order created - Awaiting delivery info`);
-                return;
+                if (!reservation.success) {
+                    await db.transitionOrder(order.id, 'initiated', 'cancelled', {
+                        cancelReason: `Out of stock: ${reservation.item.name}`,
+                        changedBy: 'bot'
+                    });
+                    await this.handleStockShortage(tenantId, customerPhone, orderDetails, cart, reservation, chat, userId, coupon);
+                    return;
+                }
+                
+                if (reservation.lowStock.length > 0) {
+                    this.emitToTenant(tenantId, 'lowStockAlert', inventoryService.buildLowStockAlert(reservation.lowStock));
+                }
+            } else {
+                // No catalog - extract expected amount from order details
+                expectedAmount = this.extractLegacyAmount(orderDetails, money);
             }
             
-            // Normal flow: Request payment
-            // Get payment screenshot from file library
-            const paymentFile = await db.getTenantFileByLabel(tenantId, 'payment');
+            // Redeem the code typed before confirming (usage caps are checked again now)
+            if (coupon) {
+                const language = orderLifecycle.detectLanguageCode(orderDetails);
+                const result = await this.applyCoupon(tenantId, order, coupon.id, customerPhone, expectedAmount, language);
+                await chat.sendMessage(result.message);
+                if (result.applied) {
+                    expectedAmount = result.expectedAmount;
+                }
+            }
             
-            if (paymentFile) {
-                // Send payment screenshot
-                const media = await MessageMedia.fromUrl(paymentFile.file_url);
-                await chat.sendMessage(media, { 
-                    caption: '💳 Perfect! Here\'s our payment information. Please send your payment proof after completing the transaction.' 
-                });
-                
-                // Set order state to awaiting payment with expected amount
-                this.orderStates.set(`${tenantId}_${customerPhone}`, {
-                    orderId: order.id,
-                    state: 'awaiting_payment',
-                    orderDetails: orderDetails,
-                    expectedAmount: expectedAmount
-                });
-                
-                await db.updateOrder(order.id, { order_state: 'awaiting_payment' });
-                
-                console.log(`💳 [${userId}] Order flow started for ${customerPhone} - Expected: ${expectedAmount} DH`);
+            // Payment methods this order can use - the customer chooses when there are several
+            const methods = paymentMethodService.getAvailableMethods(await paymentMethodService.getMethods(tenantId), expectedAmount);
+            const flowState = { orderId: order.id, orderDetails, cart, expectedAmount };
+            
+            if (methods.length === 0) {
+                await this.cancelWithoutPaymentMethod(tenantId, customerPhone, flowState, chat, userId);
+                return;
+            }
+            
+            if (methods.length === 1) {
+                await this.selectPaymentMethod(tenantId, customerPhone, flowState, methods[0], chat, userId);
             } else {
-                // No payment screenshot configured - send text message with RIB
-                console.log(`⚠️ [${userId}] No payment file configured, asking customer to send proof`);
-                
-                const paymentMsg = this.detectLanguage(orderDetails, bankRIB);
-                await chat.sendMessage(paymentMsg);
-                
-                this.orderStates.set(`${tenantId}_${customerPhone}`, {
-                    orderId: order.id,
-                    state: 'awaiting_payment',
-                    orderDetails: orderDetails,
-                    expectedAmount: expectedAmount,
-                    collectedInfo: {}
-                });
-                
-                await db.updateOrder(order.id, { order_state: 'awaiting_payment' });
+                await this.orderStates.set(tenantId, customerPhone, { ...flowState, state: 'awaiting_payment_method' });
+                await this.sendPaymentMethodMenu(chat, methods, orderLifecycle.detectLanguageCode(orderDetails));
+                console.log(`💳 [${userId}] Order ${order.id}: customer choosing between ${methods.length} payment methods`);
             }
             
             this.io.to(userId).emit('messageSent', {
@@ -705,10 +823,292 @@ class MultiUserBotManager {
             
         } catch (error) {
             console.error('Error initiating order flow:', error);
+            
+            // An order still at its start is dropped, so it doesn't hold stock
+            if (order) {
+                const cancelled = await db.transitionOrder(order.id, 'initiated', 'cancelled', {
+                    cancelReason: 'Order could not be started',
+                    changedBy: 'bot',
+                    releaseStock: true
+                }).catch(() => undefined);
+                if (cancelled) await this.orderStates.delete(tenantId, customerPhone);
+            }
             await chat.sendMessage('Sorry, I couldn\'t process your order. Please try again later.');
         }
     }
 
+    /**
+     * Apply the payment method chosen for an order and ask for payment
+     * (cash on delivery goes straight to the delivery details)
+     * @param {Object} flowState - { orderId, orderDetails, cart, expectedAmount }
+     * @param {Object} method - Payment method (from paymentMethodService.getMethods)
+     */
+    async selectPaymentMethod(tenantId, customerPhone, flowState, method, chat, userId) {
+        const { orderId, orderDetails, cart, expectedAmount } = flowState;
+        const methodFields = {
+            payment_method: method.method_type,
+            payment_method_id: method.id,
+            payment_method_name: method.name
+        };
+        
+        if (paymentMethodService.isCashOnDelivery(method)) {
+            console.log(`💵 [${userId}] COD selected - Skipping payment, collecting delivery info`);
+            await chat.sendMessage(this.getCODMessage(orderDetails, method.instructions));
+            
+            // Set state to awaiting delivery info (skip payment)
+            await this.orderStates.set(tenantId, customerPhone, {
+                orderId,
+                state: 'awaiting_delivery_info',
+                orderDetails,
+                cart,
+                paymentMethod: 'COD',
+                paymentCities: method.cities || [],
+                collectedInfo: deliveryDetailsFlow.start()
+            });
+            await db.updateOrder(orderId, { order_state: 'awaiting_delivery_info', ...methodFields });
+            
+            console.log(`💵 [${userId}] COD order created - Awaiting delivery info`);
+            return;
+        }
+        
+        const language = orderLifecycle.detectLanguageCode(orderDetails);
+        const money = await this.getMoneySettings(tenantId);
+        const currency = (cart && cart.currency) || money.currency;
+        
+        if (paymentMethodService.isPaymentLink(method)) {
+            // Card payment - checkout link, the provider's webhook confirms the payment
+            let link;
+            try {
+                const order = await db.getOrderById(orderId, tenantId);
+                link = await paymentGatewayService.createLink(order, expectedAmount, currency);
+            } catch (error) {
+                console.error(`❌ [${userId}] Could not create payment link for order ${orderId}:`, error.message);
+                await this.cancelWithoutPaymentMethod(tenantId, customerPhone, flowState, chat, userId);
+                return;
+            }
+            
+            await interactiveMessageService.sendWithCancel(chat, paymentGatewayService.buildLinkMessage(link, language, money.locale), language);
+            await this.orderStates.set(tenantId, customerPhone, {
+                orderId,
+                state: 'awaiting_payment',
+                orderDetails,
+                cart,
+                expectedAmount,
+                paymentMethod: method.method_type,
+                collectedInfo: {}
+            });
+            await db.updateOrder(orderId, { order_state: 'awaiting_payment', ...methodFields });
+            
+            console.log(`💳 [${userId}] Payment link ${link.checkout_id} (${link.provider}) sent for order ${orderId} - ${expectedAmount} ${currency}`);
+            return;
+        }
+        
+        // Prepaid - instructions with the QR code / payment image when there is one
+        const instructions = paymentMethodService.buildInstructions(method, language, expectedAmount, currency, money.locale);
+        let mediaSent = false;
+        if (method.file_url) {
+            try {
+                const media = await MessageMedia.fromUrl(method.file_url);
+                await chat.sendMessage(media, { caption: instructions });
+                mediaSent = true;
+            } catch (error) {
+                console.error(`❌ [${userId}] Could not send payment image, sending text only:`, error.message);
+            }
+        }
+        if (!mediaSent) {
+            await interactiveMessageService.sendWithCancel(chat, instructions, language);
+        }
+        
+        await this.orderStates.set(tenantId, customerPhone, {
+            orderId,
+            state: 'awaiting_payment',
+            orderDetails,
+            cart,
+            expectedAmount,
+            paymentMethod: method.method_type,
+            collectedInfo: {}
+        });
+        await db.updateOrder(orderId, { order_state: 'awaiting_payment', ...methodFields });
+        
+        console.log(`💳 [${userId}] Order flow started for ${customerPhone} (${paymentMethodService.getLabel(method)}) - Expected: ${expectedAmount} ${currency}`);
+    }
+
+    /**
+     * No payment method fits the order (amount rules, or all methods disabled) - cancel it
+     */
+    async cancelWithoutPaymentMethod(tenantId, customerPhone, flowState, chat, userId) {
+        console.log(`⚠️ [${userId}] No payment method available for order ${flowState.orderId}`);
+        await this.cancelInFlightOrder(tenantId, customerPhone, flowState.orderId, 'No payment method available', 'bot');
+        await chat.sendMessage(paymentMethodService.buildUnavailableMessage(orderLifecycle.detectLanguageCode(flowState.orderDetails)));
+    }
+
+    /**
+     * Cancel an order the customer is still chatting about: stock released, conversation ended
+     * @param {string} changedBy - 'customer' or 'bot'
+     * @returns {Promise<Object|undefined>} Cancelled order, undefined if it had moved on meanwhile
+     */
+    async cancelInFlightOrder(tenantId, customerPhone, orderId, cancelReason, changedBy = 'customer') {
+        const order = await db.getOrderById(orderId, tenantId);
+        const cancelled = order && !orderLifecycle.validateTransition(order.order_state, 'cancelled')
+            ? await db.transitionOrder(orderId, order.order_state, 'cancelled', { cancelReason, changedBy, releaseStock: true })
+            : undefined;
+        await this.orderStates.delete(tenantId, customerPhone);
+        return cancelled;
+    }
+
+    /**
+     * Numbered payment method menu, sent as a list where the client supports it
+     */
+    sendPaymentMethodMenu(chat, methods, language) {
+        return interactiveMessageService.sendPaymentMethodMenu(
+            chat,
+            paymentMethodService.buildMenu(methods, language),
+            methods,
+            (method, lang) => paymentMethodService.getLabel(method, lang),
+            language
+        );
+    }
+
+    /**
+     * Stock ran out between confirmation and order creation - drop the item and re-confirm
+     */
+    async handleStockShortage(tenantId, customerPhone, orderDetails, cart, reservation, chat, userId, coupon = null) {
+        const { item, available } = reservation;
+        await chat.sendMessage(cartService.formatOutOfStock([{ ...item, available }]));
+        
+        const remaining = cart.items.filter(i => !(i.productId === item.productId && i.variant === item.variant));
+        
+        if (remaining.length === 0) {
+            await this.orderStates.delete(tenantId, customerPhone);
+            console.log(`📦 [${userId}] Order dropped - ${item.name} out of stock`);
+            return;
+        }
+        
+        const updatedCart = { ...cart, items: remaining };
+        await this.orderStates.set(tenantId, customerPhone, {
+            state: 'awaiting_order_confirmation',
+            productDetails: orderDetails,
+            cart: updatedCart,
+            coupon,
+            timestamp: new Date()
+        });
+        const [deliveryZones, money] = await Promise.all([
+            deliveryService.getZones(tenantId),
+            this.getMoneySettings(tenantId)
+        ]);
+        await interactiveMessageService.sendOrderConfirmation(
+            chat,
+            this.buildOrderConfirmationMessage(orderDetails, updatedCart, deliveryZones, coupon, money),
+            orderLifecycle.detectLanguageCode(orderDetails)
+        );
+        console.log(`📦 [${userId}] ${item.name} removed from cart (out of stock), asking to re-confirm`);
+    }
+
+    /**
+     * Currency and number format of a tenant
+     * @returns {Promise<Object>} { currency, locale }
+     */
+    async getMoneySettings(tenantId) {
+        return moneyService.getSettings(await db.getTenantById(tenantId));
+    }
+
+    /**
+     * Amount written in a legacy (non-catalog) order text ("... 250 DH"), null if none
+     * Amounts in another currency than the tenant's are ignored (the owner confirms those).
+     * @param {Object} money - Tenant { currency, locale }
+     */
+    extractLegacyAmount(orderDetails, money = moneyService.getSettings(null)) {
+        const found = moneyService.parse(orderDetails, money.currency, money.locale);
+        return found && found.currency === money.currency.toUpperCase() ? found.amount : null;
+    }
+
+    /**
+     * Find a discount code in a customer message and check it
+     * @param {number|null} baseAmount - Order amount before discount
+     * @param {number|null} orderId - Order being repriced (not counted in the usage caps)
+     * @returns {Promise<Object|null>} { code, coupon, error } or null if the message has no code
+     */
+    async findCoupon(tenantId, text, baseAmount, customerPhone, orderId = null) {
+        const coupons = await db.getCoupons(tenantId, true);
+        const found = couponService.findCode(text, coupons);
+        if (!found) return null;
+        if (!found.coupon) return { code: found.code, coupon: null, error: 'not_found' };
+        
+        const { coupon } = found;
+        let error = couponService.check(coupon, baseAmount);
+        if (!error) {
+            const usage = await db.getCouponUsage(coupon.id, customerPhone, orderId);
+            if (coupon.max_uses !== null && usage.total >= coupon.max_uses) error = 'max_uses';
+            else if (coupon.max_uses_per_customer !== null && usage.customer >= coupon.max_uses_per_customer) error = 'customer_limit';
+        }
+        return { code: coupon.code, coupon, error };
+    }
+
+    /**
+     * Customer message for a coupon that can't be used
+     */
+    buildCouponError(result, language, currency = 'MAD', locale = null) {
+        const minAmount = result.coupon && result.coupon.min_order_amount !== null
+            ? catalogService.formatPrice(result.coupon.min_order_amount, currency, locale)
+            : null;
+        return couponService.buildMessage(result.error, language, { code: result.code, minAmount });
+    }
+
+    /**
+     * Redeem a coupon on an order and reprice it
+     * @param {Object} order - Order row
+     * @param {number} couponId - Coupon ID
+     * @param {number|null} baseAmount - Order amount before discount
+     * @returns {Promise<Object>} { applied, message, expectedAmount } (expectedAmount = amount left to pay)
+     */
+    async applyCoupon(tenantId, order, couponId, customerPhone, baseAmount, language) {
+        const money = await this.getMoneySettings(tenantId);
+        const currency = order.currency || money.currency;
+        const coupon = await db.getCouponById(couponId, tenantId);
+        const checkError = coupon ? couponService.check(coupon, baseAmount) : 'not_found';
+        if (checkError) {
+            return { applied: false, message: this.buildCouponError({ code: coupon ? coupon.code : '', coupon, error: checkError }, language, currency, money.locale) };
+        }
+        
+        const discount = couponService.computeDiscount(coupon, baseAmount);
+        const result = await db.redeemCoupon(order.id, coupon, customerPhone, discount);
+        if (!result.success) {
+            return { applied: false, message: this.buildCouponError({ code: coupon.code, coupon, error: result.reason }, language, currency, money.locale) };
+        }
+        
+        const expectedAmount = baseAmount !== null && baseAmount !== undefined
+            ? Math.round((baseAmount - discount) * 100) / 100
+            : null;
+        console.log(`🏷️ Order ${order.id}: coupon ${coupon.code} redeemed (-${discount})`);
+        
+        const message = couponService.buildMessage('applied', language, {
+            code: coupon.code,
+            label: couponService.describe(coupon, discount, currency, language, money.locale),
+            total: discount > 0 && expectedAmount !== null ? catalogService.formatPrice(expectedAmount, currency, money.locale) : null
+        });
+        return { applied: true, message, expectedAmount };
+    }
+
+    /**
+     * New checkout link for a repriced order; the previous links are retired, a payment
+     * on them goes to the owner (if the provider fails, the old link stays usable)
+     */
+    async replacePaymentLink(order, amount, currency, language, chat, userId) {
+        let link;
+        try {
+            link = await paymentGatewayService.createLink(order, amount, currency);
+        } catch (error) {
+            console.error(`❌ [${userId}] Could not create new payment link for order ${order.id}:`, error.message);
+            return null;
+        }
+        
+        await db.replacePaymentLinks(order.id, link.id);
+        const money = await this.getMoneySettings(order.tenant_id);
+        await interactiveMessageService.sendWithCancel(chat, paymentGatewayService.buildLinkMessage(link, language, money.locale), language);
+        console.log(`💳 [${userId}] Payment link ${link.checkout_id} replaces the old one of order ${order.id} - ${amount} ${currency}`);
+        return link;
+    }
+
     /**
      * Handle order flow state machine
      */
@@ -716,6 +1116,10 @@ class MultiUserBotManager {
         try {
             const { state, orderId, productDetails } = orderState;
             const messageText = (message.body || '').toLowerCase().trim();
+            const money = await this.getMoneySettings(tenantId);
+            // Button / list tap (null for typed messages)
+            const reply = interactiveMessageService.getReply(message);
+            const cancelTapped = reply === interactiveMessageService.replyIds.cancelOrder;
             
             // STATE 1: Awaiting explicit order confirmation
             if (state === 'awaiting_order_confirmation') {
@@ -726,9 +1130,80 @@ class MultiUserBotManager {
                     'oui je confirme', 'yes confirm', 'نعم أؤكد'
                 ];
                 
-                const isConfirmed = confirmKeywords.some(kw => messageText.includes(kw));
+                if (cancelTapped) {
+                    console.log(`❌ [${userId}] Customer cancelled before confirming`);
+                    await this.orderStates.delete(tenantId, customerPhone);
+                    await chat.sendMessage('✅ Commande annulée. Comment puis-je vous aider?');
+                    return true;
+                }
+                
+                const isConfirmed = reply === interactiveMessageService.replyIds.confirmOrder ||
+                    (!reply && confirmKeywords.some(kw => messageText.includes(kw)));
+                
+                // Discount code typed before confirming - redeemed when the order is created
+                const baseAmount = cartService.hasItems(orderState.cart)
+                    ? cartService.computeTotals(orderState.cart).total
+                    : this.extractLegacyAmount(productDetails, money);
+                const couponResult = reply ? null : await this.findCoupon(tenantId, message.body, baseAmount, customerPhone);
+                if (couponResult) {
+                    const language = orderLifecycle.detectLanguageCode(productDetails || '');
+                    if (couponResult.error) {
+                        await chat.sendMessage(this.buildCouponError(couponResult, language, (orderState.cart && orderState.cart.currency) || money.currency, money.locale));
+                    } else {
+                        const { id, code, discount_type, discount_value } = couponResult.coupon;
+                        orderState.coupon = { id, code, discount_type, discount_value };
+                        await this.orderStates.set(tenantId, customerPhone, orderState);
+                        console.log(`🏷️ [${userId}] Coupon ${code} added before confirmation`);
+                    }
+                    
+                    if (!isConfirmed) {
+                        const deliveryZones = await deliveryService.getZones(tenantId);
+                        await interactiveMessageService.sendOrderConfirmation(
+                            chat,
+                            this.buildOrderConfirmationMessage(productDetails, orderState.cart, deliveryZones, orderState.coupon, money),
+                            orderLifecycle.detectLanguageCode(productDetails || '')
+                        );
+                        return true;
+                    }
+                }
                 
                 if (!isConfirmed) {
+                    // Customer may be adding items to the cart ("et 2 coques")
+                    const [products, deliveryZones] = await Promise.all([
+                        catalogService.getActiveProducts(tenantId),
+                        deliveryService.getZones(tenantId)
+                    ]);
+                    const items = cartService.extractItems(message.body || '', products);
+                    
+                    if (items.length > 0) {
+                        const { inStock, outOfStock } = cartService.checkStock(items);
+                        if (outOfStock.length > 0) {
+                            await chat.sendMessage(cartService.formatOutOfStock(outOfStock));
+                            if (inStock.length === 0) return true;
+                        }
+                        
+                        const { sameCurrency, otherCurrency } = cartService.checkCurrency(
+                            inStock,
+                            cartService.hasItems(orderState.cart) ? orderState.cart.currency : null
+                        );
+                        if (otherCurrency.length > 0) {
+                            await chat.sendMessage(cartService.formatOtherCurrency(otherCurrency));
+                            if (sameCurrency.length === 0) return true;
+                        }
+                        
+                        orderState.cart = cartService.addItems(orderState.cart, sameCurrency);
+                        await this.orderStates.set(tenantId, customerPhone, orderState);
+                        
+                        console.log(`🛒 [${userId}] Cart updated: ${orderState.cart.items.length} item(s)`);
+                        await interactiveMessageService.sendOrderConfirmation(
+                            chat,
+                            this.buildOrderConfirmationMessage(productDetails, orderState.cart, deliveryZones, orderState.coupon, money),
+                            orderLifecycle.detectLanguageCode(productDetails || '')
+                        );
+                        return true;
+                    }
+                    
+
                     // Customer said something else - not confirming
                     console.log(`❌ [${userId}] Customer did not confirm. Message: "${messageText}"`);
                     await chat.sendMessage('Pour commander, veuillez répondre "CONFIRMER" ou "تأكيد"');
@@ -738,7 +1213,37 @@ class MultiUserBotManager {
                 console.log(`✅ [${userId}] Customer confirmed order! Starting order flow...`);
                 
                 // Customer confirmed - start actual order flow
-                await this.initiateOrderFlow(tenantId, customerPhone, productDetails, chat, userId);
+                await this.initiateOrderFlow(tenantId, customerPhone, productDetails, chat, userId, orderState.cart, orderState.coupon);
+                return true;
+            }
+            
+            // Choosing between several payment methods
+            if (state === 'awaiting_payment_method') {
+                if (cancelTapped || deliveryDetailsFlow.isCancel(messageText)) {
+                    console.log(`❌ [${userId}] Customer cancelled order while choosing a payment method`);
+                    await this.cancelInFlightOrder(tenantId, customerPhone, orderId, 'Cancelled by the customer');
+                    await chat.sendMessage('✅ Commande annulée. Comment puis-je vous aider?');
+                    return true;
+                }
+                
+                const methods = paymentMethodService.getAvailableMethods(await paymentMethodService.getMethods(tenantId), orderState.expectedAmount);
+                if (methods.length === 0) {
+                    await this.cancelWithoutPaymentMethod(tenantId, customerPhone, orderState, chat, userId);
+                    return true;
+                }
+                
+                // List row tapped, or number / name typed
+                const position = interactiveMessageService.getPaymentMethodChoice(reply);
+                const method = position !== null
+                    ? methods[position - 1] || null
+                    : paymentMethodService.parseChoice(message.body, methods);
+                if (!method) {
+                    await this.sendPaymentMethodMenu(chat, methods, orderLifecycle.detectLanguageCode(orderState.orderDetails || ''));
+                    return true;
+                }
+                
+                console.log(`💳 [${userId}] Payment method chosen: ${paymentMethodService.getLabel(method)}`);
+                await this.selectPaymentMethod(tenantId, customerPhone, orderState, method, chat, userId);
                 return true;
             }
             
@@ -746,14 +1251,45 @@ class MultiUserBotManager {
             if (state === 'awaiting_payment') {
                 console.log(`💳 [${userId}] In awaiting_payment state`);
                 
-                // Check for cancel keywords
-                const cancelKeywords = [
-                    'annuler', 'cancel', 'stop', 'non', 'no', 'لا', 'ماشي', 'machi'
-                ];
+                // Discount code typed before paying - reprice the order
+                if (!message.hasMedia && !reply) {
+                    const order = await db.getOrderById(orderId, tenantId);
+                    const baseAmount = order.subtotal !== null
+                        ? Number(order.subtotal)
+                        : (orderState.expectedAmount !== null && orderState.expectedAmount !== undefined
+                            ? orderState.expectedAmount + (Number(order.discount_amount) || 0)
+                            : null);
+                    const couponResult = await this.findCoupon(tenantId, message.body, baseAmount, customerPhone, orderId);
+                    
+                    if (couponResult) {
+                        const language = order.customer_language || orderLifecycle.detectLanguageCode(orderState.orderDetails || '');
+                        if (couponResult.error) {
+                            await chat.sendMessage(this.buildCouponError(couponResult, language, order.currency || money.currency, money.locale));
+                            return true;
+                        }
+                        
+                        const result = await this.applyCoupon(tenantId, order, couponResult.coupon.id, customerPhone, baseAmount, language);
+                        if (result.applied) {
+                            orderState.expectedAmount = result.expectedAmount;
+                            await this.orderStates.set(tenantId, customerPhone, orderState);
+                        }
+                        await chat.sendMessage(result.message);
+                        
+                        // The checkout link sent before holds the old amount - send one for the new amount
+                        if (result.applied && result.expectedAmount !== null) {
+                            const links = await db.getOrderPaymentLinks(orderId);
+                            if (links.some(link => link.status === 'pending')) {
+                                await this.replacePaymentLink(order, result.expectedAmount, order.currency || money.currency, language, chat, userId);
+                            }
+                        }
+                        return true;
+                    }
+                }
                 
-                if (cancelKeywords.some(kw => messageText.includes(kw))) {
+                // Explicit cancel words only - "non" may answer another question
+                if (cancelTapped || deliveryDetailsFlow.isCancel(messageText)) {
                     console.log(`❌ [${userId}] Customer cancelled order`);
-                    this.orderStates.delete(`${tenantId}_${customerPhone}`);
+                    await this.cancelInFlightOrder(tenantId, customerPhone, orderId, 'Cancelled by the customer');
                     await chat.sendMessage('✅ Commande annulée. Comment puis-je vous aider?');
                     return true;
                 }
@@ -791,8 +1327,8 @@ class MultiUserBotManager {
                         const sessionInfo = this.sessions.get(userId);
                         const aiService = sessionInfo.aiService || this.defaultAIService;
                         
-                        const paymentAnalysis = await aiService.generateResponse(
-                            'Analyze this payment proof carefully. Extract: 1) Amount paid, 2) Date and time, 3) Transaction reference if visible. Be precise and accurate.',
+                        const rawAnalysis = await aiService.generateResponse(
+                            paymentVerificationService.analysisPrompt,
                             {
                                 chatId: `${userId}_${customerPhone}_payment`,
                                 imageData: {
@@ -803,35 +1339,34 @@ class MultiUserBotManager {
                             }
                         );
                         
-                        console.log(`✅ [${userId}] Payment analysis: ${paymentAnalysis}`);
+                        console.log(`✅ [${userId}] Payment analysis: ${rawAnalysis}`);
                         
-                        // Extract amount from AI analysis
-                        const analysisAmountMatch = paymentAnalysis.match(/(\d+[\d,]*)\s*(DH|درهم|MAD)/i);
-                        const paidAmount = analysisAmountMatch ? parseInt(analysisAmountMatch[1].replace(/,/g, '')) : null;
+                        // Structured amount/date/reference/confidence from the analysis
+                        const currency = (orderState.cart && orderState.cart.currency) || orderState.currency || money.currency;
+                        const extracted = paymentVerificationService.parseAnalysis(rawAnalysis, currency, money.locale);
+                        const paymentAnalysis = extracted.summary;
                         const expectedAmount = orderState.expectedAmount;
                         
-                        console.log(`💰 [${userId}] Amount verification - Expected: ${expectedAmount} DH, Paid: ${paidAmount} DH`);
+                        console.log(`💰 [${userId}] Amount verification - Expected: ${expectedAmount} ${currency}, Paid: ${extracted.amount} ${extracted.currency || currency}, Confidence: ${extracted.confidence}`);
+                        
+                        // Same screenshot / transaction already used for another order?
+                        const proofBuffer = Buffer.from(media.data, 'base64');
+                        const fingerprint = await paymentVerificationService.fingerprint(proofBuffer);
+                        const previousProofs = await db.getPaymentProofFingerprints(tenantId, orderId);
+                        const reuse = paymentVerificationService.findReuse(fingerprint, extracted, previousProofs);
                         
-                        // Verify payment amount matches expected amount
-                        if (expectedAmount && paidAmount && Math.abs(paidAmount - expectedAmount) > 10) {
-                            // Amount doesn't match (allowing 10 DH tolerance for fees)
-                            console.error(`❌ [${userId}] Payment amount mismatch! Expected: ${expectedAmount}, Got: ${paidAmount}`);
-                            await chat.sendMessage(
-                                `⚠️ *Montant incorrect détecté!*\n\n` +
-                                `💰 Montant attendu: ${expectedAmount} DH\n` +
-                                `💳 Montant payé: ${paidAmount} DH\n\n` +
-                                `⚠️ Le montant ne correspond pas. Merci d'envoyer le bon montant ou de vérifier votre paiement.\n\n` +
-                                `Si vous pensez qu'il y a une erreur, contactez-nous.`
-                            );
-                            return true; // Stay in awaiting_payment state
+                        if (reuse) {
+                            console.warn(`🚩 [${userId}] Suspected payment proof reuse on order ${orderId}: ${reuse.reason}`);
                         }
                         
-                        console.log(`✅ [${userId}] Payment amount verified and correct!`);
+                        const mismatchReason = [reuse && reuse.reason, paymentVerificationService.findMismatch(extracted, expectedAmount, currency)]
+                            .filter(Boolean)
+                            .join('; ') || null;
                         
                         // Upload payment proof to Cloudinary
                         const cloudinaryService = require('./cloudinaryService');
                         const uploadResult = await cloudinaryService.uploadFile(
-                            Buffer.from(media.data, 'base64'),
+                            proofBuffer,
                             `tenant_${tenantId}`,
                             `payment_proof_${orderId}_${Date.now()}.jpg`,
                             'image'
@@ -843,12 +1378,54 @@ class MultiUserBotManager {
                             payment_proof_cloudinary_id: uploadResult.publicId
                         });
                         
+                        // One verification record per proof (auto-approved when everything matches)
+                        const verification = await db.createPaymentVerification(orderId, tenantId, {
+                            proof_url: uploadResult.url,
+                            proof_cloudinary_id: uploadResult.publicId,
+                            expected_amount: expectedAmount,
+                            extracted_amount: extracted.amount,
+                            extracted_currency: extracted.currency,
+                            extracted_date: extracted.date,
+                            transaction_reference: extracted.reference,
+                            confidence: extracted.confidence,
+                            mismatch_reason: mismatchReason,
+                            raw_analysis: rawAnalysis,
+                            status: mismatchReason ? 'pending' : 'approved',
+                            reviewed_by: mismatchReason ? null : 'auto',
+                            content_hash: fingerprint.contentHash,
+                            perceptual_hash: fingerprint.perceptualHash,
+                            duplicate_of_id: reuse ? reuse.duplicateOf.id : null,
+                            duplicate_reason: reuse ? reuse.reason : null
+                        });
+                        
+                        orderState.collectedInfo = { paymentAnalysis };
+                        
+                        if (mismatchReason) {
+                            // Owner decides - customer waits for the review
+                            console.warn(`⚠️ [${userId}] Payment of order ${orderId} needs review: ${mismatchReason}`);
+                            
+                            const language = orderLifecycle.detectLanguageCode(orderState.orderDetails || '');
+                            // Suspected reuse isn't explained to the customer - the owner decides
+                            const customerDetail = reuse ? null : paymentVerificationService.describeMismatchForCustomer(extracted, expectedAmount, language, currency, money.locale);
+                            await chat.sendMessage(paymentVerificationService.buildCustomerMessage('pending', language, customerDetail));
+                            
+                            orderState.state = 'payment_pending_review';
+                            await this.orderStates.set(tenantId, customerPhone, orderState);
+                            const order = await db.updateOrder(orderId, { order_state: 'payment_pending_review' });
+                            
+                            this.emitToTenant(tenantId, 'paymentReviewRequired', paymentVerificationService.buildReviewAlert(verification, order));
+                            return true;
+                        }
+                        
+                        console.log(`✅ [${userId}] Payment amount verified and correct!`);
+                        
                         // Send confirmation with payment details from AI analysis in appropriate language
                         const infoMsg = this.getCustomerInfoMessage(orderState.orderDetails || '');
                         await chat.sendMessage(`✅ ${paymentAnalysis}\n\n${infoMsg}`);
                         
                         orderState.state = 'awaiting_info';
-                        orderState.collectedInfo = { paymentAnalysis };
+                        orderState.collectedInfo = { paymentAnalysis, ...deliveryDetailsFlow.start() };
+                        await this.orderStates.set(tenantId, customerPhone, orderState);
                         await db.updateOrder(orderId, { order_state: 'awaiting_info' });
                         
                         console.log(`✅ [${userId}] Payment proof analyzed and saved for order ${orderId}`);
@@ -871,84 +1448,201 @@ class MultiUserBotManager {
                 }
             }
             
-            if (state === 'awaiting_info') {
-                // Customer is sending their info (name, address, email)
-                const messageText = message.body || '';
-                
-                // Check for cancel
-                const cancelKeywords = ['annuler', 'cancel', 'stop', 'non', 'no', 'لا', 'ماشي'];
-                if (cancelKeywords.some(kw => messageText.toLowerCase().includes(kw))) {
-                    console.log(`❌ [${userId}] Customer cancelled order`);
-                    this.orderStates.delete(`${tenantId}_${customerPhone}`);
+            // Payment proof waiting for the owner's approval
+            if (state === 'payment_pending_review') {
+                if (deliveryDetailsFlow.isCancel(messageText)) {
+                    console.log(`❌ [${userId}] Customer cancelled order during payment review`);
+                    await this.cancelInFlightOrder(tenantId, customerPhone, orderId, 'Cancelled by the customer');
                     await chat.sendMessage('✅ Commande annulée. Comment puis-je vous aider?');
                     return true;
                 }
                 
-                // Check if message has enough info (at least name-like content)
-                if (messageText.trim().length < 5) {
-                    await chat.sendMessage('Merci de fournir vos informations complètes:\n1. Nom complet\n2. Adresse de livraison\n3. Email (optionnel)\n\n❌ Pour annuler: "ANNULER"');
-                    return true;
-                }
-                
-                // Simple parsing - assume customer sends all info in one message
-                orderState.collectedInfo.rawText = messageText;
-                
-                // Try to extract email (basic pattern)
-                const emailMatch = messageText.match(/[\w.-]+@[\w.-]+\.\w+/);
-                if (emailMatch) {
-                    orderState.collectedInfo.email = emailMatch[0];
-                }
-                
-                // Extract name (first line or first words)
-                const lines = messageText.split('\n').filter(l => l.trim());
-                const customerName = lines[0] || messageText.split(' ').slice(0, 3).join(' ');
-                
-                // Save to database
-                await db.updateOrder(orderId, {
-                    customer_name: customerName.substring(0, 255),
-                    customer_address: messageText.substring(0, 1000),
-                    customer_email: orderState.collectedInfo.email || null
-                });
-                
-                console.log(`📝 [${userId}] Customer info collected for order ${orderId}`);
-                
-                // Forward to owner
-                try {
-                    await this.forwardOrderToOwner(tenantId, orderId, userId, customerPhone);
-                    
-                    // Thank customer
-                    await chat.sendMessage('✅ Merci! Votre commande a été reçue et sera traitée rapidement. Nous vous contacterons bientôt!');
-                    
-                    // Complete order
-                    await db.completeOrder(orderId);
-                    this.orderStates.delete(`${tenantId}_${customerPhone}`);
-                    
-                    console.log(`🎉 [${userId}] Order ${orderId} completed and forwarded to owner`);
-                } catch (forwardError) {
-                    console.error(`❌ [${userId}] Error forwarding order:`, forwardError);
-                    await chat.sendMessage('✅ Votre commande est enregistrée! Le propriétaire sera notifié.');
-                    
-                    // Still complete the order even if forwarding fails
-                    await db.completeOrder(orderId);
-                    this.orderStates.delete(`${tenantId}_${customerPhone}`);
-                }
-                
+                const language = orderLifecycle.detectLanguageCode(orderState.orderDetails || '');
+                await chat.sendMessage(paymentVerificationService.buildCustomerMessage('pending', language));
                 return true;
             }
             
+            // STATE 3: Collecting delivery details (after payment, or right away for COD)
+            if (state === 'awaiting_info' || state === 'awaiting_delivery_info') {
+                return await this.handleDeliveryDetails(orderState, message, chat, tenantId, customerPhone, userId);
+            }
+            
         } catch (error) {
             console.error('Error in order flow:', error);
             await chat.sendMessage('Sorry, there was an error processing your order. Please contact support.');
-            this.orderStates.delete(`${tenantId}_${customerPhone}`);
+            await this.orderStates.delete(tenantId, customerPhone);
         }
         
         return false;
     }
 
     /**
-     * Forward complete order to owner's WhatsApp
+     * Guided delivery details collection (name, phone, city, address, email, recap)
      */
-    async forwardOrderToOwner(tenantId, orderId, userId, customerPhone) {
+    async handleDeliveryDetails(orderState, message, chat, tenantId, customerPhone, userId) {
+        const { orderId } = orderState;
+        const messageText = (message.body || '').trim();
+        const reply = interactiveMessageService.getReply(message);
+        
+        // Check for cancel
+        if (reply === interactiveMessageService.replyIds.cancelOrder || deliveryDetailsFlow.isCancel(messageText)) {
+            console.log(`❌ [${userId}] Customer cancelled order`);
+            await this.cancelInFlightOrder(tenantId, customerPhone, orderId, 'Cancelled by the customer');
+            await chat.sendMessage('✅ Commande annulée. Comment puis-je vous aider?');
+            return true;
+        }
+        
+        const [zones, order, money] = await Promise.all([
+            deliveryService.getZones(tenantId),
+            db.getOrderById(orderId, tenantId),
+            this.getMoneySettings(tenantId)
+        ]);
+        const language = (order && order.customer_language) || orderLifecycle.detectLanguageCode(orderState.orderDetails);
+        
+        const result = deliveryDetailsFlow.handle(orderState.collectedInfo, messageText, {
+            zones,
+            customerPhone,
+            paymentMethod: orderState.paymentMethod,
+            paymentCities: orderState.paymentCities,
+            language,
+            order,
+            money,
+            confirmed: reply === interactiveMessageService.replyIds.confirmDetails,
+            prepaid: orderState.state === 'awaiting_info'
+        });
+        orderState.collectedInfo = result.info;
+        
+        if (!result.done) {
+            await this.orderStates.set(tenantId, customerPhone, orderState);
+            if (result.info.step === 'confirm') {
+                await interactiveMessageService.sendDetailsRecap(chat, result.reply, language);
+            } else {
+                await chat.sendMessage(result.reply);
+            }
+            return true;
+        }
+        
+        // Customer confirmed the recap - save each field in its own column
+        await db.updateOrder(orderId, deliveryDetailsFlow.toOrderColumns(result.info.fields));
+        if (result.info.delivery) {
+            await this.applyDeliveryFee(tenantId, orderId, result.info.delivery, orderState.state === 'awaiting_info');
+        }
+        
+        console.log(`📝 [${userId}] Customer info collected for order ${orderId}`);
+        
+        // Forward to owner
+        try {
+            await this.forwardOrderToOwner(tenantId, orderId, userId, customerPhone);
+            
+            // Thank customer
+            await chat.sendMessage('✅ Merci! Votre commande a été reçue et sera traitée rapidement. Nous vous contacterons bientôt!');
+            
+            // Complete order
+            await db.completeOrder(orderId);
+            await this.orderStates.delete(tenantId, customerPhone);
+            
+            console.log(`🎉 [${userId}] Order ${orderId} completed and forwarded to owner`);
+            
+            await this.sendInvoice(tenantId, orderId, userId);
+        } catch (forwardError) {
+            console.error(`❌ [${userId}] Error forwarding order:`, forwardError);
+            await chat.sendMessage('✅ Votre commande est enregistrée! Le propriétaire sera notifié.');
+            
+            // Still complete the order even if forwarding fails
+            await db.completeOrder(orderId);
+            await this.orderStates.delete(tenantId, customerPhone);
+            
+            await this.sendInvoice(tenantId, orderId, userId);
+        }
+        
+        return true;
+    }
+
+    /**
+     * Save the delivery fee of an order and add it to the total
+     * A prepaid order was paid without the fee: the courier collects it and the total stays the amount paid.
+     * @param {Object} delivery - Quote from deliveryService
+     * @param {boolean} prepaid - Order already paid
+     */
+    async applyDeliveryFee(tenantId, orderId, delivery, prepaid = false) {
+        const order = await db.getOrderById(orderId, tenantId);
+        const fee = order && order.free_shipping ? 0 : delivery.fee;
+        const updates = {
+            delivery_city: delivery.city ? delivery.city.substring(0, 100) : null,
+            delivery_zone_id: delivery.zoneId,
+            delivery_fee: fee,
+            delivery_fee_on_delivery: prepaid && fee > 0
+        };
+        
+        // Catalog orders have a computed subtotal; legacy orders only get the fee
+        const total = prepaid ? null : couponService.computeTotal(order, fee);
+        if (total !== null) {
+            updates.total_amount = total;
+        }
+        
+        await db.updateOrder(orderId, updates);
+        console.log(`🚚 Order ${orderId}: delivery ${fee} (${delivery.zoneName}${delivery.city ? `, ${delivery.city}` : ''})`);
+    }
+
+    /**
+     * Generate the PDF invoice of a completed order, store it and send it to the customer (owner gets a copy)
+     * Never throws - the order is already completed when this runs.
+     * @returns {Promise<Object|null>} { url, invoiceNumber } or null on error
+     */
+    async sendInvoice(tenantId, orderId, userId) {
+        try {
+            const [tenant, order, items] = await Promise.all([
+                db.getTenantById(tenantId),
+                db.getOrderById(orderId, tenantId),
+                db.getOrderItems(orderId)
+            ]);
+            
+            const pdf = await invoiceService.generate(order, items, tenant);
+            const fileName = invoiceService.getFileName(order);
+            const invoiceNumber = invoiceService.getInvoiceNumber(order);
+            
+            const cloudinaryService = require('./cloudinaryService');
+            const uploadResult = await cloudinaryService.uploadFile(pdf, `tenant_${tenantId}`, fileName, 'document');
+            await db.updateOrder(orderId, {
+                invoice_number: invoiceNumber,
+                invoice_url: uploadResult.url,
+                invoice_cloudinary_id: uploadResult.publicId
+            });
+            console.log(`🧾 [${userId}] Invoice ${invoiceNumber} generated for order ${orderId}`);
+            
+            const sessionInfo = this.sessions.get(userId);
+            if (!sessionInfo || !sessionInfo.client) {
+                console.warn(`⚠️ [${userId}] No WhatsApp session - invoice of order ${orderId} not sent`);
+                return { url: uploadResult.url, invoiceNumber };
+            }
+            
+            const media = new MessageMedia('application/pdf', pdf.toString('base64'), fileName);
+            await sessionInfo.client.sendMessage(order.customer_phone, media, {
+                sendMediaAsDocument: true,
+                caption: invoiceService.buildCaption(order)
+            });
+            
+            if (tenant.owner_whatsapp_number) {
+                const ownerNumber = tenant.owner_whatsapp_number.includes('@')
+                    ? tenant.owner_whatsapp_number
+                    : `${tenant.owner_whatsapp_number}@c.us`;
+                await sessionInfo.client.sendMessage(ownerNumber, media, {
+                    sendMediaAsDocument: true,
+                    caption: `🧾 Copie facture ${invoiceNumber} - commande #${order.id}`
+                });
+            }
+            
+            return { url: uploadResult.url, invoiceNumber };
+        } catch (error) {
+            console.error(`❌ [${userId}] Failed to send invoice for order ${orderId}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Forward complete order to owner's WhatsApp
+     */
+    async forwardOrderToOwner(tenantId, orderId, userId, customerPhone) {
         try {
             console.log(`\n${'='.repeat(60)}`);
             console.log(`🔄 [${userId}] FORWARDING ORDER TO OWNER`);
@@ -1031,7 +1725,7 @@ class MultiUserBotManager {
             }
             
             // Get payment analysis from order state (if available)
-            const orderStateData = this.orderStates.get(`${tenantId}_${customerPhone}`) || {};
+            const orderStateData = await this.orderStates.get(tenantId, customerPhone) || {};
             const paymentAnalysis = orderStateData.collectedInfo?.paymentAnalysis;
             const paymentMethod = orderStateData.paymentMethod || 'BANK_TRANSFER';
             
@@ -1040,20 +1734,58 @@ class MultiUserBotManager {
             orderMessage += `━━━━━━━━━━━━━━━━━━━━\n`;
             orderMessage += `📱 Client: ${customerPhone.replace('@c.us', '')}\n`;
             orderMessage += `👤 Nom: ${order.customer_name || 'Non fourni'}\n`;
-            orderMessage += `📧 Email: ${order.customer_email || 'Non fourni'}\n`;
-            orderMessage += `📍 Adresse:\n${order.customer_address || 'Non fournie'}\n\n`;
+            if (order.contact_phone) {
+                orderMessage += `📞 Téléphone livraison: ${order.contact_phone}\n`;
+                orderMessage += `🏙️ Ville: ${order.delivery_city}\n`;
+                orderMessage += `📍 Adresse: ${order.street_address}\n`;
+                orderMessage += `📧 Email: ${order.customer_email || 'Non fourni'}\n\n`;
+            } else {
+                orderMessage += `📧 Email: ${order.customer_email || 'Non fourni'}\n`;
+                orderMessage += `📍 Adresse:\n${order.customer_address || 'Non fournie'}\n\n`;
+            }
+            
+            // Flag proofs that matched another order's proof
+            const suspectProofs = (await db.getOrderPaymentVerifications(order.id)).filter(v => v.duplicate_reason);
+            if (suspectProofs.length > 0) {
+                orderMessage += `🚩 *ATTENTION - PREUVE DE PAIEMENT SUSPECTE:*\n`;
+                orderMessage += suspectProofs.map(v => `• ${v.duplicate_reason} (${v.status})`).join('\n');
+                orderMessage += `\n\n`;
+            }
             
             // Show payment method
+            if (order.payment_method_name) {
+                orderMessage += `💳 Mode de paiement: ${order.payment_method_name}\n`;
+            }
             if (paymentMethod === 'COD') {
                 orderMessage += `💵 *PAIEMENT: À LA LIVRAISON (COD)*\n\n`;
             } else if (paymentAnalysis) {
                 orderMessage += `💳 *ANALYSE PAIEMENT (AI Vision):*\n${paymentAnalysis}\n\n`;
             }
             
-            orderMessage += `📝 *Détails commande:*\n${order.order_details || 'Voir conversation'}\n\n`;
+            // Line items with computed total (legacy orders only have free-text details)
+            const orderItems = await db.getOrderItems(order.id);
+            const money = moneyService.getSettings(tenant);
+            const currency = order.currency || money.currency;
+            const hasDeliveryFee = order.delivery_fee !== null && order.delivery_fee !== undefined;
+            const deliveryLine = hasDeliveryFee
+                ? `🚚 Livraison${order.delivery_city ? ` (${order.delivery_city})` : ''}: ${deliveryService.formatFee(order.delivery_fee, currency, money.locale)}${order.delivery_fee_on_delivery ? ' - *à encaisser à la livraison*' : ''}\n`
+                : '';
+            const couponLine = order.coupon_code
+                ? `🏷️ Code ${order.coupon_code}: ${order.free_shipping ? 'livraison offerte' : `-${catalogService.formatPrice(order.discount_amount || 0, currency, money.locale)}`}\n`
+                : '';
+            if (orderItems.length > 0) {
+                orderMessage += `📝 *Articles:*\n${cartService.formatLines(orderItems, currency, money.locale)}\n`;
+                if (hasDeliveryFee || couponLine) {
+                    orderMessage += `🧾 Sous-total: ${catalogService.formatPrice(order.subtotal, currency, money.locale)}\n${couponLine}${deliveryLine}`;
+                }
+                orderMessage += `💰 *Total: ${catalogService.formatPrice(order.total_amount, currency, money.locale)}*\n\n`;
+            } else {
+                orderMessage += `📝 *Détails commande:*\n${order.order_details || 'Voir conversation'}\n${couponLine}${deliveryLine}\n`;
+            }
             orderMessage += `━━━━━━━━━━━━━━━━━━━━\n`;
             orderMessage += `📅 Date: ${order.created_at}\n`;
-            orderMessage += `🆔 Order ID: #${order.id}`;
+            orderMessage += `🆔 Order ID: #${order.id}\n\n`;
+            orderMessage += `✍️ Répondez: #${order.id} confirm | #${order.id} ship TRK | #${order.id} cancel raison`;
             
             console.log(`📝 [${userId}] Message content prepared (${orderMessage.length} chars)`);
             
@@ -1104,6 +1836,428 @@ class MultiUserBotManager {
         }
     }
 
+    /**
+     * Delivery mode: answer tracking numbers and "où est mon colis?" from the shipments table
+     * A number matching no shipment is left to the AI unless the message is about a package
+     * (it may be a phone or an order number).
+     * @returns {Promise<boolean>} true if answered
+     */
+    async handleTrackingRequest(tenant, customerPhone, text, chat, userId) {
+        const numbers = shipmentService.extractTrackingNumbers(text);
+        const asksTracking = shipmentService.isTrackingRequest(text);
+        if (numbers.length === 0 && !asksTracking) return false;
+        
+        let shipments = numbers.length > 0 ? await db.getShipmentsByTrackingNumbers(tenant.id, numbers) : [];
+        if (shipments.length === 0 && !asksTracking) return false;
+        
+        // No number given - the customer's own shipments
+        if (numbers.length === 0) {
+            shipments = await db.getCustomerShipments(tenant.id, customerPhone, shipmentService.finalStatuses);
+        }
+        
+        const language = shipmentService.detectLanguage(text, numbers, (shipments[0] && shipments[0].customer_language) || 'fr');
+        
+        let reply;
+        if (shipments.length > 0) {
+            const events = await db.getShipmentEvents(shipments.map(s => s.id));
+            reply = shipmentService.buildTrackingMessage(shipments, events, language, appointmentService.getTimezone(tenant));
+        } else {
+            reply = numbers.length > 0
+                ? shipmentService.message('notFound', language, numbers.join(', '))
+                : shipmentService.message('askNumber', language);
+        }
+        
+        await chat.sendMessage(reply);
+        console.log(`📦 [${userId}] Tracking asked by ${customerPhone}: ${shipments.length > 0 ? shipments.map(s => s.tracking_number).join(', ') : 'no shipment found'}`);
+        return true;
+    }
+
+    /**
+     * Start a return request, or tell the customer where their open requests stand
+     * @returns {Promise<boolean>} true if handled (false = no order to return, the AI answers)
+     */
+    async startReturnRequest(tenantId, customerPhone, text, chat, userId) {
+        const language = orderLifecycle.detectLanguageCode(text);
+        const [orders, openReturns, money] = await Promise.all([
+            db.getReturnableOrders(tenantId, customerPhone, returnService.returnableOrderStates, returnService.openStatuses),
+            db.getCustomerReturnRequests(tenantId, customerPhone, returnService.openStatuses),
+            this.getMoneySettings(tenantId)
+        ]);
+        
+        // Asking about a request already open ("où en est mon remboursement #12?")
+        const namesOpenReturn = returnRequestFlow.findOrder(text, openReturns.map(r => ({ id: r.order_id })));
+        if (openReturns.length > 0 && (namesOpenReturn || orders.length === 0)) {
+            await chat.sendMessage(returnService.buildOpenReturnsMessage(openReturns, language));
+            return true;
+        }
+        
+        if (orders.length === 0) {
+            console.log(`↩️ [${userId}] Return asked by ${customerPhone} but no returnable order`);
+            return false;
+        }
+        
+        const { info, reply } = returnRequestFlow.start(text, orders, language, money);
+        await this.orderStates.set(tenantId, customerPhone, {
+            state: 'return_request',
+            returnInfo: info,
+            timestamp: new Date()
+        });
+        await chat.sendMessage(reply);
+        
+        console.log(`↩️ [${userId}] Return request started by ${customerPhone}`);
+        return true;
+    }
+
+    /**
+     * Guided return request (order, reason, optional photo), then the owner is told
+     */
+    async handleReturnRequest(orderState, message, chat, tenantId, customerPhone, userId) {
+        const info = orderState.returnInfo || {};
+        const language = info.language || 'fr';
+        const reply = interactiveMessageService.getReply(message);
+        
+        if (reply === interactiveMessageService.replyIds.cancelOrder || deliveryDetailsFlow.isCancel(message.body)) {
+            console.log(`❌ [${userId}] Customer cancelled return request`);
+            await this.orderStates.delete(tenantId, customerPhone);
+            await chat.sendMessage(returnRequestFlow.message('cancelled', language));
+            return true;
+        }
+        
+        try {
+            const [orders, money] = await Promise.all([
+                db.getReturnableOrders(tenantId, customerPhone, returnService.returnableOrderStates, returnService.openStatuses),
+                this.getMoneySettings(tenantId)
+            ]);
+            
+            // Order cancelled, refunded or returned meanwhile
+            if (orders.length === 0 || (info.orderId && !orders.some(o => o.id === info.orderId))) {
+                await this.orderStates.delete(tenantId, customerPhone);
+                await chat.sendMessage(returnRequestFlow.message('noOrders', language));
+                return true;
+            }
+            
+            // Photo of the item (once the order is known)
+            let photo = null;
+            if (message.hasMedia && info.orderId) {
+                const media = await message.downloadMedia();
+                if (media && media.mimetype && media.mimetype.startsWith('image/')) {
+                    const cloudinaryService = require('./cloudinaryService');
+                    const uploadResult = await cloudinaryService.uploadFile(
+                        Buffer.from(media.data, 'base64'),
+                        `tenant_${tenantId}`,
+                        `return_${info.orderId}_${Date.now()}.jpg`,
+                        'image'
+                    );
+                    photo = { url: uploadResult.url, publicId: uploadResult.publicId };
+                }
+            }
+            
+            const result = returnRequestFlow.handle(info, message.body, {
+                orders,
+                photo,
+                hasMedia: message.hasMedia,
+                money
+            });
+            
+            if (!result.done) {
+                orderState.returnInfo = result.info;
+                await this.orderStates.set(tenantId, customerPhone, orderState);
+                await chat.sendMessage(result.reply);
+                return true;
+            }
+            
+            const order = orders.find(o => o.id === result.info.orderId);
+            const returnRequest = await db.createReturnRequest({
+                order_id: order.id,
+                tenant_id: tenantId,
+                customer_phone: customerPhone,
+                reason: result.info.reason,
+                photo_url: result.info.photo ? result.info.photo.url : null,
+                photo_cloudinary_id: result.info.photo ? result.info.photo.publicId : null,
+                currency: order.currency || money.currency
+            });
+            await this.orderStates.delete(tenantId, customerPhone);
+            await chat.sendMessage(returnRequestFlow.message('created', language, returnRequest));
+            
+            console.log(`↩️ [${userId}] Return request #${returnRequest.id} created for order ${order.id}`);
+            
+            try {
+                await this.forwardReturnToOwner(tenantId, returnRequest, order, userId);
+            } catch (forwardError) {
+                console.error(`❌ [${userId}] Error forwarding return request:`, forwardError.message);
+            }
+            
+            this.emitToTenant(tenantId, 'returnRequested', returnService.buildAlert(returnRequest, order));
+        } catch (error) {
+            console.error(`❌ [${userId}] Error in return request:`, error);
+            await this.orderStates.delete(tenantId, customerPhone);
+            await chat.sendMessage('Sorry, there was an error processing your request. Please contact support.');
+        }
+        
+        return true;
+    }
+
+    /**
+     * Send a new return request to the owner's WhatsApp number (same channel as forwarded orders)
+     */
+    async forwardReturnToOwner(tenantId, returnRequest, order, userId) {
+        const tenant = await db.getTenantById(tenantId);
+        if (!tenant || !tenant.owner_whatsapp_number) {
+            throw new Error('Owner WhatsApp number not configured. Please add it in dashboard settings.');
+        }
+        
+        const sessionInfo = this.sessions.get(userId);
+        if (!sessionInfo || !sessionInfo.client) {
+            throw new Error('WhatsApp session not found');
+        }
+        
+        let ownerNumber = tenant.owner_whatsapp_number;
+        if (!ownerNumber.includes('@')) {
+            ownerNumber = `${ownerNumber}@c.us`;
+        }
+        
+        await sessionInfo.client.sendMessage(ownerNumber, returnService.buildOwnerAlert(returnRequest, order, tenant.locale));
+        
+        if (returnRequest.photo_url) {
+            const media = await MessageMedia.fromUrl(returnRequest.photo_url);
+            await sessionInfo.client.sendMessage(ownerNumber, media, { caption: `↩️ Retour #${returnRequest.id} - photo` });
+        }
+        
+        console.log(`✅ [${userId}] Return request #${returnRequest.id} sent to owner ${ownerNumber}`);
+    }
+
+    /**
+     * Context of the booking flow: active services, staff and free slots (re-read on every reply)
+     * @param {Object|null} rescheduling - Appointment being moved (only its service, its own time counts as free)
+     */
+    async getBookingContext(tenantId, customerPhone, language, rescheduling = null) {
+        const [activeServices, staff, tenant, previous] = await Promise.all([
+            db.getAppointmentServices(tenantId, true),
+            appointmentService.loadStaff(tenantId),
+            db.getTenantById(tenantId),
+            db.getAppointments(tenantId, { customerPhone }, 1)
+        ]);
+        const timezone = appointmentService.getTimezone(tenant);
+        
+        let services = activeServices;
+        if (rescheduling) {
+            // Service deleted or hidden since the booking: keep the booked duration
+            const service = (rescheduling.service_id && await db.getAppointmentServiceById(rescheduling.service_id, tenantId)) || {
+                id: rescheduling.service_id,
+                name: rescheduling.service_name,
+                duration_minutes: (new Date(rescheduling.ends_at) - new Date(rescheduling.starts_at)) / 60000,
+                price: rescheduling.price
+            };
+            services = [service];
+        }
+        
+        return {
+            services,
+            staff,
+            today: appointmentService.today(timezone),
+            timezone,
+            money: moneyService.getSettings(tenant),
+            customerName: previous.length > 0 ? previous[0].customer_name : null,
+            language,
+            loadDays: (service, staffId = null) => appointmentService.getAvailability(tenantId, service, {
+                excludeAppointmentId: rescheduling ? rescheduling.id : null,
+                staffId
+            })
+        };
+    }
+
+    /**
+     * Start a booking ("je veux un rdv", "rdv coupe demain 14h")
+     * @returns {Promise<boolean>} true if handled
+     */
+    async startAppointmentBooking(tenantId, customerPhone, text, chat, userId) {
+        const language = appointmentBookingFlow.detectLanguage(text);
+        const context = await this.getBookingContext(tenantId, customerPhone, language);
+        
+        if (context.services.length === 0) {
+            console.log(`📅 [${userId}] Booking asked by ${customerPhone} but no service configured`);
+            await chat.sendMessage(appointmentBookingFlow.message('noServices', language));
+            return true;
+        }
+        
+        const result = await appointmentBookingFlow.start(text, context);
+        if (!result.done) {
+            await this.orderStates.set(tenantId, customerPhone, {
+                state: 'appointment_booking',
+                bookingInfo: result.info,
+                timestamp: new Date()
+            });
+        }
+        await chat.sendMessage(result.reply);
+        
+        console.log(`📅 [${userId}] Booking started by ${customerPhone}`);
+        return true;
+    }
+
+    /**
+     * Reply to a reminder, or a confirm / reschedule / cancel request for the next appointment
+     * @returns {Promise<boolean>} true if handled (false = not about an appointment)
+     */
+    async handleAppointmentReply(tenantId, customerPhone, text, chat, userId) {
+        const appointment = await db.getNextCustomerAppointment(tenantId, customerPhone);
+        if (!appointment) return false;
+        
+        const action = appointmentReminderService.parseReply(text, appointment.reminded);
+        if (!action) return false;
+        
+        const tenant = await db.getTenantById(tenantId);
+        const timezone = appointmentService.getTimezone(tenant);
+        
+        if (action === 'confirm') {
+            const confirmed = await db.confirmAppointment(appointment.id, tenantId);
+            if (!confirmed) return false;
+            
+            await chat.sendMessage(appointmentReminderService.buildReplyMessage('confirmed', confirmed, timezone));
+            console.log(`✅ [${userId}] Appointment #${appointment.id} confirmed by ${customerPhone}`);
+            this.emitToTenant(tenantId, 'appointmentConfirmed', {
+                appointmentId: appointment.id,
+                startsAt: appointment.starts_at,
+                customerPhone,
+                timestamp: new Date().toISOString()
+            });
+            return true;
+        }
+        
+        if (action === 'cancel') {
+            const cancelled = await db.updateAppointmentStatus(appointment.id, tenantId, 'booked', 'cancelled', {
+                reason: 'Cancelled by the customer'
+            });
+            if (!cancelled) return false;
+            
+            await chat.sendMessage(appointmentReminderService.buildReplyMessage('cancelled', cancelled, timezone));
+            console.log(`❌ [${userId}] Appointment #${appointment.id} cancelled by ${customerPhone}`);
+            
+            await this.notifyOwner(tenantId, appointmentService.buildOwnerAlert(cancelled, timezone, 'cancelled'));
+            await this.notifyAppointmentStaff(tenantId, cancelled, 'cancelled');
+            this.emitToTenant(tenantId, 'appointmentChanged', {
+                appointmentId: appointment.id,
+                status: 'cancelled',
+                startsAt: cancelled.starts_at,
+                byCustomer: true,
+                timestamp: new Date().toISOString()
+            });
+            return true;
+        }
+        
+        // Reschedule: the booking flow, limited to the appointment's service
+        const context = await this.getBookingContext(tenantId, customerPhone, appointment.customer_language || 'fr', appointment);
+        const result = await appointmentBookingFlow.startReschedule(appointment, context);
+        if (!result.done) {
+            await this.orderStates.set(tenantId, customerPhone, {
+                state: 'appointment_booking',
+                bookingInfo: result.info,
+                timestamp: new Date()
+            });
+        }
+        await chat.sendMessage(result.reply);
+        
+        console.log(`🔁 [${userId}] Reschedule of appointment #${appointment.id} started by ${customerPhone}`);
+        return true;
+    }
+
+    /**
+     * Guided booking (service, staff, day, slot, name, recap), then the slot is booked (or the
+     * appointment being rescheduled moved to it) and the owner and staff member told
+     */
+    async handleAppointmentBooking(bookingState, message, chat, tenantId, customerPhone, userId) {
+        const info = bookingState.bookingInfo || {};
+        const language = info.language || 'fr';
+        
+        if (deliveryDetailsFlow.isCancel(message.body)) {
+            console.log(`❌ [${userId}] Customer cancelled booking`);
+            await this.orderStates.delete(tenantId, customerPhone);
+            await chat.sendMessage(appointmentBookingFlow.message(info.rescheduleId ? 'unchanged' : 'cancelled', language));
+            return true;
+        }
+        
+        try {
+            let rescheduling = null;
+            if (info.rescheduleId) {
+                rescheduling = await db.getAppointmentById(info.rescheduleId, tenantId);
+                
+                // Cancelled or marked by the business meanwhile - nothing left to move
+                if (!rescheduling || rescheduling.status !== 'booked') {
+                    await this.orderStates.delete(tenantId, customerPhone);
+                    return false;
+                }
+            }
+            
+            const context = await this.getBookingContext(tenantId, customerPhone, language, rescheduling);
+            let result = await appointmentBookingFlow.handle(info, message.body, context);
+            
+            let appointment = null;
+            if (result.done && !result.reply) {
+                const service = context.services.find(s => s.id === result.info.serviceId);
+                const days = await context.loadDays(service, result.info.staffId || null);
+                const day = days.find(d => d.date === result.info.date);
+                const slot = day && day.slots.find(s => s.time === result.info.time);
+                
+                if (slot && rescheduling) {
+                    const moved = await this.rescheduleAppointment(tenantId, rescheduling.id, slot.startsAt, {
+                        notify: false,
+                        staffId: result.info.staffId || null
+                    });
+                    appointment = moved ? moved.appointment : null;
+                } else if (slot) {
+                    appointment = await appointmentService.book(tenantId, service, slot, {
+                        phone: customerPhone,
+                        name: result.info.name,
+                        language,
+                        createdBy: 'whatsapp'
+                    });
+                }
+                
+                // Taken by someone else since the recap - offer the free days again
+                if (!appointment) {
+                    result = await appointmentBookingFlow.retake(result.info, context);
+                }
+            }
+            
+            if (!appointment) {
+                if (result.done) {
+                    await this.orderStates.delete(tenantId, customerPhone);
+                } else {
+                    bookingState.bookingInfo = result.info;
+                    await this.orderStates.set(tenantId, customerPhone, bookingState);
+                }
+                await chat.sendMessage(result.reply);
+                return true;
+            }
+            
+            await this.orderStates.delete(tenantId, customerPhone);
+            await chat.sendMessage(appointmentService.buildCustomerMessage('booked', appointment, context.timezone, context.money.locale));
+            await this.notifyOwner(tenantId, appointmentService.buildOwnerAlert(appointment, context.timezone, rescheduling ? 'rescheduled' : 'booked'));
+            
+            if (rescheduling) {
+                console.log(`🔁 [${userId}] Appointment #${appointment.id} moved by ${customerPhone}`);
+                return true;
+            }
+            
+            console.log(`📅 [${userId}] Appointment #${appointment.id} booked by ${customerPhone}`);
+            await this.notifyAppointmentStaff(tenantId, appointment, 'booked');
+            this.emitToTenant(tenantId, 'appointmentBooked', {
+                appointmentId: appointment.id,
+                serviceName: appointment.service_name,
+                staffId: appointment.staff_id,
+                startsAt: appointment.starts_at,
+                customerPhone,
+                customerName: appointment.customer_name,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error(`❌ [${userId}] Error in appointment booking:`, error);
+            await this.orderStates.delete(tenantId, customerPhone);
+            await chat.sendMessage('Sorry, there was an error processing your booking. Please contact support.');
+        }
+        
+        return true;
+    }
+
     /**
      * Detect if customer is requesting a file
      * @param {string} message - Customer message
@@ -1276,6 +2430,651 @@ class MultiUserBotManager {
         return this.sessions.get(userId);
     }
 
+    /**
+     * Get a connected session of a tenant (used to message customers outside a conversation)
+     */
+    getTenantSession(tenantId) {
+        for (const sessionInfo of this.sessions.values()) {
+            if (sessionInfo.tenantId === parseInt(tenantId) && sessionInfo.isReady && sessionInfo.client) {
+                return sessionInfo;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Send a WhatsApp message to a customer through the tenant's session
+     * @returns {Promise<boolean>} true if sent
+     */
+    async notifyCustomer(tenantId, customerPhone, text) {
+        const sessionInfo = this.getTenantSession(tenantId);
+        
+        if (!sessionInfo) {
+            console.warn(`⚠️ [Tenant ${tenantId}] No connected WhatsApp session - customer ${customerPhone} not notified`);
+            return false;
+        }
+        
+        try {
+            await sessionInfo.client.sendMessage(customerPhone, text);
+            
+            this.io.to(sessionInfo.userId).emit('messageSent', {
+                userId: sessionInfo.userId,
+                to: customerPhone,
+                message: text,
+                timestamp: new Date().toISOString()
+            });
+            return true;
+        } catch (error) {
+            console.error(`❌ [Tenant ${tenantId}] Failed to notify customer ${customerPhone}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Send a WhatsApp message to the owner's number through the tenant's session
+     * @returns {Promise<boolean>} true if sent
+     */
+    async notifyOwner(tenantId, text) {
+        const tenant = await db.getTenantById(tenantId);
+        if (!tenant || !tenant.owner_whatsapp_number) {
+            console.warn(`⚠️ [Tenant ${tenantId}] Owner WhatsApp number not configured - owner not notified`);
+            return false;
+        }
+        
+        let ownerNumber = tenant.owner_whatsapp_number;
+        if (!ownerNumber.includes('@')) {
+            ownerNumber = `${ownerNumber}@c.us`;
+        }
+        return this.notifyCustomer(tenantId, ownerNumber, text);
+    }
+
+    /**
+     * Move an order through its lifecycle and tell the customer
+     * @param {number} tenantId - Tenant ID
+     * @param {number} orderId - Order ID
+     * @param {string} toState - confirmed, shipped, delivered, cancelled or refunded
+     * @param {Object} details - { note, trackingNumber, cancelReason, changedBy }
+     * @returns {Promise<Object>} { order, notified }
+     */
+    async changeOrderStatus(tenantId, orderId, toState, details = {}) {
+        const order = await db.getOrderById(orderId, tenantId);
+        if (!order) {
+            throw new Error('Order not found');
+        }
+        
+        const validationError = orderLifecycle.validateTransition(order.order_state, toState, details);
+        if (validationError) {
+            throw new Error(validationError);
+        }
+        
+        const updated = await db.transitionOrder(order.id, order.order_state, toState, details);
+        if (!updated) {
+            throw new Error('Order status changed meanwhile, please reload and retry');
+        }
+        
+        console.log(`📋 [Tenant ${tenantId}] Order #${order.id}: ${order.order_state} → ${toState}`);
+        
+        if (toState === 'cancelled') {
+            await inventoryService.releaseForOrder(order.id);
+            
+            // Customer was still in the WhatsApp order flow - end it
+            if (orderLifecycle.isInFlight(order.order_state)) {
+                const orderState = await this.orderStates.get(tenantId, order.customer_phone);
+                if (orderState && orderState.orderId === order.id) {
+                    await this.orderStates.delete(tenantId, order.customer_phone);
+                }
+            }
+        }
+        
+        // Shipped with a tracking number - the customer can follow it on WhatsApp
+        if (toState === 'shipped' && updated.tracking_number) {
+            const shipment = await db.createShipment({
+                tenant_id: tenantId,
+                order_id: updated.id,
+                tracking_number: shipmentService.normalizeTrackingNumber(updated.tracking_number),
+                customer_phone: updated.customer_phone,
+                customer_name: updated.customer_name,
+                customer_language: updated.customer_language,
+                status: 'in_transit'
+            }, { note: `Order #${updated.id} shipped`, changedBy: details.changedBy });
+            if (shipment) console.log(`📦 [Tenant ${tenantId}] Shipment ${shipment.tracking_number} created for order #${updated.id}`);
+        }
+        
+        const customerMessage = orderLifecycle.buildCustomerMessage(updated, toState);
+        const notified = customerMessage
+            ? await this.notifyCustomer(tenantId, updated.customer_phone, customerMessage)
+            : false;
+        
+        this.emitToTenant(tenantId, 'orderStatusChanged', {
+            orderId: updated.id,
+            fromState: order.order_state,
+            toState,
+            notified,
+            timestamp: new Date().toISOString()
+        });
+        
+        return { order: updated, notified };
+    }
+
+    /**
+     * Record a new shipment status and tell the customer
+     * @param {Object} event - { status, location, note, estimatedDelivery, changedBy, notify (default true) }
+     * @returns {Promise<Object|null>} { shipment, event, notified } or null if not found
+     */
+    async updateShipmentStatus(tenantId, shipmentId, event) {
+        const result = await db.addShipmentEvent(shipmentId, tenantId, event);
+        if (!result) return null;
+        
+        const { shipment } = result;
+        console.log(`📦 [Tenant ${tenantId}] Shipment ${shipment.tracking_number}: ${shipment.status}`);
+        
+        const customerMessage = event.notify !== false && shipment.customer_phone
+            ? shipmentService.buildCustomerMessage(shipment, shipment.customer_language || 'fr')
+            : null;
+        const notified = customerMessage
+            ? await this.notifyCustomer(tenantId, shipment.customer_phone, customerMessage)
+            : false;
+        
+        this.emitToTenant(tenantId, 'shipmentUpdated', {
+            shipmentId: shipment.id,
+            orderId: shipment.order_id,
+            trackingNumber: shipment.tracking_number,
+            status: shipment.status,
+            notified,
+            timestamp: new Date().toISOString()
+        });
+        
+        return { ...result, notified };
+    }
+
+    /**
+     * Emit an event to the dashboards of every session of a tenant
+     */
+    emitToTenant(tenantId, event, payload) {
+        for (const [userId, sessionInfo] of this.sessions) {
+            if (sessionInfo.tenantId === parseInt(tenantId)) {
+                this.io.to(userId).emit(event, { userId, ...payload });
+            }
+        }
+    }
+
+    /**
+     * Apply the owner's decision on a payment proof and notify the customer
+     * Approved orders continue with delivery details, rejected ones wait for a new proof.
+     * @param {number} tenantId - Tenant ID
+     * @param {number} verificationId - payment_verifications ID
+     * @param {string} decision - 'approved' or 'rejected'
+     * @param {Object} details - { note, reviewedBy }
+     * @returns {Promise<Object|null>} { verification, order, notified } or null if not pending anymore
+     */
+    async reviewPayment(tenantId, verificationId, decision, details = {}) {
+        const result = await db.reviewPaymentVerification(verificationId, tenantId, decision, details);
+        if (!result) return null;
+        
+        const { verification, order } = result;
+        const language = order.customer_language || 'fr';
+        const existing = await this.orderStates.get(tenantId, order.customer_phone);
+        const orderState = existing && existing.orderId === order.id
+            ? existing
+            : this.orderStates.fromOrder(order);
+        
+        let message;
+        if (decision === 'approved') {
+            orderState.state = 'awaiting_info';
+            orderState.collectedInfo = {
+                paymentAnalysis: (orderState.collectedInfo && orderState.collectedInfo.paymentAnalysis) || verification.raw_analysis,
+                ...deliveryDetailsFlow.start()
+            };
+            message = `${paymentVerificationService.buildCustomerMessage('approved', language)}\n\n${deliveryDetailsFlow.prompt('name', language)}`;
+        } else {
+            orderState.state = 'awaiting_payment';
+            orderState.collectedInfo = {};
+            message = paymentVerificationService.buildCustomerMessage('rejected', language, details.note);
+        }
+        await this.orderStates.set(tenantId, order.customer_phone, orderState);
+        
+        const notified = await this.notifyCustomer(tenantId, order.customer_phone, message);
+        console.log(`💳 Payment verification ${verification.id} of order ${order.id} ${decision} by ${details.reviewedBy || 'owner'}`);
+        
+        this.emitToTenant(tenantId, 'paymentReviewed', {
+            verificationId: verification.id,
+            orderId: order.id,
+            status: decision,
+            customerNotified: notified,
+            timestamp: new Date().toISOString()
+        });
+        
+        return { verification, order, notified };
+    }
+
+    /**
+     * Apply a payment provider webhook event to its link and order, and tell the customer
+     * A matching payment moves the order on to the delivery questions, like an approved proof.
+     * @param {Object} link - payment_links row (pending, or replaced for a paid event)
+     * @param {Object} event - Parsed event { status, amount, currency, transactionId }
+     * @returns {Promise<Object>} { link, order, notified } (link undefined if it was already settled)
+     */
+    async handleOnlinePayment(link, event) {
+        const tenantId = link.tenant_id;
+        const order = await db.getOrderById(link.order_id, tenantId);
+        const language = (order && order.customer_language) || 'fr';
+        
+        if (event.status !== 'paid') {
+            await db.recordPaymentLinkFailure(link.id, event.reason || 'Payment failed');
+            const notified = order && orderLifecycle.isInFlight(order.order_state)
+                ? await this.notifyCustomer(tenantId, order.customer_phone, paymentGatewayService.buildFailedMessage(link, language))
+                : false;
+            console.log(`💳 Payment link ${link.checkout_id} of order ${link.order_id}: payment failed`);
+            return { link, order, notified };
+        }
+        
+        // A replaced link was for the amount before a discount code
+        const mismatch = link.status === 'replaced'
+            ? `Paid a replaced link: ${link.amount} ${link.currency} (order repriced after a discount code)`
+            : paymentGatewayService.findMismatch(link, event);
+        const settled = await db.settlePaymentLink(link.id, mismatch ? 'mismatch' : 'paid', {
+            transactionId: event.transactionId,
+            reason: mismatch
+        });
+        if (!settled) return { link: undefined, order, notified: false };
+        
+        let notified = false;
+        if (settled.order) {
+            const existing = await this.orderStates.get(tenantId, settled.order.customer_phone);
+            const orderState = existing && existing.orderId === settled.order.id
+                ? existing
+                : this.orderStates.fromOrder(settled.order);
+            orderState.state = 'awaiting_info';
+            orderState.collectedInfo = {
+                paymentAnalysis: `Paiement en ligne (${link.provider})${event.transactionId ? ` - transaction ${event.transactionId}` : ''}`,
+                ...deliveryDetailsFlow.start()
+            };
+            await this.orderStates.set(tenantId, settled.order.customer_phone, orderState);
+            
+            const message = `${paymentVerificationService.buildCustomerMessage('approved', language)}\n\n${deliveryDetailsFlow.prompt('name', language)}`;
+            notified = await this.notifyCustomer(tenantId, settled.order.customer_phone, message);
+            console.log(`💳 Order ${settled.order.id} paid online (${link.provider})`);
+        } else {
+            // Paid a wrong amount, or after the order expired / was cancelled - the owner decides
+            console.warn(`⚠️ Payment link ${link.checkout_id} of order ${link.order_id} needs the owner: ${mismatch || `order is ${order ? order.order_state : 'gone'}`}`);
+        }
+        
+        this.emitToTenant(tenantId, 'paymentReceived', {
+            orderId: link.order_id,
+            paymentLinkId: link.id,
+            provider: link.provider,
+            amount: event.amount,
+            currency: event.currency || link.currency,
+            status: settled.link.status,
+            orderMoved: !!settled.order,
+            mismatchReason: mismatch,
+            customerNotified: notified,
+            timestamp: new Date().toISOString()
+        });
+        
+        return { link: settled.link, order: settled.order || order, notified };
+    }
+
+    /**
+     * Move a return request on and tell the customer
+     * Refunding also moves a delivered order to "refunded".
+     * @param {number} tenantId - Tenant ID
+     * @param {number} returnId - return_requests ID
+     * @param {string} toStatus - approved, received, refunded or rejected
+     * @param {Object} details - { note, refundAmount (default: order total), updatedBy }
+     * @returns {Promise<Object>} { returnRequest, order, notified } (order set if it moved to refunded)
+     */
+    async changeReturnStatus(tenantId, returnId, toStatus, details = {}) {
+        const returnRequest = await db.getReturnRequestById(returnId, tenantId);
+        if (!returnRequest) {
+            throw new Error('Return request not found');
+        }
+        
+        const validationError = returnService.validateTransition(returnRequest.status, toStatus, details);
+        if (validationError) {
+            throw new Error(validationError);
+        }
+        
+        const refunding = toStatus === 'refunded';
+        const refundAmount = refunding
+            ? (details.refundAmount ?? returnRequest.total_amount ?? null)
+            : null;
+        const orderFromState = refunding && orderLifecycle.getAllowedTransitions(returnRequest.order_state).includes('refunded')
+            ? returnRequest.order_state
+            : null;
+        
+        const result = await db.updateReturnRequestStatus(returnRequest.id, tenantId, returnRequest.status, toStatus, {
+            note: details.note,
+            refundAmount: refundAmount !== null ? Number(refundAmount) : null,
+            updatedBy: details.updatedBy,
+            orderFromState
+        });
+        if (!result) {
+            throw new Error('Return request changed meanwhile, please reload and retry');
+        }
+        
+        console.log(`↩️ [Tenant ${tenantId}] Return #${returnRequest.id}: ${returnRequest.status} → ${toStatus}`);
+        
+        const tenant = await db.getTenantById(tenantId);
+        const customerMessage = returnService.buildCustomerMessage(result.returnRequest, toStatus, returnRequest.customer_language, tenant && tenant.locale);
+        const notified = customerMessage
+            ? await this.notifyCustomer(tenantId, returnRequest.customer_phone, customerMessage)
+            : false;
+        
+        this.emitToTenant(tenantId, 'returnStatusChanged', {
+            returnId: returnRequest.id,
+            orderId: returnRequest.order_id,
+            fromStatus: returnRequest.status,
+            toStatus,
+            refundAmount: result.returnRequest.refund_amount,
+            orderRefunded: !!result.order,
+            notified,
+            timestamp: new Date().toISOString()
+        });
+        
+        return { returnRequest: result.returnRequest, order: result.order, notified };
+    }
+
+    /**
+     * Book a free slot from the dashboard and tell the customer and staff member
+     * @param {Object} service - appointment_services row
+     * @param {Object} details - { startsAt, staffId (null = any available), customerPhone, customerName, language, notes, createdBy }
+     * @returns {Promise<Object|null>} { appointment, notified } or null if the time is not a free slot
+     */
+    async createAppointment(tenantId, service, details) {
+        const slot = await appointmentService.findSlot(tenantId, service, details.startsAt, null, details.staffId || null);
+        const appointment = slot
+            ? await appointmentService.book(tenantId, service, slot, {
+                phone: details.customerPhone,
+                name: details.customerName,
+                language: details.language,
+                notes: details.notes,
+                createdBy: details.createdBy
+            })
+            : null;
+        if (!appointment) return null;
+        
+        console.log(`📅 [Tenant ${tenantId}] Appointment #${appointment.id} booked from the dashboard`);
+        
+        const notified = await this.notifyAppointmentCustomer(tenantId, 'booked', appointment);
+        await this.notifyAppointmentStaff(tenantId, appointment, 'booked');
+        this.emitToTenant(tenantId, 'appointmentBooked', {
+            appointmentId: appointment.id,
+            serviceName: appointment.service_name,
+            staffId: appointment.staff_id,
+            startsAt: appointment.starts_at,
+            customerPhone: appointment.customer_phone,
+            customerName: appointment.customer_name,
+            timestamp: new Date().toISOString()
+        });
+        
+        return { appointment, notified };
+    }
+
+    /**
+     * Move a booked appointment to another free slot (and maybe staff member) and tell the customer and staff
+     * @param {Object} details - { staffId (default: the same; null = any available),
+     *   notify (default true; false when the customer moved it themselves) }
+     * @returns {Promise<Object|null>} { appointment, notified } or null if the time is not a free slot
+     */
+    async rescheduleAppointment(tenantId, appointmentId, startsAt, details = {}) {
+        const appointment = await db.getAppointmentById(appointmentId, tenantId);
+        if (!appointment) {
+            throw new Error('Appointment not found');
+        }
+        if (appointment.status !== 'booked') {
+            throw new Error(`Only booked appointments can be moved (this one is ${appointment.status})`);
+        }
+        
+        // Service deleted since: keep the booked duration
+        const service = (appointment.service_id && await db.getAppointmentServiceById(appointment.service_id, tenantId)) || {
+            duration_minutes: (new Date(appointment.ends_at) - new Date(appointment.starts_at)) / 60000
+        };
+        const staffId = details.staffId !== undefined ? details.staffId : appointment.staff_id;
+        const slot = await appointmentService.findSlot(tenantId, service, startsAt, appointment.id, staffId);
+        if (!slot) return null;
+        
+        const staff = slot.staff ? slot.staff[0] : null;
+        const result = await db.rescheduleAppointment(appointment.id, tenantId, slot.startsAt, slot.endsAt, appointmentService.blockingStatuses, staff);
+        if (!result) {
+            throw new Error('Appointment changed meanwhile, please reload and retry');
+        }
+        if (result.conflict) return null;
+        
+        console.log(`📅 [Tenant ${tenantId}] Appointment #${appointment.id} moved to ${slot.startsAt.toISOString()}`);
+        
+        const notified = details.notify !== false
+            ? await this.notifyAppointmentCustomer(tenantId, 'rescheduled', result.appointment)
+            : false;
+        await this.notifyAppointmentStaff(tenantId, result.appointment, 'rescheduled', appointment);
+        this.emitToTenant(tenantId, 'appointmentChanged', {
+            appointmentId: appointment.id,
+            status: result.appointment.status,
+            staffId: result.appointment.staff_id,
+            startsAt: result.appointment.starts_at,
+            previousStartsAt: appointment.starts_at,
+            byCustomer: details.notify === false,
+            notified,
+            timestamp: new Date().toISOString()
+        });
+        
+        return { appointment: result.appointment, notified };
+    }
+
+    /**
+     * Change the status of an appointment (cancelled customers are told)
+     * @param {string} toStatus - completed, cancelled or no_show
+     * @param {Object} details - { reason }
+     * @returns {Promise<Object>} { appointment, notified }
+     */
+    async changeAppointmentStatus(tenantId, appointmentId, toStatus, details = {}) {
+        const appointment = await db.getAppointmentById(appointmentId, tenantId);
+        if (!appointment) {
+            throw new Error('Appointment not found');
+        }
+        
+        const validationError = appointmentService.validateTransition(appointment.status, toStatus);
+        if (validationError) {
+            throw new Error(validationError);
+        }
+        
+        const updated = await db.updateAppointmentStatus(appointment.id, tenantId, appointment.status, toStatus, details);
+        if (!updated) {
+            throw new Error('Appointment changed meanwhile, please reload and retry');
+        }
+        
+        console.log(`📅 [Tenant ${tenantId}] Appointment #${appointment.id}: ${appointment.status} → ${toStatus}`);
+        
+        const notified = toStatus === 'cancelled'
+            ? await this.notifyAppointmentCustomer(tenantId, 'cancelled', updated)
+            : false;
+        if (toStatus === 'cancelled') {
+            await this.notifyAppointmentStaff(tenantId, updated, 'cancelled');
+        }
+        this.emitToTenant(tenantId, 'appointmentChanged', {
+            appointmentId: appointment.id,
+            status: toStatus,
+            startsAt: updated.starts_at,
+            notified,
+            timestamp: new Date().toISOString()
+        });
+        
+        return { appointment: updated, notified };
+    }
+
+    async notifyAppointmentCustomer(tenantId, event, appointment) {
+        const tenant = await db.getTenantById(tenantId);
+        const text = appointmentService.buildCustomerMessage(event, appointment, appointmentService.getTimezone(tenant), tenant && tenant.locale);
+        return text ? this.notifyCustomer(tenantId, appointment.customer_phone, text) : false;
+    }
+
+    /**
+     * WhatsApp alert to the staff member of an appointment (staff without a number get none)
+     * @param {string} event - 'booked', 'rescheduled' or 'cancelled'
+     * @param {Object|null} previous - Appointment before a move: if it changed hands, the previous
+     *   staff member is told it was given to a colleague and the new one gets it as booked
+     */
+    async notifyAppointmentStaff(tenantId, appointment, event, previous = null) {
+        const tenant = await db.getTenantById(tenantId);
+        const timezone = appointmentService.getTimezone(tenant);
+        const alerts = [];
+        
+        if (previous && previous.staff_id !== appointment.staff_id) {
+            if (previous.staff_id) alerts.push([previous.staff_id, appointmentService.buildStaffAlert(previous, timezone, 'reassigned')]);
+            event = 'booked';
+        }
+        if (appointment.staff_id) alerts.push([appointment.staff_id, appointmentService.buildStaffAlert(appointment, timezone, event)]);
+        
+        for (const [staffId, text] of alerts) {
+            const member = await db.getStaffMemberById(staffId, tenantId);
+            if (member && member.whatsapp_number) {
+                await this.notifyCustomer(tenantId, `${member.whatsapp_number}@c.us`, text);
+            }
+        }
+    }
+
+    /**
+     * Run a command sent by the owner from their WhatsApp number and reply with the outcome
+     * Plain messages that aren't commands fall through so the owner can still chat with the bot.
+     * @param {Object} tenant - Tenant row
+     * @param {string} text - Message body
+     * @param {Object} chat - Owner chat
+     * @param {string} userId - Session user ID
+     * @returns {Promise<boolean>} true if the message was a command
+     */
+    async handleOwnerCommand(tenant, text, chat, userId) {
+        const command = ownerCommands.parse(text);
+        if (command.type === 'unknown' && !command.verb) return false;
+        
+        console.log(`👑 [${userId}] Owner command: ${command.type}${command.orderId ? ` #${command.orderId}` : ''}`);
+        
+        let reply;
+        try {
+            switch (command.type) {
+                case 'orderDetails': {
+                    const order = await db.getOrderById(command.orderId, tenant.id);
+                    if (!order) {
+                        reply = `❌ Commande #${command.orderId} introuvable.`;
+                        break;
+                    }
+                    const items = await db.getOrderItems(order.id);
+                    reply = ownerCommands.formatOrderDetails(order, items, orderLifecycle.getAllowedTransitions(order.order_state), tenant.locale);
+                    break;
+                }
+                
+                case 'status': {
+                    const details = { changedBy: 'owner:whatsapp' };
+                    if (command.toState === 'shipped' && command.argument) details.trackingNumber = command.argument;
+                    if (command.toState === 'cancelled' && command.argument) details.cancelReason = command.argument;
+                    
+                    const { order, notified } = await this.changeOrderStatus(tenant.id, command.orderId, command.toState, details);
+                    reply = `✅ Commande #${order.id} → ${ownerCommands.stateLabel(order.order_state)}`;
+                    if (order.tracking_number && command.toState === 'shipped') reply += `\n📦 Suivi: ${order.tracking_number}`;
+                    reply += notified ? '\n📨 Client notifié.' : '\n⚠️ Client non notifié.';
+                    break;
+                }
+                
+                case 'payment': {
+                    if (command.decision === 'rejected' && !command.argument) {
+                        reply = `❌ Indiquez une raison: #${command.orderId} reject raison`;
+                        break;
+                    }
+                    const pending = (await db.getOrderPaymentVerifications(command.orderId))
+                        .find(v => v.tenant_id === tenant.id && v.status === 'pending');
+                    if (!pending) {
+                        reply = `❌ Aucun paiement en attente de vérification pour la commande #${command.orderId}.`;
+                        break;
+                    }
+                    const result = await this.reviewPayment(tenant.id, pending.id, command.decision, {
+                        note: command.argument,
+                        reviewedBy: 'owner:whatsapp'
+                    });
+                    if (!result) {
+                        reply = `❌ Le paiement de la commande #${command.orderId} a déjà été traité.`;
+                        break;
+                    }
+                    reply = `${command.decision === 'approved' ? '✅ Paiement validé' : '❌ Paiement refusé'} pour la commande #${command.orderId}.`;
+                    reply += result.notified ? '\n📨 Client notifié.' : '\n⚠️ Client non notifié.';
+                    break;
+                }
+                
+                case 'openReturns': {
+                    const returnRequests = await db.getReturnRequests(tenant.id, returnService.openStatuses, 20);
+                    reply = ownerCommands.formatReturnList(returnRequests);
+                    break;
+                }
+                
+                case 'returnDetails': {
+                    const returnRequest = await db.getReturnRequestById(command.returnId, tenant.id);
+                    reply = returnRequest
+                        ? ownerCommands.formatReturnDetails(returnRequest, returnService.getAllowedTransitions(returnRequest.status), tenant.locale)
+                        : `❌ Retour R${command.returnId} introuvable.`;
+                    break;
+                }
+                
+                case 'returnStatus': {
+                    if (command.toStatus === 'rejected' && !command.argument) {
+                        reply = `❌ Indiquez une raison: R${command.returnId} reject raison`;
+                        break;
+                    }
+                    const details = { updatedBy: 'owner:whatsapp' };
+                    if (command.toStatus === 'refunded' && command.argument) {
+                        details.refundAmount = moneyService.parseNumber(command.argument, tenant.locale);
+                        if (details.refundAmount === null) {
+                            reply = `❌ Montant invalide: R${command.returnId} refund 250`;
+                            break;
+                        }
+                    } else if (command.argument) {
+                        details.note = command.argument;
+                    }
+                    
+                    const { returnRequest, order, notified } = await this.changeReturnStatus(tenant.id, command.returnId, command.toStatus, details);
+                    reply = `✅ Retour R${returnRequest.id} → ${returnService.statusLabel(returnRequest.status)}`;
+                    if (order) reply += `\n💸 Commande #${order.id} marquée remboursée.`;
+                    reply += notified ? '\n📨 Client notifié.' : '\n⚠️ Client non notifié.';
+                    break;
+                }
+                
+                case 'ordersToday': {
+                    // The shop's day, from its local midnight (order times are stored in UTC)
+                    const dayStart = appointmentService.startOfToday(appointmentService.getTimezone(tenant));
+                    const { orders, total } = await db.getOrders(tenant.id, { from: dayStart.toISOString() }, 20, 0);
+                    reply = ownerCommands.formatOrderList(orders, total, tenant.locale);
+                    break;
+                }
+                
+                case 'pause':
+                case 'resume': {
+                    const paused = command.type === 'pause';
+                    await db.updateTenant(tenant.id, { bot_paused: paused });
+                    this.emitToTenant(tenant.id, 'botPauseChanged', { paused, timestamp: new Date().toISOString() });
+                    reply = paused
+                        ? '⏸️ Bot en pause. Il ne répond plus aux clients.\nEnvoyez "resume bot" pour le relancer.'
+                        : '▶️ Bot relancé. Il répond de nouveau aux clients.';
+                    break;
+                }
+                
+                default:
+                    reply = command.verb
+                        ? `❓ Commande inconnue: "${command.verb}"\n\n${ownerCommands.helpText}`
+                        : ownerCommands.helpText;
+            }
+        } catch (error) {
+            console.error(`❌ [${userId}] Owner command failed:`, error.message);
+            reply = `❌ ${error.message}`;
+        }
+        
+        await chat.sendMessage(reply);
+        return true;
+    }
+
+    /**
+     * Restore in-flight order conversations from the database (call once the schema is ready)
+     */
+    async restoreOrderStates() {
+        return await this.orderStates.rehydrate();
+    }
+
     getAllSessions() {
         return Array.from(this.sessions.entries()).map(([userId, info]) => ({
             userId,
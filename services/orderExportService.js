@@ -0,0 +1,132 @@
+/**
+ * Order Export Service
+ * Streams a tenant's orders as CSV or XLSX for accounting, one database
+ * batch at a time so large exports never sit in memory
+ */
+
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const db = require('../database/db');
+
+const BATCH_SIZE = 500;
+
+// Spreadsheet columns: header -> value from an export row
+const COLUMNS = [
+    { header: 'Order ID', key: 'id', width: 10, value: o => o.id },
+    { header: 'Created at', key: 'created_at', width: 20, value: o => o.created_at },
+    { header: 'Completed at', key: 'completed_at', width: 20, value: o => o.completed_at },
+    { header: 'State', key: 'order_state', width: 16, value: o => o.order_state },
+    { header: 'WhatsApp', key: 'customer_phone', width: 18, value: o => (o.customer_phone || '').replace('@c.us', '') },
+    { header: 'Customer name', key: 'customer_name', width: 22, value: o => o.customer_name },
+    { header: 'Delivery phone', key: 'contact_phone', width: 16, value: o => o.contact_phone },
+    { header: 'Email', key: 'customer_email', width: 24, value: o => o.customer_email },
+    { header: 'City', key: 'delivery_city', width: 16, value: o => o.delivery_city },
+    { header: 'Address', key: 'address', width: 30, value: o => o.street_address || o.customer_address },
+    { header: 'Items', key: 'items', width: 40, value: o => o.items_summary || o.order_details },
+    { header: 'Payment method', key: 'payment_method', width: 16, value: o => o.payment_method_name || o.payment_method },
+    { header: 'Payment proof', key: 'payment_proof_url', width: 40, value: o => o.payment_proof_url },
+    { header: 'Currency', key: 'currency', width: 9, value: o => o.currency || 'MAD' },
+    { header: 'Subtotal', key: 'subtotal', width: 12, value: o => toNumber(o.subtotal) },
+    { header: 'Coupon', key: 'coupon_code', width: 12, value: o => o.coupon_code },
+    { header: 'Discount', key: 'discount_amount', width: 12, value: o => toNumber(o.discount_amount) },
+    { header: 'Delivery fee', key: 'delivery_fee', width: 12, value: o => toNumber(o.delivery_fee) },
+    { header: 'Total', key: 'total_amount', width: 12, value: o => toNumber(o.total_amount) },
+    { header: 'Tracking number', key: 'tracking_number', width: 18, value: o => o.tracking_number },
+    { header: 'Cancel reason', key: 'cancel_reason', width: 24, value: o => o.cancel_reason },
+    { header: 'Invoice', key: 'invoice_number', width: 16, value: o => o.invoice_number },
+    { header: 'State history', key: 'state_history', width: 60, value: o => o.state_history }
+];
+
+function toNumber(value) {
+    return value === null || value === undefined ? null : Number(value);
+}
+
+class OrderExportService {
+    constructor() {
+        this.columns = COLUMNS;
+        this.formats = ['csv', 'xlsx'];
+    }
+
+    /**
+     * Walk all matching orders batch by batch
+     * @param {Function} onRows - Called with each batch (awaited)
+     * @param {Function} isAborted - Stops early when it returns true (client went away)
+     * @returns {Promise<number>} Number of exported orders
+     */
+    async forEachBatch(tenantId, filters, onRows, isAborted = () => false) {
+        let afterId = 0;
+        let count = 0;
+
+        while (!isAborted()) {
+            const rows = await db.getOrderExportBatch(tenantId, filters, afterId, BATCH_SIZE);
+            if (rows.length === 0) break;
+
+            await onRows(rows);
+            count += rows.length;
+            afterId = rows[rows.length - 1].id;
+
+            if (rows.length < BATCH_SIZE) break;
+        }
+
+        return count;
+    }
+
+    /**
+     * Escape a CSV cell (quotes, separators, newlines; formulas neutralized for spreadsheet apps)
+     */
+    csvCell(value) {
+        if (value === null || value === undefined) return '';
+
+        let text = value instanceof Date ? value.toISOString() : String(value);
+        if (typeof value === 'string' && /^[=@\t\r]|^[+-](?![\d\s]*$)/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Stream orders as CSV (UTF-8 with BOM so Excel reads accents and Arabic)
+     * @param {Object} res - Express response (headers already set)
+     * @returns {Promise<number>} Number of exported orders
+     */
+    async streamCsv(res, tenantId, filters) {
+        const write = async (chunk) => {
+            if (!res.write(chunk)) await once(res, 'drain');
+        };
+
+        await write(`\uFEFF${COLUMNS.map(c => this.csvCell(c.header)).join(',')}\r\n`);
+
+        const count = await this.forEachBatch(tenantId, filters, async (rows) => {
+            const lines = rows.map(order => COLUMNS.map(c => this.csvCell(c.value(order))).join(','));
+            await write(`${lines.join('\r\n')}\r\n`);
+        }, () => res.destroyed);
+
+        res.end();
+        return count;
+    }
+
+    /**
+     * Stream orders as an XLSX workbook (rows committed as they are written)
+     * @param {Object} res - Express response (headers already set)
+     * @returns {Promise<number>} Number of exported orders
+     */
+    async streamXlsx(res, tenantId, filters) {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true, useSharedStrings: false });
+        const sheet = workbook.addWorksheet('Orders');
+        sheet.columns = COLUMNS.map(({ header, key, width }) => ({ header, key, width }));
+        sheet.getRow(1).font = { bold: true };
+        sheet.getRow(1).commit();
+
+        const count = await this.forEachBatch(tenantId, filters, async (rows) => {
+            for (const order of rows) {
+                sheet.addRow(COLUMNS.map(c => c.value(order))).commit();
+            }
+        }, () => res.destroyed);
+
+        sheet.commit();
+        await workbook.commit();
+        return count;
+    }
+}
+
+module.exports = new OrderExportService();
@@ -0,0 +1,125 @@
+/**
+ * Order Lifecycle
+ * Allowed order state transitions after checkout and the localized
+ * WhatsApp messages sent to customers when their order moves
+ */
+
+// In-flight states of the WhatsApp order flow (customer still chatting with the bot)
+const IN_FLIGHT_STATES = ['initiated', 'awaiting_payment', 'payment_pending_review', 'awaiting_info', 'awaiting_delivery_info'];
+
+// from state -> states it can move to
+const TRANSITIONS = {
+    initiated: ['cancelled'],
+    awaiting_payment: ['cancelled'],
+    payment_pending_review: ['cancelled'], // approve/reject go through the payment review endpoints
+    awaiting_info: ['cancelled'],
+    awaiting_delivery_info: ['cancelled'],
+    completed: ['confirmed', 'cancelled'],
+    confirmed: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: ['refunded'],
+    cancelled: ['refunded'],
+    refunded: [],
+    expired: [] // unpaid - set by the abandoned order reminders and the reservation expiry
+};
+
+const CUSTOMER_MESSAGES = {
+    confirmed: {
+        fr: (o) => `✅ *Commande #${o.id} confirmée!*\n\nNous préparons votre commande. Vous serez notifié dès son expédition.`,
+        ar: (o) => `✅ *تم تأكيد الطلب #${o.id}!*\n\nنحن نجهز طلبك. سنخبرك فور شحنه.`,
+        en: (o) => `✅ *Order #${o.id} confirmed!*\n\nWe're preparing your order. We'll let you know as soon as it ships.`
+    },
+    shipped: {
+        fr: (o) => `🚚 *Commande #${o.id} expédiée!*\n\nVotre colis est en route.${o.tracking_number ? `\n📦 Numéro de suivi: ${o.tracking_number}` : ''}`,
+        ar: (o) => `🚚 *تم شحن الطلب #${o.id}!*\n\nطردك في الطريق.${o.tracking_number ? `\n📦 رقم التتبع: ${o.tracking_number}` : ''}`,
+        en: (o) => `🚚 *Order #${o.id} shipped!*\n\nYour package is on its way.${o.tracking_number ? `\n📦 Tracking number: ${o.tracking_number}` : ''}`
+    },
+    delivered: {
+        fr: (o) => `📦 *Commande #${o.id} livrée!*\n\nMerci pour votre confiance. À bientôt! 🙏`,
+        ar: (o) => `📦 *تم تسليم الطلب #${o.id}!*\n\nشكراً لثقتك. إلى اللقاء! 🙏`,
+        en: (o) => `📦 *Order #${o.id} delivered!*\n\nThank you for your trust. See you soon! 🙏`
+    },
+    cancelled: {
+        fr: (o) => `❌ *Commande #${o.id} annulée.*${o.cancel_reason ? `\n\nRaison: ${o.cancel_reason}` : ''}\n\nPour toute question, répondez à ce message.`,
+        ar: (o) => `❌ *تم إلغاء الطلب #${o.id}.*${o.cancel_reason ? `\n\nالسبب: ${o.cancel_reason}` : ''}\n\nلأي سؤال، رد على هذه الرسالة.`,
+        en: (o) => `❌ *Order #${o.id} cancelled.*${o.cancel_reason ? `\n\nReason: ${o.cancel_reason}` : ''}\n\nReply to this message if you have any question.`
+    },
+    refunded: {
+        fr: (o) => `💸 *Commande #${o.id} remboursée.*\n\nLe remboursement a été effectué. Il peut prendre quelques jours pour apparaître sur votre compte.`,
+        ar: (o) => `💸 *تم استرجاع مبلغ الطلب #${o.id}.*\n\nتم إرجاع المبلغ. قد يستغرق بضعة أيام ليظهر في حسابك.`,
+        en: (o) => `💸 *Order #${o.id} refunded.*\n\nThe refund has been issued. It may take a few days to appear on your account.`
+    }
+};
+
+class OrderLifecycle {
+    constructor() {
+        this.transitions = TRANSITIONS;
+        this.inFlightStates = IN_FLIGHT_STATES;
+    }
+
+    /**
+     * States an order can move to from its current state
+     */
+    getAllowedTransitions(fromState) {
+        return this.transitions[fromState] || [];
+    }
+
+    /**
+     * Check a transition request
+     * @param {string} fromState - Current order state
+     * @param {string} toState - Requested state
+     * @param {Object} details - { trackingNumber, cancelReason }
+     * @returns {string|null} Error message or null if valid
+     */
+    validateTransition(fromState, toState, details = {}) {
+        if (!CUSTOMER_MESSAGES[toState]) {
+            return `Unknown status: ${toState}. Allowed: ${Object.keys(CUSTOMER_MESSAGES).join(', ')}`;
+        }
+
+        const allowed = this.getAllowedTransitions(fromState);
+        if (!allowed.includes(toState)) {
+            return `Cannot change order from "${fromState}" to "${toState}"` +
+                (allowed.length > 0 ? `. Allowed: ${allowed.join(', ')}` : ' (final state)');
+        }
+
+        if (details.trackingNumber && toState !== 'shipped') {
+            return 'Tracking number can only be set when shipping';
+        }
+
+        return null;
+    }
+
+    isInFlight(state) {
+        return this.inFlightStates.includes(state);
+    }
+
+    /**
+     * Localized customer notification for a new order state
+     * @param {Object} order - Updated order row
+     * @param {string} state - New state
+     * @returns {string|null} Message or null if the state has no notification
+     */
+    buildCustomerMessage(order, state) {
+        const templates = CUSTOMER_MESSAGES[state];
+        if (!templates) return null;
+
+        const template = templates[order.customer_language] || templates.fr;
+        return template(order);
+    }
+
+    /**
+     * Detect the language a text is written in ('ar', 'fr' or 'en')
+     */
+    detectLanguageCode(text) {
+        const value = text || '';
+        if (/[\u0600-\u06FF]/.test(value)) return 'ar';
+
+        const lower = value.toLowerCase();
+        const frenchHints = ['produit', 'prix', 'merci', 'vous', 'votre', 'commande', 'livraison', 'bonjour', 'je veux', 'disponible'];
+        if (frenchHints.some(hint => lower.includes(hint))) return 'fr';
+
+        return 'en';
+    }
+}
+
+module.exports = new OrderLifecycle();
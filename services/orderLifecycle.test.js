@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const orderLifecycle = require('./orderLifecycle');
+
+describe('orderLifecycle.validateTransition', () => {
+    it('lets every in-flight order be cancelled', () => {
+        for (const state of orderLifecycle.inFlightStates) {
+            assert.equal(orderLifecycle.validateTransition(state, 'cancelled'), null, state);
+        }
+    });
+
+    it('follows confirmed, shipped, delivered and refunded in order', () => {
+        assert.equal(orderLifecycle.validateTransition('completed', 'confirmed'), null);
+        assert.equal(orderLifecycle.validateTransition('confirmed', 'shipped', { trackingNumber: 'TRK1' }), null);
+        assert.equal(orderLifecycle.validateTransition('shipped', 'delivered'), null);
+        assert.equal(orderLifecycle.validateTransition('delivered', 'refunded'), null);
+        assert.match(orderLifecycle.validateTransition('completed', 'delivered'), /Allowed: confirmed, cancelled/);
+    });
+
+    it('keeps expired and refunded orders final', () => {
+        assert.match(orderLifecycle.validateTransition('expired', 'cancelled'), /final state/);
+        assert.match(orderLifecycle.validateTransition('refunded', 'cancelled'), /final state/);
+    });
+
+    it('rejects unknown states and misplaced tracking numbers', () => {
+        assert.match(orderLifecycle.validateTransition('completed', 'lost'), /Unknown status/);
+        assert.match(orderLifecycle.validateTransition('completed', 'confirmed', { trackingNumber: 'TRK1' }), /only be set when shipping/);
+    });
+});
+
+describe('orderLifecycle.buildCustomerMessage', () => {
+    it('writes in the customer language, French by default', () => {
+        const order = { id: 12, tracking_number: 'TRK1' };
+        assert.match(orderLifecycle.buildCustomerMessage({ ...order, customer_language: 'en' }, 'shipped'), /Order #12 shipped![\s\S]*TRK1/);
+        assert.match(orderLifecycle.buildCustomerMessage(order, 'shipped'), /Commande #12 expédiée/);
+        assert.equal(orderLifecycle.buildCustomerMessage(order, 'completed'), null);
+    });
+});
+
+describe('orderLifecycle.detectLanguageCode', () => {
+    it('detects Arabic, French and English', () => {
+        assert.equal(orderLifecycle.detectLanguageCode('بغيت نشري'), 'ar');
+        assert.equal(orderLifecycle.detectLanguageCode('Bonjour, le prix svp'), 'fr');
+        assert.equal(orderLifecycle.detectLanguageCode('How much is it?'), 'en');
+    });
+});
@@ -0,0 +1,215 @@
+/**
+ * Order Recovery Service
+ * Reminds customers who stopped replying while an order waits for payment,
+ * expires the order after a deadline and reports how many orders reminders recover.
+ * Everything is derived from the database, so restarts never resend or lose a reminder.
+ */
+
+const db = require('../database/db');
+const orderStateStore = require('./orderStateStore');
+const catalogService = require('./catalogService');
+
+// Orders paid by card get their checkout link again instead of the screenshot request
+const REMINDER_MESSAGES = {
+    fr: (o, amount) => `👋 Votre commande #${o.id} vous attend!${amount ? `\n💰 Montant: ${amount}` : ''}\n\n${o.payment_link_url ? `👉 Payez en ligne ici:\n${o.payment_link_url}` : '📸 Envoyez la capture de votre paiement pour la finaliser.'}\n❌ Pour annuler: répondez "ANNULER"`,
+    ar: (o, amount) => `👋 طلبك #${o.id} في انتظارك!${amount ? `\n💰 المبلغ: ${amount}` : ''}\n\n${o.payment_link_url ? `👉 ادفع عبر الإنترنت هنا:\n${o.payment_link_url}` : '📸 أرسل صورة إثبات الدفع لإتمام الطلب.'}\n❌ للإلغاء: اكتب "إلغاء"`,
+    en: (o, amount) => `👋 Your order #${o.id} is waiting for you!${amount ? `\n💰 Amount: ${amount}` : ''}\n\n${o.payment_link_url ? `👉 Pay online here:\n${o.payment_link_url}` : '📸 Send your payment screenshot to complete it.'}\n❌ To cancel: reply "CANCEL"`
+};
+
+const EXPIRY_MESSAGES = {
+    fr: (o) => `⏰ Votre commande #${o.id} a expiré faute de paiement.\n\nVous pouvez commander à nouveau à tout moment en nous écrivant.`,
+    ar: (o) => `⏰ انتهت صلاحية طلبك #${o.id} لعدم الدفع.\n\nيمكنك الطلب من جديد في أي وقت بمراسلتنا.`,
+    en: (o) => `⏰ Your order #${o.id} expired because no payment was received.\n\nYou can order again anytime by messaging us.`
+};
+
+/**
+ * Parse "2,24" into [2, 24] (sorted, positive numbers only)
+ */
+function parseHours(value, fallback) {
+    const hours = String(value || '')
+        .split(',')
+        .map(h => parseFloat(h))
+        .filter(h => !isNaN(h) && h > 0)
+        .sort((a, b) => a - b);
+    return hours.length > 0 ? hours : fallback;
+}
+
+class OrderRecoveryService {
+    constructor() {
+        this.reminderHours = parseHours(process.env.ABANDONED_REMINDER_HOURS, [2, 24]);
+        this.expiryHours = parseFloat(process.env.ABANDONED_EXPIRY_HOURS) || 48;
+        this.checkInterval = 300000; // Check every 5 minutes
+        this.intervalId = null;
+        this.running = false;
+        this.botManager = null;
+    }
+
+    /**
+     * What an idle order needs now
+     * @param {Object} order - Row from db.getAbandonedOrders
+     * @returns {Object|null} { action: 'expire' } or { action: 'remind', step } or null
+     */
+    getDueAction(order, now = new Date()) {
+        const idleHours = (now - new Date(order.awaiting_since)) / 3600000;
+
+        if (idleHours >= this.expiryHours) return { action: 'expire' };
+
+        // Latest reminder that is due; earlier ones missed (e.g. server down) are skipped
+        let step = -1;
+        this.reminderHours.forEach((hours, i) => {
+            if (idleHours >= hours) step = i;
+        });
+
+        const lastStep = order.last_reminder_step === null || order.last_reminder_step === undefined
+            ? -1
+            : Number(order.last_reminder_step);
+        return step > lastStep ? { action: 'remind', step } : null;
+    }
+
+    buildReminderMessage(order) {
+        const template = REMINDER_MESSAGES[order.customer_language] || REMINDER_MESSAGES.fr;
+        const amount = order.total_amount !== null && order.total_amount !== undefined
+            ? catalogService.formatPrice(order.total_amount, order.currency || order.tenant_currency || 'MAD', order.tenant_locale || null)
+            : null;
+        return template(order, amount);
+    }
+
+    buildExpiryMessage(order) {
+        return (EXPIRY_MESSAGES[order.customer_language] || EXPIRY_MESSAGES.fr)(order);
+    }
+
+    /**
+     * Send one reminder (recorded first so two runs can't both send it)
+     * @returns {Promise<boolean>} true if sent
+     */
+    async sendReminder(order, step) {
+        const claim = await db.claimOrderReminder(order.id, order.tenant_id, step);
+        if (!claim) return false;
+
+        const sent = await this.botManager.notifyCustomer(order.tenant_id, order.customer_phone, this.buildReminderMessage(order));
+        if (!sent) {
+            // WhatsApp not connected - try again on the next run
+            await db.deleteOrderReminder(claim.id);
+            return false;
+        }
+
+        console.log(`🔔 [Recovery] Reminder ${step + 1}/${this.reminderHours.length} sent for order ${order.id}`);
+        return true;
+    }
+
+    /**
+     * Expire an unpaid order: release its stock and conversation state, tell the customer
+     * @returns {Promise<boolean>} true if expired (false if the order moved meanwhile)
+     */
+    async expireOrder(order) {
+        const updated = await db.transitionOrder(order.id, 'awaiting_payment', 'expired', {
+            changedBy: 'scheduler',
+            note: `No payment after ${this.expiryHours}h`,
+            releaseStock: true
+        });
+        if (!updated) return false;
+
+        const orderState = await orderStateStore.get(order.tenant_id, order.customer_phone);
+        if (orderState && orderState.orderId === order.id) {
+            await orderStateStore.delete(order.tenant_id, order.customer_phone);
+        }
+
+        const notified = !order.bot_paused &&
+            await this.botManager.notifyCustomer(order.tenant_id, order.customer_phone, this.buildExpiryMessage(order));
+
+        this.botManager.emitToTenant(order.tenant_id, 'orderExpired', {
+            orderId: order.id,
+            customerPhone: order.customer_phone,
+            notified,
+            timestamp: new Date().toISOString()
+        });
+
+        console.log(`⏰ [Recovery] Order ${order.id} expired after ${this.expiryHours}h without payment`);
+        return true;
+    }
+
+    /**
+     * One pass over all orders waiting for payment
+     * @returns {Promise<Object>} { reminded, expired }
+     */
+    async run(now = new Date()) {
+        const stats = { reminded: 0, expired: 0 };
+        if (this.running) return stats;
+        this.running = true;
+
+        try {
+            const orders = await db.getAbandonedOrders();
+
+            for (const order of orders) {
+                const due = this.getDueAction(order, now);
+                if (!due) continue;
+
+                try {
+                    if (due.action === 'expire') {
+                        if (await this.expireOrder(order)) stats.expired++;
+                    } else if (!order.bot_paused) {
+                        if (await this.sendReminder(order, due.step)) stats.reminded++;
+                    }
+                } catch (error) {
+                    console.error(`❌ [Recovery] Error handling order ${order.id}:`, error.message);
+                }
+            }
+
+            if (stats.reminded > 0 || stats.expired > 0) {
+                console.log(`🔔 [Recovery] ${stats.reminded} reminder(s) sent, ${stats.expired} order(s) expired`);
+            }
+        } catch (error) {
+            console.error('❌ [Recovery] Error checking abandoned orders:', error.message);
+        } finally {
+            this.running = false;
+        }
+
+        return stats;
+    }
+
+    /**
+     * Recovery report for the dashboard
+     * @param {Object} filters - { from, to }
+     * @returns {Promise<Object>} Totals, recovery rate (0-1, null until a reminded order is settled) and per-step breakdown
+     */
+    async getStats(tenantId, filters = {}) {
+        const rows = await db.getRecoveryStats(tenantId, filters);
+        const sum = (key) => rows.reduce((total, row) => total + row[key], 0);
+
+        const remindedOrders = sum('orders');
+        const recoveredOrders = sum('recovered');
+        const pendingOrders = sum('pending');
+        // Orders still waiting for payment may yet be recovered - rate is over settled orders only
+        const settledOrders = remindedOrders - pendingOrders;
+        return {
+            remindedOrders,
+            recoveredOrders,
+            expiredOrders: sum('expired'),
+            pendingOrders,
+            recoveryRate: settledOrders > 0 ? Math.round((recoveredOrders / settledOrders) * 1000) / 1000 : null,
+            byStep: rows.map(row => ({
+                step: row.step + 1,
+                afterHours: this.reminderHours[row.step] || null,
+                orders: row.orders,
+                recovered: row.recovered
+            })),
+            settings: {
+                reminderHours: this.reminderHours,
+                expiryHours: this.expiryHours
+            }
+        };
+    }
+
+    /**
+     * Start the periodic check (needs the bot manager to send WhatsApp messages)
+     */
+    start(botManager) {
+        if (this.intervalId) return;
+
+        this.botManager = botManager;
+        this.intervalId = setInterval(() => this.run(), this.checkInterval);
+        console.log(`🔔 Abandoned order reminders started (after ${this.reminderHours.join('h, ')}h; expiry after ${this.expiryHours}h)`);
+    }
+}
+
+module.exports = new OrderRecoveryService();
@@ -0,0 +1,171 @@
+/**
+ * Order State Store
+ * Durable store for in-flight order conversations (confirmation, payment,
+ * delivery info). Keeps a write-through memory cache in front of the
+ * order_flow_states table so a redeploy doesn't drop customers mid-order.
+ */
+
+const db = require('../database/db');
+const deliveryDetailsFlow = require('./deliveryDetailsFlow');
+
+// States where the customer is answering the delivery questions
+const DELIVERY_INFO_STATES = ['awaiting_info', 'awaiting_delivery_info'];
+
+class OrderStateStore {
+    constructor() {
+        this.cache = new Map(); // `${tenantId}_${customerPhone}` -> state object
+    }
+
+    key(tenantId, customerPhone) {
+        return `${tenantId}_${customerPhone}`;
+    }
+
+    /**
+     * Split a state object into the columns stored in order_flow_states
+     */
+    toRow(orderState) {
+        const { orderId, state, ...data } = orderState;
+        return { orderId: orderId || null, state, data };
+    }
+
+    /**
+     * Rebuild a state object from an order_flow_states row
+     */
+    fromRow(row) {
+        return {
+            ...(row.data || {}),
+            orderId: row.order_id || undefined,
+            state: row.state
+        };
+    }
+
+    /**
+     * Rebuild a state object from an active customer_orders row
+     * (used when an order exists but its conversation state was never persisted)
+     * The amount to pay and the delivery details already saved carry over, so the
+     * conversation resumes where it stopped.
+     */
+    fromOrder(order) {
+        const hasTotal = order.total_amount !== null && order.total_amount !== undefined;
+        return {
+            orderId: order.id,
+            state: order.order_state === 'initiated' ? 'awaiting_payment' : order.order_state,
+            orderDetails: order.order_details || '',
+            expectedAmount: hasTotal ? Number(order.total_amount) : null,
+            currency: order.currency || null,
+            paymentMethod: order.payment_method || 'BANK_TRANSFER',
+            collectedInfo: DELIVERY_INFO_STATES.includes(order.order_state) ? deliveryDetailsFlow.resume(order) : {}
+        };
+    }
+
+    /**
+     * Get the order state for a customer (memory first, then database)
+     * @param {number} tenantId - Tenant ID
+     * @param {string} customerPhone - Customer WhatsApp ID
+     * @returns {Promise<Object|null>} Order state or null
+     */
+    async get(tenantId, customerPhone) {
+        const key = this.key(tenantId, customerPhone);
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+
+        if (!tenantId) return null;
+
+        try {
+            const row = await db.getOrderFlowState(tenantId, customerPhone);
+            if (row) {
+                const orderState = this.fromRow(row);
+                this.cache.set(key, orderState);
+                return orderState;
+            }
+
+            const order = await db.getActiveOrder(tenantId, customerPhone);
+            if (order) {
+                const orderState = this.fromOrder(order);
+                await this.set(tenantId, customerPhone, orderState);
+                return orderState;
+            }
+        } catch (error) {
+            console.error(`❌ [OrderState] Error loading state for ${key}:`, error.message);
+        }
+
+        return null;
+    }
+
+    /**
+     * Save the order state for a customer
+     * @param {number} tenantId - Tenant ID
+     * @param {string} customerPhone - Customer WhatsApp ID
+     * @param {Object} orderState - State object ({ state, orderId, ... })
+     */
+    async set(tenantId, customerPhone, orderState) {
+        const key = this.key(tenantId, customerPhone);
+        this.cache.set(key, orderState);
+
+        if (!tenantId) return;
+
+        const { orderId, state, data } = this.toRow(orderState);
+        try {
+            await db.upsertOrderFlowState(tenantId, customerPhone, orderId, state, data);
+        } catch (error) {
+            console.error(`❌ [OrderState] Error persisting state for ${key}:`, error.message);
+        }
+    }
+
+    /**
+     * Remove the order state for a customer (order finished or cancelled)
+     * @param {number} tenantId - Tenant ID
+     * @param {string} customerPhone - Customer WhatsApp ID
+     */
+    async delete(tenantId, customerPhone) {
+        const key = this.key(tenantId, customerPhone);
+        this.cache.delete(key);
+
+        if (!tenantId) return;
+
+        try {
+            await db.deleteOrderFlowState(tenantId, customerPhone);
+        } catch (error) {
+            console.error(`❌ [OrderState] Error deleting state for ${key}:`, error.message);
+        }
+    }
+
+    /**
+     * Reload all in-flight orders after a restart
+     * Persisted conversation states win; active orders without one are rebuilt
+     * from customer_orders (same states db.getActiveOrder looks for).
+     * @returns {Promise<number>} Number of restored conversations
+     */
+    async rehydrate() {
+        try {
+            const rows = await db.getAllOrderFlowStates();
+            for (const row of rows) {
+                this.cache.set(this.key(row.tenant_id, row.customer_phone), this.fromRow(row));
+            }
+
+            let rebuilt = 0;
+            const orders = await db.getActiveOrders();
+            for (const order of orders) {
+                const key = this.key(order.tenant_id, order.customer_phone);
+                const existing = this.cache.get(key);
+                if (existing && existing.orderId) continue;
+
+                await this.set(order.tenant_id, order.customer_phone, this.fromOrder(order));
+                rebuilt++;
+            }
+
+            console.log(`🔁 [OrderState] Restored ${this.cache.size} in-flight order conversation(s) (${rebuilt} rebuilt from orders)`);
+            return this.cache.size;
+        } catch (error) {
+            console.error('❌ [OrderState] Rehydration failed:', error.message);
+            return 0;
+        }
+    }
+
+    get size() {
+        return this.cache.size;
+    }
+}
+
+module.exports = new OrderStateStore();
@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const orderStates = require('./orderStateStore');
+
+describe('orderStateStore.fromOrder', () => {
+    it('carries the amount to pay and the currency over', () => {
+        const state = orderStates.fromOrder({ id: 4, order_state: 'initiated', total_amount: '530.00', currency: 'EUR', payment_method: null });
+        assert.deepEqual(state, {
+            orderId: 4,
+            state: 'awaiting_payment',
+            orderDetails: '',
+            expectedAmount: 530,
+            currency: 'EUR',
+            paymentMethod: 'BANK_TRANSFER',
+            collectedInfo: {}
+        });
+    });
+
+    it('keeps a legacy order without a total unpriced', () => {
+        assert.equal(orderStates.fromOrder({ id: 4, order_state: 'awaiting_payment', total_amount: null }).expectedAmount, null);
+    });
+
+    it('resumes the delivery details after the last saved answer', () => {
+        const state = orderStates.fromOrder({
+            id: 4,
+            order_state: 'awaiting_delivery_info',
+            payment_method: 'COD',
+            customer_name: 'Ali Alaoui',
+            contact_phone: '+212611223344'
+        });
+        assert.equal(state.collectedInfo.step, 'city');
+        assert.deepEqual(state.collectedInfo.fields, { name: 'Ali Alaoui', phone: '+212611223344' });
+    });
+});
@@ -0,0 +1,263 @@
+/**
+ * Owner Commands
+ * Parses the commands the shop owner sends to the bot from their WhatsApp
+ * ("#123 ship TRK555", "orders today", "pause bot"...) and formats the replies
+ */
+
+const catalogService = require('./catalogService');
+const returnService = require('./returnService');
+
+// Order verb (fr/en/ar) -> order state
+const STATUS_VERBS = {
+    confirm: 'confirmed', confirmer: 'confirmed', 'تأكيد': 'confirmed',
+    ship: 'shipped', expedier: 'shipped', envoyer: 'shipped', 'شحن': 'shipped',
+    deliver: 'delivered', delivered: 'delivered', livrer: 'delivered', livre: 'delivered', 'تسليم': 'delivered',
+    cancel: 'cancelled', annuler: 'cancelled', 'إلغاء': 'cancelled', 'الغاء': 'cancelled',
+    refund: 'refunded', rembourser: 'refunded', 'استرجاع': 'refunded'
+};
+
+// Payment review verb -> decision
+const PAYMENT_VERBS = {
+    approve: 'approved', valider: 'approved', accept: 'approved', 'قبول': 'approved',
+    reject: 'rejected', refuser: 'rejected', 'رفض': 'rejected'
+};
+
+// Return request verb -> status
+const RETURN_VERBS = {
+    approve: 'approved', accept: 'approved', accepter: 'approved', valider: 'approved', 'قبول': 'approved',
+    reject: 'rejected', refuser: 'rejected', 'رفض': 'rejected',
+    received: 'received', receive: 'received', recu: 'received', 'استلام': 'received',
+    refund: 'refunded', refunded: 'refunded', rembourser: 'refunded', rembourse: 'refunded', 'استرجاع': 'refunded'
+};
+
+const STATE_LABELS = {
+    initiated: '🆕 Nouvelle',
+    awaiting_order_confirmation: '🛒 Confirmation',
+    awaiting_payment: '💳 Attente paiement',
+    payment_pending_review: '🔎 Paiement à vérifier',
+    awaiting_info: '📝 Infos livraison',
+    awaiting_delivery_info: '📝 Infos livraison',
+    completed: '✅ Reçue',
+    confirmed: '👍 Confirmée',
+    shipped: '🚚 Expédiée',
+    delivered: '📦 Livrée',
+    cancelled: '❌ Annulée',
+    refunded: '💸 Remboursée',
+    expired: '⏰ Expirée'
+};
+
+const HELP_TEXT = `🤖 *Commandes disponibles:*
+
+📦 *Commandes clients*
+• #123 → détails de la commande
+• #123 confirm
+• #123 ship TRK555 (numéro de suivi optionnel)
+• #123 delivered
+• #123 cancel raison
+• #123 refund
+
+💳 *Paiements*
+• #123 approve
+• #123 reject raison
+
+↩️ *Retours*
+• retours → demandes en cours
+• R5 → détails du retour
+• R5 approve
+• R5 reject raison
+• R5 received
+• R5 refund 250 (montant optionnel, total de la commande par défaut)
+
+📋 *Résumé*
+• orders today
+
+⏸️ *Bot*
+• pause bot → le bot ne répond plus aux clients
+• resume bot → le bot reprend
+
+❓ help → cette aide`;
+
+class OwnerCommands {
+    /**
+     * Normalize a command (lowercase, no accents, single spaces)
+     */
+    normalize(text) {
+        return (text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Check whether a message comes from the tenant's owner number
+     * @param {string} from - WhatsApp ID of the sender ("212600000000@c.us")
+     * @param {string} ownerNumber - tenants.owner_whatsapp_number (any format)
+     */
+    isOwner(from, ownerNumber) {
+        if (!from || !ownerNumber) return false;
+        const senderDigits = from.split('@')[0].replace(/\D/g, '');
+        const ownerDigits = ownerNumber.split('@')[0].replace(/\D/g, '');
+        return !!ownerDigits && senderDigits === ownerDigits;
+    }
+
+    /**
+     * Look up a normalized verb (keys are normalized the same way, Arabic included)
+     */
+    findVerb(verbs, verb) {
+        const key = Object.keys(verbs).find(k => this.normalize(k) === verb);
+        return key ? verbs[key] : null;
+    }
+
+    /**
+     * Parse an owner message
+     * @param {string} text - Message body
+     * @returns {Object} Command ({ type, ... }); type 'unknown' when not recognized
+     */
+    parse(text) {
+        const raw = (text || '').trim();
+        const normalized = this.normalize(raw);
+
+        // "#123 verb rest..." (verb and rest keep the owner's original casing)
+        const orderMatch = raw.match(/^#\s*(\d+)\s*(\S+)?\s*([\s\S]*)$/);
+        if (orderMatch) {
+            const orderId = parseInt(orderMatch[1]);
+            const verb = this.normalize(orderMatch[2] || '');
+            const argument = orderMatch[3].trim() || null;
+
+            if (!verb) return { type: 'orderDetails', orderId };
+
+            const toState = this.findVerb(STATUS_VERBS, verb);
+            if (toState) return { type: 'status', orderId, toState, argument };
+
+            const decision = this.findVerb(PAYMENT_VERBS, verb);
+            if (decision) return { type: 'payment', orderId, decision, argument };
+
+            return { type: 'unknown', verb };
+        }
+
+        // "R5 verb rest..." (return requests)
+        const returnMatch = raw.match(/^r\s*#?\s*(\d+)(?:\s+(\S+)\s*([\s\S]*))?$/i);
+        if (returnMatch) {
+            const returnId = parseInt(returnMatch[1]);
+            const verb = this.normalize(returnMatch[2] || '');
+            const argument = (returnMatch[3] || '').trim() || null;
+
+            if (!verb) return { type: 'returnDetails', returnId };
+
+            const toStatus = this.findVerb(RETURN_VERBS, verb);
+            if (toStatus) return { type: 'returnStatus', returnId, toStatus, argument };
+
+            return { type: 'unknown', verb };
+        }
+
+        if (/^(returns|retours|مرتجعات)$/.test(normalized)) return { type: 'openReturns' };
+        if (/^(orders|commandes|طلبات)( today| aujourd'?hui| اليوم)?$/.test(normalized) || normalized === 'today') {
+            return { type: 'ordersToday' };
+        }
+        if (/^(pause|stop)( bot)?$/.test(normalized)) return { type: 'pause' };
+        if (/^(resume|start|reprendre|play)( bot)?$/.test(normalized)) return { type: 'resume' };
+        if (/^(help|aide|menu|\?|مساعدة)$/.test(normalized)) return { type: 'help' };
+
+        return { type: 'unknown' };
+    }
+
+    get helpText() {
+        return HELP_TEXT;
+    }
+
+    stateLabel(state) {
+        return STATE_LABELS[state] || state;
+    }
+
+    /**
+     * One line per order for "orders today"
+     * @param {Array} orders - customer_orders rows
+     * @param {string|null} locale - Tenant number format
+     * @returns {string} Summary message
+     */
+    formatOrderList(orders, total, locale = null) {
+        if (orders.length === 0) {
+            return '📋 Aucune commande aujourd\'hui.';
+        }
+
+        const lines = orders.map(order => {
+            const customer = order.customer_name || order.customer_phone.replace('@c.us', '');
+            const amount = order.total_amount !== null && order.total_amount !== undefined
+                ? ` • ${catalogService.formatPrice(order.total_amount, order.currency || 'MAD', locale)}`
+                : '';
+            return `#${order.id} ${this.stateLabel(order.order_state)} • ${customer}${amount}`;
+        });
+
+        const more = total > orders.length ? `\n… et ${total - orders.length} autre(s)` : '';
+        return `📋 *Commandes du jour (${total}):*\n\n${lines.join('\n')}${more}`;
+    }
+
+    /**
+     * Order summary for "#123"
+     * @param {string|null} locale - Tenant number format
+     */
+    formatOrderDetails(order, items, allowedTransitions, locale = null) {
+        const currency = order.currency || 'MAD';
+        let text = `🆔 *Commande #${order.id}* - ${this.stateLabel(order.order_state)}\n\n`;
+        text += `📱 Client: ${order.customer_phone.replace('@c.us', '')}\n`;
+        if (order.customer_name) text += `👤 Nom: ${order.customer_name}\n`;
+        if (order.customer_address) text += `📍 Adresse: ${order.customer_address}\n`;
+        if (order.tracking_number) text += `📦 Suivi: ${order.tracking_number}\n`;
+
+        if (items.length > 0) {
+            text += `\n${items.map(item => `• ${item.quantity} × ${item.product_name}${item.variant_name ? ` (${item.variant_name})` : ''}`).join('\n')}\n`;
+        } else if (order.order_details) {
+            text += `\n📝 ${order.order_details.substring(0, 300)}\n`;
+        }
+        if (order.total_amount !== null && order.total_amount !== undefined) {
+            text += `💰 Total: ${catalogService.formatPrice(order.total_amount, currency, locale)}\n`;
+        }
+
+        if (allowedTransitions.length > 0) {
+            text += `\n➡️ Possible: ${allowedTransitions.join(', ')}`;
+        }
+        return text;
+    }
+
+    /**
+     * One line per return request for "retours"
+     * @param {Array} returnRequests - return_requests rows (with customer_name)
+     */
+    formatReturnList(returnRequests) {
+        if (returnRequests.length === 0) {
+            return '↩️ Aucune demande de retour en cours.';
+        }
+
+        const lines = returnRequests.map(r => {
+            const customer = r.customer_name || r.customer_phone.replace('@c.us', '');
+            return `R${r.id} ${returnService.statusLabel(r.status)} • #${r.order_id} • ${customer}`;
+        });
+        return `↩️ *Retours en cours (${returnRequests.length}):*\n\n${lines.join('\n')}`;
+    }
+
+    /**
+     * Return request summary for "R5"
+     * @param {string|null} locale - Tenant number format
+     */
+    formatReturnDetails(returnRequest, allowedTransitions, locale = null) {
+        let text = `↩️ *Retour R${returnRequest.id}* - ${returnService.statusLabel(returnRequest.status)}\n\n`;
+        text += `🆔 Commande: #${returnRequest.order_id} (${this.stateLabel(returnRequest.order_state)})\n`;
+        text += `📱 Client: ${returnRequest.customer_phone.replace('@c.us', '')}\n`;
+        if (returnRequest.customer_name) text += `👤 Nom: ${returnRequest.customer_name}\n`;
+        text += `📝 Raison: ${returnRequest.reason}\n`;
+        if (returnRequest.photo_url) text += `📸 Photo: ${returnRequest.photo_url}\n`;
+        if (returnRequest.refund_amount !== null && returnRequest.refund_amount !== undefined) {
+            text += `💸 Remboursé: ${catalogService.formatPrice(returnRequest.refund_amount, returnRequest.currency || 'MAD', locale)}\n`;
+        }
+        if (returnRequest.owner_note) text += `🗒️ Note: ${returnRequest.owner_note}\n`;
+
+        if (allowedTransitions.length > 0) {
+            text += `\n➡️ Possible: ${allowedTransitions.join(', ')}`;
+        }
+        return text;
+    }
+}
+
+module.exports = new OwnerCommands();
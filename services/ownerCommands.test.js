@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ownerCommands = require('./ownerCommands');
+
+describe('ownerCommands.parse', () => {
+    it('reads order status commands with their argument', () => {
+        assert.deepEqual(ownerCommands.parse('#123 ship TRK555'), { type: 'status', orderId: 123, toState: 'shipped', argument: 'TRK555' });
+        assert.deepEqual(ownerCommands.parse('# 45 Annuler client injoignable'), { type: 'status', orderId: 45, toState: 'cancelled', argument: 'client injoignable' });
+        assert.deepEqual(ownerCommands.parse('#7 إلغاء'), { type: 'status', orderId: 7, toState: 'cancelled', argument: null });
+        assert.deepEqual(ownerCommands.parse('#7 expédier'), { type: 'status', orderId: 7, toState: 'shipped', argument: null });
+    });
+
+    it('reads order details and payment decisions', () => {
+        assert.deepEqual(ownerCommands.parse('#123'), { type: 'orderDetails', orderId: 123 });
+        assert.deepEqual(ownerCommands.parse('#9 reject montant faux'), { type: 'payment', orderId: 9, decision: 'rejected', argument: 'montant faux' });
+    });
+
+    it('reads return request commands', () => {
+        assert.deepEqual(ownerCommands.parse('R5'), { type: 'returnDetails', returnId: 5 });
+        assert.deepEqual(ownerCommands.parse('r5 refund 250'), { type: 'returnStatus', returnId: 5, toStatus: 'refunded', argument: '250' });
+        assert.deepEqual(ownerCommands.parse('retours'), { type: 'openReturns' });
+    });
+
+    it('reads summary and bot commands', () => {
+        assert.equal(ownerCommands.parse('orders today').type, 'ordersToday');
+        assert.equal(ownerCommands.parse("Commandes aujourd'hui").type, 'ordersToday');
+        assert.equal(ownerCommands.parse('pause bot').type, 'pause');
+        assert.equal(ownerCommands.parse('Resume').type, 'resume');
+        assert.equal(ownerCommands.parse('aide').type, 'help');
+    });
+
+    it('leaves anything else unknown', () => {
+        assert.deepEqual(ownerCommands.parse('#12 fly'), { type: 'unknown', verb: 'fly' });
+        assert.deepEqual(ownerCommands.parse('bonjour'), { type: 'unknown' });
+    });
+});
+
+describe('ownerCommands.isOwner', () => {
+    it('compares the digits of both numbers', () => {
+        assert.equal(ownerCommands.isOwner('212600000000@c.us', '+212 600-000000'), true);
+        assert.equal(ownerCommands.isOwner('212600000001@c.us', '+212600000000'), false);
+        assert.equal(ownerCommands.isOwner('212600000000@c.us', null), false);
+    });
+});
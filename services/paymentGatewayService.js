@@ -0,0 +1,136 @@
+/**
+ * Payment Gateway Service
+ * Pluggable card payment providers for PAYMENT_LINK payment methods: creates
+ * the checkout link of an order and checks the provider's webhook events.
+ *
+ * A provider implements:
+ *   name                                  - Provider key (used in the webhook URL)
+ *   createCheckout({ reference, amount, currency, description }) -> Promise<{ checkoutId, url }>
+ *   verifyWebhook(rawBody, headers)       -> boolean (signature check)
+ *   parseWebhook(body)                    -> { checkoutId, status ('paid' / 'failed'), amount, currency, transactionId }
+ */
+
+const db = require('../database/db');
+const moneyService = require('./moneyService');
+const MockPaymentProvider = require('./mockPaymentProvider');
+
+const LINK_MESSAGES = {
+    fr: (m) => `💳 *Paiement par carte*\n💰 Montant: ${m.amount}\n\n👉 Payez en ligne ici:\n${m.url}\n\n✅ Votre commande sera confirmée automatiquement dès le paiement.\n❌ Pour annuler: répondez "ANNULER"`,
+    ar: (m) => `💳 *الدفع بالبطاقة*\n💰 المبلغ: ${m.amount}\n\n👉 ادفع عبر الإنترنت هنا:\n${m.url}\n\n✅ سيتم تأكيد طلبك تلقائياً بعد الدفع.\n❌ للإلغاء: اكتب "إلغاء"`,
+    en: (m) => `💳 *Card payment*\n💰 Amount: ${m.amount}\n\n👉 Pay online here:\n${m.url}\n\n✅ Your order will be confirmed automatically once paid.\n❌ To cancel: reply "CANCEL"`
+};
+
+const FAILED_MESSAGES = {
+    fr: (url) => `❌ Le paiement n'a pas abouti.\n\n🔁 Vous pouvez réessayer avec le même lien:\n${url}`,
+    ar: (url) => `❌ لم تتم عملية الدفع.\n\n🔁 يمكنك المحاولة مجدداً بنفس الرابط:\n${url}`,
+    en: (url) => `❌ The payment didn't go through.\n\n🔁 You can try again with the same link:\n${url}`
+};
+
+class PaymentGatewayService {
+    constructor() {
+        // No provider configured = PAYMENT_LINK methods are not offered
+        this.providerName = process.env.PAYMENT_PROVIDER || null;
+        this.factories = new Map();
+        this.providers = new Map(); // name -> provider instance
+
+        this.register('mock', () => new MockPaymentProvider({
+            secret: process.env.PAYMENT_WEBHOOK_SECRET,
+            baseUrl: this.getBaseUrl()
+        }));
+    }
+
+    /**
+     * Add a provider (factory called once, on first use)
+     */
+    register(name, factory) {
+        this.factories.set(name, factory);
+        this.providers.delete(name);
+    }
+
+    /**
+     * Provider by name (default: the configured one)
+     * @returns {Object|null} Provider or null if unknown / not configured
+     */
+    getProvider(name = this.providerName) {
+        if (!name || !this.factories.has(name)) return null;
+        if (!this.providers.has(name)) {
+            this.providers.set(name, this.factories.get(name)());
+        }
+        return this.providers.get(name);
+    }
+
+    isEnabled() {
+        return this.getProvider() !== null;
+    }
+
+    /**
+     * Public URL of this server (checkout return pages, mock checkout links)
+     */
+    getBaseUrl() {
+        if (process.env.PUBLIC_URL) return process.env.PUBLIC_URL.replace(/\/+$/, '');
+        return process.env.RAILWAY_PUBLIC_DOMAIN
+            ? `https://${process.env.RAILWAY_PUBLIC_DOMAIN}`
+            : `http://localhost:${process.env.PORT || 3000}`;
+    }
+
+    /**
+     * Create the checkout link of an order with the configured provider
+     * @param {Object} order - Order row
+     * @param {number} amount - Amount to pay
+     * @param {string} currency - ISO currency code
+     * @returns {Promise<Object>} payment_links row
+     */
+    async createLink(order, amount, currency) {
+        const provider = this.getProvider();
+        if (!provider) {
+            throw new Error('No payment provider configured (PAYMENT_PROVIDER)');
+        }
+
+        const checkout = await provider.createCheckout({
+            reference: `order_${order.id}`,
+            amount,
+            currency,
+            description: `Order #${order.id}`
+        });
+
+        return db.createPaymentLink({
+            order_id: order.id,
+            tenant_id: order.tenant_id,
+            provider: provider.name,
+            checkout_id: checkout.checkoutId,
+            url: checkout.url,
+            amount,
+            currency
+        });
+    }
+
+    /**
+     * Why a paid event can't settle its link (amount / currency differ), null if it matches
+     */
+    findMismatch(link, event) {
+        if (event.currency && event.currency.toUpperCase() !== link.currency.toUpperCase()) {
+            return `Currency mismatch: expected ${link.currency}, got ${event.currency}`;
+        }
+        if (event.amount !== null && Math.abs(event.amount - Number(link.amount)) > 0.01) {
+            return `Amount mismatch: expected ${link.amount}, got ${event.amount}`;
+        }
+        return null;
+    }
+
+    /**
+     * Customer message with the checkout link
+     * @param {string|null} locale - Tenant number format
+     */
+    buildLinkMessage(link, language = 'fr', locale = null) {
+        return (LINK_MESSAGES[language] || LINK_MESSAGES.fr)({
+            amount: moneyService.format(link.amount, link.currency, locale),
+            url: link.url
+        });
+    }
+
+    buildFailedMessage(link, language = 'fr') {
+        return (FAILED_MESSAGES[language] || FAILED_MESSAGES.fr)(link.url);
+    }
+}
+
+module.exports = new PaymentGatewayService();
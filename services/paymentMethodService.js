@@ -0,0 +1,228 @@
+/**
+ * Payment Method Service
+ * Tenant payment methods (banks, mobile wallets, cash on delivery): which ones
+ * an order can use, the choice menu sent to the customer and the payment instructions
+ */
+
+const db = require('../database/db');
+const catalogService = require('./catalogService');
+const deliveryService = require('./deliveryService');
+const paymentGatewayService = require('./paymentGatewayService');
+
+const METHOD_TYPES = ['BANK_TRANSFER', 'MOBILE_WALLET', 'COD', 'PAYMENT_LINK'];
+
+const TYPE_ICONS = {
+    BANK_TRANSFER: '🏦',
+    MOBILE_WALLET: '📱',
+    COD: '💵',
+    PAYMENT_LINK: '💳'
+};
+
+// Shown when a method has no name (tenants still on bank_rib / accept_cod)
+const TYPE_LABELS = {
+    BANK_TRANSFER: { fr: 'Virement bancaire', ar: 'تحويل بنكي', en: 'Bank transfer' },
+    MOBILE_WALLET: { fr: 'Portefeuille mobile', ar: 'محفظة إلكترونية', en: 'Mobile wallet' },
+    COD: { fr: 'Paiement à la livraison', ar: 'الدفع عند الاستلام', en: 'Cash on delivery' },
+    PAYMENT_LINK: { fr: 'Carte bancaire', ar: 'البطاقة البنكية', en: 'Card payment' }
+};
+
+const MESSAGES = {
+    menu: {
+        fr: (lines) => `💳 *Choisissez votre mode de paiement:*\n\n${lines}\n\n👉 Répondez avec le numéro de votre choix (ex: 1)\n❌ Pour annuler: répondez "ANNULER"`,
+        ar: (lines) => `💳 *اختر طريقة الدفع:*\n\n${lines}\n\n👉 أرسل رقم اختيارك (مثال: 1)\n❌ للإلغاء: اكتب "إلغاء"`,
+        en: (lines) => `💳 *Choose your payment method:*\n\n${lines}\n\n👉 Reply with the number of your choice (e.g. 1)\n❌ To cancel: reply "CANCEL"`
+    },
+    instructions: {
+        fr: (m) => `💳 *Paiement: ${m.label}*${m.amount ? `\n💰 Montant: ${m.amount}` : ''}${m.instructions ? `\n\n${m.instructions}` : ''}\n\n📸 Envoyez la capture de votre paiement une fois effectué.`,
+        ar: (m) => `💳 *طريقة الدفع: ${m.label}*${m.amount ? `\n💰 المبلغ: ${m.amount}` : ''}${m.instructions ? `\n\n${m.instructions}` : ''}\n\n📸 أرسل صورة إثبات الدفع بعد إتمامه.`,
+        en: (m) => `💳 *Payment: ${m.label}*${m.amount ? `\n💰 Amount: ${m.amount}` : ''}${m.instructions ? `\n\n${m.instructions}` : ''}\n\n📸 Send your payment screenshot once it's done.`
+    },
+    unavailable: {
+        fr: '⚠️ Aucun mode de paiement n\'est disponible pour cette commande. Contactez-nous pour convenir du paiement.',
+        ar: '⚠️ لا توجد طريقة دفع متاحة لهذا الطلب. تواصل معنا للاتفاق على طريقة الدفع.',
+        en: '⚠️ No payment method is available for this order. Please contact us to arrange payment.'
+    }
+};
+
+class PaymentMethodService {
+    constructor() {
+        this.methodTypes = METHOD_TYPES;
+    }
+
+    /**
+     * Active payment methods of a tenant, in display order
+     * Tenants that never configured any keep their bank_rib / accept_cod setup
+     * (COD only when accept_cod is on, otherwise a bank transfer with the RIB and the "payment" file).
+     * @returns {Promise<Array>} Method rows (legacy ones have id null)
+     */
+    async getMethods(tenantId) {
+        const methods = await db.getPaymentMethods(tenantId);
+        if (methods.length > 0) return methods.filter(method => method.is_active);
+
+        const tenant = await db.getTenantById(tenantId);
+        if (tenant?.accept_cod) {
+            return [{ id: null, method_type: 'COD', name: null, instructions: null, cities: [] }];
+        }
+
+        const paymentFile = await db.getTenantFileByLabel(tenantId, 'payment');
+        return [{
+            id: null,
+            method_type: 'BANK_TRANSFER',
+            name: null,
+            instructions: tenant?.bank_rib ? `🏦 *RIB:*\n${tenant.bank_rib}` : null,
+            file_url: paymentFile ? paymentFile.file_url : null,
+            cities: []
+        }];
+    }
+
+    /**
+     * Check the amount rules of a method (unknown amounts pass - the owner confirms them)
+     * Payment links need a configured provider and a known amount.
+     */
+    isAvailable(method, amount) {
+        if (this.isPaymentLink(method) && (!paymentGatewayService.isEnabled() || amount === null || amount === undefined)) return false;
+        if (amount === null || amount === undefined) return true;
+        if (method.min_order_amount !== null && method.min_order_amount !== undefined && amount < Number(method.min_order_amount)) return false;
+        if (method.max_order_amount !== null && method.max_order_amount !== undefined && amount > Number(method.max_order_amount)) return false;
+        return true;
+    }
+
+    /**
+     * Methods the customer can choose for an order
+     * @param {Array} methods - From getMethods
+     * @param {number|null} amount - Amount to pay
+     */
+    getAvailableMethods(methods, amount) {
+        return (methods || []).filter(method => this.isAvailable(method, amount));
+    }
+
+    /**
+     * Check the city rule of a method (cash on delivery limited to some cities)
+     * @returns {boolean} true when the method has no city list or lists the city
+     */
+    isCityAllowed(cities, city) {
+        if (!Array.isArray(cities) || cities.length === 0) return true;
+        const name = deliveryService.normalize(city);
+        return cities.some(c => deliveryService.normalize(c) === name);
+    }
+
+    isCashOnDelivery(method) {
+        return !!method && method.method_type === 'COD';
+    }
+
+    isPaymentLink(method) {
+        return !!method && method.method_type === 'PAYMENT_LINK';
+    }
+
+    /**
+     * Display name of a method ("CashPlus", or the type for unnamed methods)
+     */
+    getLabel(method, language = 'fr') {
+        if (method.name) return method.name;
+        const labels = TYPE_LABELS[method.method_type] || TYPE_LABELS.BANK_TRANSFER;
+        return labels[language] || labels.fr;
+    }
+
+    /**
+     * Numbered menu of methods
+     */
+    buildMenu(methods, language = 'fr') {
+        const lines = methods
+            .map((method, i) => `${i + 1}. ${TYPE_ICONS[method.method_type] || '💳'} ${this.getLabel(method, language)}`)
+            .join('\n');
+        return (MESSAGES.menu[language] || MESSAGES.menu.fr)(lines);
+    }
+
+    /**
+     * Find the method a customer picked ("2", "٢", "cashplus")
+     * @returns {Object|null} Method or null if the reply matches none
+     */
+    parseChoice(text, methods) {
+        const reply = (text || '').replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660)).trim();
+
+        const number = reply.match(/^(\d{1,2})\b/);
+        if (number) {
+            return methods[parseInt(number[1]) - 1] || null;
+        }
+
+        const normalized = deliveryService.normalize(reply);
+        if (normalized.length < 3) return null;
+        return methods.find(method => {
+            const label = deliveryService.normalize(this.getLabel(method));
+            return label && (normalized.includes(label) || label.includes(normalized));
+        }) || null;
+    }
+
+    /**
+     * Payment instructions for a prepaid method (bank transfer or wallet)
+     * @param {number|null} amount - Amount to pay (shown when known)
+     * @param {string|null} locale - Tenant number format
+     */
+    buildInstructions(method, language = 'fr', amount = null, currency = 'MAD', locale = null) {
+        return (MESSAGES.instructions[language] || MESSAGES.instructions.fr)({
+            label: this.getLabel(method, language),
+            amount: amount !== null && amount !== undefined ? catalogService.formatPrice(amount, currency, locale) : null,
+            instructions: method.instructions
+        });
+    }
+
+    buildUnavailableMessage(language = 'fr') {
+        return MESSAGES.unavailable[language] || MESSAGES.unavailable.fr;
+    }
+
+    /**
+     * Validate a payment method payload from the API
+     * @param {Object} payload - Request body
+     * @param {boolean} partial - Allow missing fields (updates)
+     * @returns {string|null} Error message or null if valid
+     */
+    validate(payload, partial = false) {
+        if (!partial || payload.methodType !== undefined) {
+            if (!METHOD_TYPES.includes(payload.methodType)) {
+                return `methodType must be one of: ${METHOD_TYPES.join(', ')}`;
+            }
+        }
+
+        if (!partial || payload.name !== undefined) {
+            if (!payload.name || typeof payload.name !== 'string' || !payload.name.trim() || payload.name.length > 255) {
+                return 'Name is required (max 255 characters)';
+            }
+        }
+
+        if (payload.instructions !== undefined && payload.instructions !== null && typeof payload.instructions !== 'string') {
+            return 'Instructions must be text';
+        }
+
+        if (payload.fileId !== undefined && payload.fileId !== null && !Number.isInteger(Number(payload.fileId))) {
+            return 'fileId must be a file ID from the file library';
+        }
+
+        if (payload.cities !== undefined) {
+            if (!Array.isArray(payload.cities) || payload.cities.some(c => typeof c !== 'string' || !c.trim())) {
+                return 'Cities must be an array of city names';
+            }
+            if (payload.cities.length > 0 && payload.methodType !== undefined && payload.methodType !== 'COD') {
+                return 'Cities only apply to cash on delivery (COD) methods';
+            }
+        }
+
+        for (const key of ['minOrderAmount', 'maxOrderAmount']) {
+            const value = payload[key];
+            if (value !== undefined && value !== null && (isNaN(Number(value)) || Number(value) < 0)) {
+                return `${key} must be a non-negative number`;
+            }
+        }
+
+        if (payload.minOrderAmount != null && payload.maxOrderAmount != null && Number(payload.minOrderAmount) > Number(payload.maxOrderAmount)) {
+            return 'minOrderAmount cannot be greater than maxOrderAmount';
+        }
+
+        if (payload.sortOrder !== undefined && payload.sortOrder !== null && !Number.isInteger(Number(payload.sortOrder))) {
+            return 'sortOrder must be an integer';
+        }
+
+        return null;
+    }
+}
+
+module.exports = new PaymentMethodService();
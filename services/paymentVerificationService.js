@@ -0,0 +1,258 @@
+/**
+ * Payment Verification Service
+ * Reads payment proofs with the Vision API into structured data, detects
+ * proofs reused from earlier orders, decides whether a proof can be accepted
+ * automatically or needs the owner's review, and builds the customer
+ * messages for the owner's decision
+ */
+
+const crypto = require('crypto');
+const Jimp = require('jimp');
+const moneyService = require('./moneyService');
+
+// Asked to the Vision model for every payment proof
+const ANALYSIS_PROMPT = `Analyze this payment proof carefully and reply with ONLY a JSON object:
+{"amount": number or null, "currency": "ISO code of the currency shown (e.g. MAD, EUR, USD)" or null, "date": "date and time as shown" or null, "reference": "transaction reference" or null, "confidence": number from 0 to 1 (how sure you are this is a real, readable payment proof), "summary": "one short sentence in the customer's language describing the payment"}
+Be precise and accurate. Never guess a value you cannot read - use null.`;
+
+const REVIEW_MESSAGES = {
+    pending: {
+        fr: (reason) => `⏳ *Paiement en cours de vérification*\n\nNous avons bien reçu votre preuve de paiement.${reason ? `\n⚠️ ${reason}` : ''}\n\nNous la vérifions et revenons vers vous rapidement.`,
+        ar: (reason) => `⏳ *جاري التحقق من الدفع*\n\nتوصلنا بإثبات الدفع.${reason ? `\n⚠️ ${reason}` : ''}\n\nسنتحقق منه ونعود إليك قريباً.`,
+        en: (reason) => `⏳ *Payment under review*\n\nWe received your payment proof.${reason ? `\n⚠️ ${reason}` : ''}\n\nWe're checking it and will get back to you shortly.`
+    },
+    approved: {
+        fr: () => '✅ *Paiement validé!*\n\nQuelques questions pour la livraison:',
+        ar: () => '✅ *تم تأكيد الدفع!*\n\nبعض الأسئلة من أجل التوصيل:',
+        en: () => '✅ *Payment approved!*\n\nA few questions for the delivery:'
+    },
+    rejected: {
+        fr: (note) => `❌ *Paiement refusé*${note ? `\n\nRaison: ${note}` : ''}\n\nMerci d'envoyer une nouvelle preuve de paiement.\n❌ Pour annuler: répondez "ANNULER"`,
+        ar: (note) => `❌ *تم رفض الدفع*${note ? `\n\nالسبب: ${note}` : ''}\n\nالمرجو إرسال إثبات دفع جديد.\n❌ للإلغاء: اكتب "إلغاء"`,
+        en: (note) => `❌ *Payment rejected*${note ? `\n\nReason: ${note}` : ''}\n\nPlease send a new payment proof.\n❌ To cancel: reply "CANCEL"`
+    }
+};
+
+class PaymentVerificationService {
+    constructor() {
+        this.analysisPrompt = ANALYSIS_PROMPT;
+        this.minConfidence = parseFloat(process.env.PAYMENT_MIN_CONFIDENCE) || 0.7;
+        this.perceptualThreshold = 3; // max differing bits (of 64) to treat two proofs as the same picture
+    }
+
+    /**
+     * Fingerprint a proof image
+     * The perceptual hash survives re-compression, resizing and re-screenshotting;
+     * it is null if the image can't be decoded. Screenshots of the same banking app
+     * share a layout and hash alike, so it only backs up other evidence (see findReuse).
+     * @param {Buffer} buffer - Image bytes
+     * @returns {Promise<Object>} { contentHash, perceptualHash }
+     */
+    async fingerprint(buffer) {
+        const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+        let perceptualHash = null;
+        try {
+            const image = await Jimp.read(buffer);
+            perceptualHash = BigInt(`0b${image.pHash()}`).toString(16).padStart(16, '0');
+        } catch (error) {
+            console.warn('⚠️ [Payment] Could not compute perceptual hash:', error.message);
+        }
+
+        return { contentHash, perceptualHash };
+    }
+
+    /**
+     * Number of differing bits between two hex perceptual hashes
+     */
+    hammingDistance(hashA, hashB) {
+        let diff = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`);
+        let count = 0;
+        while (diff > 0n) {
+            count += Number(diff & 1n);
+            diff >>= 1n;
+        }
+        return count;
+    }
+
+    /**
+     * Normalize a transaction reference for comparison ('' if too short to be meaningful)
+     */
+    normalizeReference(reference) {
+        const normalized = (reference || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        return normalized.length >= 4 ? normalized : '';
+    }
+
+    /**
+     * Same payment date as read by the Vision model ('' if unknown)
+     */
+    normalizeDate(date) {
+        return (date || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    }
+
+    /**
+     * Compare a proof with the tenant's earlier proofs
+     * Reuse is an identical file, a repeated transaction reference, or a near-identical
+     * picture showing the same amount and date (a look-alike alone is just the same app).
+     * @param {Object} fingerprint - { contentHash, perceptualHash }
+     * @param {Object} extracted - Result of parseAnalysis ({ amount, date, reference })
+     * @param {Array} previous - Rows from db.getPaymentProofFingerprints
+     * @returns {Object|null} { duplicateOf, reason } or null if no reuse suspected
+     */
+    findReuse(fingerprint, extracted, previous) {
+        const reference = extracted.reference;
+        const normalizedReference = this.normalizeReference(reference);
+        const normalizedDate = this.normalizeDate(extracted.date);
+
+        for (const proof of previous || []) {
+            if (fingerprint.contentHash && proof.content_hash === fingerprint.contentHash) {
+                return { duplicateOf: proof, reason: `Same image as the proof of order #${proof.order_id}` };
+            }
+
+            if (normalizedReference && this.normalizeReference(proof.transaction_reference) === normalizedReference) {
+                return { duplicateOf: proof, reason: `Transaction reference ${reference} already used for order #${proof.order_id}` };
+            }
+
+            const sameDetails = extracted.amount !== null && extracted.amount !== undefined &&
+                proof.extracted_amount !== null && Number(proof.extracted_amount) === Number(extracted.amount) &&
+                normalizedDate && this.normalizeDate(proof.extracted_date) === normalizedDate;
+            if (sameDetails && fingerprint.perceptualHash && proof.perceptual_hash) {
+                const distance = this.hammingDistance(fingerprint.perceptualHash, proof.perceptual_hash);
+                if (distance <= this.perceptualThreshold) {
+                    return { duplicateOf: proof, reason: `Same amount and date as the proof of order #${proof.order_id}, visually identical (${distance}/64 bits differ)` };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse the Vision reply into structured payment data
+     * Falls back to reading "<amount> <currency>" from free text when the model ignored the JSON format.
+     * @param {string} analysis - Vision API reply
+     * @param {string} currency - Expected currency (order / tenant)
+     * @param {string|null} locale - Tenant number format (decides "1.500" vs "1,500")
+     * @returns {Object} { amount, currency, date, reference, confidence, summary }
+     */
+    parseAnalysis(analysis, currency = 'MAD', locale = null) {
+        const text = analysis || '';
+        const jsonMatch = text.match(/\{[\s\S]*\}/);
+
+        if (jsonMatch) {
+            try {
+                const data = JSON.parse(jsonMatch[0]);
+                const amount = moneyService.parseNumber(data.amount, locale);
+                const confidence = data.confidence !== null && data.confidence !== undefined ? Number(data.confidence) : NaN;
+
+                return {
+                    amount,
+                    currency: moneyService.normalizeCurrency(data.currency ? String(data.currency) : null),
+                    date: data.date ? String(data.date).substring(0, 100) : null,
+                    reference: data.reference ? String(data.reference).substring(0, 255) : null,
+                    confidence: isNaN(confidence) ? null : Math.min(1, Math.max(0, confidence)),
+                    summary: data.summary || text
+                };
+            } catch (error) {
+                console.warn('⚠️ [Payment] Could not parse Vision JSON, falling back to text:', error.message);
+            }
+        }
+
+        const money = moneyService.parse(text, currency, locale);
+        return {
+            amount: money ? money.amount : null,
+            currency: money ? money.currency : null,
+            date: null,
+            reference: null,
+            confidence: null,
+            summary: text
+        };
+    }
+
+    /**
+     * Reasons a proof can't be accepted automatically
+     * @param {Object} extracted - Result of parseAnalysis
+     * @param {number|null} expectedAmount - Order total
+     * @param {string} currency - Order currency
+     * @returns {string|null} Mismatch reason(s) or null if the proof looks right
+     */
+    findMismatch(extracted, expectedAmount, currency = 'MAD') {
+        const reasons = [];
+
+        if (extracted.amount === null) {
+            reasons.push('Amount could not be read');
+        } else if (expectedAmount === null || expectedAmount === undefined) {
+            reasons.push('No expected amount to compare with');
+        } else if (this.isAmountOff(extracted.amount, expectedAmount, currency)) {
+            reasons.push(`Amount mismatch: expected ${expectedAmount}, got ${extracted.amount}`);
+        }
+
+        if (extracted.currency && extracted.currency !== currency.toUpperCase()) {
+            reasons.push(`Currency mismatch: expected ${currency.toUpperCase()}, got ${extracted.currency}`);
+        }
+
+        if (extracted.confidence === null) {
+            reasons.push('No confidence score');
+        } else if (extracted.confidence < this.minConfidence) {
+            reasons.push(`Low confidence (${extracted.confidence})`);
+        }
+
+        return reasons.length > 0 ? reasons.join('; ') : null;
+    }
+
+    /**
+     * Check a paid amount against the expected one (the currency tolerance absorbs transfer fees)
+     */
+    isAmountOff(amount, expectedAmount, currency = 'MAD') {
+        return Math.abs(amount - Number(expectedAmount)) > moneyService.getTolerance(currency);
+    }
+
+    /**
+     * Short customer-facing explanation of a mismatch (amount only - other reasons stay internal)
+     * @param {string} currency - Order currency
+     * @param {string|null} locale - Tenant number format
+     */
+    describeMismatchForCustomer(extracted, expectedAmount, language, currency = 'MAD', locale = null) {
+        if (extracted.amount === null || expectedAmount === null || expectedAmount === undefined) return null;
+        if (!this.isAmountOff(extracted.amount, expectedAmount, currency)) return null;
+
+        const detected = moneyService.format(extracted.amount, extracted.currency || currency, locale);
+        const expected = moneyService.format(expectedAmount, currency, locale);
+        const texts = {
+            fr: `Montant détecté: ${detected}, montant attendu: ${expected}`,
+            ar: `المبلغ المرصود: ${detected}، المبلغ المطلوب: ${expected}`,
+            en: `Detected amount: ${detected}, expected: ${expected}`
+        };
+        return texts[language] || texts.fr;
+    }
+
+    /**
+     * Customer message for a verification outcome
+     * @param {string} status - 'pending', 'approved' or 'rejected'
+     * @param {string} language - 'fr', 'ar' or 'en'
+     * @param {string} detail - Mismatch (pending) or rejection note (rejected)
+     */
+    buildCustomerMessage(status, language = 'fr', detail = null) {
+        const templates = REVIEW_MESSAGES[status];
+        return (templates[language] || templates.fr)(detail);
+    }
+
+    /**
+     * Payload for the dashboard 'paymentReviewRequired' event
+     */
+    buildReviewAlert(verification, order) {
+        return {
+            verificationId: verification.id,
+            orderId: order.id,
+            customerPhone: order.customer_phone,
+            expectedAmount: verification.expected_amount !== null ? Number(verification.expected_amount) : null,
+            extractedAmount: verification.extracted_amount !== null ? Number(verification.extracted_amount) : null,
+            mismatchReason: verification.mismatch_reason,
+            suspectedReuse: !!verification.duplicate_reason,
+            proofUrl: verification.proof_url,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = new PaymentVerificationService();
@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const paymentVerificationService = require('./paymentVerificationService');
+
+describe('paymentVerificationService.parseAnalysis', () => {
+    it('reads the JSON reply of the Vision model', () => {
+        const extracted = paymentVerificationService.parseAnalysis(
+            'Voici: {"amount": "1 500", "currency": "dh", "date": "12/10/2026 14:02", "reference": "TRX-123", "confidence": 1.4, "summary": "Virement reçu"}',
+            'MAD',
+            'fr-MA'
+        );
+        assert.deepEqual(extracted, {
+            amount: 1500,
+            currency: 'MAD',
+            date: '12/10/2026 14:02',
+            reference: 'TRX-123',
+            confidence: 1,
+            summary: 'Virement reçu'
+        });
+    });
+
+    it('falls back to the amount written in free text', () => {
+        const extracted = paymentVerificationService.parseAnalysis('Virement de 1.500,00 DH effectué', 'MAD', 'fr-MA');
+        assert.equal(extracted.amount, 1500);
+        assert.equal(extracted.currency, 'MAD');
+        assert.equal(extracted.confidence, null);
+    });
+});
+
+describe('paymentVerificationService.findMismatch', () => {
+    const extracted = { amount: 500, currency: 'MAD', confidence: 0.9 };
+
+    it('accepts a readable proof of the expected amount', () => {
+        assert.equal(paymentVerificationService.findMismatch(extracted, 500, 'MAD'), null);
+        assert.equal(paymentVerificationService.findMismatch({ ...extracted, amount: 495 }, 500, 'MAD'), null);
+    });
+
+    it('flags a wrong amount, currency or a low confidence', () => {
+        assert.match(paymentVerificationService.findMismatch({ ...extracted, amount: 50 }, 500, 'MAD'), /Amount mismatch/);
+        assert.match(paymentVerificationService.findMismatch({ ...extracted, currency: 'EUR' }, 500, 'MAD'), /Currency mismatch/);
+        assert.match(paymentVerificationService.findMismatch({ ...extracted, confidence: 0.3 }, 500, 'MAD'), /Low confidence/);
+    });
+
+    it('flags a proof it cannot compare', () => {
+        assert.match(paymentVerificationService.findMismatch({ ...extracted, amount: null }, 500, 'MAD'), /could not be read/);
+        assert.match(paymentVerificationService.findMismatch(extracted, null, 'MAD'), /No expected amount/);
+    });
+});
+
+describe('paymentVerificationService.findReuse', () => {
+    const previous = [{
+        order_id: 7,
+        content_hash: 'abc',
+        perceptual_hash: 'ffff0000ffff0000',
+        transaction_reference: 'TRX-123',
+        extracted_amount: '500.00',
+        extracted_date: '12/10/2026 14:02'
+    }];
+    const extracted = { amount: 500, date: '12/10/2026 14:02', reference: null };
+
+    it('finds the same file', () => {
+        const reuse = paymentVerificationService.findReuse({ contentHash: 'abc', perceptualHash: null }, { amount: null }, previous);
+        assert.equal(reuse.duplicateOf.order_id, 7);
+    });
+
+    it('finds a repeated transaction reference', () => {
+        const reuse = paymentVerificationService.findReuse({ contentHash: 'other' }, { amount: 80, reference: 'trx 123' }, previous);
+        assert.match(reuse.reason, /already used for order #7/);
+    });
+
+    it('finds a look-alike picture with the same amount and date', () => {
+        const reuse = paymentVerificationService.findReuse({ contentHash: 'other', perceptualHash: 'ffff0000ffff0001' }, extracted, previous);
+        assert.match(reuse.reason, /visually identical/);
+    });
+
+    it('does not flag a look-alike of another payment', () => {
+        const fingerprint = { contentHash: 'other', perceptualHash: 'ffff0000ffff0001' };
+        assert.equal(paymentVerificationService.findReuse(fingerprint, { ...extracted, amount: 800 }, previous), null);
+        assert.equal(paymentVerificationService.findReuse(fingerprint, { ...extracted, date: null }, previous), null);
+    });
+});
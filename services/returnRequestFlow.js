@@ -0,0 +1,200 @@
+/**
+ * Return Request Flow
+ * Guided return / refund request on WhatsApp: which order, why, and an
+ * optional photo of the item, one question at a time
+ */
+
+const catalogService = require('./catalogService');
+const moneyService = require('./moneyService');
+const deliveryDetailsFlow = require('./deliveryDetailsFlow');
+
+// Messages that start a request (whole words, fr/en/ar)
+const RETURN_KEYWORDS = [
+    'retour', 'retourner', 'rembourser', 'remboursement', 'remboursez',
+    'return', 'refund', 'send back',
+    'إرجاع', 'ارجاع', 'استرجاع', 'استرداد', 'نرجع', 'رجع'
+];
+
+const SKIP_KEYWORDS = ['passer', 'skip', 'non', 'no', 'aucune', 'none', 'تخطي', 'لا', 'la'];
+
+// Orders listed in the "which order?" question
+const MAX_LISTED_ORDERS = 5;
+
+const MESSAGES = {
+    noOrders: {
+        fr: '↩️ Nous n\'avons trouvé aucune commande pouvant être retournée pour ce numéro.\n\nSi vous avez commandé avec un autre numéro, contactez-nous directement.',
+        ar: '↩️ لم نجد أي طلب مكتمل لهذا الرقم.\n\nإذا طلبت برقم آخر، تواصل معنا مباشرة.',
+        en: '↩️ We couldn\'t find any completed order for this number.\n\nIf you ordered with another number, please contact us directly.'
+    },
+    order: {
+        fr: (lines, example) => `↩️ *Demande de retour*\n\nQuelle commande souhaitez-vous retourner?\n\n${lines}\n\n👉 Répondez avec le numéro de commande (ex: ${example})\n❌ Pour annuler: répondez "ANNULER"`,
+        ar: (lines, example) => `↩️ *طلب إرجاع*\n\nما هو الطلب الذي تريد إرجاعه؟\n\n${lines}\n\n👉 أرسل رقم الطلب (مثال: ${example})\n❌ للإلغاء: اكتب "إلغاء"`,
+        en: (lines, example) => `↩️ *Return request*\n\nWhich order would you like to return?\n\n${lines}\n\n👉 Reply with the order number (e.g. ${example})\n❌ To cancel: reply "CANCEL"`
+    },
+    reason: {
+        fr: (orderId) => `📝 Commande #${orderId}: pourquoi souhaitez-vous la retourner?\n(ex: taille trop petite, article abîmé...)`,
+        ar: (orderId) => `📝 الطلب #${orderId}: ما سبب الإرجاع؟\n(مثال: المقاس صغير، المنتج متضرر...)`,
+        en: (orderId) => `📝 Order #${orderId}: why would you like to return it?\n(e.g. wrong size, damaged item...)`
+    },
+    photo: {
+        fr: () => '📸 Envoyez une *photo* de l\'article (optionnel)\nRépondez *PASSER* pour continuer sans photo',
+        ar: () => '📸 أرسل *صورة* للمنتج (اختياري)\nأرسل *تخطي* للمتابعة بدون صورة',
+        en: () => '📸 Send a *photo* of the item (optional)\nReply *SKIP* to continue without one'
+    },
+    created: {
+        fr: (r) => `✅ *Demande de retour #${r.id} enregistrée* (commande #${r.order_id})\n\nNous l'examinons et revenons vers vous rapidement.`,
+        ar: (r) => `✅ *تم تسجيل طلب الإرجاع #${r.id}* (الطلب #${r.order_id})\n\nسندرسه ونعود إليك قريباً.`,
+        en: (r) => `✅ *Return request #${r.id} received* (order #${r.order_id})\n\nWe'll review it and get back to you shortly.`
+    },
+    cancelled: {
+        fr: '✅ Demande de retour annulée. Comment puis-je vous aider?',
+        ar: '✅ تم إلغاء طلب الإرجاع. كيف يمكنني مساعدتك؟',
+        en: '✅ Return request cancelled. How can I help you?'
+    }
+};
+
+const ERRORS = {
+    order: {
+        fr: (lines) => `⚠️ Commande introuvable. Commandes pouvant être retournées:\n${lines}`,
+        ar: (lines) => `⚠️ الطلب غير موجود. الطلبات القابلة للإرجاع:\n${lines}`,
+        en: (lines) => `⚠️ Order not found. Orders you can return:\n${lines}`
+    },
+    reason: {
+        fr: () => '⚠️ Merci de décrire en quelques mots la raison du retour.',
+        ar: () => '⚠️ المرجو كتابة سبب الإرجاع في بضع كلمات.',
+        en: () => '⚠️ Please describe the reason for the return in a few words.'
+    },
+    photo: {
+        fr: () => '⚠️ Envoyez une photo (image) de l\'article, ou répondez *PASSER*.',
+        ar: () => '⚠️ أرسل صورة للمنتج، أو اكتب *تخطي*.',
+        en: () => '⚠️ Send a photo (image) of the item, or reply *SKIP*.'
+    }
+};
+
+class ReturnRequestFlow {
+    /**
+     * Check whether a customer message asks for a return / refund
+     */
+    isReturnRequest(text) {
+        return deliveryDetailsFlow.matches(text, RETURN_KEYWORDS);
+    }
+
+    message(key, language = 'fr', ...args) {
+        const template = MESSAGES[key][language] || MESSAGES[key].fr;
+        return typeof template === 'function' ? template(...args) : template;
+    }
+
+    error(key, language = 'fr', ...args) {
+        return (ERRORS[key][language] || ERRORS[key].fr)(...args);
+    }
+
+    /**
+     * One line per returnable order ("#12 • 2026-10-01 • 250 DH")
+     * @param {Object} money - Tenant { currency, locale }
+     */
+    formatOrders(orders, money = moneyService.getSettings(null)) {
+        return orders.slice(0, MAX_LISTED_ORDERS).map(order => {
+            const date = new Date(order.created_at).toISOString().split('T')[0];
+            const amount = order.total_amount !== null && order.total_amount !== undefined
+                ? ` • ${catalogService.formatPrice(order.total_amount, order.currency || money.currency, money.locale)}`
+                : '';
+            return `#${order.id} • ${date}${amount}`;
+        }).join('\n');
+    }
+
+    /**
+     * Order a customer named ("#12", "12", "commande 12")
+     * @returns {Object|null} Order or null if none of the orders matches
+     */
+    findOrder(text, orders) {
+        const numbers = (text || '')
+            .replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660))
+            .match(/\d+/g) || [];
+        for (const number of numbers) {
+            const order = orders.find(o => o.id === parseInt(number));
+            if (order) return order;
+        }
+        return null;
+    }
+
+    /**
+     * First question, or straight to the reason when the message names an order
+     * @param {string} text - Message that started the request
+     * @param {Array} orders - Returnable orders of the customer
+     * @param {string} language - 'fr', 'ar' or 'en'
+     * @returns {Object} { info, reply }
+     */
+    start(text, orders, language = 'fr', money = moneyService.getSettings(null)) {
+        const order = this.findOrder(text, orders);
+        if (order) {
+            return {
+                info: { step: 'reason', orderId: order.id, language },
+                reply: this.message('reason', language, order.id)
+            };
+        }
+
+        return {
+            info: { step: 'order', orderId: null, language },
+            reply: this.message('order', language, this.formatOrders(orders, money), orders[0].id)
+        };
+    }
+
+    /**
+     * Process a customer reply
+     * @param {Object} info - returnInfo from the conversation state
+     * @param {string} text - Customer reply
+     * @param {Object} context - { orders (returnable, at least one), photo ({ url, publicId } of an image sent), hasMedia, money }
+     * @returns {Object} { info, reply, done }
+     */
+    handle(info, text, context = {}) {
+        const { orders = [], photo = null, hasMedia = false } = context;
+        const money = context.money || moneyService.getSettings(null);
+        const language = info.language || 'fr';
+        const updated = { ...info };
+
+        // A photo can come before the reason - kept until the request is created
+        if (photo) updated.photo = photo;
+
+        switch (updated.step) {
+            case 'order': {
+                const order = this.findOrder(text, orders);
+                if (!order) {
+                    return { info: updated, reply: this.error('order', language, this.formatOrders(orders, money)), done: false };
+                }
+                updated.orderId = order.id;
+                updated.step = 'reason';
+                return { info: updated, reply: this.message('reason', language, order.id), done: false };
+            }
+
+            case 'reason': {
+                const reason = (text || '').replace(/\s+/g, ' ').trim();
+                if (reason.length < 3 || !/\p{L}/u.test(reason)) {
+                    return { info: updated, reply: this.error('reason', language), done: false };
+                }
+                updated.reason = reason.substring(0, 1000);
+                if (updated.photo) {
+                    return { info: updated, reply: null, done: true };
+                }
+                updated.step = 'photo';
+                return { info: updated, reply: this.message('photo', language), done: false };
+            }
+
+            case 'photo': {
+                if (updated.photo || (!hasMedia && deliveryDetailsFlow.matches(text, SKIP_KEYWORDS))) {
+                    return { info: updated, reply: null, done: true };
+                }
+                return { info: updated, reply: this.error('photo', language), done: false };
+            }
+
+            default:
+                // Unknown step (older conversation) - ask for the order again
+                return {
+                    info: { step: 'order', orderId: null, language },
+                    reply: this.message('order', language, this.formatOrders(orders, money), orders[0].id),
+                    done: false
+                };
+        }
+    }
+}
+
+module.exports = new ReturnRequestFlow();
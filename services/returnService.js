@@ -0,0 +1,188 @@
+/**
+ * Return Service
+ * Return / refund request statuses, the moves the owner can make on them and
+ * the localized WhatsApp messages sent to customers as their request moves
+ */
+
+const catalogService = require('./catalogService');
+const moneyService = require('./moneyService');
+
+// Order states a return can be asked for (owners that don't track shipping leave orders completed)
+const RETURNABLE_ORDER_STATES = ['completed', 'confirmed', 'shipped', 'delivered'];
+
+// Open requests block a new request on the same order
+const OPEN_STATUSES = ['requested', 'approved', 'received'];
+
+// from status -> statuses it can move to
+const TRANSITIONS = {
+    requested: ['approved', 'rejected'],
+    approved: ['received', 'refunded', 'rejected'],
+    received: ['refunded', 'rejected'],
+    refunded: [],
+    rejected: []
+};
+
+const STATUS_LABELS = {
+    requested: { fr: '🆕 Demandé', ar: '🆕 قيد الدراسة', en: '🆕 Requested' },
+    approved: { fr: '👍 Accepté', ar: '👍 مقبول', en: '👍 Approved' },
+    received: { fr: '📦 Article reçu', ar: '📦 تم استلام المنتج', en: '📦 Item received' },
+    refunded: { fr: '💸 Remboursé', ar: '💸 تم الاسترجاع', en: '💸 Refunded' },
+    rejected: { fr: '❌ Refusé', ar: '❌ مرفوض', en: '❌ Rejected' }
+};
+
+const CUSTOMER_MESSAGES = {
+    approved: {
+        fr: (r) => `👍 *Retour #${r.id} accepté* (commande #${r.order_id})\n\nMerci de nous renvoyer l'article. Vous serez remboursé dès sa réception.${r.owner_note ? `\n\n📝 ${r.owner_note}` : ''}`,
+        ar: (r) => `👍 *تم قبول طلب الإرجاع #${r.id}* (الطلب #${r.order_id})\n\nالمرجو إعادة المنتج إلينا. سيتم إرجاع المبلغ فور استلامه.${r.owner_note ? `\n\n📝 ${r.owner_note}` : ''}`,
+        en: (r) => `👍 *Return #${r.id} approved* (order #${r.order_id})\n\nPlease send the item back to us. You'll be refunded as soon as we receive it.${r.owner_note ? `\n\n📝 ${r.owner_note}` : ''}`
+    },
+    received: {
+        fr: (r) => `📦 *Retour #${r.id}: article reçu.*\n\nNous traitons votre remboursement.`,
+        ar: (r) => `📦 *طلب الإرجاع #${r.id}: تم استلام المنتج.*\n\nنحن نعالج استرجاع المبلغ.`,
+        en: (r) => `📦 *Return #${r.id}: item received.*\n\nWe're processing your refund.`
+    },
+    refunded: {
+        fr: (r, amount) => `💸 *Retour #${r.id} remboursé.*${amount ? `\n💰 Montant: ${amount}` : ''}\n\nLe remboursement peut prendre quelques jours pour apparaître sur votre compte.`,
+        ar: (r, amount) => `💸 *تم استرجاع مبلغ طلب الإرجاع #${r.id}.*${amount ? `\n💰 المبلغ: ${amount}` : ''}\n\nقد يستغرق بضعة أيام ليظهر في حسابك.`,
+        en: (r, amount) => `💸 *Return #${r.id} refunded.*${amount ? `\n💰 Amount: ${amount}` : ''}\n\nIt may take a few days to appear on your account.`
+    },
+    rejected: {
+        fr: (r) => `❌ *Retour #${r.id} refusé.*${r.owner_note ? `\n\nRaison: ${r.owner_note}` : ''}\n\nPour toute question, répondez à ce message.`,
+        ar: (r) => `❌ *تم رفض طلب الإرجاع #${r.id}.*${r.owner_note ? `\n\nالسبب: ${r.owner_note}` : ''}\n\nلأي سؤال، رد على هذه الرسالة.`,
+        en: (r) => `❌ *Return #${r.id} rejected.*${r.owner_note ? `\n\nReason: ${r.owner_note}` : ''}\n\nReply to this message if you have any question.`
+    }
+};
+
+const OPEN_RETURN_LINES = {
+    fr: (r, status) => `• Retour #${r.id} (commande #${r.order_id}): ${status}`,
+    ar: (r, status) => `• طلب الإرجاع #${r.id} (الطلب #${r.order_id}): ${status}`,
+    en: (r, status) => `• Return #${r.id} (order #${r.order_id}): ${status}`
+};
+
+const OPEN_RETURNS_MESSAGES = {
+    fr: (lines) => `↩️ *Vos demandes de retour:*\n\n${lines}\n\nNous vous tiendrons informé à chaque étape.`,
+    ar: (lines) => `↩️ *طلبات الإرجاع الخاصة بك:*\n\n${lines}\n\nسنخبرك في كل مرحلة.`,
+    en: (lines) => `↩️ *Your return requests:*\n\n${lines}\n\nWe'll keep you posted at every step.`
+};
+
+class ReturnService {
+    constructor() {
+        this.transitions = TRANSITIONS;
+        this.returnableOrderStates = RETURNABLE_ORDER_STATES;
+        this.openStatuses = OPEN_STATUSES;
+    }
+
+    getAllowedTransitions(fromStatus) {
+        return this.transitions[fromStatus] || [];
+    }
+
+    isOpen(status) {
+        return OPEN_STATUSES.includes(status);
+    }
+
+    statusLabel(status, language = 'fr') {
+        const labels = STATUS_LABELS[status];
+        return labels ? labels[language] || labels.fr : status;
+    }
+
+    /**
+     * Check a status change request
+     * @param {string} fromStatus - Current status
+     * @param {string} toStatus - Requested status
+     * @param {Object} details - { note, refundAmount }
+     * @returns {string|null} Error message or null if valid
+     */
+    validateTransition(fromStatus, toStatus, details = {}) {
+        if (!TRANSITIONS[toStatus] || toStatus === 'requested') {
+            return `Unknown status: ${toStatus}. Allowed: ${Object.keys(CUSTOMER_MESSAGES).join(', ')}`;
+        }
+
+        const allowed = this.getAllowedTransitions(fromStatus);
+        if (!allowed.includes(toStatus)) {
+            return `Cannot change return from "${fromStatus}" to "${toStatus}"` +
+                (allowed.length > 0 ? `. Allowed: ${allowed.join(', ')}` : ' (final status)');
+        }
+
+        if (toStatus === 'rejected' && !details.note) {
+            return 'A reason is required to reject a return';
+        }
+
+        const { refundAmount } = details;
+        if (refundAmount !== undefined && refundAmount !== null) {
+            if (toStatus !== 'refunded') {
+                return 'Refund amount can only be set when refunding';
+            }
+            if (isNaN(Number(refundAmount)) || Number(refundAmount) < 0) {
+                return 'refundAmount must be a non-negative number';
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Localized customer notification for a new return status
+     * @param {Object} returnRequest - Updated return_requests row
+     * @param {string} status - New status
+     * @param {string} language - Order language
+     * @param {string|null} locale - Tenant number format
+     * @returns {string|null} Message or null if the status has no notification
+     */
+    buildCustomerMessage(returnRequest, status, language = 'fr', locale = null) {
+        const templates = CUSTOMER_MESSAGES[status];
+        if (!templates) return null;
+
+        const amount = returnRequest.refund_amount !== null && returnRequest.refund_amount !== undefined
+            ? moneyService.format(returnRequest.refund_amount, returnRequest.currency || moneyService.defaultCurrency, locale)
+            : null;
+        return (templates[language] || templates.fr)(returnRequest, amount);
+    }
+
+    /**
+     * Status of a customer's open requests ("where is my refund?")
+     */
+    buildOpenReturnsMessage(returnRequests, language = 'fr') {
+        const line = OPEN_RETURN_LINES[language] || OPEN_RETURN_LINES.fr;
+        const lines = returnRequests.map(r => line(r, this.statusLabel(r.status, language))).join('\n');
+        return (OPEN_RETURNS_MESSAGES[language] || OPEN_RETURNS_MESSAGES.fr)(lines);
+    }
+
+    /**
+     * Owner WhatsApp message for a new request (same layout as forwarded orders)
+     * @param {Object} returnRequest - return_requests row
+     * @param {Object} order - Returned order
+     * @param {string|null} locale - Tenant number format
+     */
+    buildOwnerAlert(returnRequest, order, locale = null) {
+        let text = `↩️ *DEMANDE DE RETOUR #${returnRequest.id}*\n\n`;
+        text += `━━━━━━━━━━━━━━━━━━━━\n`;
+        text += `📱 Client: ${returnRequest.customer_phone.replace('@c.us', '')}\n`;
+        if (order.customer_name) text += `👤 Nom: ${order.customer_name}\n`;
+        text += `🆔 Commande: #${order.id}\n`;
+        if (order.total_amount !== null && order.total_amount !== undefined) {
+            text += `💰 Total: ${catalogService.formatPrice(order.total_amount, order.currency || 'MAD', locale)}\n`;
+        }
+        text += `\n📝 *Raison:*\n${returnRequest.reason}\n`;
+        text += `📸 Photo: ${returnRequest.photo_url ? 'ci-dessous' : 'non fournie'}\n`;
+        text += `━━━━━━━━━━━━━━━━━━━━\n\n`;
+        text += `✍️ Répondez: R${returnRequest.id} approve | R${returnRequest.id} reject raison | R${returnRequest.id} received | R${returnRequest.id} refund montant`;
+        return text;
+    }
+
+    /**
+     * Dashboard event payload for a new request
+     */
+    buildAlert(returnRequest, order) {
+        return {
+            returnId: returnRequest.id,
+            orderId: returnRequest.order_id,
+            customerPhone: returnRequest.customer_phone,
+            customerName: order ? order.customer_name : null,
+            reason: returnRequest.reason,
+            photoUrl: returnRequest.photo_url,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = new ReturnService();
@@ -0,0 +1,272 @@
+/**
+ * Shipment Service
+ * Shipment statuses, tracking numbers in customer messages and the localized
+ * WhatsApp answers of delivery mode. Answers are built from the shipments table
+ * only, so the bot never makes a status up.
+ */
+
+const appointmentService = require('./appointmentService');
+const deliveryDetailsFlow = require('./deliveryDetailsFlow');
+const orderLifecycle = require('./orderLifecycle');
+
+const STATUSES = ['pending', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'failed_attempt', 'returned', 'cancelled'];
+
+// Shipments that arrived or stopped (a customer's other shipments are listed first)
+const FINAL_STATUSES = ['delivered', 'returned', 'cancelled'];
+
+const STATUS_LABELS = {
+    pending: { fr: '📋 En préparation', ar: '📋 قيد التحضير', en: '📋 Being prepared' },
+    picked_up: { fr: '📤 Pris en charge par le transporteur', ar: '📤 تسلمه الناقل', en: '📤 Picked up by the carrier' },
+    in_transit: { fr: '🚚 En transit', ar: '🚚 في الطريق', en: '🚚 In transit' },
+    out_for_delivery: { fr: '🛵 En cours de livraison', ar: '🛵 خرج للتوصيل', en: '🛵 Out for delivery' },
+    delivered: { fr: '✅ Livré', ar: '✅ تم التسليم', en: '✅ Delivered' },
+    failed_attempt: { fr: '⚠️ Tentative de livraison échouée', ar: '⚠️ تعذر التسليم', en: '⚠️ Delivery attempt failed' },
+    returned: { fr: '↩️ Retourné à l\'expéditeur', ar: '↩️ أعيد إلى المرسل', en: '↩️ Returned to sender' },
+    cancelled: { fr: '❌ Annulé', ar: '❌ ملغى', en: '❌ Cancelled' }
+};
+
+// Messages asking about a package (whole words, fr/en/ar/darija)
+const TRACKING_KEYWORDS = [
+    'colis', 'suivi', 'suivre', 'tracking', 'numéro de suivi', 'mon envoi', 'ma livraison', 'où est ma commande',
+    'track', 'parcel', 'package', 'shipment', 'where is my order',
+    'طرد', 'الطرد', 'تتبع', 'التتبع', 'شحنة', 'الشحنة', 'فين وصل', 'fin wsel', 'lcolis'
+];
+
+// French words of tracking questions that the generic language detection misses
+const FRENCH_TRACKING_KEYWORDS = ['colis', 'lcolis', 'suivi', 'suivre', 'envoi', 'où est', 'mon', 'ma', 'svp', 'merci', 'bonjour'];
+
+// History rows shown per shipment
+const MAX_EVENTS = 3;
+
+const LABELS = {
+    shipment: { fr: 'Colis', ar: 'الطرد', en: 'Package' },
+    status: { fr: 'Statut', ar: 'الحالة', en: 'Status' },
+    eta: { fr: 'Livraison prévue', ar: 'التسليم المتوقع', en: 'Expected delivery' },
+    deliveredAt: { fr: 'Livré le', ar: 'تم التسليم يوم', en: 'Delivered on' },
+    history: { fr: 'Historique', ar: 'المراحل', en: 'History' }
+};
+
+const MESSAGES = {
+    notFound: {
+        fr: (numbers) => `🔍 Aucun colis trouvé avec le numéro ${numbers}.\n\nVérifiez le numéro de suivi (il figure sur votre confirmation d'envoi) et renvoyez-le.`,
+        ar: (numbers) => `🔍 لم نجد أي طرد بالرقم ${numbers}.\n\nتحقق من رقم التتبع (موجود في تأكيد الإرسال) وأعد إرساله.`,
+        en: (numbers) => `🔍 No package found with number ${numbers}.\n\nPlease check the tracking number (it's on your shipping confirmation) and send it again.`
+    },
+    askNumber: {
+        fr: () => '📦 Pour suivre votre colis, envoyez-moi son *numéro de suivi* (ex: AB123456789MA).',
+        ar: () => '📦 لتتبع طردك، أرسل لي *رقم التتبع* (مثال: AB123456789MA).',
+        en: () => '📦 To track your package, send me its *tracking number* (e.g. AB123456789MA).'
+    }
+};
+
+// WhatsApp notifications when the owner records a new status
+const CUSTOMER_MESSAGES = {
+    in_transit: {
+        fr: (s) => `🚚 *Votre colis ${s.tracking_number} est en route.*`,
+        ar: (s) => `🚚 *طردك ${s.tracking_number} في الطريق.*`,
+        en: (s) => `🚚 *Your package ${s.tracking_number} is on its way.*`
+    },
+    out_for_delivery: {
+        fr: (s) => `🛵 *Votre colis ${s.tracking_number} est en cours de livraison aujourd'hui.*\n\nMerci de rester joignable.`,
+        ar: (s) => `🛵 *طردك ${s.tracking_number} خرج للتوصيل اليوم.*\n\nالمرجو أن تبقى متاحاً على الهاتف.`,
+        en: (s) => `🛵 *Your package ${s.tracking_number} is out for delivery today.*\n\nPlease keep your phone nearby.`
+    },
+    delivered: {
+        fr: (s) => `✅ *Votre colis ${s.tracking_number} a été livré.*\n\nMerci pour votre confiance!`,
+        ar: (s) => `✅ *تم تسليم طردك ${s.tracking_number}.*\n\nشكراً لثقتك!`,
+        en: (s) => `✅ *Your package ${s.tracking_number} has been delivered.*\n\nThank you for your trust!`
+    },
+    failed_attempt: {
+        fr: (s) => `⚠️ *Nous n'avons pas pu livrer votre colis ${s.tracking_number}.*\n\nRépondez à ce message pour convenir d'une nouvelle livraison.`,
+        ar: (s) => `⚠️ *لم نتمكن من تسليم طردك ${s.tracking_number}.*\n\nرد على هذه الرسالة لتحديد موعد توصيل جديد.`,
+        en: (s) => `⚠️ *We couldn't deliver your package ${s.tracking_number}.*\n\nReply to this message to arrange a new delivery.`
+    },
+    returned: {
+        fr: (s) => `↩️ *Votre colis ${s.tracking_number} a été retourné à l'expéditeur.*\n\nRépondez à ce message pour plus d'informations.`,
+        ar: (s) => `↩️ *أعيد طردك ${s.tracking_number} إلى المرسل.*\n\nرد على هذه الرسالة لمزيد من المعلومات.`,
+        en: (s) => `↩️ *Your package ${s.tracking_number} was returned to the sender.*\n\nReply to this message for more information.`
+    }
+};
+
+class ShipmentService {
+    constructor() {
+        this.statuses = STATUSES;
+        this.finalStatuses = FINAL_STATUSES;
+    }
+
+    statusLabel(status, language = 'fr') {
+        const labels = STATUS_LABELS[status];
+        return labels ? labels[language] || labels.fr : status;
+    }
+
+    label(key, language = 'fr') {
+        return LABELS[key][language] || LABELS[key].fr;
+    }
+
+    message(key, language = 'fr', ...args) {
+        return (MESSAGES[key][language] || MESSAGES[key].fr)(...args);
+    }
+
+    /**
+     * Stored form of a tracking number ("ab 1234-5678" -> "AB1234-5678")
+     */
+    normalizeTrackingNumber(value) {
+        return String(value || '').replace(/\s+/g, '').toUpperCase();
+    }
+
+    /**
+     * Words of a message that could be tracking numbers (6+ letters/digits with at least one digit)
+     * @returns {Array} Normalized candidates
+     */
+    extractTrackingNumbers(text) {
+        const value = (text || '').replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660)).toUpperCase();
+        const candidates = (value.match(/[A-Z0-9][A-Z0-9-]{5,99}/g) || [])
+            .map(token => token.replace(/-+$/, ''))
+            .filter(token => /\d/.test(token) && token.length >= 6);
+        return [...new Set(candidates)];
+    }
+
+    /**
+     * Check whether a customer message asks where a package is
+     */
+    isTrackingRequest(text) {
+        return deliveryDetailsFlow.matches(text, TRACKING_KEYWORDS);
+    }
+
+    /**
+     * Language of a tracking question ("où est mon colis" is French even without other French words)
+     * @param {Array} numbers - Tracking numbers of the message (a bare number says nothing about the language)
+     * @param {string} fallback - Language when the message is only numbers
+     */
+    detectLanguage(text, numbers = [], fallback = 'fr') {
+        const words = numbers.reduce((rest, number) => rest.split(number).join(' '), (text || '').toUpperCase());
+        if (!/[A-Z\u0600-\u06FF]{2,}/.test(words)) return fallback;
+
+        const language = orderLifecycle.detectLanguageCode(text);
+        return language === 'en' && deliveryDetailsFlow.matches(text, FRENCH_TRACKING_KEYWORDS) ? 'fr' : language;
+    }
+
+    /**
+     * "18/10 14:30" in the tenant timezone
+     */
+    formatTimestamp(instant, timezone) {
+        const local = appointmentService.getLocalParts(instant, timezone);
+        const [, month, day] = local.date.split('-');
+        return `${day}/${month} ${appointmentService.formatMinutes(local.minutes)}`;
+    }
+
+    /**
+     * Status of one shipment with its latest history rows
+     * @param {Array} events - shipment_events rows of this shipment (oldest first)
+     */
+    formatShipment(shipment, events, language = 'fr', timezone = appointmentService.defaultTimezone) {
+        let text = `📦 *${this.label('shipment', language)} ${shipment.tracking_number}*${shipment.carrier ? ` (${shipment.carrier})` : ''}\n`;
+        text += `${this.label('status', language)}: ${this.statusLabel(shipment.status, language)}`;
+        if (shipment.current_location) text += `\n📍 ${shipment.current_location}`;
+
+        if (shipment.status === 'delivered' && shipment.delivered_at) {
+            text += `\n📅 ${this.label('deliveredAt', language)}: ${this.formatTimestamp(shipment.delivered_at, timezone)}`;
+        } else if (shipment.estimated_delivery && !FINAL_STATUSES.includes(shipment.status)) {
+            text += `\n📅 ${this.label('eta', language)}: ${appointmentService.formatDate(shipment.estimated_delivery, language)}`;
+        }
+
+        const latest = events.slice(-MAX_EVENTS).reverse();
+        if (latest.length > 0) {
+            text += `\n\n${this.label('history', language)}:\n`;
+            text += latest.map(e => `• ${this.formatTimestamp(e.created_at, timezone)} - ${this.statusLabel(e.status, language)}${e.location ? ` (${e.location})` : ''}`).join('\n');
+        }
+        return text;
+    }
+
+    /**
+     * Answer to a tracking question
+     * @param {Array} shipments - shipments rows
+     * @param {Array} events - shipment_events rows of these shipments (oldest first)
+     */
+    buildTrackingMessage(shipments, events, language = 'fr', timezone = appointmentService.defaultTimezone) {
+        return shipments
+            .map(shipment => this.formatShipment(shipment, events.filter(e => e.shipment_id === shipment.id), language, timezone))
+            .join('\n\n━━━━━━━━━━━━━━━━━━━━\n\n');
+    }
+
+    /**
+     * Localized customer notification for a new status
+     * @returns {string|null} Message or null if the status has no notification
+     */
+    buildCustomerMessage(shipment, language = 'fr') {
+        const templates = CUSTOMER_MESSAGES[shipment.status];
+        if (!templates) return null;
+
+        let text = (templates[language] || templates.fr)(shipment);
+        if (shipment.estimated_delivery && !FINAL_STATUSES.includes(shipment.status) && shipment.status !== 'out_for_delivery') {
+            text += `\n📅 ${this.label('eta', language)}: ${appointmentService.formatDate(shipment.estimated_delivery, language)}`;
+        }
+        return text;
+    }
+
+    /**
+     * Validate a shipment
+     * @param {Object} payload - { trackingNumber, carrier, customerPhone, customerName, language, status, location, estimatedDelivery, orderId }
+     * @param {boolean} partial - Allow missing fields (updates)
+     * @returns {string|null} Error message or null if valid
+     */
+    validateShipment(payload, partial = false) {
+        if (!partial || payload.trackingNumber !== undefined) {
+            const trackingNumber = this.normalizeTrackingNumber(payload.trackingNumber);
+            if (!trackingNumber || trackingNumber.length > 100 || !/^[A-Z0-9][A-Z0-9-]*$/.test(trackingNumber)) {
+                return 'trackingNumber is required (letters, digits and dashes, max 100 characters)';
+            }
+        }
+
+        for (const field of ['carrier', 'customerName', 'location']) {
+            const value = payload[field];
+            if (value !== undefined && value !== null && (typeof value !== 'string' || value.length > 255)) {
+                return `${field} must be text (max 255 characters)`;
+            }
+        }
+
+        if (payload.customerPhone !== undefined && payload.customerPhone !== null && payload.customerPhone !== '' &&
+            !deliveryDetailsFlow.parsePhone(String(payload.customerPhone), null)) {
+            return 'customerPhone must be a valid phone number';
+        }
+
+        if (payload.language !== undefined && !['fr', 'ar', 'en'].includes(payload.language)) {
+            return 'language must be fr, ar or en';
+        }
+
+        if (payload.status !== undefined && !STATUSES.includes(payload.status)) {
+            return `status must be one of: ${STATUSES.join(', ')}`;
+        }
+
+        if (payload.estimatedDelivery !== undefined && payload.estimatedDelivery !== null &&
+            !appointmentService.isValidDate(payload.estimatedDelivery)) {
+            return 'estimatedDelivery must be a date "YYYY-MM-DD"';
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate a status update
+     * @param {Object} payload - { status, location, note, estimatedDelivery }
+     * @returns {string|null} Error message or null if valid
+     */
+    validateEvent(payload) {
+        if (!STATUSES.includes(payload.status)) {
+            return `status must be one of: ${STATUSES.join(', ')}`;
+        }
+        if (payload.location !== undefined && payload.location !== null && (typeof payload.location !== 'string' || payload.location.length > 255)) {
+            return 'location must be text (max 255 characters)';
+        }
+        if (payload.note !== undefined && payload.note !== null && typeof payload.note !== 'string') {
+            return 'note must be text';
+        }
+        if (payload.estimatedDelivery !== undefined && payload.estimatedDelivery !== null &&
+            !appointmentService.isValidDate(payload.estimatedDelivery)) {
+            return 'estimatedDelivery must be a date "YYYY-MM-DD"';
+        }
+        return null;
+    }
+}
+
+module.exports = new ShipmentService();